@@ -0,0 +1,38 @@
+/**
+ * Runs the QUnit and OPA5 tests of webapp/test/testsuite.qunit.html in a headless Chromium.
+ * The UI5 resources are served by the UI5 tooling, see ui5.yaml. Chromium is taken from CHROME_BIN.
+ */
+module.exports = function(config) {
+    "use strict";
+
+    config.set({
+        frameworks: ["ui5"],
+        ui5: {
+            testpage: "webapp/test/testsuite.qunit.html"
+        },
+        browsers: ["ChromeHeadlessNoSandbox"],
+        customLaunchers: {
+            // containers and CI runners usually do not allow the sandbox of Chromium
+            ChromeHeadlessNoSandbox: {
+                base: "ChromeHeadless",
+                flags: ["--no-sandbox"]
+            }
+        },
+        // the app code is instrumented, not the tests and the mock server
+        preprocessors: {
+            "{webapp,webapp/!(test|localService)/**}/*.js": ["coverage"]
+        },
+        coverageReporter: {
+            includeAllSources: true,
+            dir: "coverage",
+            reporters: [
+                { type: "html", subdir: "report-html" },
+                { type: "lcovonly", subdir: ".", file: "lcov.info" },
+                { type: "text-summary" }
+            ]
+        },
+        reporters: ["progress", "coverage"],
+        // the OPA journeys start the whole app a few times
+        browserNoActivityTimeout: 120000
+    });
+};
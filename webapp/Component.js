@@ -1,11 +1,31 @@
 sap.ui.define([
     "sap/ui/core/UIComponent",
     "sap/ui/Device",
+    "sap/base/Log",
+    "sap/ui/model/resource/ResourceModel",
+    "com/productapp/Router",
     "com/productapp/model/models",
-    "sap/ui/model/json/JSONModel"
-], function(UIComponent, Device, models, JSONModel) {
+    "com/productapp/model/i18n",
+    "com/productapp/model/ProductRepository",
+    "com/productapp/model/SupplierRepository",
+    "com/productapp/model/AuditTrail",
+    "com/productapp/model/MediaLibrary",
+    "com/productapp/model/CurrencyService",
+    "com/productapp/model/SpecTemplates",
+    "com/productapp/model/UserProfile",
+    "com/productapp/model/TabSync",
+    "com/productapp/model/productSchema",
+    "com/productapp/model/storage/LocalStorageAdapter",
+    "com/productapp/model/storage/IndexedDBAdapter",
+    "com/productapp/model/storage/ODataAdapter",
+    "com/productapp/model/storage/ODataSupplierAdapter"
+], function(UIComponent, Device, Log, ResourceModel, Router, models, i18n, ProductRepository, SupplierRepository, AuditTrail,
+        MediaLibrary, CurrencyService, SpecTemplates, UserProfile, TabSync, productSchema, LocalStorageAdapter,
+        IndexedDBAdapter, ODataAdapter, ODataSupplierAdapter) {
     "use strict";
 
+    var LANGUAGE_KEY = "com.productapp.language";
+
     return UIComponent.extend("com.productapp.Component", {
         metadata: {
             manifest: "json"
@@ -19,9 +39,248 @@ sap.ui.define([
         init: function() {
             UIComponent.prototype.init.apply(this, arguments);
             this.setModel(models.createDeviceModel(), "device");
-            this.getRouter().initialize();
-            var oProductsModel = new JSONModel(this.getManifestEntry("sap.app").dataSources.productsData.uri);
-            this.setModel(oProductsModel, "products");
+            // the language chosen in the app wins over the one of the browser
+            var sLanguage = window.localStorage.getItem(LANGUAGE_KEY);
+            if (sLanguage) {
+                this.setLanguage(sLanguage);
+            } else {
+                i18n.setResourceBundle(this.getModel("i18n").getResourceBundle());
+            }
+            // the repositories seed their storage from the mock data on the first run,
+            // the changes of other tabs of the app are read in right away
+            var oTabSync = new TabSync("com.productapp.sync");
+            this._oProductRepository = new ProductRepository(
+                this._createProductStorage(),
+                this._getDataSourceUrl("productsData"),
+                this._createBrowserStorage("com.productapp.recycleBin"),
+                new AuditTrail(this._createBrowserStorage("com.productapp.auditTrail")),
+                new MediaLibrary(this._createMediaStorage()),
+                new SupplierRepository(this._createSupplierStorage(), this._getDataSourceUrl("suppliersData"), oTabSync),
+                oTabSync
+            );
+            this._oProductRepository.load().catch(function(oError) {
+                Log.error("Could not load the products", oError.message, "com.productapp.Component");
+            });
+            this.setModel(this._oProductRepository.getModel(), "products");
+            this.setModel(this._oProductRepository.getRecycleBinModel(), "recycleBin");
+            this.setModel(this._oProductRepository.getHistoryModel(), "history");
+            this.setModel(this._oProductRepository.getAuditModel(), "audit");
+            this.setModel(this.getSupplierRepository().getModel(), "suppliers");
+            // the currencies products can be priced in are the ones with an exchange rate
+            this._oCurrencyService = new CurrencyService(this._getDataSourceUrl("currencyRates"));
+            this._oCurrencyService.load().then(function(aCurrencies) {
+                productSchema.setCurrencies(aCurrencies);
+            }).catch(function(oError) {
+                Log.error("Could not load the exchange rates", oError.message, "com.productapp.Component");
+            });
+            this.setModel(this._oCurrencyService.getModel(), "currency");
+            // the specification templates describe the products of a category
+            this._oSpecTemplates = new SpecTemplates(this._getDataSourceUrl("specTemplates"));
+            this._oSpecTemplates.load().catch(function(oError) {
+                Log.error("Could not load the specification templates", oError.message, "com.productapp.Component");
+            });
+            this.setModel(this._oSpecTemplates.getModel(), "specTemplates");
+            // the role of the user decides which actions are offered and which routes open
+            this._oUserProfile = new UserProfile(this._getDataSourceUrl("userProfile"));
+            this.setModel(this._oUserProfile.getModel(), "permissions");
+            var oRouter = this.getRouter();
+            oRouter.setAccessCheck(this._oUserProfile.canOpenRoute.bind(this._oUserProfile), ["master", "accessDenied"]);
+            // the first route has to wait for the profile, or a deep link would be checked against a viewer
+            this._oUserProfile.load().catch(function(oError) {
+                Log.error("Could not load the user profile", oError.message, "com.productapp.Component");
+            }).then(function() {
+                oRouter.initialize();
+            });
+        },
+
+        /**
+         * Returns the repository all controllers use to read and change products.
+         * @public
+         * @return {com.productapp.model.ProductRepository} the product repository
+         */
+        getProductRepository: function() {
+            return this._oProductRepository;
+        },
+
+        /**
+         * Returns the repository of the suppliers the products refer to.
+         * @public
+         * @return {com.productapp.model.SupplierRepository} the supplier repository
+         */
+        getSupplierRepository: function() {
+            return this._oProductRepository.getSupplierRepository();
+        },
+
+        /**
+         * Returns the service that converts prices into the display currency.
+         * @public
+         * @return {com.productapp.model.CurrencyService} the currency service
+         */
+        getCurrencyService: function() {
+            return this._oCurrencyService;
+        },
+
+        /**
+         * Returns the specification templates of the categories.
+         * @public
+         * @return {com.productapp.model.SpecTemplates} the specification templates
+         */
+        getSpecTemplates: function() {
+            return this._oSpecTemplates;
+        },
+
+        /**
+         * Returns the profile of the user with the permissions of the role.
+         * @public
+         * @return {com.productapp.model.UserProfile} the user profile
+         */
+        getUserProfile: function() {
+            return this._oUserProfile;
+        },
+
+        /**
+         * Lets an admin try another role and leaves a page the new role may not see, see the UserProfile.
+         * @public
+         * @param {string} sRole viewer, editor or admin
+         * @param {string[]} [aRights] the rights on top of the role, e.g. ["pricing"]
+         */
+        setRole: function(sRole, aRights) {
+            this._oUserProfile.setRole(sRole, aRights);
+            this.getRouter().checkAccess();
+        },
+
+        /**
+         * Switches the app to another language and remembers it for the next start.
+         * @public
+         * @param {string} sLanguage one of the supported locales of the i18n model, e.g. "de"
+         */
+        setLanguage: function(sLanguage) {
+            var oSettings = this.getManifestEntry("/sap.ui5/models/i18n/settings");
+            sap.ui.getCore().getConfiguration().setLanguage(sLanguage);
+            // the texts are read once per bundle, so a new model is needed for the new language
+            var oModel = new ResourceModel(oSettings);
+            this.setModel(oModel, "i18n");
+            i18n.setResourceBundle(oModel.getResourceBundle());
+            window.localStorage.setItem(LANGUAGE_KEY, sLanguage);
+            // formatters that translate or format by locale only run again when their data is updated
+            ["products", "recycleBin", "audit", "suppliers"].forEach(function(sName) {
+                var oDataModel = this.getModel(sName);
+                if (oDataModel) {
+                    oDataModel.refresh(true);
+                }
+            }, this);
+        },
+
+        /**
+         * Resolves the URI of a JSON data source of the manifest against the app, so the files are also
+         * found when the page that starts the component is elsewhere, e.g. a test page.
+         * @private
+         * @param {string} sName the name of the data source
+         * @return {string} the URL of the file
+         */
+        _getDataSourceUrl: function(sName) {
+            return sap.ui.require.toUrl("com/productapp/" + this.getManifestEntry("sap.app").dataSources[sName].uri);
+        },
+
+        /**
+         * Creates the storage adapter configured in the manifest under sap.ui5/config/productStorage:
+         * "localStorage", "indexedDB" or "odata" for the productsService data source.
+         * IndexedDB falls back to localStorage in browsers that do not support it.
+         * @private
+         * @return {object} the storage adapter
+         */
+        _createProductStorage: function() {
+            var oConfig = this.getManifestEntry("/sap.ui5/config") || {};
+            var oDataSources = this.getManifestEntry("sap.app").dataSources;
+            if (oConfig.productStorage === "odata") {
+                return new ODataAdapter(
+                    oDataSources.productsService.uri,
+                    oConfig.useMockServer ? this._startMockServer(oDataSources) : undefined
+                );
+            }
+            if (oConfig.productStorage === "indexedDB" && window.indexedDB) {
+                return new IndexedDBAdapter();
+            }
+            return new LocalStorageAdapter();
+        },
+
+        /**
+         * Creates the storage adapter of the suppliers, of the same kind as the one of the products.
+         * @private
+         * @return {object} the storage adapter
+         */
+        _createSupplierStorage: function() {
+            var oConfig = this.getManifestEntry("/sap.ui5/config") || {};
+            var oDataSources = this.getManifestEntry("sap.app").dataSources;
+            if (oConfig.productStorage === "odata") {
+                return new ODataSupplierAdapter(
+                    oDataSources.productsService.uri,
+                    oConfig.useMockServer ? this._startMockServer(oDataSources) : undefined
+                );
+            }
+            if (oConfig.productStorage === "indexedDB" && window.indexedDB) {
+                return new IndexedDBAdapter("com.productapp.suppliers", "SupplierID");
+            }
+            return new LocalStorageAdapter("com.productapp.suppliers", "SupplierID");
+        },
+
+        /**
+         * The component is destroyed by UI5 automatically.
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oProductRepository.destroy();
+            this._oCurrencyService.destroy();
+            this._oSpecTemplates.destroy();
+            this._oUserProfile.destroy();
+            UIComponent.prototype.destroy.apply(this, arguments);
+        },
+
+        /**
+         * Creates the storage for data that always lives in the browser, also when the products
+         * come from the OData service: the recycle bin and the audit trail.
+         * @private
+         * @param {string} sName the localStorage key or IndexedDB database name
+         * @return {object} the storage adapter
+         */
+        _createBrowserStorage: function(sName) {
+            var oConfig = this.getManifestEntry("/sap.ui5/config") || {};
+            if (oConfig.productStorage === "indexedDB" && window.indexedDB) {
+                return new IndexedDBAdapter(sName);
+            }
+            return new LocalStorageAdapter(sName);
+        },
+
+        /**
+         * Creates the storage of the content of the media files. The images and attachments of all products
+         * would soon exceed the quota of localStorage, so they are kept in IndexedDB whatever the storage
+         * of the products is. Only browsers without IndexedDB fall back to localStorage.
+         * @private
+         * @return {object} the storage adapter
+         */
+        _createMediaStorage: function() {
+            if (window.indexedDB) {
+                return new IndexedDBAdapter("com.productapp.media");
+            }
+            return new LocalStorageAdapter("com.productapp.media");
+        },
+
+        /**
+         * Loads and starts the local mock server for the OData service, once for all storage adapters.
+         * @private
+         * @param {object} oDataSources the data sources of the manifest
+         * @return {Promise} resolves once the mock server is running
+         */
+        _startMockServer: function(oDataSources) {
+            if (!this._pMockServer) {
+                this._pMockServer = new Promise(function(resolve, reject) {
+                    sap.ui.require(["com/productapp/localService/mockserver"], function(mockserver) {
+                        mockserver.init(oDataSources).then(resolve, reject);
+                    }, reject);
+                });
+            }
+            return this._pMockServer;
         },
 
         /**
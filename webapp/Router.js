@@ -0,0 +1,133 @@
+sap.ui.define([
+    "sap/m/routing/Router",
+    "sap/ui/core/routing/History",
+    "sap/ui/core/library",
+    "sap/base/Log",
+    "sap/m/MessageBox",
+    "./model/i18n"
+], function(Router, History, coreLibrary, Log, MessageBox, i18n) {
+    "use strict";
+
+    var HistoryDirection = coreLibrary.routing.HistoryDirection;
+
+    /**
+     * Router that lets the current page veto a navigation, e.g. to protect unsaved changes,
+     * and keeps users out of the routes they have no permission for.
+     *
+     * The guard and the access check are asked before every hash change, no matter whether it
+     * comes from navTo, a link, the address bar or the browser's back button.
+     */
+    return Router.extend("com.productapp.Router", {
+
+        /**
+         * Registers the function that is asked before the app leaves the current hash.
+         * It returns true to allow the navigation right away, or a promise that resolves
+         * with true (navigate) or false (stay). The guard is removed once it allowed a navigation.
+         * @public
+         * @param {function(string):(boolean|Promise<boolean>)} fnGuard the guard, called with the new hash
+         */
+        setNavigationGuard: function(fnGuard) {
+            this._fnNavigationGuard = fnGuard;
+        },
+
+        /**
+         * @public
+         * @param {function} fnGuard the guard to remove, other guards stay in place
+         */
+        removeNavigationGuard: function(fnGuard) {
+            if (this._fnNavigationGuard === fnGuard) {
+                this._fnNavigationGuard = null;
+            }
+        },
+
+        /**
+         * Registers the function that decides whether a route may be opened. A route it denies
+         * shows the given targets instead, the hash stays as it is.
+         * @public
+         * @param {function(string):boolean} fnCheck the check, called with the name of the route
+         * @param {string|string[]} vDeniedTarget the targets to show for a denied route
+         */
+        setAccessCheck: function(fnCheck, vDeniedTarget) {
+            this._fnAccessCheck = fnCheck;
+            this._vDeniedTarget = vDeniedTarget;
+        },
+
+        /**
+         * Checks the current hash again, e.g. when the permissions of the user changed. A page that
+         * is no longer allowed is left without asking the navigation guard, a page that was denied
+         * is shown once it is allowed. Other pages stay as they are.
+         * @public
+         */
+        checkAccess: function() {
+            if (this._sCurrentHash !== undefined && (this._bDenied || this._isDenied(this._sCurrentHash))) {
+                this._route(this._sCurrentHash);
+            }
+        },
+
+        /**
+         * @override
+         */
+        parse: function(sNewHash) {
+            var that = this;
+            var fnGuard = this._fnNavigationGuard;
+
+            // the hash was put back while the guard decides, nothing to route
+            if (this._bRestoringHash && sNewHash === this._sCurrentHash) {
+                this._bRestoringHash = false;
+                return;
+            }
+
+            if (fnGuard) {
+                var vResult = fnGuard(sNewHash);
+                if (vResult !== true) {
+                    // the URL already shows the new hash, put the current one back until the guard decides
+                    var bBack = History.getInstance().getDirection() === HistoryDirection.Backwards;
+                    this._bRestoringHash = true;
+                    if (bBack) {
+                        // a replace would overwrite the entry the user goes back to, so step forward again
+                        window.history.go(1);
+                    } else {
+                        this.getHashChanger().replaceHash(this._sCurrentHash || "");
+                    }
+                    Promise.resolve(vResult).then(function(bLeave) {
+                        if (!bLeave) {
+                            return;
+                        }
+                        // a confirmed back button still goes back, it must not add the page as a new entry
+                        if (bBack) {
+                            window.history.go(-1);
+                        } else {
+                            that.getHashChanger().setHash(sNewHash);
+                        }
+                    }).catch(function(oError) {
+                        // the current hash is already back in place, the user stays on the page
+                        Log.error("The navigation guard failed", oError.message, "com.productapp.Router");
+                        MessageBox.error(i18n.getText("navigationErrorMessage", [oError.message]));
+                    });
+                    return;
+                }
+                this._fnNavigationGuard = null;
+            }
+
+            this._sCurrentHash = sNewHash;
+            this._route(sNewHash);
+        },
+
+        _route: function(sHash) {
+            this._bDenied = this._isDenied(sHash);
+            if (this._bDenied) {
+                this.getTargets().display(this._vDeniedTarget);
+                return;
+            }
+            Router.prototype.parse.call(this, sHash);
+        },
+
+        _isDenied: function(sHash) {
+            var that = this;
+            var fnCheck = this._fnAccessCheck;
+            return !!fnCheck && Object.keys(this._oRoutes).some(function(sName) {
+                return that.getRoute(sName).match(sHash) && !fnCheck(sName);
+            });
+        }
+    });
+});
@@ -0,0 +1,8 @@
+sap.ui.define([
+    "./BaseController"
+], function(BaseController) {
+    "use strict";
+
+    // the page only explains the missing rights, onNavBack of the BaseController leads away from it
+    return BaseController.extend("com.productapp.controller.AccessDenied", {});
+});
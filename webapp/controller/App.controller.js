@@ -1,12 +1,40 @@
 sap.ui.define([
-    "sap/ui/core/mvc/Controller"
-], function(Controller) {
+    "./BaseController"
+], function(BaseController) {
     "use strict";
 
-    return Controller.extend("com.productapp.controller.App", {
+    return BaseController.extend("com.productapp.controller.App", {
         onInit: function() {
             // Apply content density mode to root view
             this.getView().addStyleClass(this.getOwnerComponent().getContentDensityClass());
+            
+            // Ctrl+Z / Ctrl+Y (Cmd on Mac) undo and redo product changes anywhere in the app
+            this._fnKeyDown = this._onKeyDown.bind(this);
+            document.addEventListener("keydown", this._fnKeyDown);
+        },
+
+        onExit: function() {
+            document.removeEventListener("keydown", this._fnKeyDown);
+        },
+
+        _onKeyDown: function(oEvent) {
+            var sTag = oEvent.target.tagName;
+            // text fields keep their own undo
+            if (!(oEvent.ctrlKey || oEvent.metaKey) || sTag === "INPUT" || sTag === "TEXTAREA" || oEvent.target.isContentEditable) {
+                return;
+            }
+            // undoing and redoing changes products, which viewers may not do
+            if (!this.getOwnerComponent().getUserProfile().can("edit")) {
+                return;
+            }
+            var sKey = oEvent.key.toLowerCase();
+            if (sKey === "z" && !oEvent.shiftKey) {
+                oEvent.preventDefault();
+                this.undo();
+            } else if (sKey === "y" || (sKey === "z" && oEvent.shiftKey)) {
+                oEvent.preventDefault();
+                this.redo();
+            }
         }
     });
 });
@@ -0,0 +1,147 @@
+sap.ui.define([
+    "sap/ui/core/mvc/Controller",
+    "sap/ui/core/routing/History",
+    "sap/base/Log",
+    "sap/m/MessageBox",
+    "sap/m/MessageToast",
+    "./UndoToast"
+], function(Controller, History, Log, MessageBox, MessageToast, UndoToast) {
+    "use strict";
+
+    return Controller.extend("com.productapp.controller.BaseController", {
+        /**
+         * Convenience method for accessing the router of the component.
+         * @public
+         * @returns {sap.m.routing.Router} the router for this component
+         */
+        getRouter: function() {
+            return this.getOwnerComponent().getRouter();
+        },
+
+        /**
+         * Convenience method for getting a view model by name.
+         * @public
+         * @param {string} [sName] the model name
+         * @returns {sap.ui.model.Model} the model instance
+         */
+        getModel: function(sName) {
+            return this.getView().getModel(sName);
+        },
+
+        /**
+         * Convenience method for setting a view model.
+         * @public
+         * @param {sap.ui.model.Model} oModel the model instance
+         * @param {string} [sName] the model name
+         * @returns {sap.ui.core.mvc.View} the view instance
+         */
+        setModel: function(oModel, sName) {
+            return this.getView().setModel(oModel, sName);
+        },
+
+        /**
+         * Convenience method for getting the resource bundle.
+         * @public
+         * @returns {module:sap/base/i18n/ResourceBundle} the resource bundle of the component
+         */
+        getResourceBundle: function() {
+            return this.getOwnerComponent().getModel("i18n").getResourceBundle();
+        },
+
+        /**
+         * Convenience method for getting a text of the resource bundle.
+         * @public
+         * @param {string} sKey the key of the text
+         * @param {any[]} [aArgs] the values for the placeholders of the text
+         * @returns {string} the text in the current language
+         */
+        getText: function(sKey, aArgs) {
+            return this.getResourceBundle().getText(sKey, aArgs);
+        },
+
+        /**
+         * Convenience method for accessing the product repository of the component.
+         * @public
+         * @returns {com.productapp.model.ProductRepository} the product repository
+         */
+        getProductRepository: function() {
+            return this.getOwnerComponent().getProductRepository();
+        },
+
+        /**
+         * Tells the user that the stored products could not be read, e.g. when the storage is not available.
+         * @public
+         * @param {Error} oError the error of the storage
+         */
+        showLoadError: function(oError) {
+            Log.error("Could not load the products", oError.message, this.getMetadata().getName());
+            MessageBox.error(this.getText("productsLoadErrorMessage", [oError.message]));
+        },
+
+        /**
+         * Shows a toast with an Undo action for the change that was just made.
+         * @public
+         * @param {string} sMessage the message text
+         */
+        showUndoToast: function(sMessage) {
+            UndoToast.show(sMessage, this.getText("undoButtonText"), this.undo.bind(this));
+        },
+
+        /**
+         * Undoes the last product change and tells the user what was undone.
+         * @public
+         * @returns {Promise} resolves when the change is undone
+         */
+        undo: function() {
+            var that = this;
+            return this.getProductRepository().undo().then(function(oCommand) {
+                if (oCommand) {
+                    MessageToast.show(that.getText("undoneMessage", [oCommand.text]));
+                }
+            }).catch(function(oError) {
+                MessageBox.error(that.getText("undoErrorMessage", [oError.message]));
+            });
+        },
+
+        /**
+         * Redoes the last undone product change and tells the user what was redone.
+         * @public
+         * @returns {Promise} resolves when the change is redone
+         */
+        redo: function() {
+            var that = this;
+            return this.getProductRepository().redo().then(function(oCommand) {
+                if (oCommand) {
+                    MessageToast.show(that.getText("redoneMessage", [oCommand.text]));
+                }
+            }).catch(function(oError) {
+                MessageBox.error(that.getText("redoErrorMessage", [oError.message]));
+            });
+        },
+
+        /**
+         * Goes back in the browser history if the previous page belongs to the app,
+         * otherwise navigates to the given route, replacing the current history entry.
+         * @public
+         * @param {string} sRoute the route to navigate to if there is no history
+         * @param {object} [oParameters] the parameters of that route
+         */
+        navBack: function(sRoute, oParameters) {
+            var sPreviousHash = History.getInstance().getPreviousHash();
+            if (sPreviousHash !== undefined) {
+                // go back in browser history
+                window.history.go(-1);
+            } else {
+                this.getRouter().navTo(sRoute, oParameters || {}, true);
+            }
+        },
+
+        /**
+         * Event handler for the back buttons, goes back to the master list by default.
+         * @public
+         */
+        onNavBack: function() {
+            this.navBack("master");
+        }
+    });
+});
@@ -0,0 +1,290 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel",
+    "sap/m/MessageBox",
+    "../model/productSchema",
+    "../model/inventory"
+], function(BaseObject, Fragment, JSONModel, MessageBox, productSchema, inventory) {
+    "use strict";
+
+    /**
+     * Bulk actions for the products selected in the Master list: delete, mark in or out of stock,
+     * set the reorder level, change the category, adjust the price and set the supplier. Marking in
+     * or out of stock books a stock movement: a receipt of the restock quantity or an adjustment to 0.
+     *
+     * Every action shows a summary of the selected products to confirm. Changed products are
+     * validated against the product schema, the valid ones are saved as one undoable batch
+     * and a report lists the products that could not be changed.
+     */
+    return BaseObject.extend("com.productapp.controller.BulkActions", {
+
+        /**
+         * @param {com.productapp.controller.BaseController} oController the controller of the view the dialogs belong to
+         */
+        constructor: function(oController) {
+            BaseObject.call(this);
+            this._oController = oController;
+            this._oView = oController.getView();
+            this._oModel = new JSONModel();
+            this._oView.setModel(this._oModel, "bulk");
+        },
+
+        /**
+         * Starts an action for the given products.
+         * @public
+         * @param {string} sAction one of delete, stock, reorder, category, price and supplier
+         * @param {object[]} aProducts the selected products
+         * @returns {Promise<boolean>} resolves with true if products were changed
+         */
+        run: function(sAction, aProducts) {
+            var that = this;
+            if (!aProducts.length) {
+                MessageBox.information(this._oController.getText("bulkNoSelectionMessage"));
+                return Promise.resolve(false);
+            }
+            if (sAction === "delete") {
+                return this._confirmDelete(aProducts);
+            }
+            this._oModel.setData({
+                action: sAction,
+                title: this._getTitle(sAction, aProducts.length),
+                names: aProducts.map(function(oProduct) {
+                    return oProduct.Name;
+                }).join(", "),
+                inStock: true,
+                restockQuantity: 1,
+                reorderLevel: 0,
+                category: "",
+                supplierId: "",
+                priceMode: "percent",
+                priceAmount: 0
+            });
+            return this._getDialog("_pEditDialog", "com.productapp.view.BulkEditDialog").then(function(oDialog) {
+                return new Promise(function(resolve) {
+                    that._fnResolveEdit = resolve;
+                    oDialog.open();
+                });
+            }).then(function(bApply) {
+                return bApply ? that._apply(aProducts) : false;
+            });
+        },
+
+        onApplyPress: function() {
+            this._closeEditDialog(true);
+        },
+
+        onCancelPress: function() {
+            this._closeEditDialog(false);
+        },
+
+        onStockSelectionChange: function(oEvent) {
+            this._oModel.setProperty("/inStock", oEvent.getParameter("item").getKey() === "in");
+        },
+
+        onEditDialogAfterClose: function() {
+            // closed with escape
+            this._closeEditDialog(false);
+        },
+
+        onReportClose: function() {
+            this._oView.byId("bulkResultDialog").close();
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _closeEditDialog: function(bApply) {
+            var oDialog = this._oView.byId("bulkEditDialog");
+            if (oDialog.isOpen()) {
+                oDialog.close();
+            }
+            if (this._fnResolveEdit) {
+                this._fnResolveEdit(bApply);
+                this._fnResolveEdit = null;
+            }
+        },
+
+        _confirmDelete: function(aProducts) {
+            var oRepository = this._oController.getProductRepository();
+            var oController = this._oController;
+            var sNames = aProducts.map(function(oProduct) {
+                return oProduct.Name;
+            }).join("\n");
+            return new Promise(function(resolve) {
+                MessageBox.confirm(oController.getText("bulkDeleteConfirmMessage", [aProducts.length]), {
+                    title: oController.getText("bulkDeleteConfirmTitle"),
+                    details: sNames,
+                    onClose: function(oAction) {
+                        resolve(oAction === MessageBox.Action.OK);
+                    }
+                });
+            }).then(function(bDelete) {
+                if (!bDelete) {
+                    return false;
+                }
+                var aIds = aProducts.map(function(oProduct) {
+                    return oProduct.ProductID;
+                });
+                return oRepository.removeMany(aIds, oController.getText("bulkDeleteCommand", [aIds.length])).then(function() {
+                    oController.showUndoToast(oController.getText("bulkDeleteSuccessMessage", [aIds.length]));
+                    return true;
+                });
+            }).catch(function(oError) {
+                MessageBox.error(oController.getText("deleteErrorMessage", [oError.message]));
+                return false;
+            });
+        },
+
+        _apply: function(aProducts) {
+            var that = this;
+            var oRepository = this._oController.getProductRepository();
+            var oSettings = this._oModel.getData();
+            var aAllProducts = oRepository.getAll();
+            var aValid = [];
+            var aResults = [];
+
+            aProducts.forEach(function(oProduct) {
+                try {
+                    // the stock is changed by movements, everything else on a copy of the product
+                    aValid.push(oSettings.action === "stock" ? that._getMovement(oProduct, oSettings) :
+                        that._getChanged(oProduct, oSettings, aAllProducts));
+                    aResults.push({ name: oProduct.Name, success: true, message: that._oController.getText("bulkChanged") });
+                } catch (oError) {
+                    aResults.push({ name: oProduct.Name, success: false, message: oError.message });
+                }
+            });
+
+            var pSave = !aValid.length ? Promise.resolve() : oSettings.action === "stock" ?
+                oRepository.recordMovements(aValid, oSettings.title) : oRepository.updateMany(aValid, oSettings.title);
+            return pSave.then(function() {
+                if (aValid.length === aProducts.length) {
+                    that._oController.showUndoToast(that._oController.getText("bulkChangeSuccessMessage", [aValid.length]));
+                } else {
+                    that._showReport(aResults, aValid.length);
+                }
+                return aValid.length > 0;
+            }).catch(function(oError) {
+                MessageBox.error(that._oController.getText("bulkChangeErrorMessage", [oError.message]));
+                return false;
+            });
+        },
+
+        /**
+         * @private
+         * @param {object} oProduct the product
+         * @param {object} oSettings the settings of the action
+         * @param {object[]} aAllProducts all products for the unique checks
+         * @returns {object} the changed copy of the product
+         * @throws {Error} if the changed product is not valid
+         */
+        _getChanged: function(oProduct, oSettings, aAllProducts) {
+            var oChanged = JSON.parse(JSON.stringify(oProduct));
+            this._change(oChanged, oSettings);
+            var aIssues = productSchema.validateProduct(oChanged, aAllProducts);
+            if (aIssues.length) {
+                throw new Error(aIssues.join("; "));
+            }
+            return oChanged;
+        },
+
+        /**
+         * @private
+         * @param {object} oProduct the product
+         * @param {object} oSettings the settings of the action
+         * @returns {object} the stock movement that brings the product in or out of stock
+         * @throws {Error} if the product has variants, already has the stock status or the movement is not valid
+         */
+        _getMovement: function(oProduct, oSettings) {
+            var oController = this._oController;
+            if (oProduct.Variants && oProduct.Variants.length) {
+                throw new Error(oController.getText("bulkStockVariantsError"));
+            }
+            if (oSettings.inStock === (oProduct.Quantity > 0)) {
+                throw new Error(oController.getText(oSettings.inStock ? "bulkStockAlreadyIn" : "bulkStockAlreadyOut"));
+            }
+            var oMovement = oSettings.inStock ? {
+                ProductID: oProduct.ProductID,
+                Type: "receipt",
+                Quantity: parseInt(oSettings.restockQuantity, 10),
+                Reason: oController.getText("bulkStockInReason")
+            } : {
+                ProductID: oProduct.ProductID,
+                Type: "adjustment",
+                Quantity: -oProduct.Quantity,
+                Reason: oController.getText("bulkStockOutReason")
+            };
+            var sIssue = inventory.checkMovement(oProduct, oMovement.Type, oMovement.Quantity, oMovement.Reason);
+            if (sIssue) {
+                throw new Error(sIssue);
+            }
+            return oMovement;
+        },
+
+        _change: function(oProduct, oSettings) {
+            switch (oSettings.action) {
+                case "reorder":
+                    oProduct.ReorderLevel = oSettings.reorderLevel;
+                    break;
+                case "category":
+                    oProduct.Category = oSettings.category.trim();
+                    break;
+                case "supplier":
+                    var oSupplier = this._oController.getOwnerComponent().getSupplierRepository().getById(oSettings.supplierId);
+                    oProduct.SupplierID = oSupplier ? oSupplier.SupplierID : "";
+                    oProduct.SupplierName = oSupplier ? oSupplier.Name : "";
+                    break;
+                case "price":
+                    var fAmount = parseFloat(oSettings.priceAmount) || 0;
+                    var fPrice = oSettings.priceMode === "percent" ?
+                        oProduct.Price * (1 + fAmount / 100) :
+                        oProduct.Price + fAmount;
+                    // keep cents, a negative result is reported by the validation
+                    oProduct.Price = Math.round(fPrice * 100) / 100;
+                    break;
+                default:
+                    break;
+            }
+        },
+
+        _showReport: function(aResults, iChanged) {
+            this._oModel.setProperty("/results", aResults);
+            this._oModel.setProperty("/summary", this._oController.getText("bulkReportSummary", [iChanged, aResults.length]));
+            this._getDialog("_pResultDialog", "com.productapp.view.BulkResultDialog").then(function(oDialog) {
+                oDialog.open();
+            });
+        },
+
+        _getTitle: function(sAction, iCount) {
+            var mTitles = {
+                stock: "bulkStockTitle",
+                reorder: "bulkReorderTitle",
+                category: "bulkCategoryTitle",
+                price: "bulkPriceTitle",
+                supplier: "bulkSupplierTitle"
+            };
+            return this._oController.getText(mTitles[sAction], [iCount]);
+        },
+
+        _getDialog: function(sProperty, sFragmentName) {
+            var oView = this._oView;
+            if (!this[sProperty]) {
+                this[sProperty] = Fragment.load({
+                    id: oView.getId(),
+                    name: sFragmentName,
+                    controller: this
+                }).then(function(oDialog) {
+                    oView.addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this[sProperty];
+        }
+    });
+});
@@ -1,36 +1,65 @@
 sap.ui.define([
-    "sap/ui/core/mvc/Controller",
-    "sap/m/MessageToast"
-], function() {
+    "./BaseController",
+    "sap/ui/model/json/JSONModel"
+], function(BaseController, JSONModel) {
     "use strict";
-    return Controller.extend("com.productapp.controller.Categories", {
+
+    return BaseController.extend("com.productapp.controller.Categories", {
         onInit: function() {
-            console.log("Categories controller initialized");
+            // s1. model for the category list, derived from the products
+            this.setModel(new JSONModel({ categories: [] }), "categories");
+            // s2. rebuild the categories whenever the products change
+            var oRepository = this.getProductRepository();
+            this._oProductsBinding = oRepository.getModel().bindList("/");
+            this._oProductsBinding.attachChange(this._updateCategories, this);
+            oRepository.ready().then(this._updateCategories.bind(this), this.showLoadError.bind(this));
+            // s3. clear the selection each time the list is opened
+            this.getRouter().getRoute("categories").attachPatternMatched(this._onCategoriesMatched, this);
+        },
+
+        onExit: function() {
+            this._oProductsBinding.destroy();
+        },
+
+        _onCategoriesMatched: function() {
+            this.byId("categoryList").removeSelections(true);
         },
+
+        _updateCategories: function() {
+            var aProducts = this.getProductRepository().getAll();
+            var mCategories = {};
+            var aCategories = [];
+            // group the products by their distinct category
+            aProducts.forEach(function(oProduct) {
+                var sName = oProduct.Category;
+                if (!sName) {
+                    return;
+                }
+                if (!mCategories[sName]) {
+                    mCategories[sName] = {
+                        name: sName,
+                        count: 0,
+                        stock: 0
+                    };
+                    aCategories.push(mCategories[sName]);
+                }
+                mCategories[sName].count++;
+                mCategories[sName].stock += parseInt(oProduct.Quantity, 10) || 0;
+            });
+            this.getModel("categories").setProperty("/categories", aCategories);
+        },
+
         onCategorySelect: function(oEvent) {
             var oItem = oEvent.getParameter("listItem");
-            // getParameter("parameterName") returns the value of the parameter
-            // listItem is the name of the parameter, that is defined like this in the view
-            // <List id="categoryList" mode="SingleSelectMaster" selectionChange=".onCategorySelect">
-            //     <items>
-            //         <StandardListItem title="Electronics" description="Tech products" type="Active"/>
-            //     </items>
-            // </List>
-            var sCategory = oItem.getTitle();
-            // getTitle() returns the title of the list item
-            // <StandardListItem title="Electronics" description="Tech products" type="Active"/>
-            MessageToast.show("Selected category: " + sCategory);
-            // firing custom event to parent
-            this.getOwnerComponent().getEventBus().publish(
-                "categories", "selected", { category: sCategory }
-            );
-            // getOwnerComponent() returns the component that owns this controller
-            // getEventBus() returns the event bus of the component
-            // publish() publishes an event
-            // "categories" is the name of the channel
-            // "selected" is the name of the event
-            // { category: sCategory } is the data that is passed to the event
+            var sCategory = oItem.getBindingContext("categories").getProperty("name");
+            // the master list reads the category from the URL and filters itself
+            this.getRouter().navTo("category", {
+                category: sCategory
+            });
+        },
 
+        onNavBack: function() {
+            this.getRouter().navTo("master");
         }
-    })
-})
\ No newline at end of file
+    });
+});
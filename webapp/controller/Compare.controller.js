@@ -0,0 +1,91 @@
+sap.ui.define([
+    "./BaseController",
+    "sap/m/MessageToast",
+    "sap/ui/model/json/JSONModel",
+    "sap/ui/model/Filter",
+    "sap/ui/model/FilterOperator",
+    "../model/formatter",
+    "../model/productComparison"
+], function(BaseController, MessageToast, JSONModel, Filter, FilterOperator, formatter, productComparison) {
+    "use strict";
+
+    return BaseController.extend("com.productapp.controller.Compare", {
+        formatter: formatter,
+
+        onInit: function() {
+            this.setModel(new JSONModel({
+                products: [],
+                rows: [],
+                hideIdentical: false
+            }), "compare");
+            this.getRouter().getRoute("compare").attachPatternMatched(this._onCompareMatched, this);
+            this.getRouter().attachRouteMatched(this._onRouteMatched, this);
+            // the compared products can change underneath, and the prices follow the display currency
+            this._oProductsBinding = this.getProductRepository().getModel().bindList("/");
+            this._oProductsBinding.attachChange(this._updateComparison, this);
+            this._oDisplayCurrencyBinding = this.getOwnerComponent().getModel("currency").bindProperty("/displayCurrency");
+            this._oDisplayCurrencyBinding.attachChange(this._updateComparison, this);
+        },
+
+        onExit: function() {
+            this._oProductsBinding.destroy();
+            this._oDisplayCurrencyBinding.destroy();
+        },
+
+        _onCompareMatched: function(oEvent) {
+            var that = this;
+            this._aProductIds = productComparison.parseIds(oEvent.getParameter("arguments").ids);
+            this.getProductRepository().ready().then(function() {
+                that._updateComparison();
+            }, this.showLoadError.bind(this));
+        },
+
+        _onRouteMatched: function(oEvent) {
+            // forget the products when another page is shown
+            if (oEvent.getParameter("name") !== "compare") {
+                this._aProductIds = null;
+            }
+        },
+
+        _updateComparison: function() {
+            var oRepository = this.getProductRepository();
+            var oCurrencyModel = this.getOwnerComponent().getModel("currency");
+            if (!this._aProductIds) {
+                return;
+            }
+            // products that were deleted in the meantime are left out
+            var aProducts = this._aProductIds.map(function(sProductId) {
+                return oRepository.getById(sProductId);
+            }).filter(Boolean);
+            if (!productComparison.canCompare(aProducts.length)) {
+                this._aProductIds = null;
+                MessageToast.show(this.getText("compareCountMessage", [productComparison.minProducts, productComparison.maxProducts]));
+                this.getRouter().navTo("master", {}, true);
+                return;
+            }
+            var oModel = this.getModel("compare");
+            oModel.setProperty("/products", aProducts.map(function(oProduct) {
+                return { ProductID: oProduct.ProductID, Name: oProduct.Name };
+            }));
+            oModel.setProperty("/rows", productComparison.createRows(aProducts,
+                oCurrencyModel.getProperty("/displayCurrency"), oCurrencyModel.getProperty("/rates")));
+            this._applyHideIdentical();
+        },
+
+        onHideIdenticalChange: function() {
+            this._applyHideIdentical();
+        },
+
+        _applyHideIdentical: function() {
+            var bHide = this.getModel("compare").getProperty("/hideIdentical");
+            this.byId("compareTable").getBinding("items").filter(bHide ? [new Filter("different", FilterOperator.EQ, true)] : []);
+        },
+
+        onProductPress: function(oEvent) {
+            var iIndex = parseInt(oEvent.getSource().data("index"), 10);
+            this.getRouter().navTo("detail", {
+                productId: this.getModel("compare").getProperty("/products/" + iIndex + "/ProductID")
+            });
+        }
+    });
+});
@@ -0,0 +1,83 @@
+sap.ui.define([
+    "./BaseController",
+    "sap/ui/model/json/JSONModel",
+    "../model/formatter",
+    "../model/listState",
+    "../model/catalogAnalytics"
+], function(BaseController, JSONModel, formatter, listState, catalogAnalytics) {
+    "use strict";
+
+    return BaseController.extend("com.productapp.controller.Dashboard", {
+        formatter: formatter,
+
+        onInit: function() {
+            this.setModel(new JSONModel({
+                currency: "",
+                kpis: {},
+                valueByCategory: [],
+                ratings: [],
+                releases: []
+            }), "dashboard");
+            this.getRouter().getRoute("dashboard").attachPatternMatched(this._onDashboardMatched, this);
+            // the figures follow the products, and the values the display currency
+            this._oCurrencyService = this.getOwnerComponent().getCurrencyService();
+            this._oProductsBinding = this.getProductRepository().getModel().bindList("/");
+            this._oProductsBinding.attachChange(this._updateDashboard, this);
+            this._oDisplayCurrencyBinding = this.getOwnerComponent().getModel("currency").bindProperty("/displayCurrency");
+            this._oDisplayCurrencyBinding.attachChange(this._updateDashboard, this);
+        },
+
+        onExit: function() {
+            this._oProductsBinding.destroy();
+            this._oDisplayCurrencyBinding.destroy();
+        },
+
+        _onDashboardMatched: function() {
+            var that = this;
+            // the values of stock need the exchange rates, without them only the prices in the display currency count
+            Promise.all([
+                this.getProductRepository().ready(),
+                this._oCurrencyService.ready().catch(function() {
+                    // the component logs the error
+                })
+            ]).then(function() {
+                that._updateDashboard();
+            }, this.showLoadError.bind(this));
+        },
+
+        _updateDashboard: function() {
+            var oCurrencyService = this._oCurrencyService;
+            var aProducts = this.getProductRepository().getAll();
+            var fnPrice = function(oProduct) {
+                return oCurrencyService.convert(oProduct.Price, oProduct.Currency);
+            };
+            this.getModel("dashboard").setData({
+                currency: oCurrencyService.getDisplayCurrency(),
+                kpis: catalogAnalytics.createKpis(aProducts, fnPrice),
+                valueByCategory: catalogAnalytics.createValueByCategory(aProducts, fnPrice),
+                ratings: catalogAnalytics.createRatingHistogram(aProducts),
+                releases: catalogAnalytics.createReleaseTimeline(aProducts)
+            });
+        },
+
+        onProductCountPress: function() {
+            this._navToMaster({});
+        },
+
+        onOutOfStockPress: function() {
+            this._navToMaster({ stock: "out" });
+        },
+
+        onBarPress: function(oEvent) {
+            this._navToMaster(oEvent.getSource().getBindingContext("dashboard").getProperty("filter"));
+        },
+
+        // shows the Master list with only the given filter
+        _navToMaster: function(oFilter) {
+            var oState = Object.assign(listState.createDefaults(), oFilter);
+            this.getRouter().navTo("master", {
+                "?query": listState.toQuery(oState)
+            });
+        }
+    });
+});
@@ -1,115 +1,535 @@
 sap.ui.define([
-    "sap/ui/core/mvc/Controller",
-    "sap/ui/core/routing/History",
+    "./BaseController",
+    "./StockMovementDialog",
     "sap/m/MessageBox",
     "sap/m/MessageToast",
     "sap/ui/model/json/JSONModel",
     "../model/formatter",
+    "../model/media",
+    "../model/variants",
+    "../model/pricing",
+    "../model/listState",
     "sap/m/Label",
     "sap/m/Text"
-], function(Controller, History, MessageBox, MessageToast, JSONModel, formatter, Label, Text) {
+], function(BaseController, StockMovementDialog, MessageBox, MessageToast, JSONModel, formatter, media, variants, pricing,
+        listState, Label, Text) {
     "use strict";
 
-    return Controller.extend("com.productapp.controller.Detail", {
+    var DEFAULT_TAB = "info";
+
+    return BaseController.extend("com.productapp.controller.Detail", {
         formatter: formatter,
 
         onInit: function() {
-            // s1. get the router instance
-            this.oRouter = this.getOwnerComponent().getRouter();
-            // s2. register for the detail route matched event
-            this.oRouter.getRoute("detail").attachPatternMatched(this._onProductMatched, this);
+            // register for the detail route matched event
+            this.getRouter().getRoute("detail").attachPatternMatched(this._onProductMatched, this);
+            this.getRouter().attachRouteMatched(this._onRouteMatched, this);
+            // the shown product can change underneath, e.g. by an undo
+            this._oProductsBinding = this.getProductRepository().getModel().bindList("/");
+            this._oProductsBinding.attachChange(this._onProductsChanged, this);
+            this._oStockMovementDialog = new StockMovementDialog(this);
+            this.setModel(new JSONModel({
+                specIssues: "",
+                images: [],
+                auditEntrySelected: false,
+                canRevert: false
+            }), "detailView");
+            // the variants are edited in a matrix of their own and saved together
+            this.setModel(new JSONModel({
+                axes: [],
+                variants: [],
+                dirty: false,
+                error: ""
+            }), "variants");
+            // the scheduled prices and discounts are edited together, the chart and the lookup follow the product
+            this.setModel(new JSONModel({
+                chart: [],
+                date: pricing.today(),
+                priceOnDate: "",
+                scheduled: [],
+                discounts: [],
+                dirty: false,
+                error: ""
+            }), "pricing");
+        },
+
+        onExit: function() {
+            this._oProductsBinding.destroy();
+            this._oStockMovementDialog.destroy();
         },
 
         _onProductMatched: function(oEvent) {
-            // get product id from url param
-            var sProductId = oEvent.getParameter("arguments").productId;
-            // get products model from component
-            var oProductsModel = this.getOwnerComponent().getModel("products");
-            var aProducts = oProductsModel.getData();
-            // finding the selected product
-            var oSelectedProduct = null;
-            for (var i = 0; i < aProducts.length; i++) {
-                if (aProducts[i].ProductID === sProductId) {
-                    oSelectedProduct = aProducts[i];
-                    break;
+            var oArguments = oEvent.getParameter("arguments");
+            var sProductId = oArguments.productId;
+            // the list state of the Master is kept for the way back
+            this._oQuery = oArguments["?query"];
+            this._selectTab(oArguments.tab);
+            // switching the tab keeps the product as it is, e.g. a selected audit entry
+            if (this._sProductId === sProductId) {
+                return;
+            }
+            this._sProductId = sProductId;
+            // wait until the stored products are loaded, deep links arrive before that
+            var oRepository = this.getProductRepository();
+            oRepository.ready().then(function() {
+                if (this._sProductId !== sProductId) {
+                    return;
                 }
+                var iIndex = oRepository.indexOf(sProductId);
+                if (iIndex === -1) {
+                    // the URL stays as it is, so the user sees which product is missing
+                    this._sProductId = null;
+                    this.getRouter().getTargets().display("notFound", { productId: sProductId });
+                } else {
+                    this._showProduct(iIndex);
+                }
+            }.bind(this), this.showLoadError.bind(this));
+        },
+
+        // unknown tabs, e.g. of an outdated bookmark, open the first one
+        _selectTab: function(sTab) {
+            var oTabBar = this.byId("idIconTabBar");
+            var bKnown = oTabBar.getItems().some(function(oItem) {
+                return oItem.getKey() === sTab;
+            });
+            oTabBar.setSelectedKey(bKnown ? sTab : DEFAULT_TAB);
+            if (bKnown) {
+                oTabBar.setExpanded(true);
+            }
+        },
+
+        onTabSelect: function(oEvent) {
+            // the tab is part of the URL, switching it must not fill the browser history
+            this.getRouter().navTo("detail", {
+                productId: this._sProductId,
+                tab: oEvent.getParameter("key"),
+                "?query": this._oQuery
+            }, true);
+        },
+
+        _showProduct: function(iIndex) {
+            var that = this;
+            var oSelectedProduct = this.getProductRepository().getAll()[iIndex];
+            // the view shows the product right in the products model, so every change of it is shown at once
+            this.getView().bindElement({ path: "/" + iIndex, model: "products" });
+            // the audit trail of the product, every change ends the comparison with an entry
+            this.getView().bindElement({ path: "/products/" + oSelectedProduct.ProductID, model: "audit" });
+            this._selectAuditEntry(null);
+            
+            this._showImages(oSelectedProduct);
+            // unsaved changes of the variants survive changes of other products
+            if (this._sVariantsProductId !== oSelectedProduct.ProductID || !this.getModel("variants").getProperty("/dirty")) {
+                this._showVariants(oSelectedProduct);
             }
-            if (oSelectedProduct) {
-                // create a model for the selected product
-                var oModel = new JSONModel(oSelectedProduct);
-                this.getView().setModel(oModel, "products");
-                // set binding context for the view
-                var sPath = "/" + i;
-                var oContext = oProductsModel.createBindingContext(sPath);
-                this.getView().setBindingContext(oContext, "products");
-                
-                // create specification fields dynamically
-                this._createSpecificationFields(oSelectedProduct.Specifications);
+            this._showPriceHistory(oSelectedProduct);
+            if (this._sPricingProductId !== oSelectedProduct.ProductID || !this.getModel("pricing").getProperty("/dirty")) {
+                this._showPricing(oSelectedProduct);
+            }
+
+            // create specification fields dynamically, once the templates they are checked against are there
+            this.getOwnerComponent().getSpecTemplates().ready().catch(function() {
+                return null;
+            }).then(function() {
+                if (that._sProductId === oSelectedProduct.ProductID) {
+                    that._createSpecificationFields(oSelectedProduct);
+                }
+            });
+        },
+
+        /**
+         * @private
+         * @returns {object} the shown product, as it is in the products model
+         */
+        _getProduct: function() {
+            return this.getView().getBindingContext("products").getObject();
+        },
+
+        _onRouteMatched: function(oEvent) {
+            // forget the product when another page is shown
+            if (oEvent.getParameter("name") !== "detail") {
+                this._sProductId = null;
+            }
+        },
+
+        _onProductsChanged: function() {
+            // only refresh while a product is shown
+            if (!this._sProductId) {
+                return;
+            }
+            var iIndex = this.getProductRepository().indexOf(this._sProductId);
+            if (iIndex === -1) {
+                // the product was deleted, e.g. a create was undone
+                this._sProductId = null;
+                this.getRouter().navTo("master", {}, true);
             } else {
-                MessageToast.show("Product not found");
-                this.onNavBack();
+                this._showProduct(iIndex);
             }
         },
 
-        _createSpecificationFields: function(oSpecifications) {
+        /**
+         * Goes back to the Master list with the search and filters it had when the product was opened.
+         * @public
+         * @override
+         */
+        onNavBack: function() {
+            var oRoute = listState.getListRoute(this._oQuery);
+            this.navBack(oRoute.name, oRoute.parameters);
+        },
+
+        _createSpecificationFields: function(oProduct) {
+            var that = this;
+            var oSpecifications = oProduct.Specifications;
+            var oSpecTemplates = this.getOwnerComponent().getSpecTemplates();
+            var aTemplate = oSpecTemplates.getTemplate(oProduct.Category) || [];
             // get form from the icontabbar
-            var oForm = this.getView().byId("idIconTabBar").getItems()[1].getContent()[0];
+            var oForm = this.byId("specificationsForm");
             // clear existing content, if any
-            oForm.removeAllContent();
+            oForm.destroyContent();
             // add specs fields dynamically
             if (oSpecifications) {
                 Object.keys(oSpecifications).forEach(function(sKey) {
+                    var bBoolean = aTemplate.some(function(oAttribute) {
+                        return oAttribute.key === sKey && oAttribute.type === "boolean";
+                    });
+                    var sValue = oSpecifications[sKey];
+                    if (bBoolean && (sValue === "true" || sValue === "false")) {
+                        sValue = that.getText(sValue === "true" ? "specYes" : "specNo");
+                    }
                     oForm.addContent(new Label({text: sKey}));
-                    oForm.addContent(new Text({text: oSpecifications[sKey]}));
+                    oForm.addContent(new Text({text: sValue}));
                 });
             }
+            // products stored before the template, or imported, may not fit it
+            var aIssues = oSpecTemplates.check(oProduct);
+            this.getModel("detailView").setProperty("/specIssues",
+                aIssues.length ? this.getText("specTemplateIssues", [oProduct.Category, aIssues.join("; ")]) : "");
         },
 
-        onNavBack: function() {
-            var oHistory = History.getInstance();
-            var sPreviousHash = oHistory.getPreviousHash();
-            if (sPreviousHash !== undefined) {
-                window.history.go(-1);
-            } else {
-                this.oRouter.navTo("master", {}, true);
+        /**
+         * Shows the thumbnails of the images in the carousel right away and the images once they are read.
+         * @private
+         * @param {object} oProduct the shown product
+         */
+        _showImages: function(oProduct) {
+            var that = this;
+            var oDetailModel = this.getModel("detailView");
+            var fnShow = function(mContents) {
+                oDetailModel.setProperty("/images", (oProduct.Images || []).map(function(oImage) {
+                    return { FileName: oImage.FileName, Src: mContents[oImage.MediaID] || oImage.Thumbnail };
+                }));
+            };
+            fnShow({});
+            this.getProductRepository().getMediaContents(oProduct.ProductID).then(function(mContents) {
+                if (that._sProductId === oProduct.ProductID) {
+                    fnShow(mContents);
+                }
+            }, function() {
+                // the thumbnails stay
+            });
+        },
+
+        /**
+         * Shows the axes and the variants of the product in the matrix, without changes.
+         * @private
+         * @param {object} oProduct the shown product
+         */
+        _showVariants: function(oProduct) {
+            var aAxes = oProduct.VariantAxes || [];
+            this._sVariantsProductId = oProduct.ProductID;
+            this.getModel("variants").setData({
+                axes: aAxes.map(function(oAxis) {
+                    return { Name: oAxis.Name, ValuesText: oAxis.Values.join(", ") };
+                }),
+                variants: this._toVariantRows(aAxes, oProduct.Variants || []),
+                dirty: false,
+                error: ""
+            });
+        },
+
+        _toVariantRows: function(aAxes, aVariants) {
+            return aVariants.map(function(oVariant) {
+                return {
+                    SKU: oVariant.SKU,
+                    Options: oVariant.Options,
+                    OptionsText: aAxes.map(function(oAxis) {
+                        return oVariant.Options[oAxis.Name];
+                    }).join(" / "),
+                    Price: oVariant.Price,
+                    Quantity: oVariant.Quantity,
+                    SpecificationsText: variants.formatSpecifications(oVariant.Specifications)
+                };
+            });
+        },
+
+        _getVariantAxes: function() {
+            return this.getModel("variants").getProperty("/axes").map(function(oRow) {
+                return { Name: (oRow.Name || "").trim(), Values: variants.parseValues(oRow.ValuesText) };
+            });
+        },
+
+        _getVariants: function() {
+            return this.getModel("variants").getProperty("/variants").map(function(oRow) {
+                return {
+                    SKU: oRow.SKU,
+                    Options: oRow.Options,
+                    Price: oRow.Price,
+                    Quantity: oRow.Quantity,
+                    Specifications: variants.parseSpecifications(oRow.SpecificationsText)
+                };
+            });
+        },
+
+        onVariantsChange: function() {
+            var oVariantsModel = this.getModel("variants");
+            oVariantsModel.setProperty("/dirty", true);
+            oVariantsModel.setProperty("/error", "");
+        },
+
+        onAddVariantAxisPress: function() {
+            var oVariantsModel = this.getModel("variants");
+            oVariantsModel.setProperty("/axes", oVariantsModel.getProperty("/axes").concat([{ Name: "", ValuesText: "" }]));
+            this.onVariantsChange();
+        },
+
+        onVariantAxisDelete: function(oEvent) {
+            var oVariantsModel = this.getModel("variants");
+            var oAxis = oEvent.getParameter("listItem").getBindingContext("variants").getObject();
+            oVariantsModel.setProperty("/axes", oVariantsModel.getProperty("/axes").filter(function(oRow) {
+                return oRow !== oAxis;
+            }));
+            this.onVariantsChange();
+        },
+
+        // new combinations of the axis values get a variant, the variants of dropped ones go
+        onGenerateVariantsPress: function() {
+            var oProduct = this._getProduct();
+            var aAxes = this._getVariantAxes();
+            var aVariants = variants.generate(oProduct.ProductID, aAxes, this._getVariants(), oProduct.Price);
+            this.getModel("variants").setProperty("/variants", this._toVariantRows(aAxes.filter(function(oAxis) {
+                return oAxis.Values.length;
+            }), aVariants));
+            this.onVariantsChange();
+        },
+
+        onDiscardVariantsPress: function() {
+            this._showVariants(this._getProduct());
+        },
+
+        onSaveVariantsPress: function() {
+            var that = this;
+            var oVariantsModel = this.getModel("variants");
+            var sProductId = this._sVariantsProductId;
+            var oRepository = this.getProductRepository();
+            oRepository.updateVariants(sProductId, this._getVariantAxes(), this._getVariants()).then(function(oProduct) {
+                oVariantsModel.setProperty("/dirty", false);
+                if (that._sProductId === sProductId) {
+                    that._showVariants(oProduct);
+                }
+                that.showUndoToast(that.getText("variantsSaveSuccessMessage"));
+            }).catch(function(oError) {
+                oVariantsModel.setProperty("/error", oError.message);
+            });
+        },
+
+        /**
+         * Shows the price history chart and the price on the chosen day.
+         * @private
+         * @param {object} oProduct the shown product
+         */
+        _showPriceHistory: function(oProduct) {
+            var oPricingModel = this.getModel("pricing");
+            oPricingModel.setProperty("/chart", pricing.getChart(oProduct));
+            oPricingModel.setProperty("/priceOnDate", this._describePriceOn(oProduct, oPricingModel.getProperty("/date")));
+        },
+
+        _describePriceOn: function(oProduct, sDate) {
+            var fPrice = sDate ? pricing.getPriceOn(oProduct, sDate) : null;
+            if (fPrice === null) {
+                return this.getText("pricingPriceOnDateUnknown");
             }
+            var fPaid = pricing.applyDiscount(fPrice, pricing.getDiscount({ Price: fPrice, Discounts: oProduct.Discounts }, sDate));
+            var sPrice = formatter.formatPrice(fPrice, oProduct.Currency);
+            return fPaid === fPrice ? this.getText("pricingPriceOnDate", [sPrice, oProduct.Currency]) :
+                this.getText("pricingPriceOnDateDiscounted", [sPrice, oProduct.Currency, formatter.formatPrice(fPaid, oProduct.Currency)]);
+        },
+
+        onPriceDateChange: function() {
+            this._showPriceHistory(this._getProduct());
+        },
+
+        /**
+         * Shows the scheduled prices and the discounts of the product in the editor, without changes.
+         * @private
+         * @param {object} oProduct the shown product
+         */
+        _showPricing: function(oProduct) {
+            var oPricingModel = this.getModel("pricing");
+            this._sPricingProductId = oProduct.ProductID;
+            oPricingModel.setProperty("/scheduled", (oProduct.ScheduledPrices || []).map(function(oScheduled) {
+                return Object.assign({}, oScheduled);
+            }));
+            oPricingModel.setProperty("/discounts", (oProduct.Discounts || []).map(function(oDiscount) {
+                return Object.assign({}, oDiscount);
+            }));
+            oPricingModel.setProperty("/dirty", false);
+            oPricingModel.setProperty("/error", "");
+        },
+
+        onPricingChange: function() {
+            var oPricingModel = this.getModel("pricing");
+            oPricingModel.setProperty("/dirty", true);
+            oPricingModel.setProperty("/error", "");
+        },
+
+        onAddScheduledPricePress: function() {
+            var oPricingModel = this.getModel("pricing");
+            oPricingModel.setProperty("/scheduled", oPricingModel.getProperty("/scheduled").concat([{
+                EffectiveDate: "",
+                Price: this._getProduct().Price
+            }]));
+            this.onPricingChange();
+        },
+
+        onAddDiscountPress: function() {
+            var oPricingModel = this.getModel("pricing");
+            oPricingModel.setProperty("/discounts", oPricingModel.getProperty("/discounts").concat([{
+                Type: "percent",
+                Value: "",
+                ValidFrom: pricing.today(),
+                ValidTo: "",
+                Reason: ""
+            }]));
+            this.onPricingChange();
+        },
+
+        onScheduledPriceDelete: function(oEvent) {
+            this._removePricingRow("/scheduled", oEvent.getParameter("listItem").getBindingContext("pricing").getObject());
+        },
+
+        onDiscountDelete: function(oEvent) {
+            this._removePricingRow("/discounts", oEvent.getParameter("listItem").getBindingContext("pricing").getObject());
+        },
+
+        _removePricingRow: function(sPath, oRow) {
+            var oPricingModel = this.getModel("pricing");
+            oPricingModel.setProperty(sPath, oPricingModel.getProperty(sPath).filter(function(oOther) {
+                return oOther !== oRow;
+            }));
+            this.onPricingChange();
+        },
+
+        onDiscardPricingPress: function() {
+            this._showPricing(this._getProduct());
+        },
+
+        onSavePricingPress: function() {
+            var that = this;
+            var oPricingModel = this.getModel("pricing");
+            var sProductId = this._sPricingProductId;
+            this.getProductRepository().updatePricing(sProductId, oPricingModel.getProperty("/scheduled"),
+                    oPricingModel.getProperty("/discounts")).then(function(oProduct) {
+                oPricingModel.setProperty("/dirty", false);
+                if (that._sProductId === sProductId) {
+                    that._showPricing(oProduct);
+                }
+                that.showUndoToast(that.getText("pricingSaveSuccessMessage"));
+            }).catch(function(oError) {
+                oPricingModel.setProperty("/error", oError.message);
+            });
+        },
+
+        onAttachmentPress: function(oEvent) {
+            var that = this;
+            var oAttachment = oEvent.getSource().getBindingContext("products").getObject();
+            var sProductId = this._getProduct().ProductID;
+            this.getProductRepository().getMediaContents(sProductId).catch(function() {
+                return {};
+            }).then(function(mContents) {
+                if (mContents[oAttachment.MediaID]) {
+                    media.download(oAttachment.FileName, mContents[oAttachment.MediaID]);
+                } else {
+                    MessageToast.show(that.getText("mediaMissingMessage", [oAttachment.FileName]));
+                }
+            });
+        },
+
+        onSupplierPress: function() {
+            this.getRouter().navTo("supplier", {
+                supplierId: this._getProduct().SupplierID
+            });
         },
 
         onEditPress: function() {
             // get product id from the current model
-            var sProductId = this.getView().getModel("products").getProperty("/ProductID");
+            var sProductId = this._getProduct().ProductID;
             // navigate to edit page with product id
-            this.oRouter.navTo("edit", {
+            this.getRouter().navTo("edit", {
                 productId: sProductId
             });
         },
 
+        onRecordMovementPress: function() {
+            this._oStockMovementDialog.open(this._getProduct());
+        },
+
+        onUserNameChange: function(oEvent) {
+            this.getProductRepository().getAuditTrail().setUserName(oEvent.getParameter("value"));
+        },
+
+        onAuditEntrySelect: function(oEvent) {
+            this._selectAuditEntry(oEvent.getParameter("listItem").getBindingContext("audit"));
+        },
+
+        _selectAuditEntry: function(oContext) {
+            var oDetailModel = this.getModel("detailView");
+            var aEntries = this.getProductRepository().getAuditTrail().getEntries(this._sProductId);
+            if (!oContext) {
+                this.byId("auditTable").removeSelections(true);
+            }
+            this.byId("auditChangesTable").setBindingContext(oContext || null, "audit");
+            oDetailModel.setProperty("/auditEntrySelected", !!oContext);
+            // the latest entry is the current version, and a deleted product has no version to go back to
+            oDetailModel.setProperty("/canRevert", !!oContext && oContext.getProperty("Action") !== "delete" &&
+                aEntries[aEntries.length - 1] !== oContext.getObject());
+        },
+
+        onRevertPress: function() {
+            var that = this;
+            var oContext = this.byId("auditChangesTable").getBindingContext("audit");
+            var sProductId = this._getProduct().ProductID;
+            var sDate = formatter.formatDateTime(oContext.getProperty("Date"));
+            MessageBox.confirm(this.getText("auditRevertConfirmMessage", [sDate]), {
+                title: this.getText("auditRevertConfirmTitle"),
+                onClose: function(oAction) {
+                    if (oAction !== MessageBox.Action.OK) {
+                        return;
+                    }
+                    that.getProductRepository().revert(sProductId, oContext.getProperty("EntryID")).then(function() {
+                        that.showUndoToast(that.getText("auditRevertSuccessMessage"));
+                    }).catch(function(oError) {
+                        MessageBox.error(that.getText("auditRevertErrorMessage", [oError.message]));
+                    });
+                }
+            });
+        },
+
         onDeletePress: function() {
             var that = this;
             
             // get product name from current model
-            var sProductName = this.getView().getModel("products").getProperty("/Name");
-            var sProductId = this.getView().getModel("products").getProperty("/ProductID");
-            MessageBox.confirm("Are you sure you want to delete product '" + sProductName + "'?", {
-                title: "Confirm Delete",
+            var sProductName = this._getProduct().Name;
+            var sProductId = this._getProduct().ProductID;
+            MessageBox.confirm(this.getText("detailDeleteConfirmMessage", [sProductName]), {
+                title: this.getText("detailDeleteConfirmTitle"),
                 onClose: function(oAction) {
                     if (oAction === MessageBox.Action.OK) {
-                        // get products model from component
-                        var oProductsModel = that.getOwnerComponent().getModel("products");
-                        var aProducts = oProductsModel.getData();
-                        // find and remove the product
-                        for (var i = 0; i < aProducts.length; i++) {
-                            if (aProducts[i].ProductID === sProductId) {
-                                aProducts.splice(i, 1);
-                                break;
-                            }
-                        }
-                        // update model
-                        oProductsModel.setData(aProducts);
-                        oProductsModel.refresh(true);
-                        
-                        MessageToast.show("Product deleted successfully");
-                        that.oRouter.navTo("master");
+                        // the repository moves the product to the recycle bin
+                        that.getProductRepository().remove(sProductId).then(function() {
+                            that.showUndoToast(that.getText("detailDeleteSuccessMessage"));
+                            that.getRouter().navTo("master");
+                        }).catch(function(oError) {
+                            MessageBox.error(that.getText("productDeleteErrorMessage", [oError.message]));
+                        });
                     }
                 }
             });
@@ -0,0 +1,273 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel",
+    "sap/m/MessageBox",
+    "../model/productSchema",
+    "../model/productTransfer"
+], function(BaseObject, Fragment, JSONModel, MessageBox, productSchema, productTransfer) {
+    "use strict";
+
+    var STEPS = ["importStepFile", "importStepMapping", "importStepPreview"];
+
+    // how the rows of the file are applied, by the strategy for existing products
+    var ACTION_TEXTS = {
+        create: "importActionCreate",
+        skip: "importActionSkip",
+        overwrite: "importOverwrite",
+        merge: "importMerge"
+    };
+
+    /**
+     * Wizard that imports products from a CSV, Excel or JSON file.
+     *
+     * The columns of the file are mapped to product fields, then every row is previewed and validated.
+     * Rows whose ProductID matches an existing product skip, overwrite or merge into it, the others
+     * become new products. The valid rows are saved as one batch that can be undone in one step.
+     */
+    return BaseObject.extend("com.productapp.controller.ImportWizard", {
+
+        /**
+         * @param {com.productapp.controller.BaseController} oController the controller of the view the dialog belongs to
+         */
+        constructor: function(oController) {
+            BaseObject.call(this);
+            this._oController = oController;
+            this._oView = oController.getView();
+            this._oTable = null;
+            this._oModel = new JSONModel();
+            this._oView.setModel(this._oModel, "import");
+        },
+
+        /**
+         * Opens the wizard at its first step.
+         * @public
+         * @returns {Promise<boolean>} resolves with true once products were imported, false if the wizard was cancelled
+         */
+        open: function() {
+            var that = this;
+            this._oTable = null;
+            this._oModel.setData({
+                step: 0,
+                title: this._getTitle(0),
+                fileName: "",
+                error: "",
+                mapping: [],
+                targets: productTransfer.getTargets(),
+                strategy: "skip",
+                preview: [],
+                summary: "",
+                canImport: false
+            });
+            if (!this._pDialog) {
+                this._pDialog = Fragment.load({
+                    id: this._oView.getId(),
+                    name: "com.productapp.view.ImportDialog",
+                    controller: this
+                }).then(function(oDialog) {
+                    that._oView.addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this._pDialog.then(function(oDialog) {
+                that._oView.byId("importFileUploader").clear();
+                return new Promise(function(resolve) {
+                    that._fnResolve = resolve;
+                    oDialog.open();
+                });
+            });
+        },
+
+        onFileChange: function(oEvent) {
+            var that = this;
+            var aFiles = oEvent.getParameter("files");
+            var oFile = aFiles && aFiles[0];
+            this._oTable = null;
+            this._oModel.setProperty("/fileName", "");
+            this._oModel.setProperty("/error", "");
+            if (!oFile) {
+                return;
+            }
+            productTransfer.readFile(oFile).then(function(oTable) {
+                if (!oTable.rows.length) {
+                    throw new Error(that._oController.getText("importNoRowsMessage"));
+                }
+                var aTargets = productTransfer.guessMapping(oTable.headers);
+                that._oTable = oTable;
+                that._oModel.setProperty("/fileName", that._oController.getText("importFileRead", [oFile.name, oTable.rows.length]));
+                that._oModel.setProperty("/mapping", oTable.headers.map(function(sHeader, iColumn) {
+                    var vSample = oTable.rows[0][iColumn];
+                    return {
+                        column: sHeader || that._oController.getText("importColumnNumber", [iColumn + 1]),
+                        sample: vSample === undefined || vSample === null ? "" : String(vSample),
+                        target: aTargets[iColumn]
+                    };
+                }));
+            }).catch(function(oError) {
+                that._oModel.setProperty("/error", that._oController.getText("importReadErrorMessage", [oError.message]));
+            });
+        },
+
+        onNextPress: function() {
+            var iStep = this._oModel.getProperty("/step") + 1;
+            if (iStep === 2) {
+                this._updatePreview();
+            }
+            this._setStep(iStep);
+        },
+
+        onBackPress: function() {
+            this._setStep(this._oModel.getProperty("/step") - 1);
+        },
+
+        onStrategyChange: function() {
+            this._updatePreview();
+        },
+
+        onImportPress: function() {
+            var that = this;
+            var oPlan = this._oPlan;
+            var oController = this._oController;
+            var iCount = oPlan.created.length + oPlan.changed.length;
+            oController.getProductRepository().saveMany(oPlan.created, oPlan.changed, oController.getText("importCommand", [iCount]))
+                .then(function() {
+                    that._close(true);
+                    oController.showUndoToast(oController.getText("importSuccessMessage", [oPlan.created.length, oPlan.changed.length]));
+                }).catch(function(oError) {
+                    MessageBox.error(oController.getText("importErrorMessage", [oError.message]));
+                });
+        },
+
+        onCancelPress: function() {
+            this._close(false);
+        },
+
+        onAfterClose: function() {
+            // closed with escape
+            this._close(false);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _close: function(bImported) {
+            var oDialog = this._oView.byId("importDialog");
+            if (oDialog.isOpen()) {
+                oDialog.close();
+            }
+            if (this._fnResolve) {
+                this._fnResolve(bImported);
+                this._fnResolve = null;
+            }
+        },
+
+        _setStep: function(iStep) {
+            this._oModel.setProperty("/step", iStep);
+            this._oModel.setProperty("/title", this._getTitle(iStep));
+        },
+
+        _getTitle: function(iStep) {
+            return this._oController.getText("importTitle", [iStep + 1, STEPS.length, this._oController.getText(STEPS[iStep])]);
+        },
+
+        /**
+         * Works out what each row of the file does with the chosen strategy and validates the result.
+         * Rows are checked against the products as they will be after the rows above them are imported.
+         * @private
+         */
+        _updatePreview: function() {
+            var oController = this._oController;
+            var oTable = this._oTable;
+            var oRepository = this._oController.getProductRepository();
+            var oSupplierRepository = oRepository.getSupplierRepository();
+            var sStrategy = this._oModel.getProperty("/strategy");
+            var aMapping = this._oModel.getProperty("/mapping").map(function(oColumn) {
+                return oColumn.target;
+            });
+            var aProducts = oRepository.getAll().slice();
+            var mSeenIds = {};
+            var oPlan = { created: [], changed: [] };
+
+            var aPreview = oTable.rows.map(function(aRow, iRow) {
+                var oValues = productTransfer.toProductValues(aRow, oTable.headers, aMapping);
+                var sProductId = oValues.ProductID;
+                var oExisting = sProductId ? oRepository.getById(sProductId) : null;
+                var sAction = oExisting ? sStrategy : "create";
+                var oProduct;
+                var aIssues = [];
+                delete oValues.ProductID;
+                // files name the supplier, a name no supplier has is kept as it is
+                if (oValues.SupplierName !== undefined) {
+                    var oSupplier = oSupplierRepository.getByName(oValues.SupplierName);
+                    oValues.SupplierID = oSupplier ? oSupplier.SupplierID : "";
+                }
+
+                if (oExisting && mSeenIds[sProductId]) {
+                    aIssues.push(oController.getText("importDuplicateIdMessage", [sProductId]));
+                } else if (sAction === "merge") {
+                    oProduct = JSON.parse(JSON.stringify(oExisting));
+                    Object.keys(oValues).forEach(function(sProperty) {
+                        if (sProperty !== "Specifications") {
+                            oProduct[sProperty] = oValues[sProperty];
+                        }
+                    });
+                    oProduct.Specifications = Object.assign(oProduct.Specifications || {}, oValues.Specifications);
+                } else if (sAction !== "skip") {
+                    // a new or overwritten product gets defaults for the fields the file does not have
+                    oProduct = Object.assign(productSchema.createDefaults(), oValues);
+                    // keeps the uniqueness check from comparing the row with itself
+                    oProduct.ProductID = oExisting ? sProductId : "import-" + iRow;
+                }
+                if (sProductId) {
+                    mSeenIds[sProductId] = true;
+                }
+
+                if (oProduct) {
+                    aIssues = productSchema.validateProduct(oProduct, aProducts);
+                }
+                if (oProduct && !aIssues.length) {
+                    if (oExisting) {
+                        aProducts[aProducts.indexOf(oRepository.getById(sProductId))] = oProduct;
+                        oPlan.changed.push(oProduct);
+                    } else {
+                        aProducts.push(oProduct);
+                        oPlan.created.push(oProduct);
+                    }
+                }
+
+                return {
+                    row: iRow + 2,
+                    name: (oProduct || oExisting || oValues).Name || "",
+                    productId: oExisting ? sProductId : "",
+                    action: oController.getText(ACTION_TEXTS[sAction]),
+                    valid: !aIssues.length,
+                    message: aIssues.length ? aIssues.join("; ") : oController.getText(sAction === "skip" ? "importRowExists" : "importRowReady")
+                };
+            });
+
+            // new products get their IDs from the repository
+            oPlan.created.forEach(function(oProduct) {
+                delete oProduct.ProductID;
+            });
+            this._oPlan = oPlan;
+
+            var iInvalid = aPreview.filter(function(oRow) {
+                return !oRow.valid;
+            }).length;
+            this._oModel.setProperty("/preview", aPreview);
+            this._oModel.setProperty("/summary", oController.getText("importSummary", [
+                oPlan.created.length,
+                oPlan.changed.length,
+                aPreview.length - oPlan.created.length - oPlan.changed.length - iInvalid,
+                iInvalid
+            ]));
+            this._oModel.setProperty("/canImport", oPlan.created.length + oPlan.changed.length > 0);
+        }
+    });
+});
@@ -0,0 +1,190 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel",
+    "../model/listState"
+], function(BaseObject, Fragment, JSONModel, listState) {
+    "use strict";
+
+    function distinct(aValues) {
+        return aValues.filter(function(vValue, iIndex) {
+            return vValue && aValues.indexOf(vValue) === iIndex;
+        }).sort();
+    }
+
+    /**
+     * Dialog for the filters, sorting and grouping of the Master list.
+     *
+     * It edits a copy of the list state, which is handed back when the user applies it.
+     * The search is not part of the dialog and is kept as it is.
+     */
+    return BaseObject.extend("com.productapp.controller.ListSettingsDialog", {
+
+        /**
+         * @param {com.productapp.controller.BaseController} oController the controller of the view the dialog belongs to
+         */
+        constructor: function(oController) {
+            BaseObject.call(this);
+            this._oView = oController.getView();
+            this._oModel = new JSONModel();
+            this._oView.setModel(this._oModel, "listSettings");
+        },
+
+        /**
+         * Opens the dialog with the given state, the values to choose from are taken from the products.
+         * @public
+         * @param {object} oState the current list state
+         * @param {object[]} aProducts all products
+         * @param {string} [sTab="filter"] the tab to show, filter or sort
+         * @returns {Promise<object|null>} resolves with the new list state or null if the dialog was cancelled
+         */
+        open: function(oState, aProducts, sTab) {
+            var that = this;
+            var aSpecKeys = [];
+            aProducts.forEach(function(oProduct) {
+                aSpecKeys = aSpecKeys.concat(Object.keys(oProduct.Specifications || {}));
+            });
+            this._sSearch = oState.search;
+            this._oModel.setData({
+                tab: sTab || "filter",
+                categories: distinct(aProducts.map(function(oProduct) {
+                    return oProduct.Category;
+                })).map(function(sName) {
+                    return { name: sName };
+                }),
+                suppliers: distinct(aProducts.map(function(oProduct) {
+                    return oProduct.SupplierName;
+                })).map(function(sName) {
+                    return { name: sName };
+                }),
+                specKeys: distinct(aSpecKeys).map(function(sKey) {
+                    return { key: sKey };
+                }),
+                sortFields: listState.getSortFields(),
+                groupFields: listState.getGroupFields(),
+                state: this._toDialogState(oState)
+            });
+            if (!this._pDialog) {
+                this._pDialog = Fragment.load({
+                    id: this._oView.getId(),
+                    name: "com.productapp.view.ListSettingsDialog",
+                    controller: this
+                }).then(function(oDialog) {
+                    that._oView.addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this._pDialog.then(function(oDialog) {
+                return new Promise(function(resolve) {
+                    that._fnResolve = resolve;
+                    oDialog.open();
+                });
+            });
+        },
+
+        onApplyPress: function() {
+            this._close(this._fromDialogState(this._oModel.getProperty("/state")));
+        },
+
+        onResetPress: function() {
+            var oDefaults = listState.createDefaults();
+            oDefaults.search = this._sSearch;
+            this._oModel.setProperty("/state", this._toDialogState(oDefaults));
+        },
+
+        onCancelPress: function() {
+            this._close(null);
+        },
+
+        onAfterClose: function() {
+            // closed with escape
+            this._close(null);
+        },
+
+        onAddSpecFilter: function() {
+            this._addRow("/state/specs", { key: "", value: "" });
+        },
+
+        onDeleteSpecFilter: function(oEvent) {
+            this._deleteRow("/state/specs", oEvent);
+        },
+
+        onAddSort: function() {
+            this._addRow("/state/sort", { path: "Name", direction: "asc" });
+        },
+
+        onDeleteSort: function(oEvent) {
+            this._deleteRow("/state/sort", oEvent);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _close: function(oState) {
+            var oDialog = this._oView.byId("listSettingsDialog");
+            if (oDialog.isOpen()) {
+                oDialog.close();
+            }
+            if (this._fnResolve) {
+                this._fnResolve(oState);
+                this._fnResolve = null;
+            }
+        },
+
+        _addRow: function(sPath, oRow) {
+            var aRows = this._oModel.getProperty(sPath);
+            aRows.push(oRow);
+            this._oModel.setProperty(sPath, aRows);
+        },
+
+        _deleteRow: function(sPath, oEvent) {
+            var sRowPath = oEvent.getSource().getBindingContext("listSettings").getPath();
+            var aRows = this._oModel.getProperty(sPath);
+            aRows.splice(parseInt(sRowPath.split("/").pop(), 10), 1);
+            this._oModel.setProperty(sPath, aRows);
+        },
+
+        // the controls bind to keys, the list state uses empty values and booleans
+        _toDialogState: function(oState) {
+            var oDialogState = JSON.parse(JSON.stringify(oState));
+            oDialogState.stock = oState.stock || "all";
+            oDialogState.sort = oState.sort.map(function(oSort) {
+                return { path: oSort.path, direction: oSort.descending ? "desc" : "asc" };
+            });
+            return oDialogState;
+        },
+
+        _fromDialogState: function(oDialogState) {
+            var oState = JSON.parse(JSON.stringify(oDialogState));
+            oState.search = this._sSearch;
+            oState.stock = oDialogState.stock === "all" ? "" : oDialogState.stock;
+            oState.supplier = (oDialogState.supplier || "").trim();
+            oState.releasedFrom = oDialogState.releasedFrom || "";
+            oState.releasedTo = oDialogState.releasedTo || "";
+            oState.specs = oDialogState.specs.map(function(oSpec) {
+                return { key: (oSpec.key || "").trim(), value: (oSpec.value || "").trim() };
+            }).filter(function(oSpec) {
+                return !!oSpec.key;
+            });
+            // a field sorted twice only counts the first time
+            var aPaths = [];
+            oState.sort = oDialogState.sort.filter(function(oSort) {
+                var bFirst = aPaths.indexOf(oSort.path) === -1;
+                aPaths.push(oSort.path);
+                return bFirst;
+            }).map(function(oSort) {
+                return { path: oSort.path, descending: oSort.direction === "desc" };
+            });
+            if (!oState.sort.length) {
+                oState.sort = listState.createDefaults().sort;
+            }
+            return oState;
+        }
+    });
+});
@@ -1,100 +1,411 @@
 sap.ui.define([
-    "sap/ui/core/mvc/Controller",
+    "./BaseController",
     "sap/ui/model/Filter",
     "sap/ui/model/FilterOperator",
     "sap/m/MessageToast",
     "sap/m/MessageBox",
     "../model/formatter",
-    "sap/ui/model/Sorter"
-], function(Controller, Filter, FilterOperator, MessageToast, MessageBox, formatter, Sorter) {
+    "sap/ui/model/json/JSONModel",
+    "./BulkActions",
+    "./ImportWizard",
+    "./ListSettingsDialog",
+    "../model/productTransfer",
+    "../model/listState",
+    "../model/productComparison",
+    "../model/pricing"
+], function(BaseController, Filter, FilterOperator, MessageToast, MessageBox, formatter, JSONModel, BulkActions,
+        ImportWizard, ListSettingsDialog, productTransfer, listState, productComparison, pricing) {
     "use strict";
 
-    return Controller.extend("com.productapp.controller.Master", {
+    return BaseController.extend("com.productapp.controller.Master", {
         formatter: formatter,
 
         onInit: function() {
-            // Get router instance
-            this.oRouter = this.getOwnerComponent().getRouter();
-            this._bDescendingSort = false;
-            
             // Get products model from component
             var oProductsModel = this.getOwnerComponent().getModel("products");
             
             // Set the model to the view
             this.getView().setModel(oProductsModel, "products");
             
+            // Search, filters, sorting and grouping are read from the URL, the category from the route
+            this._oListState = listState.createDefaults();
+            this._sCategory = null;
+            this.getView().setModel(new JSONModel({
+                category: "",
+                filterText: "",
+                filtered: false,
+                sorted: false,
+                selectionMode: false,
+                selectedCount: 0,
+                canCompare: false
+            }), "masterView");
+            
+            // Bulk actions work on the products selected in selection mode
+            this._oBulkActions = new BulkActions(this);
+            this._oImportWizard = new ImportWizard(this);
+            this._oListSettingsDialog = new ListSettingsDialog(this);
+            
+            // The category filter is kept in the URL, the other routes show all products
+            this.getRouter().getRoute("category").attachPatternMatched(this._onCategoryMatched, this);
+            this.getRouter().getRoute("master").attachPatternMatched(this._onMasterMatched, this);
+            // The product pages keep the list state in their query and the shown product is selected
+            this._sSelectedId = null;
+            this._sTab = null;
+            this.getRouter().getRoute("detail").attachPatternMatched(this._onDetailMatched, this);
+            this.getRouter().attachRouteMatched(this._onRouteMatched, this);
+            
+            // Prices are filtered and sorted in the display currency, which needs the exchange rates
+            this._oCurrencyService = this.getOwnerComponent().getCurrencyService();
+            this._oCurrencyService.ready().then(this._updateListState.bind(this)).catch(function() {
+                // the component logs the error, the prices are compared as they are
+            });
+            
             // Log for debugging
             console.log("Master view initialized with products model");
         },
 
+        onExit: function() {
+            this._oBulkActions.destroy();
+            this._oImportWizard.destroy();
+            this._oListSettingsDialog.destroy();
+        },
+
         onSearch: function(oEvent) {
             // Get search query from event
-            var sQuery = oEvent.getParameter("query") || oEvent.getParameter("newValue");
-            
-            // Get list and its binding
+            var sQuery = oEvent.getParameter("query") || oEvent.getParameter("newValue") || "";
+            this._oListState.search = sQuery;
+            // typing must not fill the browser history
+            this._navToListState(true);
+        },
+
+        onFilterPress: function() {
+            this._openListSettings("filter");
+        },
+
+        onSortPress: function() {
+            this._openListSettings("sort");
+        },
+
+        onClearFilters: function() {
+            var oState = listState.createDefaults();
+            oState.search = this._oListState.search;
+            oState.sort = this._oListState.sort;
+            oState.group = this._oListState.group;
+            this._oListState = oState;
+            this._sCategory = null;
+            this._navToListState(false);
+        },
+
+        _openListSettings: function(sTab) {
+            var that = this;
+            var aProducts = this.getProductRepository().getAll();
+            this._oListSettingsDialog.open(this._oListState, aProducts, sTab).then(function(oState) {
+                if (oState) {
+                    that._oListState = oState;
+                    that._navToListState(false);
+                }
+            });
+        },
+
+        _onCategoryMatched: function(oEvent) {
+            var oArguments = oEvent.getParameter("arguments");
+            this._setListState(oArguments.category, oArguments["?query"]);
+        },
+
+        _onMasterMatched: function(oEvent) {
+            this._setListState(null, oEvent.getParameter("arguments")["?query"]);
+        },
+
+        _onDetailMatched: function(oEvent) {
+            var oArguments = oEvent.getParameter("arguments");
+            var oQuery = oArguments["?query"] || {};
+            var sCategory = oQuery.category || null;
+            this._sSelectedId = oArguments.productId;
+            this._sTab = oArguments.tab || null;
+            // a product picked from the list comes with the state the list already has, so it is not filtered again
+            if (sCategory !== this._sCategory ||
+                    JSON.stringify(listState.toProductQuery(listState.fromQuery(oQuery), sCategory)) !==
+                    JSON.stringify(listState.toProductQuery(this._oListState, this._sCategory))) {
+                this._setListState(sCategory, oQuery);
+            }
+            this._syncSelection();
+        },
+
+        _onRouteMatched: function(oEvent) {
+            // the other pages show no product of the list
+            if (oEvent.getParameter("name") !== "detail") {
+                this._sSelectedId = null;
+                this._syncSelection();
+            }
+        },
+
+        onListUpdateFinished: function() {
+            // the items are created again after every filter and every change of the products
+            this._syncSelection();
+        },
+
+        /**
+         * Selects the product of the URL in the list and scrolls to it, unless the user picked it there.
+         * The selection is left alone in selection mode, where it belongs to the user.
+         * @private
+         */
+        _syncSelection: function() {
             var oList = this.byId("productList");
-            var oBinding = oList.getBinding("items");
-
-            if (sQuery) {
-                // Create filters for Name, Description and Category
-                var aFilters = [
-                    new Filter("Name", FilterOperator.Contains, sQuery),
-                    new Filter("Description", FilterOperator.Contains, sQuery),
-                    new Filter("Category", FilterOperator.Contains, sQuery)
-                ];
-                
-                // Combine filters with OR
-                var oFilter = new Filter({
-                    filters: aFilters,
-                    and: false // OR operation
-                });
-                
-                // Apply filter
-                oBinding.filter([oFilter]);
+            var sProductId = this._sSelectedId;
+            if (this.getModel("masterView").getProperty("/selectionMode")) {
+                return;
+            }
+            var oItem = sProductId && oList.getItems().filter(function(oListItem) {
+                // group headers have no product
+                var oContext = oListItem.getBindingContext("products");
+                return !!oContext && oContext.getProperty("ProductID") === sProductId;
+            })[0];
+            if (!oItem) {
+                // e.g. the product is filtered out
+                oList.removeSelections(true);
+            } else if (oList.getSelectedItem() !== oItem) {
+                oList.setSelectedItem(oItem);
+                this._scrollTo(oItem);
+            }
+        },
+
+        _scrollTo: function(oItem) {
+            var oPage = this.byId("masterPage");
+            var oDelegate;
+            if (oItem.getDomRef()) {
+                oPage.scrollToElement(oItem);
+                return;
+            }
+            // a deep link selects the item before it is rendered
+            oDelegate = {
+                onAfterRendering: function() {
+                    oItem.removeEventDelegate(oDelegate);
+                    oPage.scrollToElement(oItem);
+                }
+            };
+            oItem.addEventDelegate(oDelegate);
+        },
+
+        _setListState: function(sCategory, oQuery) {
+            this._sCategory = sCategory;
+            this._oListState = listState.fromQuery(oQuery);
+            this.byId("searchField").setValue(this._oListState.search);
+            this._updateListState();
+        },
+
+        // shows and applies the current list state, also after the language or the display currency changed
+        _updateListState: function() {
+            var oViewModel = this.getModel("masterView");
+            var sCategory = this._sCategory;
+            var sFilterText = listState.describeFilters(this._oListState, this._oCurrencyService.getDisplayCurrency());
+            if (sCategory) {
+                sFilterText = this.getText("fieldCategory") + ": " + sCategory + (sFilterText ? "; " + sFilterText : "");
+            }
+            oViewModel.setProperty("/category", sCategory || "");
+            oViewModel.setProperty("/filterText", sFilterText);
+            oViewModel.setProperty("/filtered", !!sFilterText);
+            oViewModel.setProperty("/sorted", listState.hasCustomOrder(this._oListState));
+            this._applyListState();
+        },
+
+        _navToListState: function(bReplace) {
+            var oQuery = listState.toQuery(this._oListState);
+            // the shown product stays open
+            if (this._sSelectedId) {
+                this._navToProduct(this._sSelectedId, bReplace);
+            } else if (this._sCategory) {
+                this.getRouter().navTo("category", { category: this._sCategory, "?query": oQuery }, bReplace);
             } else {
-                // Clear filters
-                oBinding.filter([]);
+                this.getRouter().navTo("master", { "?query": oQuery }, bReplace);
+            }
+        },
+
+        _applyListState: function() {
+            var oCurrencyService = this._oCurrencyService;
+            // the price a customer pays today, as the list shows it
+            var fnPrice = function(oProduct) {
+                return oCurrencyService.convert(pricing.getCurrentPrice(oProduct), oProduct.Currency);
+            };
+            var aFilters = listState.createFilters(this._oListState, fnPrice);
+            if (this._sCategory) {
+                aFilters.push(new Filter("Category", FilterOperator.EQ, this._sCategory));
             }
+            // Get list binding and apply all filters together (AND)
+            var oBinding = this.byId("productList").getBinding("items");
+            oBinding.filter(aFilters.length ? [new Filter({ filters: aFilters, and: true })] : []);
+            oBinding.sort(listState.createSorters(this._oListState, fnPrice));
+        },
+
+        onLanguageSelected: function(oEvent) {
+            this.getOwnerComponent().setLanguage(oEvent.getParameter("item").data("language"));
+            // the filter description is built in code
+            this._updateListState();
+        },
+
+        onDisplayCurrencySelected: function(oEvent) {
+            this._oCurrencyService.setDisplayCurrency(oEvent.getParameter("item").getBindingContext("currency").getProperty("code"));
+            // the price range and the price sorting are in the display currency
+            this._updateListState();
+        },
+
+        onRoleSelected: function(oEvent) {
+            var oItem = oEvent.getParameter("item");
+            var sRights = oItem.data("rights");
+            this.getOwnerComponent().setRole(oItem.data("role"), sRights ? sRights.split(",") : []);
+        },
+
+        onCategoriesPress: function() {
+            // Navigate to the category list in the master area
+            this.getRouter().navTo("categories");
+        },
+
+        onSuppliersPress: function() {
+            // Navigate to the supplier list in the master area
+            this.getRouter().navTo("suppliers");
+        },
+
+        onDashboardPress: function() {
+            // Navigate to the key figures and charts of the catalog
+            this.getRouter().navTo("dashboard");
+        },
+
+        onRecycleBinPress: function() {
+            // Navigate to the deleted products in the master area
+            this.getRouter().navTo("recycleBin");
+        },
+
+        onUndoPress: function() {
+            this.undo();
+        },
+
+        onRedoPress: function() {
+            this.redo();
         },
 
         onSelectionChange: function(oEvent) {
+            // In selection mode pressing an item only selects it
+            if (this.getModel("masterView").getProperty("/selectionMode")) {
+                this._updateSelectedCount();
+                return;
+            }
+            
             // Get selected item
             var oItem = oEvent.getParameter("listItem") || oEvent.getSource();
-            
-            // Get binding context and product ID
-            var oContext = oItem.getBindingContext("products");
-            var sProductId = oContext.getProperty("ProductID");
-            
-            // Navigate to detail view with product ID
-            this.oRouter.navTo("detail", {
-                productId: sProductId
-            });
+            this._navToProduct(oItem.getBindingContext("products").getProperty("ProductID"), false);
+        },
+
+        onItemPress: function(oEvent) {
+            // On phones the list has no selection, pressing an item opens the product
+            if (this.byId("productList").getMode() === "None") {
+                this._navToProduct(oEvent.getParameter("listItem").getBindingContext("products").getProperty("ProductID"), false);
+            }
+        },
+
+        _navToProduct: function(sProductId, bReplace) {
+            // Navigate to detail view with product ID, the list state and the open tab
+            this.getRouter().navTo("detail", {
+                productId: sProductId,
+                // the first tab, so the query does not follow an empty tab in the URL
+                tab: this._sTab || "info",
+                "?query": listState.toProductQuery(this._oListState, this._sCategory)
+            }, bReplace);
             
             console.log("Navigating to product: " + sProductId);
         },
 
+        onSelectionModeToggle: function() {
+            var oViewModel = this.getModel("masterView");
+            var bSelectionMode = !oViewModel.getProperty("/selectionMode");
+            var oList = this.byId("productList");
+            oList.removeSelections(true);
+            oViewModel.setProperty("/selectionMode", bSelectionMode);
+            this._updateSelectedCount();
+            // back in the normal mode the shown product is selected again
+            this._syncSelection();
+        },
+
+        onSelectAllPress: function() {
+            this.byId("productList").selectAll();
+            this._updateSelectedCount();
+        },
+
+        onBulkActionSelected: function(oEvent) {
+            var that = this;
+            var sAction = oEvent.getParameter("item").data("action");
+            var aProducts = this.byId("productList").getSelectedContexts(true).map(function(oContext) {
+                return oContext.getObject();
+            });
+            this._oBulkActions.run(sAction, aProducts).then(function(bChanged) {
+                if (bChanged) {
+                    // the selection belongs to the old data, start over
+                    that.onSelectionModeToggle();
+                }
+            });
+        },
+
+        onComparePress: function() {
+            var aIds = this.byId("productList").getSelectedContexts(true).map(function(oContext) {
+                return oContext.getProperty("ProductID");
+            });
+            if (!productComparison.canCompare(aIds.length)) {
+                MessageToast.show(this.getText("compareCountMessage", [productComparison.minProducts, productComparison.maxProducts]));
+                return;
+            }
+            this.getRouter().navTo("compare", {
+                ids: productComparison.joinIds(aIds)
+            });
+        },
+
+        _updateSelectedCount: function() {
+            var iCount = this.byId("productList").getSelectedContexts(true).length;
+            this.getModel("masterView").setProperty("/selectedCount", iCount);
+            this.getModel("masterView").setProperty("/canCompare", productComparison.canCompare(iCount));
+        },
+
         onAddPress: function() {
             // Navigate to create view
-            this.oRouter.navTo("create");
+            this.getRouter().navTo("create");
             console.log("Navigating to create new product");
         },
 
-        onSort: function() {
-            // Toggle sort direction
-            this._bDescendingSort = !this._bDescendingSort;
-            
-            // Get list and its binding
-            var oView = this.getView();
-            var oList = oView.byId("productList");
-            var oBinding = oList.getBinding("items");
-            
-            // Create sorter and apply
-            var oSorter = new Sorter("Name", this._bDescendingSort);
-            oBinding.sort(oSorter);
-            
-            // Show message
-            var sMessage = this._bDescendingSort ? "Sorted Z to A" : "Sorted A to Z";
-            MessageToast.show(sMessage);
+        onResetPress: function() {
+            var oRepository = this.getProductRepository();
+            var that = this;
+            MessageBox.confirm(this.getText("masterResetConfirmMessage"), {
+                title: this.getText("masterResetButtonText"),
+                onClose: function(oAction) {
+                    if (oAction === MessageBox.Action.OK) {
+                        oRepository.reset().then(function() {
+                            MessageToast.show(that.getText("masterResetSuccessMessage"));
+                            that.getRouter().navTo("master");
+                        }).catch(function(oError) {
+                            MessageBox.error(that.getText("masterResetErrorMessage", [oError.message]));
+                        });
+                    }
+                }
+            });
+        },
+
+        onExportSelected: function(oEvent) {
+            var sFormat = oEvent.getParameter("item").data("format");
+            // export what the list shows, with the search, category and sort applied
+            var oBinding = this.byId("productList").getBinding("items");
+            var aProducts = oBinding.getContexts(0, oBinding.getLength()).map(function(oContext) {
+                return oContext.getObject();
+            });
+            if (!aProducts.length) {
+                MessageToast.show(this.getText("masterExportEmptyMessage"));
+                return;
+            }
+            try {
+                productTransfer.download(aProducts, sFormat, "products");
+            } catch (oError) {
+                MessageBox.error(this.getText("masterExportErrorMessage", [oError.message]));
+            }
+        },
+
+        onImportPress: function() {
+            this._oImportWizard.open();
         }
     });
 });
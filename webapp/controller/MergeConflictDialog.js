@@ -0,0 +1,109 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel",
+    "../model/formatter"
+], function(BaseObject, Fragment, JSONModel, formatter) {
+    "use strict";
+
+    /**
+     * Dialog for the fields both the user and someone else changed since the user opened a product,
+     * see the productMerge module. For each field the user keeps either the own value or the stored one.
+     */
+    return BaseObject.extend("com.productapp.controller.MergeConflictDialog", {
+        formatter: formatter,
+
+        /**
+         * @param {com.productapp.controller.BaseController} oController the controller of the view the dialog belongs to
+         */
+        constructor: function(oController) {
+            BaseObject.call(this);
+            this._oController = oController;
+            this._oView = oController.getView();
+            this._oModel = new JSONModel();
+            this._oView.setModel(this._oModel, "merge");
+        },
+
+        /**
+         * Opens the dialog for the conflicts of a merge, the own value is chosen for all of them.
+         * @public
+         * @param {string} sProductName the name of the product
+         * @param {object[]} aConflicts the conflicts of the merge
+         * @returns {Promise<object[]|null>} resolves with the conflicts, KeepMine tells the choice of the user,
+         *   or with null if the user cancelled
+         */
+        open: function(sProductName, aConflicts) {
+            var that = this;
+            this._oModel.setData({
+                message: this._oController.getText("mergeConflictMessage", [sProductName]),
+                conflicts: aConflicts.map(function(oConflict) {
+                    return Object.assign({ KeepMine: true }, oConflict);
+                })
+            });
+            if (!this._pDialog) {
+                this._pDialog = Fragment.load({
+                    id: this._oView.getId(),
+                    name: "com.productapp.view.MergeConflictDialog",
+                    controller: this
+                }).then(function(oDialog) {
+                    that._oView.addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this._pDialog.then(function(oDialog) {
+                return new Promise(function(resolve) {
+                    that._fnResolve = resolve;
+                    oDialog.open();
+                });
+            });
+        },
+
+        onKeepAllMinePress: function() {
+            this._keepAll(true);
+        },
+
+        onKeepAllTheirsPress: function() {
+            this._keepAll(false);
+        },
+
+        onSavePress: function() {
+            this._close(this._oModel.getProperty("/conflicts"));
+        },
+
+        onCancelPress: function() {
+            this._close(null);
+        },
+
+        onAfterClose: function() {
+            // closed with escape
+            this._close(null);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _keepAll: function(bMine) {
+            this._oModel.getProperty("/conflicts").forEach(function(oConflict) {
+                oConflict.KeepMine = bMine;
+            });
+            this._oModel.refresh(true);
+        },
+
+        _close: function(aConflicts) {
+            var oDialog = this._oView.byId("mergeConflictDialog");
+            if (oDialog.isOpen()) {
+                oDialog.close();
+            }
+            if (this._fnResolve) {
+                this._fnResolve(aConflicts);
+                this._fnResolve = null;
+            }
+        }
+    });
+});
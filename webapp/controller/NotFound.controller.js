@@ -1,19 +1,21 @@
 sap.ui.define([
-    "sap/ui/core/mvc/Controller",
-    "sap/ui/core/routing/History"
-], function(Controller, History) {
+    "./BaseController",
+    "sap/ui/model/json/JSONModel"
+], function(BaseController, JSONModel) {
     "use strict";
 
-    return Controller.extend("com.productapp.controller.NotFound", {
-        onNavBack: function() {
-            var oHistory = History.getInstance();
-            var sPreviousHash = oHistory.getPreviousHash();
+    // onNavBack of the BaseController goes back or to the master list
+    return BaseController.extend("com.productapp.controller.NotFound", {
 
-            if (sPreviousHash !== undefined) {
-                window.history.go(-1);
-            } else {
-                this.getOwnerComponent().getRouter().navTo("master", {}, true);
-            }
+        onInit: function() {
+            // the Detail page shows the page for a product that does not exist, with its ID as data
+            this.setModel(new JSONModel({ productId: "" }), "notFoundView");
+            this.getRouter().getTarget("notFound").attachDisplay(this._onDisplay, this);
+        },
+
+        _onDisplay: function(oEvent) {
+            var oData = oEvent.getParameter("data");
+            this.getModel("notFoundView").setProperty("/productId", oData && oData.productId || "");
         }
     });
 });
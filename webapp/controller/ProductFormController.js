@@ -0,0 +1,365 @@
+sap.ui.define([
+    "./BaseController",
+    "sap/m/MessageBox",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel",
+    "sap/ui/model/Filter",
+    "sap/ui/model/FilterOperator",
+    "../model/ProductFormValidator",
+    "../model/SpecTemplates",
+    "../model/formatter",
+    "../model/media"
+], function(BaseController, MessageBox, Fragment, JSONModel, Filter, FilterOperator, ProductFormValidator, SpecTemplates,
+        formatter, media) {
+    "use strict";
+
+    /**
+     * Base for all pages that show the ProductForm fragment, e.g. Create and Edit.
+     *
+     * It keeps the edited copy of the product in the view's "products" model and the
+     * specification rows in the "specs" model, validates both and hands the complete
+     * product to _saveProduct, which the subclasses implement. The specification rows follow
+     * the template of the chosen category, other rows can be added freely. Chosen images and
+     * attachments are read into the product right away, see the media module. The supplier is
+     * chosen from the suppliers in a value help.
+     *
+     * While a form is open, leaving it with unsaved changes asks the user to save, discard or stay.
+     * This covers the back and cancel buttons, every other navigation and closing the browser tab.
+     */
+    return BaseController.extend("com.productapp.controller.ProductFormController", {
+        formatter: formatter,
+
+        onInit: function() {
+            // model for the specification table
+            this.setModel(new JSONModel({ specs: [] }), "specs");
+            // validate the form against the product schema
+            var oRepository = this.getProductRepository();
+            this._oValidator = new ProductFormValidator(this.getView(), oRepository.getAll.bind(oRepository));
+            this._oSpecTemplates = this.getOwnerComponent().getSpecTemplates();
+            // guard against losing unsaved changes
+            this._sCleanState = null;
+            this._fnNavigationGuard = this._onBeforeLeave.bind(this);
+            this._fnBeforeUnload = this._onBeforeUnload.bind(this);
+            window.addEventListener("beforeunload", this._fnBeforeUnload);
+        },
+
+        onExit: function() {
+            window.removeEventListener("beforeunload", this._fnBeforeUnload);
+            this.getRouter().removeNavigationGuard(this._fnNavigationGuard);
+            this._oValidator.destroy();
+        },
+
+        /**
+         * Shows a product in the form. The form edits a copy, the product itself is not changed.
+         * @protected
+         * @param {object} oProduct the product to edit
+         */
+        setFormProduct: function(oProduct) {
+            var oFormProduct = media.normalize(JSON.parse(JSON.stringify(oProduct)));
+            var oSpecifications = oFormProduct.Specifications || {};
+            delete oFormProduct.Specifications;
+
+            this.setModel(new JSONModel(oFormProduct), "products");
+
+            // convert the specs object to an array for binding it to the table
+            var aSpecs = Object.keys(oSpecifications).map(function(sKey) {
+                return SpecTemplates.createCustomRow(sKey, String(oSpecifications[sKey]));
+            });
+            this.getModel("specs").setData({ specs: aSpecs });
+
+            this._oValidator.attach();
+
+            // remember the state to compare against and protect it until the form is left
+            this._markClean();
+            this.getRouter().setNavigationGuard(this._fnNavigationGuard);
+
+            // the rows of the template are laid out once the templates are there, that is no change of the user
+            this._oSpecTemplates.ready().then(this._applySpecTemplate.bind(this, true), function() {
+                // without templates all rows stay free
+            });
+        },
+
+        /**
+         * @public
+         * @returns {boolean} true if the form has changes that are not saved yet
+         */
+        isDirty: function() {
+            return this._sCleanState !== null && JSON.stringify(this.getFormProduct()) !== this._sCleanState;
+        },
+
+        /**
+         * Returns the product as entered in the form, with the specification rows
+         * converted back to the Specifications object.
+         * @protected
+         * @returns {object} a copy of the edited product
+         */
+        getFormProduct: function() {
+            var oProduct = JSON.parse(JSON.stringify(this.getModel("products").getData()));
+            var oSpecifications = {};
+            // add each complete row, empty rows are dropped
+            this.getModel("specs").getProperty("/specs").forEach(function(oSpec) {
+                var sValue = SpecTemplates.toValue(oSpec);
+                if (oSpec.key && sValue) {
+                    oSpecifications[oSpec.key.trim()] = sValue;
+                }
+            });
+            oProduct.Specifications = oSpecifications;
+            return oProduct;
+        },
+
+        /**
+         * Persists the product, implemented by the subclasses.
+         * @protected
+         * @abstract
+         * @param {object} oProduct the product as entered in the form
+         * @returns {Promise<object|null>} resolves with the saved product, or null if the user cancelled saving
+         */
+        _saveProduct: function(oProduct) {
+            return Promise.reject(new Error("_saveProduct is not implemented"));
+        },
+
+        /**
+         * Navigates away after the Save button was pressed, implemented by the subclasses.
+         * @protected
+         * @abstract
+         * @param {object} oProduct the saved product
+         */
+        _navAfterSave: function(oProduct) {
+        },
+
+        onAddSpecification: function() {
+            var oSpecsModel = this.getModel("specs");
+            var aSpecs = oSpecsModel.getProperty("/specs");
+            // add a new empty row
+            aSpecs.push(SpecTemplates.createCustomRow());
+            oSpecsModel.setProperty("/specs", aSpecs);
+            this._oValidator.validate();
+        },
+
+        onDeleteSpecification: function(oEvent) {
+            // the row is identified by the binding context of the pressed button
+            var sPath = oEvent.getSource().getBindingContext("specs").getPath();
+            var iIndex = parseInt(sPath.split("/").pop(), 10);
+            var oSpecsModel = this.getModel("specs");
+            var aSpecs = oSpecsModel.getProperty("/specs");
+            aSpecs.splice(iIndex, 1);
+            oSpecsModel.setProperty("/specs", aSpecs);
+            this._oValidator.validate();
+        },
+
+        onCategoryChange: function() {
+            this._applySpecTemplate(false);
+        },
+
+        onSpecSwitchChange: function(oEvent) {
+            var oContext = oEvent.getSource().getBindingContext("specs");
+            this.getModel("specs").setProperty("value", String(oEvent.getParameter("state")), oContext);
+            this._oValidator.validate();
+        },
+
+        /**
+         * Lines up the specification rows with the template of the entered category.
+         * @private
+         * @param {boolean} bKeepClean true if a form without changes stays without changes
+         */
+        _applySpecTemplate: function(bKeepClean) {
+            var bClean = bKeepClean && !this.isDirty();
+            var oSpecsModel = this.getModel("specs");
+            var sCategory = this.getModel("products").getProperty("/Category");
+            oSpecsModel.setProperty("/specs", this._oSpecTemplates.createRows(sCategory, oSpecsModel.getProperty("/specs")));
+            this._oValidator.validate();
+            if (bClean) {
+                this._markClean();
+            }
+        },
+
+        onSupplierValueHelp: function() {
+            var that = this;
+            if (!this._pSupplierValueHelp) {
+                this._pSupplierValueHelp = Fragment.load({
+                    id: this.getView().getId(),
+                    name: "com.productapp.view.SupplierValueHelp",
+                    controller: this
+                }).then(function(oDialog) {
+                    that.getView().addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            this._pSupplierValueHelp.then(function(oDialog) {
+                oDialog.getBinding("items").filter([]);
+                oDialog.open();
+            });
+        },
+
+        onSupplierValueHelpSearch: function(oEvent) {
+            var sQuery = oEvent.getParameter("value");
+            oEvent.getSource().getBinding("items").filter(sQuery ? [new Filter("Name", FilterOperator.Contains, sQuery)] : []);
+        },
+
+        onSupplierValueHelpConfirm: function(oEvent) {
+            var oItem = oEvent.getParameter("selectedItem");
+            if (!oItem) {
+                return;
+            }
+            var oSupplier = oItem.getBindingContext("suppliers").getObject();
+            var oProductModel = this.getModel("products");
+            oProductModel.setProperty("/SupplierID", oSupplier.SupplierID);
+            oProductModel.setProperty("/SupplierName", oSupplier.Name);
+            this._oValidator.validate();
+        },
+
+        onImagesSelected: function(oEvent) {
+            this._addFiles("Images", oEvent);
+        },
+
+        onAttachmentsSelected: function(oEvent) {
+            this._addFiles("Attachments", oEvent);
+        },
+
+        onDeleteMedia: function(oEvent) {
+            // the list item tells the file and whether it is an image or an attachment
+            var aPath = oEvent.getParameter("listItem").getBindingContext("products").getPath().split("/");
+            var oProductModel = this.getModel("products");
+            var aFiles = oProductModel.getProperty("/" + aPath[1]);
+            aFiles.splice(parseInt(aPath[2], 10), 1);
+            oProductModel.setProperty("/" + aPath[1], aFiles);
+        },
+
+        /**
+         * Reads the chosen files into the product, the files that are not allowed are reported.
+         * @private
+         * @param {string} sKind Images or Attachments
+         * @param {sap.ui.base.Event} oEvent the change event of the file uploader
+         */
+        _addFiles: function(sKind, oEvent) {
+            var that = this;
+            var oUploader = oEvent.getSource();
+            var aFiles = Array.prototype.slice.call(oEvent.getParameter("files") || []);
+            var oProductModel = this.getModel("products");
+            // the same files can be chosen again, e.g. after they were removed
+            oUploader.clear();
+            if (!aFiles.length) {
+                return;
+            }
+            this.getView().setBusy(true);
+            media.readFiles(sKind, aFiles, oProductModel.getProperty("/" + sKind).length).then(function(oResult) {
+                oProductModel.setProperty("/" + sKind, oProductModel.getProperty("/" + sKind).concat(oResult.files));
+                that.getView().setBusy(false);
+                if (oResult.issues.length) {
+                    MessageBox.error(that.getText("mediaRejectedMessage", [oResult.issues.join("\n")]));
+                }
+            }).catch(function(oError) {
+                that.getView().setBusy(false);
+                MessageBox.error(that.getText("mediaAddErrorMessage", [oError.message]));
+            });
+        },
+
+        onMessagePopoverPress: function(oEvent) {
+            this._oValidator.openMessagePopover(oEvent.getSource());
+        },
+
+        onSavePress: function() {
+            var that = this;
+            this._save().then(function(oProduct) {
+                if (oProduct) {
+                    that._navAfterSave(oProduct);
+                }
+            });
+        },
+
+        /**
+         * Validates and saves the form.
+         * @private
+         * @returns {Promise<object|null>} resolves with the saved product, or null if the form is invalid or saving failed or was cancelled
+         */
+        _save: function() {
+            var that = this;
+            // the save button is disabled while the form has errors, check again anyway
+            if (!this._oValidator.validate()) {
+                MessageBox.error(this.getText("formInvalidMessage"));
+                return Promise.resolve(null);
+            }
+            return this._saveProduct(this.getFormProduct()).then(function(oProduct) {
+                if (oProduct) {
+                    that._markClean();
+                }
+                return oProduct;
+            }).catch(function(oError) {
+                MessageBox.error(that.getText("formSaveErrorMessage", [oError.message]));
+                return null;
+            });
+        },
+
+        /**
+         * Leaves the form, the navigation guard asks about unsaved changes.
+         * @public
+         * @override
+         */
+        onNavBack: function() {
+            this._navBackFromForm();
+        },
+
+        /**
+         * Goes back to where the form was opened from, the subclasses choose the fallback route.
+         * @protected
+         */
+        _navBackFromForm: function() {
+            this.navBack("master");
+        },
+
+        _markClean: function() {
+            this._sCleanState = JSON.stringify(this.getFormProduct());
+        },
+
+        /**
+         * Navigation guard of the router, asked before the form is left.
+         * @private
+         * @returns {boolean|Promise<boolean>} true to leave right away, otherwise the decision of the user
+         */
+        _onBeforeLeave: function() {
+            var that = this;
+            // the actions are shown as they are, so they have to be in the current language
+            var SAVE = this.getText("saveButtonText");
+            var DISCARD = this.getText("formDiscardButtonText");
+            var STAY = this.getText("formStayButtonText");
+            if (!this.isDirty()) {
+                this._leaveForm();
+                return true;
+            }
+            return new Promise(function(resolve) {
+                MessageBox.warning(that.getText("formUnsavedChangesMessage"), {
+                    title: that.getText("formUnsavedChangesTitle"),
+                    actions: [SAVE, DISCARD, STAY],
+                    emphasizedAction: SAVE,
+                    onClose: resolve
+                });
+            }).then(function(sAction) {
+                if (sAction === SAVE) {
+                    return that._save().then(function(oProduct) {
+                        return !!oProduct;
+                    });
+                }
+                if (sAction === DISCARD) {
+                    that._markClean();
+                    return true;
+                }
+                // stay, also when the dialog was closed with escape
+                return false;
+            });
+        },
+
+        _leaveForm: function() {
+            this._sCleanState = null;
+            this._oValidator.reset();
+        },
+
+        _onBeforeUnload: function(oEvent) {
+            if (this.isDirty()) {
+                // browsers show their own text, the message is only needed by old ones
+                oEvent.preventDefault();
+                oEvent.returnValue = this.getText("formUnsavedChangesTitle");
+                return oEvent.returnValue;
+            }
+        }
+    });
+});
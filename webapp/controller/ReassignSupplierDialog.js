@@ -0,0 +1,106 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel"
+], function(BaseObject, Fragment, JSONModel) {
+    "use strict";
+
+    /**
+     * Dialog to delete a supplier that still has products. The products are moved to another
+     * supplier first, a supplier is never deleted while products refer to it.
+     */
+    return BaseObject.extend("com.productapp.controller.ReassignSupplierDialog", {
+
+        /**
+         * @param {com.productapp.controller.BaseController} oController the controller of the view the dialog belongs to
+         */
+        constructor: function(oController) {
+            BaseObject.call(this);
+            this._oController = oController;
+            this._oView = oController.getView();
+            this._oModel = new JSONModel();
+            this._oView.setModel(this._oModel, "reassign");
+        },
+
+        /**
+         * Opens the dialog for the given supplier.
+         * @public
+         * @param {object} oSupplier the supplier to delete
+         * @returns {Promise<boolean>} resolves with true if the products were reassigned and the supplier deleted
+         */
+        open: function(oSupplier) {
+            var that = this;
+            var oController = this._oController;
+            var aOthers = oController.getOwnerComponent().getSupplierRepository().getAll().filter(function(oOther) {
+                return oOther.SupplierID !== oSupplier.SupplierID;
+            });
+            this._oModel.setData({
+                supplierId: oSupplier.SupplierID,
+                message: oController.getText("supplierReassignMessage", [
+                    oSupplier.Name, oController.getProductRepository().getBySupplier(oSupplier.SupplierID).length
+                ]),
+                suppliers: aOthers,
+                targetId: aOthers.length ? aOthers[0].SupplierID : "",
+                error: ""
+            });
+            if (!this._pDialog) {
+                this._pDialog = Fragment.load({
+                    id: this._oView.getId(),
+                    name: "com.productapp.view.ReassignSupplierDialog",
+                    controller: this
+                }).then(function(oDialog) {
+                    that._oView.addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this._pDialog.then(function(oDialog) {
+                return new Promise(function(resolve) {
+                    that._fnResolve = resolve;
+                    oDialog.open();
+                });
+            });
+        },
+
+        onSavePress: function() {
+            var that = this;
+            var oController = this._oController;
+            var oData = this._oModel.getData();
+            oController.getProductRepository().reassignSupplier(oData.supplierId, oData.targetId).then(function() {
+                return oController.getOwnerComponent().getSupplierRepository().remove(oData.supplierId);
+            }).then(function() {
+                that._close(true);
+            }).catch(function(oError) {
+                that._oModel.setProperty("/error", oController.getText("supplierDeleteErrorMessage", [oError.message]));
+            });
+        },
+
+        onCancelPress: function() {
+            this._close(false);
+        },
+
+        onAfterClose: function() {
+            // closed with escape
+            this._close(false);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _close: function(bDeleted) {
+            var oDialog = this._oView.byId("reassignSupplierDialog");
+            if (oDialog.isOpen()) {
+                oDialog.close();
+            }
+            if (this._fnResolve) {
+                this._fnResolve(bDeleted);
+                this._fnResolve = null;
+            }
+        }
+    });
+});
@@ -0,0 +1,62 @@
+sap.ui.define([
+    "./BaseController",
+    "sap/m/MessageBox",
+    "sap/m/MessageToast",
+    "../model/formatter"
+], function(BaseController, MessageBox, MessageToast, formatter) {
+    "use strict";
+
+    return BaseController.extend("com.productapp.controller.RecycleBin", {
+        formatter: formatter,
+
+        onRestorePress: function(oEvent) {
+            var that = this;
+            var oProduct = oEvent.getSource().getBindingContext("recycleBin").getObject();
+            // restoring is recorded in the history, so it can be undone as well
+            this.getProductRepository().restore(oProduct.ProductID).then(function() {
+                that.showUndoToast(that.getText("recycleBinRestoreSuccessMessage", [oProduct.Name]));
+            }).catch(function(oError) {
+                MessageBox.error(that.getText("recycleBinRestoreErrorMessage", [oError.message]));
+            });
+        },
+
+        onDeletePermanently: function(oEvent) {
+            var that = this;
+            var oRepository = this.getProductRepository();
+            var oProduct = oEvent.getParameter("listItem").getBindingContext("recycleBin").getObject();
+            MessageBox.confirm(this.getText("recycleBinPurgeConfirmMessage", [oProduct.Name]), {
+                title: this.getText("recycleBinPurgeConfirmTitle"),
+                onClose: function(oAction) {
+                    if (oAction === MessageBox.Action.OK) {
+                        oRepository.purge(oProduct.ProductID).then(function() {
+                            MessageToast.show(that.getText("recycleBinPurgeSuccessMessage"));
+                        }).catch(function(oError) {
+                            MessageBox.error(that.getText("productDeleteErrorMessage", [oError.message]));
+                        });
+                    }
+                }
+            });
+        },
+
+        onEmptyPress: function() {
+            var that = this;
+            var oRepository = this.getProductRepository();
+            MessageBox.confirm(this.getText("recycleBinEmptyConfirmMessage"), {
+                title: this.getText("recycleBinEmptyConfirmTitle"),
+                onClose: function(oAction) {
+                    if (oAction === MessageBox.Action.OK) {
+                        oRepository.emptyRecycleBin().then(function() {
+                            MessageToast.show(that.getText("recycleBinEmptySuccessMessage"));
+                        }).catch(function(oError) {
+                            MessageBox.error(that.getText("deleteErrorMessage", [oError.message]));
+                        });
+                    }
+                }
+            });
+        },
+
+        onNavBack: function() {
+            this.getRouter().navTo("master");
+        }
+    });
+});
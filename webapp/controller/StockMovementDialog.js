@@ -0,0 +1,108 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel"
+], function(BaseObject, Fragment, JSONModel) {
+    "use strict";
+
+    /**
+     * Dialog to book a stock movement for a product: a receipt, a sale or an adjustment
+     * with a reason. The movement is recorded as an undoable change.
+     */
+    return BaseObject.extend("com.productapp.controller.StockMovementDialog", {
+
+        /**
+         * @param {com.productapp.controller.BaseController} oController the controller of the view the dialog belongs to
+         */
+        constructor: function(oController) {
+            BaseObject.call(this);
+            this._oController = oController;
+            this._oView = oController.getView();
+            this._oModel = new JSONModel();
+            this._oView.setModel(this._oModel, "movement");
+        },
+
+        /**
+         * Opens the dialog for the given product.
+         * @public
+         * @param {object} oProduct the product
+         * @returns {Promise<boolean>} resolves with true if a movement was recorded
+         */
+        open: function(oProduct) {
+            var that = this;
+            this._oModel.setData({
+                productId: oProduct.ProductID,
+                name: oProduct.Name,
+                current: oProduct.Quantity,
+                type: "receipt",
+                quantity: 1,
+                reason: "",
+                error: ""
+            });
+            if (!this._pDialog) {
+                this._pDialog = Fragment.load({
+                    id: this._oView.getId(),
+                    name: "com.productapp.view.StockMovementDialog",
+                    controller: this
+                }).then(function(oDialog) {
+                    that._oView.addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this._pDialog.then(function(oDialog) {
+                return new Promise(function(resolve) {
+                    that._fnResolve = resolve;
+                    oDialog.open();
+                });
+            });
+        },
+
+        onTypeSelectionChange: function() {
+            // sales and receipts are counted up from one, an adjustment may also take stock away
+            this._oModel.setProperty("/quantity", 1);
+            this._oModel.setProperty("/error", "");
+        },
+
+        onSavePress: function() {
+            var that = this;
+            var oData = this._oModel.getData();
+            this._oController.getProductRepository().recordMovement(
+                oData.productId, oData.type, oData.quantity, oData.reason
+            ).then(function() {
+                that._close(true);
+                that._oController.showUndoToast(that._oController.getText("stockMovementSuccessMessage"));
+            }).catch(function(oError) {
+                that._oModel.setProperty("/error", oError.message);
+            });
+        },
+
+        onCancelPress: function() {
+            this._close(false);
+        },
+
+        onAfterClose: function() {
+            // closed with escape
+            this._close(false);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _close: function(bRecorded) {
+            var oDialog = this._oView.byId("stockMovementDialog");
+            if (oDialog.isOpen()) {
+                oDialog.close();
+            }
+            if (this._fnResolve) {
+                this._fnResolve(bRecorded);
+                this._fnResolve = null;
+            }
+        }
+    });
+});
@@ -0,0 +1,128 @@
+sap.ui.define([
+    "./BaseController",
+    "./SupplierDialog",
+    "./ReassignSupplierDialog",
+    "sap/m/MessageBox",
+    "sap/m/MessageToast",
+    "sap/ui/model/json/JSONModel",
+    "../model/formatter"
+], function(BaseController, SupplierDialog, ReassignSupplierDialog, MessageBox, MessageToast, JSONModel, formatter) {
+    "use strict";
+
+    return BaseController.extend("com.productapp.controller.Supplier", {
+        formatter: formatter,
+
+        onInit: function() {
+            this.setModel(new JSONModel({ supplier: {}, products: [] }), "supplierView");
+            this.getRouter().getRoute("supplier").attachPatternMatched(this._onSupplierMatched, this);
+            this.getRouter().attachRouteMatched(this._onRouteMatched, this);
+            // the supplier and its products can change underneath, e.g. by an undo or a rename
+            this._oProductsBinding = this.getProductRepository().getModel().bindList("/");
+            this._oProductsBinding.attachChange(this._onDataChanged, this);
+            this._oSuppliersBinding = this.getOwnerComponent().getSupplierRepository().getModel().bindList("/");
+            this._oSuppliersBinding.attachChange(this._onDataChanged, this);
+            this._oSupplierDialog = new SupplierDialog(this);
+            this._oReassignDialog = new ReassignSupplierDialog(this);
+        },
+
+        onExit: function() {
+            this._oProductsBinding.destroy();
+            this._oSuppliersBinding.destroy();
+            this._oSupplierDialog.destroy();
+            this._oReassignDialog.destroy();
+        },
+
+        _onSupplierMatched: function(oEvent) {
+            var that = this;
+            var sSupplierId = oEvent.getParameter("arguments").supplierId;
+            this._sSupplierId = sSupplierId;
+            // wait until the products and suppliers are loaded, deep links arrive before that
+            this.getProductRepository().ready().then(function() {
+                if (that._sSupplierId !== sSupplierId) {
+                    return;
+                }
+                if (!that._showSupplier()) {
+                    MessageToast.show(that.getText("supplierNotFoundMessage"));
+                    that.getRouter().navTo("suppliers", {}, true);
+                }
+            }, this.showLoadError.bind(this));
+        },
+
+        _onRouteMatched: function(oEvent) {
+            // forget the supplier when another page is shown
+            if (oEvent.getParameter("name") !== "supplier") {
+                this._sSupplierId = null;
+            }
+        },
+
+        _onDataChanged: function() {
+            // only refresh while a supplier is shown, a deleted one is left for the list
+            if (this._sSupplierId && !this._showSupplier()) {
+                this._sSupplierId = null;
+                this.getRouter().navTo("suppliers", {}, true);
+            }
+        },
+
+        /**
+         * @private
+         * @returns {boolean} false if there is no supplier with the ID of the route
+         */
+        _showSupplier: function() {
+            var oSupplier = this.getOwnerComponent().getSupplierRepository().getById(this._sSupplierId);
+            if (!oSupplier) {
+                return false;
+            }
+            this.getModel("supplierView").setData({
+                supplier: oSupplier,
+                products: this.getProductRepository().getBySupplier(oSupplier.SupplierID)
+            });
+            return true;
+        },
+
+        onProductPress: function(oEvent) {
+            this.getRouter().navTo("detail", {
+                productId: oEvent.getSource().getBindingContext("supplierView").getProperty("ProductID")
+            });
+        },
+
+        onEditPress: function() {
+            var that = this;
+            this._oSupplierDialog.open(this.getModel("supplierView").getProperty("/supplier")).then(function(oSupplier) {
+                if (oSupplier) {
+                    MessageToast.show(that.getText("supplierSaveSuccessMessage", [oSupplier.Name]));
+                }
+            });
+        },
+
+        onDeletePress: function() {
+            var that = this;
+            var oSupplier = this.getModel("supplierView").getProperty("/supplier");
+            // the products of the supplier are moved to another one first
+            if (this.getProductRepository().getBySupplier(oSupplier.SupplierID).length) {
+                this._oReassignDialog.open(oSupplier).then(function(bDeleted) {
+                    if (bDeleted) {
+                        MessageToast.show(that.getText("supplierDeleteSuccessMessage", [oSupplier.Name]));
+                    }
+                });
+                return;
+            }
+            MessageBox.confirm(this.getText("supplierDeleteConfirmMessage", [oSupplier.Name]), {
+                title: this.getText("supplierDeleteConfirmTitle"),
+                onClose: function(oAction) {
+                    if (oAction !== MessageBox.Action.OK) {
+                        return;
+                    }
+                    that.getOwnerComponent().getSupplierRepository().remove(oSupplier.SupplierID).then(function() {
+                        MessageToast.show(that.getText("supplierDeleteSuccessMessage", [oSupplier.Name]));
+                    }).catch(function(oError) {
+                        MessageBox.error(that.getText("supplierDeleteErrorMessage", [oError.message]));
+                    });
+                }
+            });
+        },
+
+        onNavBack: function() {
+            this.navBack("suppliers");
+        }
+    });
+});
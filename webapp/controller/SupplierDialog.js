@@ -0,0 +1,129 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Fragment",
+    "sap/ui/model/json/JSONModel",
+    "../model/supplierSchema"
+], function(BaseObject, Fragment, JSONModel, supplierSchema) {
+    "use strict";
+
+    /**
+     * Dialog to create or edit a supplier. A new name is taken over by the products of the supplier.
+     */
+    return BaseObject.extend("com.productapp.controller.SupplierDialog", {
+
+        /**
+         * @param {com.productapp.controller.BaseController} oController the controller of the view the dialog belongs to
+         */
+        constructor: function(oController) {
+            BaseObject.call(this);
+            this._oController = oController;
+            this._oView = oController.getView();
+            this._oModel = new JSONModel();
+            this._oView.setModel(this._oModel, "supplierDialog");
+        },
+
+        /**
+         * Opens the dialog for a new or an existing supplier.
+         * @public
+         * @param {object} [oSupplier] the supplier to edit, a new one is created without
+         * @returns {Promise<object|null>} resolves with the saved supplier, or null if the dialog was cancelled
+         */
+        open: function(oSupplier) {
+            var that = this;
+            this._oModel.setData({
+                isNew: !oSupplier,
+                supplier: oSupplier ? JSON.parse(JSON.stringify(oSupplier)) : supplierSchema.createDefaults(),
+                errors: {},
+                error: ""
+            });
+            if (!this._pDialog) {
+                this._pDialog = Fragment.load({
+                    id: this._oView.getId(),
+                    name: "com.productapp.view.SupplierDialog",
+                    controller: this
+                }).then(function(oDialog) {
+                    that._oView.addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this._pDialog.then(function(oDialog) {
+                return new Promise(function(resolve) {
+                    that._fnResolve = resolve;
+                    oDialog.open();
+                });
+            });
+        },
+
+        onFieldChange: function() {
+            // once a field is marked, it is checked again with every change
+            if (Object.keys(this._oModel.getProperty("/errors")).length) {
+                this._validate();
+            }
+        },
+
+        onSavePress: function() {
+            var that = this;
+            var oController = this._oController;
+            var oSupplierRepository = oController.getOwnerComponent().getSupplierRepository();
+            var oData = this._oModel.getData();
+            if (!this._validate()) {
+                return;
+            }
+            var pSaved = oData.isNew ? oSupplierRepository.create(oData.supplier) : oSupplierRepository.update(oData.supplier);
+            pSaved.then(function(oSupplier) {
+                // the products show the name of their supplier
+                return oController.getProductRepository().updateSupplierNames(oSupplier.SupplierID).then(function() {
+                    return oSupplier;
+                });
+            }).then(function(oSupplier) {
+                that._close(oSupplier);
+            }).catch(function(oError) {
+                that._oModel.setProperty("/error", oController.getText("supplierSaveErrorMessage", [oError.message]));
+            });
+        },
+
+        onCancelPress: function() {
+            this._close(null);
+        },
+
+        onAfterClose: function() {
+            // closed with escape
+            this._close(null);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        /**
+         * Marks the fields that are not valid.
+         * @private
+         * @returns {boolean} true if the supplier is valid
+         */
+        _validate: function() {
+            var oSupplierRepository = this._oController.getOwnerComponent().getSupplierRepository();
+            var mErrors = {};
+            supplierSchema.validate(this._oModel.getProperty("/supplier"), oSupplierRepository.getAll()).forEach(function(oIssue) {
+                mErrors[oIssue.path.slice(1)] = oIssue.message;
+            });
+            this._oModel.setProperty("/errors", mErrors);
+            return !Object.keys(mErrors).length;
+        },
+
+        _close: function(oSupplier) {
+            var oDialog = this._oView.byId("supplierDialog");
+            if (oDialog.isOpen()) {
+                oDialog.close();
+            }
+            if (this._fnResolve) {
+                this._fnResolve(oSupplier);
+                this._fnResolve = null;
+            }
+        }
+    });
+});
@@ -0,0 +1,65 @@
+sap.ui.define([
+    "./BaseController",
+    "./SupplierDialog",
+    "sap/ui/model/Filter",
+    "sap/ui/model/FilterOperator",
+    "../model/formatter"
+], function(BaseController, SupplierDialog, Filter, FilterOperator, formatter) {
+    "use strict";
+
+    return BaseController.extend("com.productapp.controller.Suppliers", {
+        formatter: formatter,
+
+        onInit: function() {
+            this._oSupplierDialog = new SupplierDialog(this);
+            // keep the selection in line with the supplier shown in the detail area
+            this.getRouter().getRoute("suppliers").attachPatternMatched(this._onSuppliersMatched, this);
+            this.getRouter().getRoute("supplier").attachPatternMatched(this._onSupplierMatched, this);
+        },
+
+        onExit: function() {
+            this._oSupplierDialog.destroy();
+        },
+
+        _onSuppliersMatched: function() {
+            this.byId("supplierList").removeSelections(true);
+        },
+
+        _onSupplierMatched: function(oEvent) {
+            var sSupplierId = oEvent.getParameter("arguments").supplierId;
+            var oList = this.byId("supplierList");
+            this.getOwnerComponent().getSupplierRepository().ready().then(function() {
+                oList.getItems().forEach(function(oItem) {
+                    if (oItem.getBindingContext("suppliers").getProperty("SupplierID") === sSupplierId) {
+                        oList.setSelectedItem(oItem);
+                    }
+                });
+            }, this.showLoadError.bind(this));
+        },
+
+        onSearch: function(oEvent) {
+            var sQuery = oEvent.getParameter("newValue");
+            this.byId("supplierList").getBinding("items").filter(sQuery ? [new Filter("Name", FilterOperator.Contains, sQuery)] : []);
+        },
+
+        onSupplierSelect: function(oEvent) {
+            var oItem = oEvent.getParameter("listItem");
+            this.getRouter().navTo("supplier", {
+                supplierId: oItem.getBindingContext("suppliers").getProperty("SupplierID")
+            });
+        },
+
+        onAddPress: function() {
+            var that = this;
+            this._oSupplierDialog.open().then(function(oSupplier) {
+                if (oSupplier) {
+                    that.getRouter().navTo("supplier", { supplierId: oSupplier.SupplierID });
+                }
+            });
+        },
+
+        onNavBack: function() {
+            this.getRouter().navTo("master");
+        }
+    });
+});
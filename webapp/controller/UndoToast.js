@@ -0,0 +1,66 @@
+sap.ui.define([
+    "sap/ui/core/Popup",
+    "sap/m/HBox",
+    "sap/m/Text",
+    "sap/m/Link"
+], function(Popup, HBox, Text, Link) {
+    "use strict";
+
+    var DURATION = 6000;
+
+    var oPopup = null;
+    var oText = null;
+    var oLink = null;
+    var fnUndo = null;
+    var iCloseTimer = null;
+
+    function close() {
+        clearTimeout(iCloseTimer);
+        fnUndo = null;
+        if (oPopup && oPopup.isOpen()) {
+            oPopup.close(0);
+        }
+    }
+
+    function getPopup() {
+        if (!oPopup) {
+            oText = new Text();
+            oLink = new Link({
+                press: function() {
+                    var fnCallback = fnUndo;
+                    close();
+                    if (fnCallback) {
+                        fnCallback();
+                    }
+                }
+            }).addStyleClass("sapUiSmallMarginBegin");
+            // looks like a MessageToast, which has no room for an action
+            var oContent = new HBox({
+                alignItems: "Center",
+                items: [oText, oLink]
+            }).addStyleClass("sapMMessageToast");
+            oPopup = new Popup(oContent, false, false, false);
+        }
+        return oPopup;
+    }
+
+    return {
+        /**
+         * Shows a toast message with an Undo link at the bottom of the screen.
+         * A new toast replaces the previous one, which can then no longer be undone from there.
+         * @public
+         * @param {string} sMessage the message text
+         * @param {string} sUndoText the text of the Undo link
+         * @param {function} fnOnUndo called when the user presses Undo
+         */
+        show: function(sMessage, sUndoText, fnOnUndo) {
+            var oToast = getPopup();
+            close();
+            oText.setText(sMessage);
+            oLink.setText(sUndoText);
+            fnUndo = fnOnUndo;
+            oToast.open(0, Popup.Dock.CenterBottom, Popup.Dock.CenterBottom, window, "0 -64", "none");
+            iCloseTimer = setTimeout(close, DURATION);
+        }
+    };
+});
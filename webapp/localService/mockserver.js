@@ -0,0 +1,103 @@
+sap.ui.define([
+    "sap/ui/core/util/MockServer",
+    "sap/ui/model/json/JSONModel"
+], function(MockServer, JSONModel) {
+    "use strict";
+
+    function loadJson(sUrl) {
+        return new Promise(function(resolve, reject) {
+            var oModel = new JSONModel();
+            oModel.attachRequestCompleted(function(oEvent) {
+                if (oEvent.getParameter("success")) {
+                    resolve(oModel.getData());
+                } else {
+                    reject(new Error("Could not load the mock data from " + sUrl));
+                }
+                oModel.destroy();
+            });
+            oModel.loadData(sUrl);
+        });
+    }
+
+    return {
+        /**
+         * Starts a MockServer that simulates the products OData service in the browser.
+         * The entity sets are filled from the same products.json and suppliers.json the JSON mode is seeded from,
+         * the nested Specifications object and the StockMovements, Images and Attachments arrays are split into their own entities.
+         * @public
+         * @param {object} oDataSources the dataSources section of the manifest
+         * @returns {Promise} resolves once the mock server answers requests
+         */
+        init: function(oDataSources) {
+            var oService = oDataSources.productsService;
+            var sAppPath = "com/productapp/";
+
+            return Promise.all([
+                loadJson(sap.ui.require.toUrl(sAppPath + oDataSources.productsData.uri)),
+                loadJson(sap.ui.require.toUrl(sAppPath + oDataSources.suppliersData.uri))
+            ]).then(function(aMockData) {
+                var oMockServer = new MockServer({
+                    rootUri: oService.uri
+                });
+                MockServer.config({
+                    autoRespond: true,
+                    autoRespondAfter: 300
+                });
+                oMockServer.simulate(sap.ui.require.toUrl(sAppPath + oService.settings.localUri), {
+                    sMockdataBaseUrl: sap.ui.require.toUrl(sAppPath + "localService/mockdata"),
+                    bGenerateMissingMockData: false
+                });
+
+                var aProducts = [];
+                var aSpecifications = [];
+                var aMovements = [];
+                var aMedia = [];
+                aMockData[0].forEach(function(oProduct) {
+                    var oEntity = Object.assign({}, oProduct, {
+                        Price: String(oProduct.Price),
+                        Rating: String(oProduct.Rating),
+                        ReleaseDate: "/Date(" + Date.parse(oProduct.ReleaseDate) + ")/"
+                    });
+                    delete oEntity.Specifications;
+                    delete oEntity.StockMovements;
+                    delete oEntity.Images;
+                    delete oEntity.Attachments;
+                    aProducts.push(oEntity);
+                    Object.keys(oProduct.Specifications || {}).forEach(function(sKey) {
+                        aSpecifications.push({
+                            ProductID: oProduct.ProductID,
+                            Key: sKey,
+                            Value: oProduct.Specifications[sKey]
+                        });
+                    });
+                    (oProduct.StockMovements || []).forEach(function(oMovement) {
+                        aMovements.push(Object.assign({}, oMovement, {
+                            ProductID: oProduct.ProductID,
+                            Date: "/Date(" + Date.parse(oMovement.Date) + ")/"
+                        }));
+                    });
+                    ["Images", "Attachments"].forEach(function(sKind) {
+                        (oProduct[sKind] || []).forEach(function(oFile, iPosition) {
+                            aMedia.push(Object.assign({}, oFile, {
+                                ProductID: oProduct.ProductID,
+                                Kind: sKind,
+                                Position: iPosition
+                            }));
+                        });
+                    });
+                });
+                oMockServer.setEntitySetData("Products", aProducts);
+                oMockServer.setEntitySetData("Suppliers", aMockData[1].map(function(oSupplier) {
+                    return Object.assign({}, oSupplier, {
+                        Rating: String(oSupplier.Rating)
+                    });
+                }));
+                oMockServer.setEntitySetData("Specifications", aSpecifications);
+                oMockServer.setEntitySetData("StockMovements", aMovements);
+                oMockServer.setEntitySetData("Media", aMedia);
+
+                oMockServer.start();
+            });
+        }
+    };
+});
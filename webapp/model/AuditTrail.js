@@ -0,0 +1,283 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/json/JSONModel",
+    "./i18n",
+    "./variants",
+    "./pricing"
+], function(BaseObject, JSONModel, i18n, variants, pricing) {
+    "use strict";
+
+    var USER_NAME_KEY = "com.productapp.userName";
+
+    // the stock ledger and the price history keep their own history, so they are neither compared nor kept in the versions
+    var LEDGER_FIELDS = ["StockMovements", "PriceHistory"];
+    var KEY_FIELD = "ProductID";
+    var SPECIFICATIONS_FIELD = "Specifications";
+    // files are compared by their names and kept in the versions without thumbnails, those would only bloat the trail
+    var MEDIA_FIELDS = ["Images", "Attachments"];
+    // the supplier is recorded by its SupplierName, the ID says nothing to the user
+    var SUPPLIER_KEY_FIELD = "SupplierID";
+    // the variants are recorded by their SKU, price and stock, the axes by their values
+    var VARIANT_DESCRIPTIONS = {
+        VariantAxes: variants.describeAxes,
+        Variants: variants.describeVariants
+    };
+    // scheduled prices by their price and date, discounts by their value and validity
+    var PRICING_DESCRIPTIONS = {
+        ScheduledPrices: pricing.describeScheduledPrices,
+        Discounts: pricing.describeDiscounts
+    };
+    // goes up with every change, it tells nothing about the change itself
+    var VERSION_FIELD = "Version";
+
+    function toValue(vValue) {
+        if (vValue === undefined || vValue === null) {
+            return "";
+        }
+        return typeof vValue === "object" ? JSON.stringify(vValue) : String(vValue);
+    }
+
+    function describeFiles(aFiles) {
+        return (aFiles || []).map(function(oFile) {
+            return oFile.FileName;
+        }).join(", ");
+    }
+
+    function getMediaIds(aFiles) {
+        return (aFiles || []).map(function(oFile) {
+            return oFile.MediaID;
+        }).join();
+    }
+
+    function union(oFirst, oSecond) {
+        var aKeys = Object.keys(oFirst || {});
+        Object.keys(oSecond || {}).forEach(function(sKey) {
+            if (aKeys.indexOf(sKey) === -1) {
+                aKeys.push(sKey);
+            }
+        });
+        return aKeys;
+    }
+
+    /**
+     * Compares two versions of a product field by field. Every specification is compared on its own,
+     * its field is "Specifications/" followed by the key. Images and attachments are given by their file names.
+     * @param {object|null} oBefore the product before the change, null if it was created
+     * @param {object|null} oAfter the product after the change, null if it was deleted
+     * @returns {object[]} the changes with Field, Before and After, the values as text
+     */
+    function diff(oBefore, oAfter) {
+        var oOld = oBefore || {};
+        var oNew = oAfter || {};
+        var aChanges = [];
+        function compare(sField, vBefore, vAfter) {
+            if (toValue(vBefore) !== toValue(vAfter)) {
+                aChanges.push({ Field: sField, Before: toValue(vBefore), After: toValue(vAfter) });
+            }
+        }
+        union(oNew, oOld).forEach(function(sField) {
+            if (MEDIA_FIELDS.indexOf(sField) !== -1) {
+                // a file may be replaced by another one with the same name
+                if (getMediaIds(oOld[sField]) !== getMediaIds(oNew[sField])) {
+                    aChanges.push({ Field: sField, Before: describeFiles(oOld[sField]), After: describeFiles(oNew[sField]) });
+                }
+            } else if (VARIANT_DESCRIPTIONS[sField] || PRICING_DESCRIPTIONS[sField]) {
+                var fnDescribe = VARIANT_DESCRIPTIONS[sField] || PRICING_DESCRIPTIONS[sField];
+                if (toValue(oOld[sField]) !== toValue(oNew[sField])) {
+                    aChanges.push({
+                        Field: sField,
+                        Before: fnDescribe(oOld[sField]),
+                        After: fnDescribe(oNew[sField])
+                    });
+                }
+            } else if (LEDGER_FIELDS.indexOf(sField) === -1 && sField !== SPECIFICATIONS_FIELD && sField !== KEY_FIELD &&
+                    sField !== SUPPLIER_KEY_FIELD && sField !== VERSION_FIELD) {
+                compare(sField, oOld[sField], oNew[sField]);
+            }
+        });
+        union(oNew[SPECIFICATIONS_FIELD], oOld[SPECIFICATIONS_FIELD]).forEach(function(sKey) {
+            compare(SPECIFICATIONS_FIELD + "/" + sKey,
+                (oOld[SPECIFICATIONS_FIELD] || {})[sKey], (oNew[SPECIFICATIONS_FIELD] || {})[sKey]);
+        });
+        return aChanges;
+    }
+
+    function createSnapshot(oProduct) {
+        var oSnapshot = JSON.parse(JSON.stringify(oProduct));
+        LEDGER_FIELDS.forEach(function(sField) {
+            delete oSnapshot[sField];
+        });
+        // the MediaID is enough to find the content in the MediaLibrary again
+        MEDIA_FIELDS.forEach(function(sField) {
+            (oSnapshot[sField] || []).forEach(function(oFile) {
+                delete oFile.Thumbnail;
+                delete oFile.Content;
+            });
+        });
+        return oSnapshot;
+    }
+
+    /**
+     * Records who changed which product when, and how.
+     *
+     * Every create, update, delete, restore and revert of a product becomes an entry with a timestamp,
+     * the user name, the action, the changed fields with their values before and after, and a snapshot
+     * of the product as it was afterwards, which a product can be reverted to. The entries of a product
+     * are kept in one record of their own storage, so they outlive a delete. The user name is a local
+     * setting of the browser, there are no accounts.
+     *
+     * The "audit" model holds the userName and the products, an object with a record of ProductID and
+     * Entries for each product ID.
+     */
+    var AuditTrail = BaseObject.extend("com.productapp.model.AuditTrail", {
+
+        /**
+         * @param {object} oStorage storage adapter for the records, e.g. the LocalStorageAdapter
+         */
+        constructor: function(oStorage) {
+            BaseObject.call(this);
+            this._oStorage = oStorage;
+            this._oModel = new JSONModel({
+                userName: window.localStorage.getItem(USER_NAME_KEY) || "",
+                products: {}
+            });
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the user name and the entries by product
+         */
+        getModel: function() {
+            return this._oModel;
+        },
+
+        /**
+         * Loads the recorded entries from the storage.
+         * @public
+         * @returns {Promise} resolves once the entries are loaded
+         */
+        load: function() {
+            var that = this;
+            return this._oStorage.readAll().then(function(aRecords) {
+                var mProducts = {};
+                (aRecords || []).forEach(function(oRecord) {
+                    mProducts[oRecord.ProductID] = oRecord;
+                });
+                that._oModel.setProperty("/products", mProducts);
+            });
+        },
+
+        /**
+         * @public
+         * @returns {string} the name changes are recorded with, empty if none was set
+         */
+        getUserName: function() {
+            return this._oModel.getProperty("/userName");
+        },
+
+        /**
+         * Sets the name changes are recorded with and remembers it for the next start.
+         * @public
+         * @param {string} sUserName the user name
+         */
+        setUserName: function(sUserName) {
+            var sName = (sUserName || "").trim();
+            this._oModel.setProperty("/userName", sName);
+            window.localStorage.setItem(USER_NAME_KEY, sName);
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the product ID
+         * @returns {object[]} the entries of the product, oldest first
+         */
+        getEntries: function(sProductId) {
+            var oRecord = this._oModel.getProperty("/products")[sProductId];
+            return oRecord ? oRecord.Entries : [];
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the product ID
+         * @param {string} sEntryId the entry ID
+         * @returns {object|null} the entry or null if the product has no such entry
+         */
+        getEntry: function(sProductId, sEntryId) {
+            var aEntries = this.getEntries(sProductId);
+            for (var i = 0; i < aEntries.length; i++) {
+                if (aEntries[i].EntryID === sEntryId) {
+                    return aEntries[i];
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Records a change of a product. An update that changes nothing is not recorded.
+         * @public
+         * @param {string} sAction create, update, delete, restore or revert
+         * @param {object|null} oBefore the product before the change, null if it was created or restored
+         * @param {object|null} oAfter the product after the change, null if it was deleted
+         * @returns {Promise<object|null>} resolves with the entry, or null if nothing was recorded
+         */
+        record: function(sAction, oBefore, oAfter) {
+            var oProduct = oAfter || oBefore;
+            var aChanges = diff(oBefore, oAfter);
+            if (!aChanges.length && (sAction === "update" || sAction === "revert")) {
+                return Promise.resolve(null);
+            }
+            var oEntry = {
+                EntryID: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                Date: new Date().toISOString(),
+                User: this.getUserName() || i18n.getText("auditAnonymousUser"),
+                Action: sAction,
+                Changes: aChanges,
+                Snapshot: createSnapshot(oProduct)
+            };
+            var mProducts = this._oModel.getProperty("/products");
+            var oRecord = mProducts[oProduct.ProductID];
+            var oNewRecord = {
+                ProductID: oProduct.ProductID,
+                Entries: (oRecord ? oRecord.Entries : []).concat([oEntry])
+            };
+            var pStored = oRecord ? this._oStorage.update(oNewRecord) : this._oStorage.create(oNewRecord);
+            var that = this;
+            return pStored.then(function() {
+                mProducts[oProduct.ProductID] = oNewRecord;
+                that._oModel.refresh(true);
+                return oEntry;
+            });
+        },
+
+        /**
+         * Removes all recorded entries, e.g. when the products are reset.
+         * @public
+         * @returns {Promise} resolves when the entries are removed
+         */
+        clear: function() {
+            var that = this;
+            return this._oStorage.seed([]).then(function() {
+                that._oModel.setProperty("/products", {});
+            });
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oStorage.destroy();
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        }
+    });
+
+    /**
+     * Compares two versions of a product without a trail instance.
+     * @public
+     * @static
+     */
+    AuditTrail.diff = diff;
+
+    return AuditTrail;
+});
@@ -0,0 +1,132 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/json/JSONModel",
+    "./i18n"
+], function(BaseObject, JSONModel, i18n) {
+    "use strict";
+
+    /**
+     * Undo and redo stacks for asynchronous commands.
+     *
+     * A command is an object with a text and the functions execute and undo, which both return
+     * a promise. Commands run one after the other, so quickly repeated undos cannot overtake
+     * each other. The model of the history tells whether and what can be undone or redone.
+     */
+    return BaseObject.extend("com.productapp.model.CommandHistory", {
+
+        /**
+         * @param {int} [iLimit=50] the maximum number of commands that can be undone
+         */
+        constructor: function(iLimit) {
+            BaseObject.call(this);
+            this._iLimit = iLimit || 50;
+            this._aUndoStack = [];
+            this._aRedoStack = [];
+            this._pQueue = Promise.resolve();
+            this._oModel = new JSONModel();
+            this._updateModel();
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} model with canUndo, canRedo, undoText and redoText
+         */
+        getModel: function() {
+            return this._oModel;
+        },
+
+        /**
+         * Runs a command and records it for undo. The redo stack is cleared.
+         * @public
+         * @param {object} oCommand the command with text, execute and undo
+         * @returns {Promise} resolves with the result of execute
+         */
+        execute: function(oCommand) {
+            var that = this;
+            return this._enqueue(function() {
+                return oCommand.execute().then(function(vResult) {
+                    that._aUndoStack.push(oCommand);
+                    if (that._aUndoStack.length > that._iLimit) {
+                        that._aUndoStack.shift();
+                    }
+                    that._aRedoStack = [];
+                    that._updateModel();
+                    return vResult;
+                });
+            });
+        },
+
+        /**
+         * Undoes the last command. A command that fails to undo is dropped from the history.
+         * @public
+         * @returns {Promise<object|null>} resolves with the undone command or null if there was none
+         */
+        undo: function() {
+            return this._move(this._aUndoStack, this._aRedoStack, "undo");
+        },
+
+        /**
+         * Runs the last undone command again.
+         * @public
+         * @returns {Promise<object|null>} resolves with the redone command or null if there was none
+         */
+        redo: function() {
+            return this._move(this._aRedoStack, this._aUndoStack, "execute");
+        },
+
+        /**
+         * Forgets all commands, e.g. after the data was reset.
+         * @public
+         */
+        clear: function() {
+            this._aUndoStack = [];
+            this._aRedoStack = [];
+            this._updateModel();
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _move: function(aFrom, aTo, sMethod) {
+            var that = this;
+            return this._enqueue(function() {
+                var oCommand = aFrom.pop();
+                if (!oCommand) {
+                    return null;
+                }
+                return oCommand[sMethod]().then(function() {
+                    aTo.push(oCommand);
+                    that._updateModel();
+                    return oCommand;
+                }, function(oError) {
+                    that._updateModel();
+                    throw oError;
+                });
+            });
+        },
+
+        _enqueue: function(fnTask) {
+            var pResult = this._pQueue.then(fnTask);
+            // a failed command must not block the ones after it
+            this._pQueue = pResult.catch(function() {});
+            return pResult;
+        },
+
+        _updateModel: function() {
+            var oUndo = this._aUndoStack[this._aUndoStack.length - 1];
+            var oRedo = this._aRedoStack[this._aRedoStack.length - 1];
+            this._oModel.setData({
+                canUndo: !!oUndo,
+                canRedo: !!oRedo,
+                undoText: oUndo ? i18n.getText("historyUndo", [oUndo.text]) : i18n.getText("historyNothingToUndo"),
+                redoText: oRedo ? i18n.getText("historyRedo", [oRedo.text]) : i18n.getText("historyNothingToRedo")
+            });
+        }
+    });
+});
@@ -0,0 +1,188 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/json/JSONModel"
+], function(BaseObject, JSONModel) {
+    "use strict";
+
+    var DISPLAY_CURRENCY_KEY = "com.productapp.displayCurrency";
+
+    /**
+     * Converts an amount with the given rates, which are the units of each currency for one unit of the base currency.
+     * @param {number} fAmount the amount
+     * @param {string} sFrom the currency of the amount
+     * @param {string} sTo the currency to convert to
+     * @param {object} mRates the rates by currency code
+     * @returns {number|null} the converted amount, null if there is no rate for one of the currencies
+     */
+    function convert(fAmount, sFrom, sTo, mRates) {
+        if (fAmount === null || fAmount === undefined || fAmount === "" || isNaN(fAmount)) {
+            return null;
+        }
+        if (sFrom === sTo) {
+            return Number(fAmount);
+        }
+        if (!mRates || !mRates[sFrom] || !mRates[sTo]) {
+            return null;
+        }
+        return Number(fAmount) / mRates[sFrom] * mRates[sTo];
+    }
+
+    /**
+     * Reads the exchange rates and keeps the currency the prices are shown in.
+     *
+     * The rates come from a JSON file an admin maintains, with the base currency, the date of the
+     * rates and the rate of every currency for one unit of the base currency. The currencies in
+     * the file are the ones products can be priced in. The chosen display currency is kept in the
+     * browser and survives a reload.
+     *
+     * The "currency" model holds base, date, displayCurrency, currencies (with code and rate) and rates.
+     */
+    var CurrencyService = BaseObject.extend("com.productapp.model.CurrencyService", {
+
+        /**
+         * @param {string} sRatesUrl URL of the JSON file with the exchange rates
+         */
+        constructor: function(sRatesUrl) {
+            BaseObject.call(this);
+            this._sRatesUrl = sRatesUrl;
+            this._oModel = new JSONModel({
+                base: "",
+                date: "",
+                displayCurrency: "",
+                currencies: [],
+                rates: {}
+            });
+            this._pLoaded = null;
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the rates and the display currency
+         */
+        getModel: function() {
+            return this._oModel;
+        },
+
+        /**
+         * Loads the exchange rates and restores the display currency chosen before.
+         * @public
+         * @returns {Promise<string[]>} resolves with the currency codes, the base currency first
+         */
+        load: function() {
+            var that = this;
+            var oRatesModel = new JSONModel();
+            this._pLoaded = new Promise(function(resolve, reject) {
+                oRatesModel.attachRequestCompleted(function(oEvent) {
+                    if (oEvent.getParameter("success")) {
+                        resolve(oRatesModel.getData());
+                    } else {
+                        reject(new Error("Could not load the exchange rates from " + that._sRatesUrl));
+                    }
+                    oRatesModel.destroy();
+                });
+                oRatesModel.loadData(that._sRatesUrl);
+            }).then(function(oData) {
+                var mRates = that._checkRates(oData);
+                var aCodes = [oData.base].concat(Object.keys(mRates).filter(function(sCode) {
+                    return sCode !== oData.base;
+                }));
+                var sDisplayCurrency = window.localStorage.getItem(DISPLAY_CURRENCY_KEY);
+                that._oModel.setData({
+                    base: oData.base,
+                    date: oData.date || "",
+                    displayCurrency: mRates[sDisplayCurrency] ? sDisplayCurrency : oData.base,
+                    currencies: aCodes.map(function(sCode) {
+                        return { code: sCode, rate: mRates[sCode] };
+                    }),
+                    rates: mRates
+                });
+                return aCodes;
+            });
+            return this._pLoaded;
+        },
+
+        /**
+         * @public
+         * @returns {Promise<string[]>} resolves once the rates are loaded
+         */
+        ready: function() {
+            return this._pLoaded || this.load();
+        },
+
+        /**
+         * @public
+         * @returns {string[]} the codes of all currencies with a rate, the base currency first
+         */
+        getCurrencies: function() {
+            return this._oModel.getProperty("/currencies").map(function(oCurrency) {
+                return oCurrency.code;
+            });
+        },
+
+        /**
+         * @public
+         * @returns {string} the currency the prices are shown in
+         */
+        getDisplayCurrency: function() {
+            return this._oModel.getProperty("/displayCurrency");
+        },
+
+        /**
+         * Shows the prices in another currency and remembers it for the next start.
+         * @public
+         * @param {string} sCurrency a currency with a rate
+         */
+        setDisplayCurrency: function(sCurrency) {
+            if (!this._oModel.getProperty("/rates/" + sCurrency)) {
+                return;
+            }
+            this._oModel.setProperty("/displayCurrency", sCurrency);
+            window.localStorage.setItem(DISPLAY_CURRENCY_KEY, sCurrency);
+        },
+
+        /**
+         * @public
+         * @param {number} fAmount the amount
+         * @param {string} sFrom the currency of the amount
+         * @param {string} [sTo] the currency to convert to, by default the display currency
+         * @returns {number|null} the converted amount, null if one of the currencies has no rate
+         */
+        convert: function(fAmount, sFrom, sTo) {
+            return convert(fAmount, sFrom, sTo || this.getDisplayCurrency(), this._oModel.getProperty("/rates"));
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        // only positive numbers are usable rates, and the base currency always has one
+        _checkRates: function(oData) {
+            var mRates = {};
+            if (!oData || !oData.base || !oData.rates) {
+                throw new Error("The exchange rates file needs a base currency and rates");
+            }
+            Object.keys(oData.rates).forEach(function(sCode) {
+                var fRate = oData.rates[sCode];
+                if (typeof fRate === "number" && fRate > 0) {
+                    mRates[sCode] = fRate;
+                }
+            });
+            mRates[oData.base] = 1;
+            return mRates;
+        }
+    });
+
+    /**
+     * Converts without a service instance, e.g. in formatters that get the rates from the "currency" model.
+     * @public
+     * @static
+     */
+    CurrencyService.convert = convert;
+
+    return CurrencyService;
+});
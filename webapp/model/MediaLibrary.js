@@ -0,0 +1,121 @@
+sap.ui.define([
+    "sap/ui/base/Object"
+], function(BaseObject) {
+    "use strict";
+
+    /**
+     * Keeps the content of the images and attachments of the products.
+     *
+     * The files of a product are kept in one record of their own storage with the ProductID and
+     * Files, the content as data URL by MediaID. A file that is taken off a product stays in the
+     * library as long as the product exists, so an undo or a revert to an earlier version can bring
+     * it back. The files go when the product is deleted for good.
+     */
+    return BaseObject.extend("com.productapp.model.MediaLibrary", {
+
+        /**
+         * @param {object} oStorage storage adapter for the records, e.g. the IndexedDBAdapter
+         */
+        constructor: function(oStorage) {
+            BaseObject.call(this);
+            this._oStorage = oStorage;
+            this._pRecords = null;
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the product ID
+         * @returns {Promise<object>} resolves with the content of the files of the product by MediaID
+         */
+        read: function(sProductId) {
+            return this._readRecords().then(function(mRecords) {
+                return mRecords[sProductId] ? mRecords[sProductId].Files : {};
+            });
+        },
+
+        /**
+         * Adds files to those of a product.
+         * @public
+         * @param {string} sProductId the product ID
+         * @param {object} mContents the content of the new files by MediaID
+         * @returns {Promise} resolves when the files are stored
+         */
+        store: function(sProductId, mContents) {
+            var that = this;
+            if (!Object.keys(mContents).length) {
+                return Promise.resolve();
+            }
+            return this._readRecords().then(function(mRecords) {
+                var oRecord = mRecords[sProductId];
+                var oNewRecord = {
+                    ProductID: sProductId,
+                    Files: Object.assign({}, oRecord ? oRecord.Files : {}, mContents)
+                };
+                return (oRecord ? that._oStorage.update(oNewRecord) : that._oStorage.create(oNewRecord)).then(function() {
+                    mRecords[sProductId] = oNewRecord;
+                });
+            });
+        },
+
+        /**
+         * Removes all files of a product, e.g. when it is deleted for good.
+         * @public
+         * @param {string} sProductId the product ID
+         * @returns {Promise} resolves when the files are removed
+         */
+        remove: function(sProductId) {
+            var that = this;
+            return this._readRecords().then(function(mRecords) {
+                if (!mRecords[sProductId]) {
+                    return null;
+                }
+                return that._oStorage.remove(sProductId).then(function() {
+                    delete mRecords[sProductId];
+                });
+            });
+        },
+
+        /**
+         * Removes the files of all products, e.g. when the products are reset.
+         * @public
+         * @returns {Promise} resolves when the files are removed
+         */
+        clear: function() {
+            var that = this;
+            return this._oStorage.seed([]).then(function() {
+                that._pRecords = Promise.resolve({});
+            });
+        },
+
+        /**
+         * Forgets the records read so far, the next access reads them again, e.g. after another tab added files.
+         * @public
+         */
+        refresh: function() {
+            this._pRecords = null;
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oStorage.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        // the records are read once, on the first access, and then kept up to date
+        _readRecords: function() {
+            if (!this._pRecords) {
+                this._pRecords = this._oStorage.readAll().then(function(aRecords) {
+                    var mRecords = {};
+                    (aRecords || []).forEach(function(oRecord) {
+                        mRecords[oRecord.ProductID] = oRecord;
+                    });
+                    return mRecords;
+                });
+            }
+            return this._pRecords;
+        }
+    });
+});
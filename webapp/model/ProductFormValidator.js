@@ -0,0 +1,179 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/core/Element",
+    "sap/ui/core/message/Message",
+    "sap/ui/core/MessageType",
+    "sap/ui/model/json/JSONModel",
+    "sap/m/MessagePopover",
+    "sap/m/MessageItem",
+    "com/productapp/model/productSchema"
+], function(BaseObject, Element, Message, MessageType, JSONModel, MessagePopover, MessageItem, productSchema) {
+    "use strict";
+
+    /**
+     * Validates a product form against the product schema.
+     *
+     * Parse and constraint errors of the bound UI5 types and the schema issues all end up in the
+     * MessageManager, which sets the valueState of the affected inputs. The MessageManager is shared
+     * by all views, so the validator only looks at the messages of its form: those of its models and
+     * those of the controls in its view. The "formState" model of the view tells whether the form is
+     * valid and holds these messages, the message popover lists them.
+     *
+     * The view must hold the edited product in its "products" model and the specification rows
+     * in its "specs" model.
+     */
+    return BaseObject.extend("com.productapp.model.ProductFormValidator", {
+
+        /**
+         * @param {sap.ui.core.mvc.View} oView the view with the product form
+         * @param {function} fnGetProducts returns all existing products for the unique checks
+         */
+        constructor: function(oView, fnGetProducts) {
+            BaseObject.call(this);
+            this._oView = oView;
+            this._fnGetProducts = fnGetProducts;
+            this._aSchemaMessages = [];
+            this._aModels = [];
+
+            this._oMessageManager = sap.ui.getCore().getMessageManager();
+            this._oMessageManager.registerObject(oView, true);
+            var oMessageModel = this._oMessageManager.getMessageModel();
+
+            this._oStateModel = new JSONModel({
+                valid: false,
+                errorCount: 0,
+                messages: []
+            });
+            oView.setModel(this._oStateModel, "formState");
+
+            // the state follows every message change, including the ones of the UI5 types
+            this._oMessageBinding = oMessageModel.bindList("/");
+            this._oMessageBinding.attachChange(this._updateState, this);
+        },
+
+        /**
+         * Starts validating the current "products" and "specs" models of the view.
+         * Call it whenever the view gets new models, e.g. when a route is matched.
+         * @public
+         */
+        attach: function() {
+            this.reset();
+            this._aModels = [this._oView.getModel("products"), this._oView.getModel("specs")];
+            // messages the models still have belong to the form as it was before
+            this._oMessageManager.removeMessages(this._getMessages());
+            this._aModels.forEach(function(oModel) {
+                oModel.attachPropertyChange(this.validate, this);
+            }, this);
+            this.validate();
+        },
+
+        /**
+         * Runs the schema validation and replaces the previous schema messages.
+         * Programmatic changes via setProperty do not fire propertyChange, call this afterwards.
+         * @public
+         * @returns {boolean} true if the form has no errors at all
+         */
+        validate: function() {
+            var oProductModel = this._oView.getModel("products");
+            var oSpecsModel = this._oView.getModel("specs");
+            var aIssues = productSchema.validate(
+                oProductModel.getData(),
+                oSpecsModel.getProperty("/specs"),
+                this._fnGetProducts()
+            );
+
+            this._oMessageManager.removeMessages(this._aSchemaMessages);
+            this._aSchemaMessages = aIssues.map(function(oIssue) {
+                return new Message({
+                    message: oIssue.message,
+                    type: MessageType.Error,
+                    target: oIssue.path,
+                    processor: oIssue.model === "specs" ? oSpecsModel : oProductModel
+                });
+            });
+            this._oMessageManager.addMessages(this._aSchemaMessages);
+            this._updateState();
+            return this._oStateModel.getProperty("/valid");
+        },
+
+        /**
+         * Removes all messages of the form, e.g. after it was saved or left. Other views keep theirs.
+         * @public
+         */
+        reset: function() {
+            this._oMessageManager.removeMessages(this._getMessages());
+            this._detachModels();
+            this._aSchemaMessages = [];
+        },
+
+        /**
+         * Opens the popover listing all problems of the form.
+         * @public
+         * @param {sap.ui.core.Control} oSource the control to open the popover at
+         */
+        openMessagePopover: function(oSource) {
+            if (!this._oMessagePopover) {
+                this._oMessagePopover = new MessagePopover({
+                    items: {
+                        path: "formState>/messages",
+                        template: new MessageItem({
+                            title: "{formState>message}",
+                            subtitle: "{formState>additionalText}",
+                            type: "{formState>type}"
+                        })
+                    }
+                });
+                this._oView.addDependent(this._oMessagePopover);
+            }
+            this._oMessagePopover.openBy(oSource);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this.reset();
+            this._oMessageBinding.destroy();
+            this._oMessageManager.unregisterObject(this._oView);
+            this._oStateModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _detachModels: function() {
+            this._aModels.forEach(function(oModel) {
+                oModel.detachPropertyChange(this.validate, this);
+            }, this);
+            this._aModels = [];
+        },
+
+        /**
+         * @private
+         * @returns {sap.ui.core.message.Message[]} the messages of the form's models and of the controls in its view
+         */
+        _getMessages: function() {
+            var that = this;
+            return this._oMessageManager.getMessageModel().getData().filter(function(oMessage) {
+                if (that._aModels.indexOf(oMessage.getMessageProcessor()) !== -1) {
+                    return true;
+                }
+                // the UI5 types report to the control, their target is the control ID and the property
+                var oElement = Element.getElementById((oMessage.getTarget() || "").split("/")[0]);
+                while (oElement && oElement !== that._oView) {
+                    oElement = oElement.getParent();
+                }
+                return !!oElement;
+            });
+        },
+
+        _updateState: function() {
+            var aMessages = this._getMessages();
+            var aErrors = aMessages.filter(function(oMessage) {
+                return oMessage.getType() === MessageType.Error;
+            });
+            this._oStateModel.setProperty("/messages", aMessages);
+            this._oStateModel.setProperty("/errorCount", aErrors.length);
+            this._oStateModel.setProperty("/valid", aErrors.length === 0);
+        }
+    });
+});
@@ -0,0 +1,1017 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/json/JSONModel",
+    "sap/base/Log",
+    "./CommandHistory",
+    "./i18n",
+    "./inventory",
+    "./media",
+    "./variants",
+    "./pricing"
+], function(BaseObject, JSONModel, Log, CommandHistory, i18n, inventory, media, variants, pricing) {
+    "use strict";
+
+    function normalize(oProduct) {
+        return pricing.normalize(variants.normalize(media.normalize(inventory.normalize(oProduct))));
+    }
+
+    /**
+     * Single entry point for reading and changing products.
+     *
+     * The repository owns the "products" JSONModel the views bind against and keeps it in sync
+     * with a storage adapter. On the first run the storage is empty and gets seeded from the
+     * mock data file, afterwards all changes survive a reload.
+     *
+     * Deleted products go to a recycle bin with its own storage, from where they can be restored.
+     * Creates, edits, deletes and restores are recorded in a command history and can be undone.
+     * Every change of a quantity ends up in the stock ledger of the product, see the inventory module.
+     * A product can be sold in variants, whose total stock is its quantity, see the variants module.
+     * Every change of a price ends up in the price history of the product, see the pricing module.
+     * Every change of a product, also by an undo, is recorded in the audit trail, from where
+     * a product can be reverted to an earlier version.
+     * The content of the images and attachments of the products is kept in the media library.
+     * Products refer to their supplier by SupplierID, the SupplierName always follows the supplier.
+     *
+     * Every stored product has a Version, which goes up with each change. A product saved from an older
+     * version, e.g. one that was changed in another tab while it was edited, is rejected. The other tabs
+     * are told about every change and read the stored data again.
+     */
+    return BaseObject.extend("com.productapp.model.ProductRepository", {
+
+        /**
+         * @param {object} oStorage storage adapter, e.g. the LocalStorageAdapter
+         * @param {string} sSeedUrl URL of the JSON file used to seed an empty storage
+         * @param {object} oRecycleBinStorage storage adapter for the deleted products
+         * @param {com.productapp.model.AuditTrail} oAuditTrail the trail the changes are recorded in
+         * @param {com.productapp.model.MediaLibrary} oMediaLibrary the library the content of the files is kept in
+         * @param {com.productapp.model.SupplierRepository} oSupplierRepository the suppliers the products refer to
+         * @param {com.productapp.model.TabSync} [oTabSync] tells the other tabs about the changes and this one about theirs
+         */
+        constructor: function(oStorage, sSeedUrl, oRecycleBinStorage, oAuditTrail, oMediaLibrary, oSupplierRepository, oTabSync) {
+            BaseObject.call(this);
+            this._oStorage = oStorage;
+            this._sSeedUrl = sSeedUrl;
+            this._oRecycleBinStorage = oRecycleBinStorage;
+            this._oAuditTrail = oAuditTrail;
+            this._oMediaLibrary = oMediaLibrary;
+            this._oSupplierRepository = oSupplierRepository;
+            this._oModel = new JSONModel([]);
+            this._oRecycleBinModel = new JSONModel([]);
+            this._oHistory = new CommandHistory();
+            this._pLoaded = null;
+            this._oTabSync = oTabSync || null;
+            if (this._oTabSync) {
+                this._oTabSync.subscribe(this._onOtherTabChange.bind(this));
+            }
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the product array
+         */
+        getModel: function() {
+            return this._oModel;
+        },
+
+        /**
+         * Loads the products, the recycle bin, the audit trail and the suppliers from the storage, seeding it first if it is empty.
+         * @public
+         * @returns {Promise<object[]>} resolves with the loaded products
+         */
+        load: function() {
+            var that = this;
+            var pRecycleBin = this._oRecycleBinStorage.readAll().then(function(aDeleted) {
+                that._oRecycleBinModel.setData(aDeleted || []);
+            });
+            this._pLoaded = Promise.all([
+                this._oStorage.readAll(), pRecycleBin, this._oAuditTrail.load(), this._oSupplierRepository.load()
+            ]).then(function(aResults) {
+                if (aResults[0]) {
+                    return aResults[0];
+                }
+                return that._seed();
+            }).then(function(aProducts) {
+                that._oModel.setData(aProducts.map(normalize).map(that._linkSupplier, that));
+                return aProducts;
+            });
+            return this._pLoaded;
+        },
+
+        /**
+         * Reads the products, the recycle bin, the audit trail and the suppliers from the storage again,
+         * e.g. after another tab changed them. The undo history is kept.
+         * @public
+         * @returns {Promise<object[]>} resolves with the stored products
+         */
+        reload: function() {
+            var that = this;
+            this._oMediaLibrary.refresh();
+            return this.ready().then(function() {
+                return Promise.all([
+                    that._oStorage.readAll(), that._oRecycleBinStorage.readAll(), that._oAuditTrail.load(),
+                    that._oSupplierRepository.load()
+                ]);
+            }).then(function(aResults) {
+                var aProducts = aResults[0] || [];
+                that._oRecycleBinModel.setData(aResults[1] || []);
+                that._oModel.setData(aProducts.map(normalize).map(that._linkSupplier, that));
+                return aProducts;
+            });
+        },
+
+        /**
+         * @public
+         * @returns {Promise<object[]>} resolves once the products are loaded
+         */
+        ready: function() {
+            return this._pLoaded || this.load();
+        },
+
+        /**
+         * @public
+         * @returns {object[]} all currently loaded products
+         */
+        getAll: function() {
+            return this._oModel.getData() || [];
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the product ID
+         * @returns {object|null} the product or null if there is none with this ID
+         */
+        getById: function(sProductId) {
+            var iIndex = this.indexOf(sProductId);
+            return iIndex === -1 ? null : this.getAll()[iIndex];
+        },
+
+        /**
+         * @public
+         * @param {string} sSupplierId the supplier ID
+         * @returns {object[]} the products bought from the supplier
+         */
+        getBySupplier: function(sSupplierId) {
+            return this.getAll().filter(function(oProduct) {
+                return oProduct.SupplierID === sSupplierId;
+            });
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the product ID
+         * @returns {int} the position of the product in the model array or -1
+         */
+        indexOf: function(sProductId) {
+            var aProducts = this.getAll();
+            var iIndex = this._mIndexes && this._mIndexes[sProductId];
+            // the positions are looked up again once they are outdated, e.g. after a delete or a reload
+            if (iIndex === undefined || !aProducts[iIndex] || aProducts[iIndex].ProductID !== sProductId) {
+                this._mIndexes = Object.create(null);
+                aProducts.forEach(function(oProduct, i) {
+                    this._mIndexes[oProduct.ProductID] = i;
+                }, this);
+                iIndex = this._mIndexes[sProductId];
+            }
+            return iIndex === undefined ? -1 : iIndex;
+        },
+
+        /**
+         * Creates a product with a newly generated ID. Can be undone.
+         * @public
+         * @param {object} oProduct the product data without ProductID, newly added files with their Content
+         * @returns {Promise<object>} resolves with the created product
+         */
+        create: function(oProduct) {
+            var that = this;
+            var oNewProduct = inventory.reconcile(this._copy(oProduct));
+            var mContents = media.takeContents(oNewProduct);
+            oNewProduct.ProductID = this.generateId();
+            return this._oHistory.execute({
+                text: i18n.getText("commandCreate", [oNewProduct.Name]),
+                execute: function() {
+                    return that._oMediaLibrary.store(oNewProduct.ProductID, mContents).then(function() {
+                        return that._insert(oNewProduct);
+                    });
+                },
+                undo: function() {
+                    return that._delete(oNewProduct.ProductID);
+                }
+            });
+        },
+
+        /**
+         * Replaces an existing product, matched by its ProductID. Can be undone.
+         * The product has to have the Version that is stored, otherwise it is rejected with an error
+         * whose currentProduct is the stored product, so the changes can be merged into it.
+         * @public
+         * @param {object} oProduct the complete product data, newly added files with their Content
+         * @returns {Promise<object>} resolves with the updated product
+         */
+        update: function(oProduct) {
+            var that = this;
+            if (!this.getById(oProduct.ProductID)) {
+                return Promise.reject(new Error(i18n.getText("productMissingError", [oProduct.ProductID])));
+            }
+            // the product must still be stored in the version the user started from
+            return this._checkVersions([oProduct]).then(function(aStored) {
+                var oPrevious = aStored[0];
+                var oNewProduct = inventory.reconcile(that._copy(oProduct), oPrevious);
+                var mContents = media.takeContents(oNewProduct);
+                var oCommand = that._createReplaceCommand(i18n.getText("commandEdit", [oNewProduct.Name]), [oPrevious], [oNewProduct]);
+                var fnReplace = oCommand.execute;
+                oCommand.execute = function() {
+                    return that._oMediaLibrary.store(oNewProduct.ProductID, mContents).then(fnReplace);
+                };
+                return that._executeSingle(oCommand);
+            });
+        },
+
+        /**
+         * Moves a product to the recycle bin. Can be undone.
+         * If another tab saved the product meanwhile, it is rejected with an error whose currentProduct
+         * is the stored product.
+         * @public
+         * @param {string} sProductId the ID of the product to delete
+         * @returns {Promise} resolves when the product is deleted
+         */
+        remove: function(sProductId) {
+            var oProduct = this.getById(sProductId);
+            if (!oProduct) {
+                return Promise.reject(new Error(i18n.getText("productMissingError", [sProductId])));
+            }
+            return this._oHistory.execute(this._createRemoveCommand(i18n.getText("commandDelete", [oProduct.Name]), [this._copy(oProduct)]));
+        },
+
+        /**
+         * Replaces several products at once. The whole batch is undone in one step.
+         * @public
+         * @param {object[]} aProducts the complete data of the products to update
+         * @param {string} sText describes the change in the undo history
+         * @returns {Promise<object[]>} resolves with the updated products, rejects if the price or stock
+         *   of a product with variants no longer matches its variants
+         */
+        updateMany: function(aProducts, sText) {
+            var that = this;
+            var aPrevious = [];
+            for (var i = 0; i < aProducts.length; i++) {
+                var oPrevious = this.getById(aProducts[i].ProductID);
+                if (!oPrevious) {
+                    return Promise.reject(new Error(i18n.getText("productMissingError", [aProducts[i].ProductID])));
+                }
+                // the price and stock of a product with variants only change with its variants
+                var sIssue = variants.checkTotals(aProducts[i]);
+                if (sIssue) {
+                    return Promise.reject(new Error(sIssue));
+                }
+                aPrevious.push(this._copy(oPrevious));
+            }
+            var aNewProducts = aProducts.map(function(oProduct, iIndex) {
+                return inventory.reconcile(that._copy(oProduct), aPrevious[iIndex]);
+            });
+            return this._oHistory.execute(this._createReplaceCommand(sText, aPrevious, aNewProducts));
+        },
+
+        /**
+         * Books a receipt, sale or adjustment on the stock of a product. Can be undone.
+         * @public
+         * @param {string} sProductId the product ID
+         * @param {string} sType receipt, sale or adjustment
+         * @param {int} iQuantity the quantity, for an adjustment signed
+         * @param {string} [sReason] the reason, required for an adjustment
+         * @returns {Promise<object>} resolves with the updated product, rejects if the movement is not valid
+         */
+        recordMovement: function(sProductId, sType, iQuantity, sReason) {
+            var oPrevious = this.getById(sProductId);
+            var oNewProduct;
+            if (!oPrevious) {
+                return Promise.reject(new Error(i18n.getText("productMissingError", [sProductId])));
+            }
+            oPrevious = this._copy(oPrevious);
+            try {
+                oNewProduct = inventory.applyMovement(oPrevious, sType, iQuantity, sReason);
+            } catch (oError) {
+                return Promise.reject(oError);
+            }
+            return this._executeSingle(this._createReplaceCommand(
+                i18n.getText("commandStockMovement", [oNewProduct.Name]), [oPrevious], [oNewProduct]));
+        },
+
+        /**
+         * Books stock movements on several products as one change, e.g. of a bulk action. Can be undone.
+         * @public
+         * @param {object[]} aMovements the movements with ProductID, Type, Quantity and Reason, see recordMovement
+         * @param {string} sText describes the change in the undo history
+         * @returns {Promise<object[]>} resolves with the updated products, rejects if a movement is not valid
+         */
+        recordMovements: function(aMovements, sText) {
+            var aPrevious = [];
+            var aNewProducts = [];
+            for (var i = 0; i < aMovements.length; i++) {
+                var oPrevious = this.getById(aMovements[i].ProductID);
+                if (!oPrevious) {
+                    return Promise.reject(new Error(i18n.getText("productMissingError", [aMovements[i].ProductID])));
+                }
+                oPrevious = this._copy(oPrevious);
+                try {
+                    aNewProducts.push(inventory.applyMovement(oPrevious, aMovements[i].Type, aMovements[i].Quantity, aMovements[i].Reason));
+                } catch (oError) {
+                    return Promise.reject(oError);
+                }
+                aPrevious.push(oPrevious);
+            }
+            return this._oHistory.execute(this._createReplaceCommand(sText, aPrevious, aNewProducts));
+        },
+
+        /**
+         * Replaces the variant axes and the variants of a product. Can be undone.
+         * A changed total stock of the variants is booked as a correction on the product.
+         * @public
+         * @param {string} sProductId the product ID
+         * @param {object[]} aAxes the axes with Name and Values
+         * @param {object[]} aVariants the variants, see the variants module
+         * @returns {Promise<object>} resolves with the updated product, rejects if the variants are not valid or the product has scheduled prices
+         */
+        updateVariants: function(sProductId, aAxes, aVariants) {
+            var oPrevious = this.getById(sProductId);
+            if (!oPrevious) {
+                return Promise.reject(new Error(i18n.getText("productMissingError", [sProductId])));
+            }
+            var sIssue = variants.check(aAxes, aVariants);
+            if (sIssue) {
+                return Promise.reject(new Error(sIssue));
+            }
+            // the variants would overrule the scheduled prices, see the pricing module
+            if (aVariants.length && oPrevious.ScheduledPrices && oPrevious.ScheduledPrices.length) {
+                return Promise.reject(new Error(i18n.getText("variantScheduledPricesError")));
+            }
+            oPrevious = this._copy(oPrevious);
+            var oNewProduct = inventory.reconcile(variants.apply(this._copy(oPrevious), aAxes, aVariants), oPrevious);
+            return this._executeSingle(this._createReplaceCommand(
+                i18n.getText("commandVariants", [oNewProduct.Name]), [oPrevious], [oNewProduct]));
+        },
+
+        /**
+         * Replaces the scheduled prices and the discounts of a product. Can be undone.
+         * @public
+         * @param {string} sProductId the product ID
+         * @param {object[]} aScheduledPrices the scheduled prices with EffectiveDate and Price, none for a product with variants
+         * @param {object[]} aDiscounts the discounts with Type, Value, ValidFrom, ValidTo and Reason
+         * @returns {Promise<object>} resolves with the updated product, rejects if the prices are not valid
+         */
+        updatePricing: function(sProductId, aScheduledPrices, aDiscounts) {
+            var oPrevious = this.getById(sProductId);
+            if (!oPrevious) {
+                return Promise.reject(new Error(i18n.getText("productMissingError", [sProductId])));
+            }
+            var sIssue = pricing.check(aScheduledPrices, aDiscounts);
+            if (sIssue) {
+                return Promise.reject(new Error(sIssue));
+            }
+            if (aScheduledPrices.length && oPrevious.Variants && oPrevious.Variants.length) {
+                return Promise.reject(new Error(i18n.getText("pricingScheduledVariantsError")));
+            }
+            oPrevious = this._copy(oPrevious);
+            var oNewProduct = pricing.apply(this._copy(oPrevious), aScheduledPrices, aDiscounts);
+            return this._executeSingle(this._createReplaceCommand(
+                i18n.getText("commandPricing", [oNewProduct.Name]), [oPrevious], [oNewProduct]));
+        },
+
+        /**
+         * Reverts a product to the version recorded with an entry of the audit trail. Can be undone.
+         * The stock ledger is not reverted, a different quantity is booked as a correction.
+         * @public
+         * @param {string} sProductId the product ID
+         * @param {string} sEntryId the ID of the audit trail entry
+         * @returns {Promise<object>} resolves with the reverted product
+         */
+        revert: function(sProductId, sEntryId) {
+            var that = this;
+            var oPrevious = this.getById(sProductId);
+            var oEntry = this._oAuditTrail.getEntry(sProductId, sEntryId);
+            if (!oPrevious) {
+                return Promise.reject(new Error(i18n.getText("productMissingError", [sProductId])));
+            }
+            if (!oEntry) {
+                return Promise.reject(new Error(i18n.getText("auditVersionMissingError")));
+            }
+            oPrevious = this._copy(oPrevious);
+            var oReverted = this._copy(oEntry.Snapshot);
+            oReverted.ProductID = sProductId;
+            oReverted.StockMovements = this._copy(oPrevious.StockMovements);
+            oReverted = inventory.reconcile(oReverted, oPrevious);
+            // the versions keep no thumbnails, the content of the images is still in the library
+            return this._oMediaLibrary.read(sProductId).then(function(mContents) {
+                return media.restoreThumbnails(oReverted.Images, oPrevious.Images, mContents);
+            }).then(function() {
+                return that._executeSingle(that._createReplaceCommand(
+                    i18n.getText("commandRevert", [oReverted.Name]), [oPrevious], [oReverted], "revert"));
+            });
+        },
+
+        /**
+         * Brings the SupplierName of the products of a supplier in line with it, e.g. after a rename.
+         * This is no change of the user, so it cannot be undone, but it is recorded in the audit trail.
+         * @public
+         * @param {string} sSupplierId the supplier ID
+         * @returns {Promise<object[]>} resolves with the changed products
+         */
+        updateSupplierNames: function(sSupplierId) {
+            var oSupplier = this._oSupplierRepository.getById(sSupplierId);
+            var aProducts = this.getBySupplier(sSupplierId).filter(function(oProduct) {
+                return oSupplier && oProduct.SupplierName !== oSupplier.Name;
+            });
+            return this._sequence(aProducts.map(this._copy), this._replace);
+        },
+
+        /**
+         * Moves the products of a supplier to another one, e.g. before the supplier is deleted.
+         * This cannot be undone, as the supplier it is done for usually goes.
+         * @public
+         * @param {string} sSupplierId the ID of the supplier the products are bought from now
+         * @param {string} sNewSupplierId the ID of the supplier they are bought from in future
+         * @returns {Promise<object[]>} resolves with the changed products
+         */
+        reassignSupplier: function(sSupplierId, sNewSupplierId) {
+            var that = this;
+            var oNewSupplier = this._oSupplierRepository.getById(sNewSupplierId);
+            if (!oNewSupplier) {
+                return Promise.reject(new Error(i18n.getText("supplierMissingError", [sNewSupplierId])));
+            }
+            var aProducts = this.getBySupplier(sSupplierId).map(function(oProduct) {
+                var oChanged = that._copy(oProduct);
+                oChanged.SupplierID = oNewSupplier.SupplierID;
+                oChanged.SupplierName = oNewSupplier.Name;
+                return oChanged;
+            });
+            return this._sequence(aProducts, this._replace);
+        },
+
+        /**
+         * @public
+         * @returns {com.productapp.model.SupplierRepository} the suppliers the products refer to
+         */
+        getSupplierRepository: function() {
+            return this._oSupplierRepository;
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the product ID
+         * @returns {Promise<object>} resolves with the content of the images and attachments of the product by MediaID
+         */
+        getMediaContents: function(sProductId) {
+            return this._oMediaLibrary.read(sProductId);
+        },
+
+        /**
+         * @public
+         * @returns {com.productapp.model.AuditTrail} the trail the changes are recorded in
+         */
+        getAuditTrail: function() {
+            return this._oAuditTrail;
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the audit trail, see AuditTrail
+         */
+        getAuditModel: function() {
+            return this._oAuditTrail.getModel();
+        },
+
+        /**
+         * Moves several products to the recycle bin at once. The whole batch is undone in one step.
+         * None is deleted if another tab saved one of them meanwhile.
+         * @public
+         * @param {string[]} aProductIds the IDs of the products to delete
+         * @param {string} sText describes the change in the undo history
+         * @returns {Promise} resolves when the products are deleted
+         */
+        removeMany: function(aProductIds, sText) {
+            var aProducts = [];
+            for (var i = 0; i < aProductIds.length; i++) {
+                var oProduct = this.getById(aProductIds[i]);
+                if (!oProduct) {
+                    return Promise.reject(new Error(i18n.getText("productMissingError", [aProductIds[i]])));
+                }
+                aProducts.push(this._copy(oProduct));
+            }
+            return this._oHistory.execute(this._createRemoveCommand(sText, aProducts));
+        },
+
+        /**
+         * Creates and replaces several products at once, e.g. for an import.
+         * The whole batch is undone in one step.
+         * @public
+         * @param {object[]} aNewProducts the data of the products to create, they get newly generated IDs
+         * @param {object[]} aChangedProducts the complete data of existing products to update
+         * @param {string} sText describes the change in the undo history
+         * @returns {Promise<object[]>} resolves with the created and updated products, rejects if the price
+         *   or stock of a product with variants no longer matches its variants
+         */
+        saveMany: function(aNewProducts, aChangedProducts, sText) {
+            var that = this;
+            var aPrevious = [];
+            for (var i = 0; i < aChangedProducts.length; i++) {
+                var oPrevious = this.getById(aChangedProducts[i].ProductID);
+                if (!oPrevious) {
+                    return Promise.reject(new Error(i18n.getText("productMissingError", [aChangedProducts[i].ProductID])));
+                }
+                var sIssue = variants.checkTotals(aChangedProducts[i]);
+                if (sIssue) {
+                    return Promise.reject(new Error(sIssue));
+                }
+                aPrevious.push(this._copy(oPrevious));
+            }
+            var iNextId = parseInt(this.generateId(), 10);
+            var aCreated = aNewProducts.map(function(oProduct) {
+                var oNewProduct = inventory.reconcile(that._copy(oProduct));
+                oNewProduct.ProductID = (iNextId++).toString();
+                return oNewProduct;
+            });
+            var aChanged = aChangedProducts.map(function(oProduct, iIndex) {
+                return inventory.reconcile(that._copy(oProduct), aPrevious[iIndex]);
+            });
+            var oReplaceCommand = this._createReplaceCommand(sText, aPrevious, aChanged);
+            return this._oHistory.execute({
+                text: sText,
+                execute: function() {
+                    // the changed products are checked before anything is written
+                    return that._checkVersions(oReplaceCommand.expected).then(function() {
+                        return that._sequence(aCreated, that._insert);
+                    }).then(function(aInserted) {
+                        return oReplaceCommand.execute().then(function(aReplaced) {
+                            return aInserted.concat(aReplaced);
+                        });
+                    });
+                },
+                undo: function() {
+                    return oReplaceCommand.undo().then(function() {
+                        return that._sequence(aCreated.map(function(oProduct) {
+                            return oProduct.ProductID;
+                        }), that._delete);
+                    });
+                }
+            });
+        },
+
+        /**
+         * Brings a product back from the recycle bin. Can be undone.
+         * @public
+         * @param {string} sProductId the ID of the deleted product
+         * @returns {Promise<object>} resolves with the restored product
+         */
+        restore: function(sProductId) {
+            var that = this;
+            var oDeleted = this._findDeleted(sProductId);
+            if (!oDeleted) {
+                return Promise.reject(new Error(i18n.getText("productNotDeletedError", [sProductId])));
+            }
+            var oProduct = this._stripDeletedAt(oDeleted);
+            return this._oHistory.execute({
+                text: i18n.getText("commandRestore", [oProduct.Name]),
+                execute: function() {
+                    return that._restoreFromRecycleBin(sProductId);
+                },
+                undo: function() {
+                    return that._moveToRecycleBin(oProduct);
+                }
+            });
+        },
+
+        /**
+         * Deletes a product from the recycle bin for good, together with its files. This cannot be undone.
+         * @public
+         * @param {string} sProductId the ID of the deleted product
+         * @returns {Promise} resolves when the product is gone
+         */
+        purge: function(sProductId) {
+            var that = this;
+            if (!this._findDeleted(sProductId)) {
+                return Promise.reject(new Error(i18n.getText("productNotDeletedError", [sProductId])));
+            }
+            return this._oRecycleBinStorage.remove(sProductId).then(function() {
+                that._removeFromModel(that._oRecycleBinModel, sProductId);
+                that._publish();
+                return that._oMediaLibrary.remove(sProductId);
+            });
+        },
+
+        /**
+         * Deletes all products in the recycle bin for good. This cannot be undone.
+         * @public
+         * @returns {Promise} resolves when the recycle bin is empty
+         */
+        emptyRecycleBin: function() {
+            var that = this;
+            var aProductIds = this._oRecycleBinModel.getData().map(function(oDeleted) {
+                return oDeleted.ProductID;
+            });
+            return this._oRecycleBinStorage.seed([]).then(function() {
+                that._oRecycleBinModel.setData([]);
+                that._publish();
+                return that._sequence(aProductIds, function(sProductId) {
+                    return that._oMediaLibrary.remove(sProductId);
+                });
+            });
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the deleted products, each with a DeletedAt timestamp
+         */
+        getRecycleBinModel: function() {
+            return this._oRecycleBinModel;
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model telling whether and what can be undone or redone
+         */
+        getHistoryModel: function() {
+            return this._oHistory.getModel();
+        },
+
+        /**
+         * Undoes the last create, edit, delete or restore.
+         * @public
+         * @returns {Promise<object|null>} resolves with the undone command or null if there was nothing to undo
+         */
+        undo: function() {
+            return this._oHistory.undo();
+        },
+
+        /**
+         * Redoes the last undone change.
+         * @public
+         * @returns {Promise<object|null>} resolves with the redone command or null if there was nothing to redo
+         */
+        redo: function() {
+            return this._oHistory.redo();
+        },
+
+        /**
+         * Throws away all changes and restores the products from the seed file.
+         * The recycle bin, the undo history, the audit trail and the media library are cleared as well,
+         * the suppliers are restored from their seed file.
+         * @public
+         * @returns {Promise<object[]>} resolves with the seed products
+         */
+        reset: function() {
+            var that = this;
+            this._oHistory.clear();
+            this._pLoaded = Promise.all([
+                this._oStorage.clear(), this.emptyRecycleBin(), this._oAuditTrail.clear(), this._oSupplierRepository.reset()
+            ]).then(function() {
+                // emptying the recycle bin removes files from the library as well, so it is cleared afterwards
+                return that._oMediaLibrary.clear();
+            }).then(function() {
+                return that._seed();
+            }).then(function(aProducts) {
+                that._oModel.setData(aProducts.map(normalize).map(that._linkSupplier, that));
+                that._publish();
+                return aProducts;
+            });
+            return this._pLoaded;
+        },
+
+        /**
+         * @public
+         * @returns {string} the next free numeric product ID
+         */
+        generateId: function() {
+            var iMaxId = 0;
+            // find the highest existing ID, deleted products keep theirs for a restore
+            this.getAll().concat(this._oRecycleBinModel.getData()).forEach(function(product) {
+                var iId = parseInt(product.ProductID, 10);
+                if (iId > iMaxId) {
+                    iMaxId = iId;
+                }
+            });
+            return (iMaxId + 1).toString();
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            if (this._oTabSync) {
+                this._oTabSync.destroy();
+            }
+            this._oStorage.destroy();
+            this._oRecycleBinStorage.destroy();
+            this._oAuditTrail.destroy();
+            this._oMediaLibrary.destroy();
+            this._oSupplierRepository.destroy();
+            this._oHistory.destroy();
+            this._oModel.destroy();
+            this._oRecycleBinModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _seed: function() {
+            var that = this;
+            var oSeedModel = new JSONModel();
+            return new Promise(function(resolve, reject) {
+                oSeedModel.attachRequestCompleted(function(oEvent) {
+                    if (oEvent.getParameter("success")) {
+                        resolve(oSeedModel.getData());
+                    } else {
+                        reject(new Error("Could not load seed data from " + that._sSeedUrl));
+                    }
+                    oSeedModel.destroy();
+                });
+                oSeedModel.loadData(that._sSeedUrl);
+            }).then(function(aProducts) {
+                return that._oStorage.seed(aProducts).then(function() {
+                    return aProducts;
+                });
+            });
+        },
+
+        _insert: function(oProduct, sAction) {
+            var that = this;
+            var oNewProduct = this._linkSupplier(this._copy(oProduct));
+            // a restored product goes on from the version it was deleted with
+            oNewProduct.Version = (oNewProduct.Version || 0) + 1;
+            pricing.record(oNewProduct);
+            return this._oStorage.create(oNewProduct).then(function(oStored) {
+                var aProducts = that.getAll();
+                aProducts.push(oStored);
+                that._oModel.setData(aProducts);
+                that._oModel.refresh(true);
+                that._publish();
+                return that._record(sAction || "create", null, oStored).then(function() {
+                    return oStored;
+                });
+            });
+        },
+
+        _replace: function(oProduct, sAction) {
+            var that = this;
+            var oBefore = this._copy(this.getById(oProduct.ProductID));
+            var oNewProduct = this._linkSupplier(this._copy(oProduct));
+            // an undo brings back an older version, it is a change nonetheless
+            oNewProduct.Version = (oBefore && oBefore.Version || 0) + 1;
+            pricing.record(oNewProduct, oBefore);
+            return this._oStorage.update(oNewProduct).then(function(oStored) {
+                // the index may have changed while the storage was busy
+                var iIndex = that.indexOf(oStored.ProductID);
+                that.getAll()[iIndex] = oStored;
+                that._oModel.refresh(true);
+                that._publish();
+                return that._record(sAction || "update", oBefore, oStored).then(function() {
+                    return oStored;
+                });
+            });
+        },
+
+        _delete: function(sProductId) {
+            var that = this;
+            var oBefore = this._copy(this.getById(sProductId));
+            return this._oStorage.remove(sProductId).then(function() {
+                that._removeFromModel(that._oModel, sProductId);
+                that._publish();
+                return that._record("delete", oBefore, null);
+            });
+        },
+
+        /**
+         * Links a product to the supplier with its SupplierName, so imported and older products get
+         * their SupplierID. A name no supplier has any more, e.g. in a version written before a rename
+         * and brought back by an undo, is taken from the supplier of the SupplierID. A name without a
+         * supplier, e.g. of a deleted one, is kept as it is.
+         * @private
+         * @param {object} oProduct the product, it is changed
+         * @returns {object} the product
+         */
+        _linkSupplier: function(oProduct) {
+            var oSupplier = this._oSupplierRepository.getByName(oProduct.SupplierName) ||
+                oProduct.SupplierID && this._oSupplierRepository.getById(oProduct.SupplierID);
+            oProduct.SupplierID = oSupplier ? oSupplier.SupplierID : "";
+            if (oSupplier) {
+                oProduct.SupplierName = oSupplier.Name;
+            }
+            return oProduct;
+        },
+
+        // the model follows the stored data, also when another tab changed it
+        _onOtherTabChange: function() {
+            this.reload().catch(function(oError) {
+                Log.error("Could not read the changes of another tab", oError.message, "com.productapp.model.ProductRepository");
+            });
+        },
+
+        _publish: function() {
+            if (this._oTabSync) {
+                this._oTabSync.publish();
+            }
+        },
+
+        /**
+         * Records a change in the audit trail. The change itself is done, so a failing record is only logged.
+         * @private
+         * @returns {Promise} resolves when the change is recorded
+         */
+        _record: function(sAction, oBefore, oAfter) {
+            return this._oAuditTrail.record(sAction, oBefore, oAfter).catch(function(oError) {
+                Log.error("Could not record the change in the audit trail", oError.message, "com.productapp.model.ProductRepository");
+            });
+        },
+
+        _moveToRecycleBin: function(oProduct) {
+            var that = this;
+            var oDeleted = this._copy(oProduct);
+            oDeleted.DeletedAt = new Date().toISOString();
+            return this._delete(oProduct.ProductID).then(function() {
+                return that._oRecycleBinStorage.create(oDeleted);
+            }).then(function() {
+                var aDeleted = that._oRecycleBinModel.getData();
+                aDeleted.push(oDeleted);
+                that._oRecycleBinModel.setData(aDeleted);
+                that._oRecycleBinModel.refresh(true);
+                that._publish();
+            });
+        },
+
+        _restoreFromRecycleBin: function(sProductId) {
+            var that = this;
+            var oDeleted = this._findDeleted(sProductId);
+            if (!oDeleted) {
+                return Promise.reject(new Error(i18n.getText("productNotDeletedError", [sProductId])));
+            }
+            return this._insert(this._stripDeletedAt(oDeleted), "restore").then(function(oRestored) {
+                return that._oRecycleBinStorage.remove(sProductId).then(function() {
+                    that._removeFromModel(that._oRecycleBinModel, sProductId);
+                    that._publish();
+                    return oRestored;
+                });
+            });
+        },
+
+        /**
+         * Creates a command that replaces products and brings back their previous versions on undo.
+         * Every step first checks that the stored products are still in the versions the step starts from,
+         * those the previous step left, so a save of another tab meanwhile is never overwritten.
+         * @private
+         * @param {string} sText describes the change in the undo history
+         * @param {object[]} aPrevious the products as they are before the change
+         * @param {object[]} aNewProducts the products as they are after the change
+         * @param {string} [sAction] the action recorded in the audit trail for the change, by default update
+         * @returns {object} the command, its expected products are the versions the next step starts from
+         */
+        _createReplaceCommand: function(sText, aPrevious, aNewProducts, sAction) {
+            var that = this;
+            var oCommand = {
+                text: sText,
+                expected: aPrevious,
+                execute: function() {
+                    return fnStep(aNewProducts, sAction);
+                },
+                undo: function() {
+                    return fnStep(aPrevious);
+                }
+            };
+            function fnStep(aProducts, sStepAction) {
+                return that._checkVersions(oCommand.expected).then(function() {
+                    return that._sequence(aProducts, function(oProduct) {
+                        return that._replace(oProduct, sStepAction);
+                    });
+                }).then(function(aStored) {
+                    oCommand.expected = aStored;
+                    return aStored;
+                });
+            }
+            return oCommand;
+        },
+
+        /**
+         * Creates a command that moves products to the recycle bin and restores them on undo.
+         * Like a replace, a delete first checks that the stored products are still in the versions
+         * the user saw, so a save of another tab meanwhile is not thrown away unseen.
+         * @private
+         * @param {string} sText describes the change in the undo history
+         * @param {object[]} aProducts the products as they are before the delete
+         * @returns {object} the command
+         */
+        _createRemoveCommand: function(sText, aProducts) {
+            var that = this;
+            var aProductIds = aProducts.map(function(oProduct) {
+                return oProduct.ProductID;
+            });
+            var oCommand = {
+                text: sText,
+                expected: aProducts,
+                execute: function() {
+                    return that._checkVersions(oCommand.expected).then(function(aStored) {
+                        return that._sequence(aStored, that._moveToRecycleBin);
+                    });
+                },
+                undo: function() {
+                    return that._sequence(aProductIds, that._restoreFromRecycleBin).then(function(aRestored) {
+                        // a redo deletes the products as they are restored
+                        oCommand.expected = aRestored;
+                        return aRestored;
+                    });
+                }
+            };
+            return oCommand;
+        },
+
+        /**
+         * Executes a command for a single product.
+         * @private
+         * @param {object} oCommand the command, see _createReplaceCommand
+         * @returns {Promise<object>} resolves with the stored product
+         */
+        _executeSingle: function(oCommand) {
+            return this._oHistory.execute(oCommand).then(function(aStored) {
+                return aStored[0];
+            });
+        },
+
+        /**
+         * Checks that the products are stored in the given versions. If not, another tab saved one of them
+         * meanwhile, which this one may not have heard of yet, so the stored products are read again.
+         * @private
+         * @param {object[]} aProducts the products with ProductID and the Version they must have
+         * @returns {Promise<object[]>} resolves with the stored products, rejects with the currentProduct on a conflict
+         */
+        _checkVersions: function(aProducts) {
+            var that = this;
+            return this._oStorage.readAll().then(function(aStored) {
+                var mStored = {};
+                (aStored || []).forEach(function(oStored) {
+                    mStored[oStored.ProductID] = oStored;
+                });
+                return aProducts.map(function(oProduct) {
+                    var oStored = mStored[oProduct.ProductID];
+                    if (!oStored) {
+                        throw new Error(i18n.getText("productMissingError", [oProduct.ProductID]));
+                    }
+                    var oCurrent = that._linkSupplier(normalize(that._copy(oStored)));
+                    if ((oCurrent.Version || 0) !== (oProduct.Version || 0)) {
+                        var oError = new Error(i18n.getText("productVersionConflictError", [oCurrent.Name]));
+                        oError.currentProduct = oCurrent;
+                        that._onOtherTabChange();
+                        throw oError;
+                    }
+                    return oCurrent;
+                });
+            });
+        },
+
+        /**
+         * Calls fnStep for one item after the other, the storages are not made for parallel writes.
+         * @private
+         * @returns {Promise<Array>} resolves with the results of all steps
+         */
+        _sequence: function(aItems, fnStep) {
+            var that = this;
+            var aResults = [];
+            return aItems.reduce(function(pPrevious, vItem) {
+                return pPrevious.then(function() {
+                    return fnStep.call(that, vItem);
+                }).then(function(vResult) {
+                    aResults.push(vResult);
+                });
+            }, Promise.resolve()).then(function() {
+                return aResults;
+            });
+        },
+
+        _findDeleted: function(sProductId) {
+            var aDeleted = this._oRecycleBinModel.getData();
+            for (var i = 0; i < aDeleted.length; i++) {
+                if (aDeleted[i].ProductID === sProductId) {
+                    return aDeleted[i];
+                }
+            }
+            return null;
+        },
+
+        _stripDeletedAt: function(oDeleted) {
+            var oProduct = this._copy(oDeleted);
+            delete oProduct.DeletedAt;
+            return oProduct;
+        },
+
+        _removeFromModel: function(oModel, sProductId) {
+            var aProducts = oModel.getData();
+            for (var i = 0; i < aProducts.length; i++) {
+                if (aProducts[i].ProductID === sProductId) {
+                    aProducts.splice(i, 1);
+                    break;
+                }
+            }
+            oModel.setData(aProducts);
+            oModel.refresh(true);
+        },
+
+        _copy: function(oProduct) {
+            // the views edit their own copies, the model and the storage must not share them
+            return JSON.parse(JSON.stringify(oProduct));
+        }
+    });
+});
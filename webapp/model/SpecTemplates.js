@@ -0,0 +1,283 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/json/JSONModel",
+    "./i18n"
+], function(BaseObject, JSONModel, i18n) {
+    "use strict";
+
+    var TYPES = ["text", "number", "enum", "boolean"];
+    var NUMBER_PATTERN = /^(-?\d+(?:\.\d+)?)\s*(.*)$/;
+
+    function findTemplate(sCategory, mTemplates) {
+        var sName = (sCategory || "").trim().toLowerCase();
+        var sMatch = Object.keys(mTemplates || {}).filter(function(sTemplate) {
+            return sTemplate.toLowerCase() === sName;
+        })[0];
+        return sMatch ? mTemplates[sMatch] : null;
+    }
+
+    // a number may be given with or without the unit of its attribute
+    function parseNumber(oAttribute, sValue) {
+        var aMatch = NUMBER_PATTERN.exec(String(sValue).trim());
+        if (!aMatch || (aMatch[2] && aMatch[2].toLowerCase() !== (oAttribute.unit || "").toLowerCase())) {
+            return null;
+        }
+        return aMatch[1];
+    }
+
+    /**
+     * Checks a value against an attribute of a template.
+     * @param {object} oAttribute the attribute with key, type and, depending on the type, unit or values
+     * @param {string} sValue the value, not empty
+     * @returns {string|null} the message of the issue, null if the value fits
+     */
+    function checkValue(oAttribute, sValue) {
+        switch (oAttribute.type) {
+            case "number":
+                return parseNumber(oAttribute, sValue) === null ? i18n.getText("validationNumber", [oAttribute.key]) : null;
+            case "enum":
+                return oAttribute.values.indexOf(sValue) === -1 ?
+                    i18n.getText("validationValues", [oAttribute.key, oAttribute.values.join(", ")]) : null;
+            case "boolean":
+                return sValue !== "true" && sValue !== "false" ? i18n.getText("validationBoolean", [oAttribute.key]) : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Checks the specifications of a product against the template of its category.
+     * @param {string} sCategory the category of the product
+     * @param {object} oSpecifications the specifications by key
+     * @param {object} mTemplates the templates by category
+     * @returns {string[]} the messages of all issues, empty if the product fits or its category has no template
+     */
+    function check(sCategory, oSpecifications, mTemplates) {
+        var aTemplate = findTemplate(sCategory, mTemplates) || [];
+        var aIssues = [];
+        aTemplate.forEach(function(oAttribute) {
+            var vValue = (oSpecifications || {})[oAttribute.key];
+            var sValue = vValue === undefined || vValue === null ? "" : String(vValue).trim();
+            if (!sValue) {
+                if (oAttribute.required) {
+                    aIssues.push(i18n.getText("validationSpecValue", [oAttribute.key]));
+                }
+                return;
+            }
+            var sIssue = checkValue(oAttribute, sValue);
+            if (sIssue) {
+                aIssues.push(sIssue);
+            }
+        });
+        return aIssues;
+    }
+
+    /**
+     * The value of a form row as it is stored, numbers get the unit of their attribute.
+     * @param {object} oRow the specification row of the form
+     * @returns {string} the value
+     */
+    function toValue(oRow) {
+        var sValue = String(oRow.value === undefined || oRow.value === null ? "" : oRow.value).trim();
+        if (oRow.template && oRow.type === "number" && oRow.unit && sValue) {
+            var sNumber = parseNumber(oRow, sValue);
+            return sNumber === null ? sValue : sNumber + " " + oRow.unit;
+        }
+        return sValue;
+    }
+
+    /**
+     * Specification templates by category.
+     *
+     * A template defines the attributes products of a category are described with: the key, the type
+     * (text, number with an optional unit, enum with the allowed values or boolean) and whether it is
+     * required. The templates come from a JSON file an admin maintains. Categories without a template
+     * only have free specifications.
+     *
+     * The product form shows a row per attribute of the template with a matching input, followed by
+     * the custom rows. Products stored before, or changed by an import, may not fit their template;
+     * they are flagged but not blocked.
+     *
+     * The "specTemplates" model holds templates by category and the categories with a template.
+     */
+    var SpecTemplates = BaseObject.extend("com.productapp.model.SpecTemplates", {
+
+        /**
+         * @param {string} sTemplatesUrl URL of the JSON file with the templates
+         */
+        constructor: function(sTemplatesUrl) {
+            BaseObject.call(this);
+            this._sTemplatesUrl = sTemplatesUrl;
+            this._oModel = new JSONModel({
+                templates: {},
+                categories: []
+            });
+            this._pLoaded = null;
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the templates
+         */
+        getModel: function() {
+            return this._oModel;
+        },
+
+        /**
+         * Loads the templates, attributes with an unknown type are left out.
+         * @public
+         * @returns {Promise<object>} resolves with the templates by category
+         */
+        load: function() {
+            var that = this;
+            var oTemplatesModel = new JSONModel();
+            this._pLoaded = new Promise(function(resolve, reject) {
+                oTemplatesModel.attachRequestCompleted(function(oEvent) {
+                    if (oEvent.getParameter("success")) {
+                        resolve(oTemplatesModel.getData());
+                    } else {
+                        reject(new Error("Could not load the specification templates from " + that._sTemplatesUrl));
+                    }
+                    oTemplatesModel.destroy();
+                });
+                oTemplatesModel.loadData(that._sTemplatesUrl);
+            }).then(function(oData) {
+                var mTemplates = that._checkTemplates(oData);
+                that._oModel.setData({
+                    templates: mTemplates,
+                    categories: Object.keys(mTemplates).sort().map(function(sName) {
+                        return { name: sName };
+                    })
+                });
+                return mTemplates;
+            });
+            return this._pLoaded;
+        },
+
+        /**
+         * @public
+         * @returns {Promise<object>} resolves once the templates are loaded
+         */
+        ready: function() {
+            return this._pLoaded || this.load();
+        },
+
+        /**
+         * @public
+         * @param {string} sCategory the category, case is ignored
+         * @returns {object[]|null} the attributes of the template, null if the category has none
+         */
+        getTemplate: function(sCategory) {
+            return findTemplate(sCategory, this._oModel.getProperty("/templates"));
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @returns {string[]} the messages of all issues with the template of its category, empty if it fits
+         */
+        check: function(oProduct) {
+            return check(oProduct.Category, oProduct.Specifications, this._oModel.getProperty("/templates"));
+        },
+
+        /**
+         * Lines up the specification rows of the form with the template of a category. Every attribute
+         * gets a typed row, filled from a row with the same key regardless of case. The other rows stay
+         * as custom rows, except the empty ones of a previous template.
+         * @public
+         * @param {string} sCategory the category
+         * @param {object[]} aRows the current rows with key and value, and the template fields if they came from one
+         * @returns {object[]} the rows of the template, followed by the custom rows
+         */
+        createRows: function(sCategory, aRows) {
+            var aRemaining = (aRows || []).slice();
+            var aTemplateRows = (this.getTemplate(sCategory) || []).map(function(oAttribute) {
+                var sValue = "";
+                for (var i = 0; i < aRemaining.length; i++) {
+                    if ((aRemaining[i].key || "").trim().toLowerCase() === oAttribute.key.toLowerCase()) {
+                        sValue = toValue(aRemaining.splice(i, 1)[0]);
+                        break;
+                    }
+                }
+                if (oAttribute.type === "number" && sValue) {
+                    // the unit is shown next to the input, a value that is no number is kept to be corrected
+                    sValue = parseNumber(oAttribute, sValue) || sValue;
+                }
+                return {
+                    key: oAttribute.key,
+                    value: sValue,
+                    template: true,
+                    type: oAttribute.type,
+                    unit: oAttribute.unit || "",
+                    required: !!oAttribute.required,
+                    options: [""].concat(oAttribute.values || []).map(function(sOption) {
+                        return { key: sOption };
+                    })
+                };
+            });
+            var aCustomRows = aRemaining.filter(function(oRow) {
+                return !oRow.template || !!toValue(oRow);
+            }).map(function(oRow) {
+                return SpecTemplates.createCustomRow(oRow.key, toValue(oRow));
+            });
+            return aTemplateRows.concat(aCustomRows);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _checkTemplates: function(oData) {
+            var mTemplates = {};
+            if (!oData || !oData.templates) {
+                throw new Error("The specification templates file needs templates by category");
+            }
+            Object.keys(oData.templates).forEach(function(sCategory) {
+                mTemplates[sCategory] = (oData.templates[sCategory] || []).filter(function(oAttribute) {
+                    return oAttribute && oAttribute.key && TYPES.indexOf(oAttribute.type) !== -1 &&
+                        (oAttribute.type !== "enum" || Array.isArray(oAttribute.values));
+                });
+            });
+            return mTemplates;
+        }
+    });
+
+    /**
+     * @public
+     * @static
+     * @param {string} [sKey] the key
+     * @param {string} [sValue] the value
+     * @returns {object} a free specification row of the form
+     */
+    SpecTemplates.createCustomRow = function(sKey, sValue) {
+        return { key: sKey || "", value: sValue || "", template: false, type: "text", unit: "", required: false, options: [] };
+    };
+
+    /**
+     * Checks without a templates instance, e.g. in formatters that get the templates from the "specTemplates" model.
+     * @public
+     * @static
+     */
+    SpecTemplates.check = check;
+
+    /**
+     * Checks a value of a form row or a stored product against its attribute.
+     * @public
+     * @static
+     */
+    SpecTemplates.checkValue = checkValue;
+
+    /**
+     * Converts a form row to the value that is stored.
+     * @public
+     * @static
+     */
+    SpecTemplates.toValue = toValue;
+
+    return SpecTemplates;
+});
@@ -0,0 +1,240 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/json/JSONModel",
+    "./i18n"
+], function(BaseObject, JSONModel, i18n) {
+    "use strict";
+
+    /**
+     * Reads and changes the suppliers the products are bought from.
+     *
+     * The repository owns the "suppliers" JSONModel and keeps it in sync with a storage adapter,
+     * which is seeded from the mock data file on the first run like the products. Products refer to
+     * a supplier by its SupplierID; keeping their SupplierName in line and reassigning the products
+     * of a deleted supplier is done by the ProductRepository. Changes of suppliers cannot be undone.
+     */
+    return BaseObject.extend("com.productapp.model.SupplierRepository", {
+
+        /**
+         * @param {object} oStorage storage adapter with SupplierID as key property
+         * @param {string} sSeedUrl URL of the JSON file used to seed an empty storage
+         * @param {com.productapp.model.TabSync} [oTabSync] tells the other tabs about the changes,
+         *   their ProductRepository reads the suppliers again
+         */
+        constructor: function(oStorage, sSeedUrl, oTabSync) {
+            BaseObject.call(this);
+            this._oStorage = oStorage;
+            this._sSeedUrl = sSeedUrl;
+            this._oTabSync = oTabSync || null;
+            this._oModel = new JSONModel([]);
+            this._pLoaded = null;
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the supplier array
+         */
+        getModel: function() {
+            return this._oModel;
+        },
+
+        /**
+         * Loads the suppliers from the storage, seeding it first if it is empty.
+         * @public
+         * @returns {Promise<object[]>} resolves with the loaded suppliers
+         */
+        load: function() {
+            var that = this;
+            this._pLoaded = this._oStorage.readAll().then(function(aSuppliers) {
+                return aSuppliers || that._seed();
+            }).then(function(aSuppliers) {
+                that._oModel.setData(aSuppliers);
+                return aSuppliers;
+            });
+            return this._pLoaded;
+        },
+
+        /**
+         * @public
+         * @returns {Promise<object[]>} resolves once the suppliers are loaded
+         */
+        ready: function() {
+            return this._pLoaded || this.load();
+        },
+
+        /**
+         * @public
+         * @returns {object[]} all currently loaded suppliers
+         */
+        getAll: function() {
+            return this._oModel.getData() || [];
+        },
+
+        /**
+         * @public
+         * @param {string} sSupplierId the supplier ID
+         * @returns {object|null} the supplier or null if there is none with this ID
+         */
+        getById: function(sSupplierId) {
+            var iIndex = this.indexOf(sSupplierId);
+            return iIndex === -1 ? null : this.getAll()[iIndex];
+        },
+
+        /**
+         * @public
+         * @param {string} sName the name, case and surrounding blanks are ignored
+         * @returns {object|null} the supplier or null if there is none with this name
+         */
+        getByName: function(sName) {
+            var sSearch = (sName || "").trim().toLowerCase();
+            return sSearch && this.getAll().filter(function(oSupplier) {
+                return oSupplier.Name.trim().toLowerCase() === sSearch;
+            })[0] || null;
+        },
+
+        /**
+         * @public
+         * @param {string} sSupplierId the supplier ID
+         * @returns {int} the position of the supplier in the model array or -1
+         */
+        indexOf: function(sSupplierId) {
+            var aSuppliers = this.getAll();
+            for (var i = 0; i < aSuppliers.length; i++) {
+                if (aSuppliers[i].SupplierID === sSupplierId) {
+                    return i;
+                }
+            }
+            return -1;
+        },
+
+        /**
+         * Creates a supplier with a newly generated ID.
+         * @public
+         * @param {object} oSupplier the supplier data without SupplierID
+         * @returns {Promise<object>} resolves with the created supplier
+         */
+        create: function(oSupplier) {
+            var that = this;
+            var oNewSupplier = this._copy(oSupplier);
+            oNewSupplier.SupplierID = this.generateId();
+            return this._oStorage.create(oNewSupplier).then(function(oStored) {
+                var aSuppliers = that.getAll();
+                aSuppliers.push(oStored);
+                that._oModel.setData(aSuppliers);
+                that._oModel.refresh(true);
+                that._publish();
+                return oStored;
+            });
+        },
+
+        /**
+         * Replaces an existing supplier, matched by its SupplierID.
+         * @public
+         * @param {object} oSupplier the complete supplier data
+         * @returns {Promise<object>} resolves with the updated supplier
+         */
+        update: function(oSupplier) {
+            var that = this;
+            if (this.indexOf(oSupplier.SupplierID) === -1) {
+                return Promise.reject(new Error(i18n.getText("supplierMissingError", [oSupplier.SupplierID])));
+            }
+            return this._oStorage.update(this._copy(oSupplier)).then(function(oStored) {
+                that.getAll()[that.indexOf(oStored.SupplierID)] = oStored;
+                that._oModel.refresh(true);
+                that._publish();
+                return oStored;
+            });
+        },
+
+        /**
+         * Deletes a supplier. Its products have to be reassigned before.
+         * @public
+         * @param {string} sSupplierId the ID of the supplier to delete
+         * @returns {Promise} resolves when the supplier is deleted
+         */
+        remove: function(sSupplierId) {
+            var that = this;
+            if (this.indexOf(sSupplierId) === -1) {
+                return Promise.reject(new Error(i18n.getText("supplierMissingError", [sSupplierId])));
+            }
+            return this._oStorage.remove(sSupplierId).then(function() {
+                var aSuppliers = that.getAll();
+                aSuppliers.splice(that.indexOf(sSupplierId), 1);
+                that._oModel.setData(aSuppliers);
+                that._oModel.refresh(true);
+                that._publish();
+            });
+        },
+
+        /**
+         * Throws away all changes and restores the suppliers from the seed file.
+         * @public
+         * @returns {Promise<object[]>} resolves with the seed suppliers
+         */
+        reset: function() {
+            var that = this;
+            this._pLoaded = this._oStorage.clear().then(function() {
+                return that._seed();
+            }).then(function(aSuppliers) {
+                that._oModel.setData(aSuppliers);
+                return aSuppliers;
+            });
+            return this._pLoaded;
+        },
+
+        /**
+         * @public
+         * @returns {string} the next free numeric supplier ID
+         */
+        generateId: function() {
+            var iMaxId = 0;
+            this.getAll().forEach(function(oSupplier) {
+                var iId = parseInt(oSupplier.SupplierID, 10);
+                if (iId > iMaxId) {
+                    iMaxId = iId;
+                }
+            });
+            return (iMaxId + 1).toString();
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oStorage.destroy();
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _publish: function() {
+            if (this._oTabSync) {
+                this._oTabSync.publish();
+            }
+        },
+
+        _seed: function() {
+            var that = this;
+            var oSeedModel = new JSONModel();
+            return new Promise(function(resolve, reject) {
+                oSeedModel.attachRequestCompleted(function(oEvent) {
+                    if (oEvent.getParameter("success")) {
+                        resolve(oSeedModel.getData());
+                    } else {
+                        reject(new Error("Could not load seed data from " + that._sSeedUrl));
+                    }
+                    oSeedModel.destroy();
+                });
+                oSeedModel.loadData(that._sSeedUrl);
+            }).then(function(aSuppliers) {
+                return that._oStorage.seed(aSuppliers).then(function() {
+                    return aSuppliers;
+                });
+            });
+        },
+
+        _copy: function(oSupplier) {
+            return JSON.parse(JSON.stringify(oSupplier));
+        }
+    });
+});
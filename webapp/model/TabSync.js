@@ -0,0 +1,85 @@
+sap.ui.define([
+    "sap/ui/base/Object"
+], function(BaseObject) {
+    "use strict";
+
+    // changes come in bursts, e.g. a delete writes the products and the recycle bin, they are handed on as one
+    var DELAY = 100;
+
+    /**
+     * Tells the other tabs of the app that the stored data has changed, and hears about their changes.
+     *
+     * The tabs talk through a BroadcastChannel. Browsers without it get the message through a
+     * localStorage entry under the same name, whose changes the other tabs hear as storage event.
+     * A tab never hears its own messages.
+     */
+    return BaseObject.extend("com.productapp.model.TabSync", {
+
+        /**
+         * @param {string} sName the name of the channel, the same in all tabs of the app
+         */
+        constructor: function(sName) {
+            BaseObject.call(this);
+            this._sName = sName;
+            this._aListeners = [];
+            this._iTimer = null;
+            if (window.BroadcastChannel) {
+                this._oChannel = new window.BroadcastChannel(sName);
+                this._oChannel.onmessage = this._onMessage.bind(this);
+            } else {
+                this._fnStorage = function(oEvent) {
+                    if (oEvent.key === sName && oEvent.newValue) {
+                        this._onMessage();
+                    }
+                }.bind(this);
+                window.addEventListener("storage", this._fnStorage);
+            }
+        },
+
+        /**
+         * Tells the other tabs that the stored data has changed.
+         * @public
+         */
+        publish: function() {
+            if (this._oChannel) {
+                this._oChannel.postMessage({ changedAt: Date.now() });
+            } else {
+                // the value has to change, or no storage event fires
+                window.localStorage.setItem(this._sName, Date.now() + "-" + Math.random());
+            }
+        },
+
+        /**
+         * @public
+         * @param {function} fnListener called when another tab has changed the stored data
+         */
+        subscribe: function(fnListener) {
+            this._aListeners.push(fnListener);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            clearTimeout(this._iTimer);
+            if (this._oChannel) {
+                this._oChannel.close();
+            } else {
+                window.removeEventListener("storage", this._fnStorage);
+            }
+            this._aListeners = [];
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _onMessage: function() {
+            var aListeners = this._aListeners;
+            clearTimeout(this._iTimer);
+            this._iTimer = setTimeout(function() {
+                aListeners.forEach(function(fnListener) {
+                    fnListener();
+                });
+            }, DELAY);
+        }
+    });
+});
@@ -0,0 +1,162 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/json/JSONModel"
+], function(BaseObject, JSONModel) {
+    "use strict";
+
+    var PROFILE_KEY = "com.productapp.userProfile";
+
+    // the permissions of each role; rights are permissions a profile grants on top of its role
+    var ROLES = {
+        viewer: [],
+        editor: ["create", "edit"],
+        admin: ["create", "edit", "delete", "pricing"]
+    };
+    var RIGHTS = ["pricing"];
+    var PERMISSIONS = ["create", "edit", "delete", "pricing"];
+
+    // the routes that need a permission, all others are open to every role
+    var ROUTE_PERMISSIONS = {
+        create: "create",
+        edit: "edit"
+    };
+
+    /**
+     * Reads the profile of the user and tells what the user may do.
+     *
+     * The profile comes from a JSON file with the userName, the role (viewer, editor or admin)
+     * and additional rights, e.g. ["pricing"] for an editor who may change prices. Only the file
+     * decides the role; an admin may try the app with another one, e.g. for a demo, until the app
+     * is started again. Until the profile is loaded the user is a viewer.
+     *
+     * The "permissions" model holds userName, role, rights, a flag per permission: create,
+     * edit, delete and pricing, which the views bind the visibility of their actions to, and
+     * canSwitchRole, which tells whether the user is an admin who may try another role.
+     */
+    return BaseObject.extend("com.productapp.model.UserProfile", {
+
+        /**
+         * @param {string} sProfileUrl URL of the JSON file with the user profile
+         */
+        constructor: function(sProfileUrl) {
+            BaseObject.call(this);
+            this._sProfileUrl = sProfileUrl;
+            this._oModel = new JSONModel();
+            this._sProfileRole = "viewer";
+            this._setProfile("", "viewer", []);
+            this._pLoaded = null;
+        },
+
+        /**
+         * @public
+         * @returns {sap.ui.model.json.JSONModel} the model holding the profile and the permissions
+         */
+        getModel: function() {
+            return this._oModel;
+        },
+
+        /**
+         * Loads the profile, its role replaces one an admin tried before.
+         * @public
+         * @returns {Promise<string>} resolves with the role of the user
+         */
+        load: function() {
+            var that = this;
+            var oProfileModel = new JSONModel();
+            this._pLoaded = new Promise(function(resolve, reject) {
+                oProfileModel.attachRequestCompleted(function(oEvent) {
+                    if (oEvent.getParameter("success")) {
+                        resolve(oProfileModel.getData());
+                    } else {
+                        reject(new Error("Could not load the user profile from " + that._sProfileUrl));
+                    }
+                    oProfileModel.destroy();
+                });
+                oProfileModel.loadData(that._sProfileUrl);
+            }).then(function(oData) {
+                // earlier versions kept a role chosen in the app, which must not win over the profile
+                window.localStorage.removeItem(PROFILE_KEY);
+                that._sProfileRole = ROLES[oData.role] ? oData.role : "viewer";
+                that._setProfile(oData.userName || "", oData.role, oData.rights);
+                return that.getRole();
+            });
+            return this._pLoaded;
+        },
+
+        /**
+         * @public
+         * @returns {Promise<string>} resolves once the profile is loaded
+         */
+        ready: function() {
+            return this._pLoaded || this.load();
+        },
+
+        /**
+         * @public
+         * @returns {string} the role of the user
+         */
+        getRole: function() {
+            return this._oModel.getProperty("/role");
+        },
+
+        /**
+         * Lets an admin try the app with another role. The role is not kept, the next start
+         * takes the one of the profile again. Users who are no admins keep their role.
+         * @public
+         * @param {string} sRole viewer, editor or admin
+         * @param {string[]} [aRights] the rights on top of the role, e.g. ["pricing"]
+         */
+        setRole: function(sRole, aRights) {
+            if (this._sProfileRole !== "admin" || !ROLES[sRole]) {
+                return;
+            }
+            this._setProfile(this._oModel.getProperty("/userName"), sRole, aRights);
+        },
+
+        /**
+         * @public
+         * @param {string} sPermission create, edit, delete or pricing
+         * @returns {boolean} whether the user has the permission
+         */
+        can: function(sPermission) {
+            return this._oModel.getProperty("/" + sPermission) === true;
+        },
+
+        /**
+         * @public
+         * @param {string} sRouteName the name of a route of the manifest
+         * @returns {boolean} whether the user may open the route
+         */
+        canOpenRoute: function(sRouteName) {
+            return !ROUTE_PERMISSIONS[sRouteName] || this.can(ROUTE_PERMISSIONS[sRouteName]);
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._oModel.destroy();
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        // unknown roles and rights are ignored, so an outdated profile makes the user a viewer
+        _setProfile: function(sUserName, sRole, aRights) {
+            var sKnownRole = ROLES[sRole] ? sRole : "viewer";
+            var aKnownRights = (Array.isArray(aRights) ? aRights : []).filter(function(sRight) {
+                return RIGHTS.indexOf(sRight) !== -1;
+            });
+            var aGranted = ROLES[sKnownRole].concat(aKnownRights);
+            var oData = {
+                userName: sUserName,
+                role: sKnownRole,
+                rights: aKnownRights,
+                canSwitchRole: this._sProfileRole === "admin"
+            };
+            PERMISSIONS.forEach(function(sPermission) {
+                oData[sPermission] = aGranted.indexOf(sPermission) !== -1;
+            });
+            this._oModel.setData(oData);
+        }
+    });
+});
@@ -0,0 +1,183 @@
+sap.ui.define([
+    "sap/ui/core/format/DateFormat"
+], function(DateFormat) {
+    "use strict";
+
+    var RATING_BUCKETS = 5;
+
+    // up to two years of releases are shown by month, a longer time by year
+    var MAX_MONTHS = 24;
+
+    function pad(iNumber) {
+        return (iNumber < 10 ? "0" : "") + iNumber;
+    }
+
+    function lastDayOfMonth(iYear, iMonth) {
+        return new Date(Date.UTC(iYear, iMonth, 0)).getUTCDate();
+    }
+
+    function percentOf(fValue, fMax) {
+        return fMax > 0 ? Math.round(fValue / fMax * 100) : 0;
+    }
+
+    // the bars of a chart are scaled to the largest one
+    function scale(aBars) {
+        var fMax = Math.max.apply(null, [0].concat(aBars.map(function(oBar) {
+            return oBar.value;
+        })));
+        aBars.forEach(function(oBar) {
+            oBar.percent = percentOf(oBar.value, fMax);
+        });
+        return aBars;
+    }
+
+    // the stock of a product with variants is worth the price of each variant
+    function getStockValue(oProduct, fnPrice) {
+        if (oProduct.Variants && oProduct.Variants.length) {
+            return oProduct.Variants.reduce(function(vTotal, oVariant) {
+                var vValue = getStockValue({ Price: oVariant.Price, Currency: oProduct.Currency, Quantity: oVariant.Quantity }, fnPrice);
+                return vTotal === null || vValue === null ? null : vTotal + vValue;
+            }, 0);
+        }
+        var fPrice = fnPrice(oProduct);
+        return fPrice === null ? null : fPrice * (parseInt(oProduct.Quantity, 10) || 0);
+    }
+
+    /**
+     * Key figures and charts of the catalog for the dashboard.
+     *
+     * Each bar of a chart has a label, a value, its percent of the largest bar and the filter of
+     * the Master list that shows the products behind it, as properties of a list state. Values of
+     * stock are the price converted into the display currency times the quantity; products whose
+     * price cannot be converted are left out of them.
+     */
+    return {
+        /**
+         * @public
+         * @param {object[]} aProducts the products
+         * @param {function} fnPrice returns the price of a product in the display currency, null if it has none
+         * @returns {object} the productCount, stockValue, outOfStockCount and averageRating, which is null without products
+         */
+        createKpis: function(aProducts, fnPrice) {
+            var fStockValue = 0;
+            var fRatingSum = 0;
+            var iOutOfStock = 0;
+            aProducts.forEach(function(oProduct) {
+                fStockValue += getStockValue(oProduct, fnPrice) || 0;
+                fRatingSum += parseFloat(oProduct.Rating) || 0;
+                if (!oProduct.InStock) {
+                    iOutOfStock++;
+                }
+            });
+            return {
+                productCount: aProducts.length,
+                stockValue: fStockValue,
+                outOfStockCount: iOutOfStock,
+                averageRating: aProducts.length ? fRatingSum / aProducts.length : null
+            };
+        },
+
+        /**
+         * @public
+         * @param {object[]} aProducts the products
+         * @param {function} fnPrice returns the price of a product in the display currency, null if it has none
+         * @returns {object[]} one bar per category with the stock value, the largest first
+         */
+        createValueByCategory: function(aProducts, fnPrice) {
+            var mValues = {};
+            aProducts.forEach(function(oProduct) {
+                var sCategory = oProduct.Category || "";
+                mValues[sCategory] = (mValues[sCategory] || 0) + (getStockValue(oProduct, fnPrice) || 0);
+            });
+            return scale(Object.keys(mValues).filter(Boolean).map(function(sCategory) {
+                return {
+                    label: sCategory,
+                    value: mValues[sCategory],
+                    filter: { categories: [sCategory] }
+                };
+            }).sort(function(oBar1, oBar2) {
+                return oBar2.value - oBar1.value || oBar1.label.localeCompare(oBar2.label);
+            }));
+        },
+
+        /**
+         * Counts the products per star, e.g. the bar of 4 stars holds the ratings from 4 up to 5.
+         * @public
+         * @param {object[]} aProducts the products
+         * @returns {object[]} one bar per star, the highest first
+         */
+        createRatingHistogram: function(aProducts) {
+            var aCounts = [];
+            for (var i = 0; i < RATING_BUCKETS; i++) {
+                aCounts.push(0);
+            }
+            aProducts.forEach(function(oProduct) {
+                var fRating = parseFloat(oProduct.Rating) || 0;
+                aCounts[Math.min(RATING_BUCKETS - 1, Math.max(0, Math.floor(fRating)))]++;
+            });
+            return scale(aCounts.map(function(iCount, iStars) {
+                return {
+                    label: iStars + " - " + (iStars + 1),
+                    value: iCount,
+                    // the top bar also holds the full rating
+                    filter: {
+                        minRating: iStars,
+                        maxRating: iStars === RATING_BUCKETS - 1 ? null : iStars + 1
+                    }
+                };
+            }).reverse());
+        },
+
+        /**
+         * Counts the releases per month from the first to the last release, or per year over a longer time.
+         * Products without a valid ReleaseDate are left out.
+         * @public
+         * @param {object[]} aProducts the products
+         * @returns {object[]} one bar per month or year, the oldest first, empty if no product has a release date
+         */
+        createReleaseTimeline: function(aProducts) {
+            var oMonthFormat = DateFormat.getDateInstance({ format: "yMMM", UTC: true });
+            var mCounts = {};
+            aProducts.forEach(function(oProduct) {
+                var sMonth = /^\d{4}-\d{2}-\d{2}$/.test(oProduct.ReleaseDate) ? oProduct.ReleaseDate.slice(0, 7) : "";
+                if (sMonth) {
+                    mCounts[sMonth] = (mCounts[sMonth] || 0) + 1;
+                }
+            });
+            var aMonths = Object.keys(mCounts).sort();
+            if (!aMonths.length) {
+                return [];
+            }
+            var iFirstYear = parseInt(aMonths[0].slice(0, 4), 10);
+            var iFirst = iFirstYear * 12 + parseInt(aMonths[0].slice(5), 10) - 1;
+            var iLast = parseInt(aMonths[aMonths.length - 1].slice(0, 4), 10) * 12 +
+                parseInt(aMonths[aMonths.length - 1].slice(5), 10) - 1;
+            var aBars = [];
+            var iYear;
+            if (iLast - iFirst < MAX_MONTHS) {
+                // empty months are shown as well, so the bars are a time line
+                for (var iIndex = iFirst; iIndex <= iLast; iIndex++) {
+                    iYear = Math.floor(iIndex / 12);
+                    var iMonth = iIndex % 12 + 1;
+                    var sMonth = iYear + "-" + pad(iMonth);
+                    aBars.push({
+                        label: oMonthFormat.format(new Date(Date.UTC(iYear, iMonth - 1, 1))),
+                        value: mCounts[sMonth] || 0,
+                        filter: { releasedFrom: sMonth + "-01", releasedTo: sMonth + "-" + pad(lastDayOfMonth(iYear, iMonth)) }
+                    });
+                }
+            } else {
+                for (iYear = iFirstYear; iYear <= Math.floor(iLast / 12); iYear++) {
+                    aBars.push({
+                        label: String(iYear),
+                        value: aMonths.reduce(function(iSum, sMonth) {
+                            return sMonth.indexOf(iYear + "-") === 0 ? iSum + mCounts[sMonth] : iSum;
+                        }, 0),
+                        filter: { releasedFrom: iYear + "-01-01", releasedTo: iYear + "-12-31" }
+                    });
+                }
+            }
+            return scale(aBars);
+        }
+    };
+});
@@ -1,21 +1,236 @@
-sap.ui.define([], function() {
+sap.ui.define([
+    "sap/ui/core/format/DateFormat",
+    "sap/ui/core/format/NumberFormat",
+    "./i18n",
+    "./CurrencyService",
+    "./SpecTemplates",
+    "./productSchema",
+    "./variants",
+    "./pricing"
+], function(DateFormat, NumberFormat, i18n, CurrencyService, SpecTemplates, productSchema, variants, pricing) {
     "use strict";
     
+    function formatPrice(price, currency) {
+        if (price === null || price === undefined || price === "") {
+            return "";
+        }
+        
+        // the currency decides the decimals, the locale the separators; the unit is shown next to the number
+        return NumberFormat.getCurrencyInstance({ showMeasure: false }).format(parseFloat(price), currency);
+    }
+    
+    // the display price falls back to the original one if the currency has no exchange rate
+    function formatDisplayPrice(price, currency, displayCurrency, rates) {
+        var fConverted = CurrencyService.convert(price, currency, displayCurrency, rates);
+        return fConverted === null ? formatPrice(price, currency) : formatPrice(fConverted, displayCurrency);
+    }
+    
+    // products with variants show the range of their prices, the discount of today is taken off all of them
+    function formatDisplayPriceRange(price, currency, aVariants, displayCurrency, rates, aDiscounts) {
+        var oDiscount = pricing.getDiscount({ Price: price, Discounts: aDiscounts });
+        var oRange = variants.getPriceRange({ Variants: aVariants });
+        if (!oRange || oRange.min === oRange.max) {
+            return formatDisplayPrice(pricing.applyDiscount(oRange ? oRange.min : price, oDiscount), currency, displayCurrency, rates);
+        }
+        return i18n.getText("variantPriceRange", [
+            formatDisplayPrice(pricing.applyDiscount(oRange.min, oDiscount), currency, displayCurrency, rates),
+            formatDisplayPrice(pricing.applyDiscount(oRange.max, oDiscount), currency, displayCurrency, rates)
+        ]);
+    }
+    
+    // days are kept as YYYY-MM-DD
+    function formatDay(sDate) {
+        var oDate = sDate ? DateFormat.getDateInstance({ pattern: "yyyy-MM-dd" }).parse(sDate) : null;
+        return oDate ? DateFormat.getDateInstance({ style: "medium" }).format(oDate) : "";
+    }
+    
     return {
-        formatPrice: function(price, currency) {
-            if (!price) {
+        formatPrice: formatPrice,
+        
+        formatDisplayPrice: formatDisplayPrice,
+        
+        formatDisplayPriceRange: formatDisplayPriceRange,
+        
+        // a discounted product shows its list price next to the price of today, struck through
+        formatListPrice: function(price, currency, aVariants, displayCurrency, rates, aDiscounts) {
+            if (!pricing.getDiscount({ Price: price, Discounts: aDiscounts })) {
+                return "";
+            }
+            return formatDisplayPriceRange(price, currency, aVariants, displayCurrency, rates);
+        },
+        
+        // e.g. "10% off until Dec 31, 2026"
+        formatDiscount: function(price, currency, aDiscounts) {
+            var oDiscount = pricing.getDiscount({ Price: price, Discounts: aDiscounts });
+            if (!oDiscount) {
+                return "";
+            }
+            var sValue = oDiscount.Type === "percent" ? i18n.getText("pricingDiscountPercent", [oDiscount.Value]) :
+                i18n.getText("pricingDiscountAmount", [formatPrice(oDiscount.Value, currency), currency]);
+            return oDiscount.ValidTo ? i18n.getText("pricingDiscountUntil", [sValue, formatDay(oDiscount.ValidTo)]) : sValue;
+        },
+        
+        formatDay: formatDay,
+        
+        // the bars of the price history chart, scheduled prices are marked as such
+        formatPriceChartLabel: function(sDate, bScheduled) {
+            return bScheduled ? i18n.getText("pricingScheduledEntry", [formatDay(sDate)]) : formatDay(sDate);
+        },
+        
+        // e.g. "3 variants, 42 in stock"
+        formatVariantSummary: function(aVariants, quantity) {
+            return aVariants && aVariants.length ? i18n.getText("variantSummary", [aVariants.length, quantity]) : "";
+        },
+        
+        formatDisplayCurrency: function(price, currency, displayCurrency, rates) {
+            return CurrencyService.convert(price, currency, displayCurrency, rates) === null ? currency : displayCurrency;
+        },
+        
+        formatOriginalPrice: function(price, currency, displayCurrency, rates, aDiscounts) {
+            if (currency === displayCurrency || CurrencyService.convert(price, currency, displayCurrency, rates) === null) {
                 return "";
             }
             
-            return parseFloat(price).toFixed(2);
+            var fPrice = pricing.applyDiscount(price, pricing.getDiscount({ Price: price, Discounts: aDiscounts }));
+            return i18n.getText("priceOriginal", [formatPrice(fPrice, currency), currency]);
+        },
+        
+        // products whose specifications do not fit the template of their category are flagged
+        formatSpecHighlight: function(category, specifications, templates) {
+            return SpecTemplates.check(category, specifications, templates).length ? "Warning" : "None";
         },
         
         formatStockStatus: function(inStock) {
-            return inStock ? "In Stock" : "Out of Stock";
+            return i18n.getText(inStock ? "inStock" : "outOfStock");
         },
         
         formatStockStatusState: function(inStock) {
             return inStock ? "Success" : "Error";
+        },
+        
+        formatMovementType: function(sType) {
+            var mKeys = {
+                receipt: "stockReceipt",
+                sale: "stockSale",
+                adjustment: "stockAdjustment"
+            };
+            return mKeys[sType] ? i18n.getText(mKeys[sType]) : sType;
+        },
+        
+        // a movement shows by how much the stock changed, so additions get a plus sign
+        formatMovementQuantity: function(iQuantity) {
+            return iQuantity > 0 ? "+" + iQuantity : String(iQuantity);
+        },
+        
+        formatMovementQuantityState: function(iQuantity) {
+            return iQuantity < 0 ? "Error" : "Success";
+        },
+        
+        formatDateTime: function(sTimestamp) {
+            return sTimestamp ? DateFormat.getDateTimeInstance({ style: "medium" }).format(new Date(sTimestamp)) : "";
+        },
+        
+        formatAuditAction: function(sAction) {
+            var mKeys = {
+                create: "auditActionCreate",
+                update: "auditActionUpdate",
+                "delete": "auditActionDelete",
+                restore: "auditActionRestore",
+                revert: "auditActionRevert"
+            };
+            return mKeys[sAction] ? i18n.getText(mKeys[sAction]) : sAction;
+        },
+        
+        // specifications are recorded as "Specifications/<key>", other fields by their property name
+        formatAuditField: function(sField) {
+            if (!sField) {
+                return "";
+            }
+            if (sField.indexOf("Specifications/") === 0) {
+                return i18n.getText("auditSpecificationField", [sField.slice("Specifications/".length)]);
+            }
+            if (sField === "Images" || sField === "Attachments") {
+                return i18n.getText(sField === "Images" ? "mediaImages" : "mediaAttachments");
+            }
+            if (sField === "VariantAxes" || sField === "Variants") {
+                return i18n.getText(sField === "Variants" ? "variantsTitle" : "variantAxesTitle");
+            }
+            if (sField === "ScheduledPrices" || sField === "Discounts") {
+                return i18n.getText(sField === "Discounts" ? "pricingDiscountsTitle" : "pricingScheduledTitle");
+            }
+            return productSchema.fields[sField] ? productSchema.getLabel(sField) : sField;
+        },
+        
+        formatAuditValue: function(sValue) {
+            return sValue === "" || sValue === null || sValue === undefined ? i18n.getText("auditEmptyValue") : sValue;
+        },
+        
+        // the compare view shows specifications by their key, they follow the product fields
+        formatCompareField: function(sField) {
+            if (sField && sField.indexOf("Specifications/") === 0) {
+                return sField.slice("Specifications/".length);
+            }
+            return sField && productSchema.fields[sField] ? productSchema.getLabel(sField) : sField;
+        },
+        
+        formatCompareValue: function(sValue) {
+            return sValue ? sValue : i18n.getText("compareMissingValue");
+        },
+        
+        formatFileSize: function(iBytes) {
+            return iBytes || iBytes === 0 ? NumberFormat.getFileSizeInstance({ maxFractionDigits: 1 }).format(iBytes) : "";
+        },
+        
+        formatFileIcon: function(sMimeType) {
+            var sType = sMimeType || "";
+            if (sType.indexOf("image/") === 0) {
+                return "sap-icon://attachment-photo";
+            }
+            if (sType === "application/pdf") {
+                return "sap-icon://pdf-attachment";
+            }
+            if (/spreadsheet|excel/.test(sType)) {
+                return "sap-icon://excel-attachment";
+            }
+            if (/wordprocessing|msword/.test(sType)) {
+                return "sap-icon://doc-attachment";
+            }
+            if (/zip/.test(sType)) {
+                return "sap-icon://attachment-zip-file";
+            }
+            return sType.indexOf("text/") === 0 ? "sap-icon://attachment-text-file" : "sap-icon://document";
+        },
+        
+        // the first image of a product stands for it in lists and headers
+        formatProductIcon: function(aImages) {
+            return aImages && aImages.length && aImages[0].Thumbnail || "sap-icon://product";
+        },
+        
+        // an editor with the pricing right is told apart from one without
+        formatRole: function(sRole, aRights) {
+            var sKey = "role" + (sRole ? sRole.charAt(0).toUpperCase() + sRole.slice(1) : "Viewer");
+            return i18n.getText(sRole === "editor" && aRights && aRights.indexOf("pricing") !== -1 ? sKey + "Pricing" : sKey);
+        },
+        
+        formatLeadTime: function(iDays) {
+            return i18n.getText("supplierLeadTimeText", [parseInt(iDays, 10) || 0]);
+        },
+        
+        formatDeletedAt: function(sTimestamp) {
+            if (!sTimestamp) {
+                return "";
+            }
+            
+            return i18n.getText("recycleBinDeletedAt", [DateFormat.getDateTimeInstance({ style: "medium" }).format(new Date(sTimestamp))]);
+        },
+        
+        // large amounts on the dashboard are shortened, e.g. to 1.2M
+        formatCompactNumber: function(fValue) {
+            return fValue || fValue === 0 ? NumberFormat.getFloatInstance({ style: "short", maxFractionDigits: 1 }).format(fValue) : "";
+        },
+        
+        formatRating: function(fRating) {
+            return fRating || fRating === 0 ? NumberFormat.getFloatInstance({ minFractionDigits: 1, maxFractionDigits: 1 }).format(fRating) : "-";
         }
     };
 });
@@ -0,0 +1,29 @@
+sap.ui.define([], function() {
+    "use strict";
+
+    var oResourceBundle = null;
+
+    /**
+     * Texts for the modules that have no view to take the i18n model from, e.g. the product schema.
+     * The component hands in the resource bundle of its i18n model whenever the language changes.
+     */
+    return {
+        /**
+         * @public
+         * @param {module:sap/base/i18n/ResourceBundle} oBundle the resource bundle of the current language
+         */
+        setResourceBundle: function(oBundle) {
+            oResourceBundle = oBundle;
+        },
+
+        /**
+         * @public
+         * @param {string} sKey the key of the text
+         * @param {any[]} [aArgs] the values for the placeholders of the text
+         * @returns {string} the text, or the key if there is no bundle yet
+         */
+        getText: function(sKey, aArgs) {
+            return oResourceBundle ? oResourceBundle.getText(sKey, aArgs) : sKey;
+        }
+    };
+});
@@ -0,0 +1,138 @@
+sap.ui.define([
+    "./i18n"
+], function(i18n) {
+    "use strict";
+
+    // receipts add to the stock, sales take from it, adjustments correct it in both directions
+    var MOVEMENT_TYPES = ["receipt", "sale", "adjustment"];
+
+    function toQuantity(vValue) {
+        return parseInt(vValue, 10) || 0;
+    }
+
+    function createMovement(sType, iChange, iBalance, sReason) {
+        return {
+            MovementID: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            Date: new Date().toISOString(),
+            Type: sType,
+            Quantity: iChange,
+            Balance: iBalance,
+            Reason: sReason || ""
+        };
+    }
+
+    /**
+     * Stock of the products, kept as a ledger of movements.
+     *
+     * Every change of a product's Quantity is recorded in its StockMovements with the type,
+     * the signed change, the resulting balance and a reason. InStock is not edited but derived
+     * from the quantity, and a product needs to be reordered once its quantity has fallen to
+     * its ReorderLevel.
+     */
+    return {
+        /**
+         * The types of stock movements.
+         */
+        movementTypes: MOVEMENT_TYPES,
+
+        /**
+         * Fills in the stock fields of products stored before there was a ledger and derives InStock.
+         * @public
+         * @param {object} oProduct the product, it is changed
+         * @returns {object} the product
+         */
+        normalize: function(oProduct) {
+            oProduct.Quantity = toQuantity(oProduct.Quantity);
+            oProduct.ReorderLevel = toQuantity(oProduct.ReorderLevel);
+            oProduct.InStock = oProduct.Quantity > 0;
+            if (!Array.isArray(oProduct.StockMovements)) {
+                oProduct.StockMovements = [];
+            }
+            return oProduct;
+        },
+
+        /**
+         * Records a quantity that was changed without a movement, e.g. by an import or for a new product,
+         * so the ledger still adds up to the quantity.
+         * @public
+         * @param {object} oProduct the changed product, it is changed
+         * @param {object} [oPrevious] the product before the change, none for a new product
+         * @returns {object} the product
+         */
+        reconcile: function(oProduct, oPrevious) {
+            var iBefore = oPrevious ? toQuantity(oPrevious.Quantity) : 0;
+            var iAfter = toQuantity(oProduct.Quantity);
+            if (!Array.isArray(oProduct.StockMovements)) {
+                // e.g. an overwriting import keeps the ledger of the product it replaces
+                oProduct.StockMovements = oPrevious && Array.isArray(oPrevious.StockMovements) ?
+                    oPrevious.StockMovements.slice() : [];
+            }
+            if (iAfter !== iBefore) {
+                oProduct.StockMovements.push(oPrevious ?
+                    createMovement("adjustment", iAfter - iBefore, iAfter, i18n.getText("stockReasonCorrection")) :
+                    createMovement("receipt", iAfter, iAfter, i18n.getText("stockReasonOpening")));
+            }
+            return this.normalize(oProduct);
+        },
+
+        /**
+         * Checks a stock movement for a product.
+         * @public
+         * @param {object} oProduct the product
+         * @param {string} sType one of the movement types
+         * @param {int} iQuantity the quantity, for an adjustment signed
+         * @param {string} [sReason] the reason, required for an adjustment
+         * @returns {string|null} the message of the issue, null if the movement is valid
+         */
+        checkMovement: function(oProduct, sType, iQuantity, sReason) {
+            if (MOVEMENT_TYPES.indexOf(sType) === -1) {
+                return i18n.getText("stockTypeError");
+            }
+            if (typeof iQuantity !== "number" || Math.floor(iQuantity) !== iQuantity) {
+                return i18n.getText("validationInteger", [i18n.getText("fieldQuantity")]);
+            }
+            if (sType === "adjustment" ? iQuantity === 0 : iQuantity <= 0) {
+                return i18n.getText(sType === "adjustment" ? "stockAdjustmentZeroError" : "stockQuantityError");
+            }
+            if (sType === "adjustment" && !(sReason || "").trim()) {
+                return i18n.getText("stockReasonError");
+            }
+            var iBalance = toQuantity(oProduct.Quantity) + (sType === "sale" ? -iQuantity : iQuantity);
+            if (iBalance < 0) {
+                return i18n.getText("stockNegativeError", [toQuantity(oProduct.Quantity)]);
+            }
+            return null;
+        },
+
+        /**
+         * Books a stock movement on a copy of the product.
+         * @public
+         * @param {object} oProduct the product
+         * @param {string} sType one of the movement types
+         * @param {int} iQuantity the quantity, for an adjustment signed
+         * @param {string} [sReason] the reason, required for an adjustment
+         * @returns {object} the changed copy of the product
+         * @throws {Error} if the movement is not valid
+         */
+        applyMovement: function(oProduct, sType, iQuantity, sReason) {
+            var sIssue = this.checkMovement(oProduct, sType, iQuantity, sReason);
+            if (sIssue) {
+                throw new Error(sIssue);
+            }
+            var oChanged = this.normalize(JSON.parse(JSON.stringify(oProduct)));
+            var iChange = sType === "sale" ? -iQuantity : iQuantity;
+            oChanged.Quantity += iChange;
+            oChanged.StockMovements.push(createMovement(sType, iChange, oChanged.Quantity, (sReason || "").trim()));
+            return this.normalize(oChanged);
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @returns {boolean} whether the quantity has fallen to the reorder level
+         */
+        needsReorder: function(oProduct) {
+            return toQuantity(oProduct.Quantity) <= toQuantity(oProduct.ReorderLevel);
+        }
+    };
+});
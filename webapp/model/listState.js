@@ -0,0 +1,425 @@
+sap.ui.define([
+    "sap/ui/model/Filter",
+    "sap/ui/model/FilterOperator",
+    "sap/ui/model/Sorter",
+    "./i18n",
+    "./inventory"
+], function(Filter, FilterOperator, Sorter, i18n, inventory) {
+    "use strict";
+
+    // the fields the Master list can be sorted by, in the order they are offered, with the keys of their texts
+    var SORT_FIELDS = [
+        { key: "Name", textKey: "fieldName" },
+        { key: "Price", textKey: "fieldPrice" },
+        { key: "Category", textKey: "fieldCategory" },
+        { key: "SupplierName", textKey: "supplier" },
+        { key: "Quantity", textKey: "fieldQuantity" },
+        { key: "ReorderLevel", textKey: "fieldReorderLevel" },
+        { key: "Rating", textKey: "fieldRating" },
+        { key: "ReleaseDate", textKey: "fieldReleaseDate" },
+        { key: "InStock", textKey: "stockStatus" }
+    ];
+
+    var GROUP_FIELDS = [
+        { key: "", textKey: "listSettingsNoGrouping" },
+        { key: "Category", textKey: "fieldCategory" },
+        { key: "SupplierName", textKey: "supplier" }
+    ];
+
+    var DEFAULT_SORT = [{ path: "Name", descending: false }];
+
+    function splitList(sValue) {
+        return sValue ? sValue.split(",").map(decodeURIComponent) : [];
+    }
+
+    function joinList(aValues) {
+        return aValues.map(encodeURIComponent).join(",");
+    }
+
+    function toNumber(sValue) {
+        var fValue = parseFloat(sValue);
+        return isNaN(fValue) ? null : fValue;
+    }
+
+    function isSet(vValue) {
+        return vValue !== null && vValue !== undefined && vValue !== "";
+    }
+
+    function toOptions(aFields) {
+        return aFields.map(function(oField) {
+            return { key: oField.key, text: i18n.getText(oField.textKey) };
+        });
+    }
+
+    // the price filters and the price sorter compare the price of the whole product, e.g. converted into another currency
+    function createPriceFilter(fnPrice, sOperator, fLimit) {
+        return new Filter({
+            path: "",
+            test: function(oProduct) {
+                var fPrice = fnPrice(oProduct);
+                return fPrice !== null && (sOperator === FilterOperator.GE ? fPrice >= fLimit : fPrice <= fLimit);
+            }
+        });
+    }
+
+    function createPriceSorter(fnPrice, bDescending) {
+        return new Sorter("", bDescending, false, function(oProduct1, oProduct2) {
+            var fPrice1 = fnPrice(oProduct1);
+            var fPrice2 = fnPrice(oProduct2);
+            if (fPrice1 === fPrice2) {
+                return 0;
+            }
+            // products without a price go last
+            if (fPrice1 === null) {
+                return bDescending ? -1 : 1;
+            }
+            if (fPrice2 === null) {
+                return bDescending ? 1 : -1;
+            }
+            return fPrice1 < fPrice2 ? -1 : 1;
+        });
+    }
+
+    function createSpecificationFilter(oSpec) {
+        var sKey = oSpec.key.trim().toLowerCase();
+        var sValue = (oSpec.value || "").trim().toLowerCase();
+        return new Filter({
+            path: "Specifications",
+            test: function(oSpecifications) {
+                // keys are matched regardless of case, the value only has to contain the text
+                return Object.keys(oSpecifications || {}).some(function(sSpecKey) {
+                    return sSpecKey.toLowerCase() === sKey &&
+                        String(oSpecifications[sSpecKey]).toLowerCase().indexOf(sValue) !== -1;
+                });
+            }
+        });
+    }
+
+    return {
+        /**
+         * @public
+         * @returns {object[]} the fields the list can be sorted by, with key and text in the current language
+         */
+        getSortFields: function() {
+            return toOptions(SORT_FIELDS);
+        },
+
+        /**
+         * @public
+         * @returns {object[]} the fields the list can be grouped by, with key and text in the current language
+         */
+        getGroupFields: function() {
+            return toOptions(GROUP_FIELDS);
+        },
+
+        /**
+         * @public
+         * @returns {object} the state of a list without search, filters or grouping, sorted by name
+         */
+        createDefaults: function() {
+            return {
+                search: "",
+                categories: [],
+                priceMin: null,
+                priceMax: null,
+                stock: "",
+                reorder: false,
+                minRating: 0,
+                maxRating: null,
+                supplier: "",
+                releasedFrom: "",
+                releasedTo: "",
+                specs: [],
+                sort: DEFAULT_SORT.map(function(oSort) {
+                    return { path: oSort.path, descending: oSort.descending };
+                }),
+                group: ""
+            };
+        },
+
+        /**
+         * Reads the list state from the query parameters of the URL hash. Unknown or invalid
+         * parameters are ignored, so an edited or outdated bookmark still opens.
+         * @public
+         * @param {object} [oQuery] the query parameters
+         * @returns {object} the list state
+         */
+        fromQuery: function(oQuery) {
+            var oState = this.createDefaults();
+            oQuery = oQuery || {};
+            oState.search = oQuery.search || "";
+            oState.categories = splitList(oQuery.categories);
+            oState.priceMin = toNumber(oQuery.priceMin);
+            oState.priceMax = toNumber(oQuery.priceMax);
+            oState.stock = oQuery.stock === "in" || oQuery.stock === "out" ? oQuery.stock : "";
+            oState.reorder = oQuery.reorder === "true";
+            oState.minRating = toNumber(oQuery.rating) || 0;
+            oState.maxRating = toNumber(oQuery.ratingBelow);
+            oState.supplier = oQuery.supplier || "";
+            oState.releasedFrom = oQuery.from || "";
+            oState.releasedTo = oQuery.to || "";
+            oState.specs = splitList(oQuery.specs).map(function(sSpec) {
+                var iSeparator = sSpec.indexOf(":");
+                return iSeparator === -1 ?
+                    { key: sSpec, value: "" } :
+                    { key: sSpec.slice(0, iSeparator), value: sSpec.slice(iSeparator + 1) };
+            }).filter(function(oSpec) {
+                return !!oSpec.key;
+            });
+            var aSort = splitList(oQuery.sort).map(function(sSort) {
+                var bDescending = sSort.charAt(0) === "-";
+                return { path: bDescending ? sSort.slice(1) : sSort, descending: bDescending };
+            }).filter(function(oSort) {
+                return SORT_FIELDS.some(function(oField) {
+                    return oField.key === oSort.path;
+                });
+            });
+            if (aSort.length) {
+                oState.sort = aSort;
+            }
+            oState.group = GROUP_FIELDS.some(function(oField) {
+                return oField.key && oField.key === oQuery.group;
+            }) ? oQuery.group : "";
+            return oState;
+        },
+
+        /**
+         * Writes the list state to query parameters, leaving out everything that has its default value.
+         * @public
+         * @param {object} oState the list state
+         * @returns {object|undefined} the query parameters, undefined if there are none
+         */
+        toQuery: function(oState) {
+            var oQuery = {};
+            if (oState.search) {
+                oQuery.search = oState.search;
+            }
+            if (oState.categories.length) {
+                oQuery.categories = joinList(oState.categories);
+            }
+            if (isSet(oState.priceMin)) {
+                oQuery.priceMin = String(oState.priceMin);
+            }
+            if (isSet(oState.priceMax)) {
+                oQuery.priceMax = String(oState.priceMax);
+            }
+            if (oState.stock) {
+                oQuery.stock = oState.stock;
+            }
+            if (oState.reorder) {
+                oQuery.reorder = "true";
+            }
+            if (oState.minRating) {
+                oQuery.rating = String(oState.minRating);
+            }
+            if (isSet(oState.maxRating)) {
+                oQuery.ratingBelow = String(oState.maxRating);
+            }
+            if (oState.supplier) {
+                oQuery.supplier = oState.supplier;
+            }
+            if (oState.releasedFrom) {
+                oQuery.from = oState.releasedFrom;
+            }
+            if (oState.releasedTo) {
+                oQuery.to = oState.releasedTo;
+            }
+            if (oState.specs.length) {
+                oQuery.specs = joinList(oState.specs.map(function(oSpec) {
+                    return oSpec.key + ":" + oSpec.value;
+                }));
+            }
+            var sSort = joinList(oState.sort.map(function(oSort) {
+                return (oSort.descending ? "-" : "") + oSort.path;
+            }));
+            if (this.hasCustomOrder({ sort: oState.sort })) {
+                oQuery.sort = sSort;
+            }
+            if (oState.group) {
+                oQuery.group = oState.group;
+            }
+            return Object.keys(oQuery).length ? oQuery : undefined;
+        },
+
+        /**
+         * Writes the list state for the query of a product page. It also keeps the category of the
+         * category route, so the list stays as it is while the product is shown and the way back leads to it.
+         * @public
+         * @param {object} oState the list state
+         * @param {string|null} sCategory the category the list is limited to
+         * @returns {object|undefined} the query parameters, undefined if there are none
+         */
+        toProductQuery: function(oState, sCategory) {
+            var oQuery = this.toQuery(oState) || {};
+            if (sCategory) {
+                oQuery.category = sCategory;
+            }
+            return Object.keys(oQuery).length ? oQuery : undefined;
+        },
+
+        /**
+         * @public
+         * @param {object} [oQuery] the query parameters of a product page
+         * @returns {object} the route of the list the product page belongs to, with its name and parameters
+         */
+        getListRoute: function(oQuery) {
+            var oListQuery = Object.assign({}, oQuery);
+            var sCategory = oListQuery.category;
+            delete oListQuery.category;
+            oListQuery = this.toQuery(this.fromQuery(oListQuery));
+            return sCategory ? {
+                name: "category",
+                parameters: { category: sCategory, "?query": oListQuery }
+            } : {
+                name: "master",
+                parameters: { "?query": oListQuery }
+            };
+        },
+
+        /**
+         * @public
+         * @param {object} oState the list state
+         * @returns {boolean} whether the list is grouped or sorted other than by name
+         */
+        hasCustomOrder: function(oState) {
+            return !!oState.group || oState.sort.length !== 1 ||
+                oState.sort[0].path !== DEFAULT_SORT[0].path || oState.sort[0].descending !== DEFAULT_SORT[0].descending;
+        },
+
+        /**
+         * Creates the filters for the list state, all of them have to match.
+         * @public
+         * @param {object} oState the list state
+         * @param {function} [fnPrice] returns the price of a product the price range applies to, null if it has none;
+         *   by default the Price property is used
+         * @returns {sap.ui.model.Filter[]} the filters, empty if the state filters nothing
+         */
+        createFilters: function(oState, fnPrice) {
+            var aFilters = [];
+            if (oState.search) {
+                aFilters.push(new Filter({
+                    filters: [
+                        new Filter("Name", FilterOperator.Contains, oState.search),
+                        new Filter("Description", FilterOperator.Contains, oState.search),
+                        new Filter("Category", FilterOperator.Contains, oState.search)
+                    ],
+                    and: false
+                }));
+            }
+            if (oState.categories.length) {
+                aFilters.push(new Filter({
+                    filters: oState.categories.map(function(sCategory) {
+                        return new Filter("Category", FilterOperator.EQ, sCategory);
+                    }),
+                    and: false
+                }));
+            }
+            if (isSet(oState.priceMin)) {
+                aFilters.push(fnPrice ?
+                    createPriceFilter(fnPrice, FilterOperator.GE, oState.priceMin) :
+                    new Filter("Price", FilterOperator.GE, oState.priceMin));
+            }
+            if (isSet(oState.priceMax)) {
+                aFilters.push(fnPrice ?
+                    createPriceFilter(fnPrice, FilterOperator.LE, oState.priceMax) :
+                    new Filter("Price", FilterOperator.LE, oState.priceMax));
+            }
+            if (oState.stock) {
+                aFilters.push(new Filter("InStock", FilterOperator.EQ, oState.stock === "in"));
+            }
+            if (oState.reorder) {
+                aFilters.push(new Filter({ path: "", test: inventory.needsReorder }));
+            }
+            if (oState.minRating) {
+                aFilters.push(new Filter("Rating", FilterOperator.GE, oState.minRating));
+            }
+            // the upper limit leaves the rating itself out, like the bars of the rating histogram
+            if (isSet(oState.maxRating)) {
+                aFilters.push(new Filter("Rating", FilterOperator.LT, oState.maxRating));
+            }
+            if (oState.supplier) {
+                aFilters.push(new Filter("SupplierName", FilterOperator.Contains, oState.supplier));
+            }
+            // release dates are YYYY-MM-DD strings, which compare like dates
+            if (oState.releasedFrom) {
+                aFilters.push(new Filter("ReleaseDate", FilterOperator.GE, oState.releasedFrom));
+            }
+            if (oState.releasedTo) {
+                aFilters.push(new Filter("ReleaseDate", FilterOperator.LE, oState.releasedTo));
+            }
+            oState.specs.forEach(function(oSpec) {
+                aFilters.push(createSpecificationFilter(oSpec));
+            });
+            return aFilters;
+        },
+
+        /**
+         * Creates the sorters for the list state. The group field is sorted first and shows group headers.
+         * @public
+         * @param {object} oState the list state
+         * @param {function} [fnPrice] returns the price of a product to sort by, null if it has none;
+         *   by default the Price property is used
+         * @returns {sap.ui.model.Sorter[]} the sorters
+         */
+        createSorters: function(oState, fnPrice) {
+            var aSorters = [];
+            if (oState.group) {
+                aSorters.push(new Sorter(oState.group, false, true));
+            }
+            return aSorters.concat(oState.sort.map(function(oSort) {
+                if (oSort.path === "Price" && fnPrice) {
+                    return createPriceSorter(fnPrice, oSort.descending);
+                }
+                return new Sorter(oSort.path, oSort.descending);
+            }));
+        },
+
+        /**
+         * Describes the active filters for the info toolbar of the list.
+         * @public
+         * @param {object} oState the list state
+         * @param {string} [sCurrency] the currency of the price range
+         * @returns {string} the description, empty if no filter is active
+         */
+        describeFilters: function(oState, sCurrency) {
+            var aParts = [];
+            var sAny = i18n.getText("filterAny");
+            if (oState.categories.length) {
+                aParts.push(i18n.getText("fieldCategory") + ": " + oState.categories.join(", "));
+            }
+            if (isSet(oState.priceMin) || isSet(oState.priceMax)) {
+                aParts.push(i18n.getText("filterRange", [
+                    i18n.getText("fieldPrice"),
+                    isSet(oState.priceMin) ? oState.priceMin : "0",
+                    isSet(oState.priceMax) ? oState.priceMax : sAny
+                ]) + (sCurrency ? " " + sCurrency : ""));
+            }
+            if (oState.stock) {
+                aParts.push(i18n.getText(oState.stock === "in" ? "inStock" : "outOfStock"));
+            }
+            if (oState.reorder) {
+                aParts.push(i18n.getText("filterNeedsReorder"));
+            }
+            if (oState.minRating) {
+                aParts.push(i18n.getText("filterMinRating", [oState.minRating]));
+            }
+            if (isSet(oState.maxRating)) {
+                aParts.push(i18n.getText("filterMaxRating", [oState.maxRating]));
+            }
+            if (oState.supplier) {
+                aParts.push(i18n.getText("supplier") + ": " + oState.supplier);
+            }
+            if (oState.releasedFrom || oState.releasedTo) {
+                aParts.push(i18n.getText("filterRange", [
+                    i18n.getText("filterReleased"),
+                    oState.releasedFrom || sAny,
+                    oState.releasedTo || sAny
+                ]));
+            }
+            oState.specs.forEach(function(oSpec) {
+                aParts.push(oSpec.key + (oSpec.value ? " = " + oSpec.value : ""));
+            });
+            return aParts.join("; ");
+        }
+    };
+});
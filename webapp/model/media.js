@@ -0,0 +1,287 @@
+sap.ui.define([
+    "./i18n",
+    "./formatter"
+], function(i18n, formatter) {
+    "use strict";
+
+    var MEGABYTE = 1024 * 1024;
+
+    // the limits per kind of file; images are scaled down before they are stored, so they may be larger
+    var KINDS = {
+        Images: {
+            maxCount: 10,
+            maxSize: 10 * MEGABYTE,
+            mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+            extensions: ["jpg", "jpeg", "png", "gif", "webp"]
+        },
+        Attachments: {
+            maxCount: 10,
+            maxSize: 2 * MEGABYTE,
+            mimeTypes: [],
+            extensions: ["pdf", "txt", "csv", "doc", "docx", "xls", "xlsx", "zip"]
+        }
+    };
+
+    // the longest side of a stored image and of its thumbnail, in pixels
+    var IMAGE_MAX_DIMENSION = 1280;
+    var THUMBNAIL_DIMENSION = 128;
+    var JPEG_QUALITY = 0.85;
+
+    function getExtension(sFileName) {
+        var iDot = sFileName.lastIndexOf(".");
+        return iDot === -1 ? "" : sFileName.slice(iDot + 1).toLowerCase();
+    }
+
+    function createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    function readAsDataUrl(oFile) {
+        return new Promise(function(resolve, reject) {
+            var oReader = new FileReader();
+            oReader.onload = function() {
+                resolve(oReader.result);
+            };
+            oReader.onerror = function() {
+                reject(new Error(i18n.getText("mediaReadError", [oFile.name])));
+            };
+            oReader.readAsDataURL(oFile);
+        });
+    }
+
+    function loadImage(sUrl, sFileName) {
+        return new Promise(function(resolve, reject) {
+            var oImage = new window.Image();
+            oImage.onload = function() {
+                resolve(oImage);
+            };
+            oImage.onerror = function() {
+                reject(new Error(i18n.getText("mediaReadError", [sFileName])));
+            };
+            oImage.src = sUrl;
+        });
+    }
+
+    // images with transparency stay PNG, everything else becomes a JPEG
+    function scaleImage(oImage, iMaxDimension, sMimeType) {
+        var fScale = Math.min(1, iMaxDimension / Math.max(oImage.naturalWidth, oImage.naturalHeight));
+        var oCanvas = document.createElement("canvas");
+        oCanvas.width = Math.max(1, Math.round(oImage.naturalWidth * fScale));
+        oCanvas.height = Math.max(1, Math.round(oImage.naturalHeight * fScale));
+        oCanvas.getContext("2d").drawImage(oImage, 0, 0, oCanvas.width, oCanvas.height);
+        return oCanvas.toDataURL(sMimeType, JPEG_QUALITY);
+    }
+
+    function dataUrlToBlob(sDataUrl) {
+        var iComma = sDataUrl.indexOf(",");
+        var sMimeType = sDataUrl.slice(5, iComma).split(";")[0];
+        var sBinary = window.atob(sDataUrl.slice(iComma + 1));
+        var aBytes = new Uint8Array(sBinary.length);
+        for (var i = 0; i < sBinary.length; i++) {
+            aBytes[i] = sBinary.charCodeAt(i);
+        }
+        return new Blob([aBytes], { type: sMimeType });
+    }
+
+    /**
+     * Images and attachments of products.
+     *
+     * A product lists its files in Images and Attachments. Each file has a MediaID, FileName, MimeType
+     * and Size, an image also a small Thumbnail as data URL that the lists show. The content of the
+     * files is kept apart from the products in the MediaLibrary, so lists, the undo history and the
+     * audit trail stay small. A file that was just added in a form still carries its Content, the
+     * ProductRepository takes it out when the product is saved.
+     *
+     * Images are scaled down in the browser before they are stored. The kinds of files, their size
+     * and how many a product may have are limited.
+     */
+    return {
+        /**
+         * The limits of images and attachments by the product property that lists them.
+         */
+        kinds: KINDS,
+
+        /**
+         * Checks whether a file may be added to a product.
+         * @public
+         * @param {string} sKind Images or Attachments
+         * @param {File} oFile the chosen file
+         * @param {int} iCount the number of files of the kind the product has already
+         * @returns {string|null} the message of the issue, null if the file may be added
+         */
+        checkFile: function(sKind, oFile, iCount) {
+            var oKind = KINDS[sKind];
+            var sExtension = getExtension(oFile.name);
+            if (iCount >= oKind.maxCount) {
+                return i18n.getText(sKind === "Images" ? "mediaImageCountError" : "mediaAttachmentCountError", [oKind.maxCount]);
+            }
+            // browsers do not know the MIME type of every file, the extension has to do then
+            if (oKind.extensions.indexOf(sExtension) === -1 || oFile.type && oKind.mimeTypes.length && oKind.mimeTypes.indexOf(oFile.type) === -1) {
+                return i18n.getText("mediaTypeError", [oFile.name, oKind.extensions.join(", ")]);
+            }
+            if (oFile.size > oKind.maxSize) {
+                return i18n.getText("mediaSizeError", [oFile.name, formatter.formatFileSize(oKind.maxSize)]);
+            }
+            return null;
+        },
+
+        /**
+         * Reads chosen files into the file entries of a product, one after the other.
+         * Images are scaled down and get a thumbnail. Files that are not allowed or cannot be read are left out.
+         * @public
+         * @param {string} sKind Images or Attachments
+         * @param {File[]} aFiles the chosen files
+         * @param {int} iCount the number of files of the kind the product has already
+         * @returns {Promise<object>} resolves with the new entries in files, each with its Content, and the messages of the left out files in issues
+         */
+        readFiles: function(sKind, aFiles, iCount) {
+            var that = this;
+            var aEntries = [];
+            var aIssues = [];
+            return aFiles.reduce(function(pPrevious, oFile) {
+                return pPrevious.then(function() {
+                    var sIssue = that.checkFile(sKind, oFile, iCount + aEntries.length);
+                    if (sIssue) {
+                        aIssues.push(sIssue);
+                        return null;
+                    }
+                    return (sKind === "Images" ? that.readImage(oFile) : that.readAttachment(oFile)).then(function(oEntry) {
+                        aEntries.push(oEntry);
+                    }, function(oError) {
+                        aIssues.push(oError.message);
+                    });
+                });
+            }, Promise.resolve()).then(function() {
+                return { files: aEntries, issues: aIssues };
+            });
+        },
+
+        /**
+         * @public
+         * @param {File} oFile an image file
+         * @returns {Promise<object>} resolves with the image entry, its Content scaled down
+         */
+        readImage: function(oFile) {
+            return readAsDataUrl(oFile).then(function(sDataUrl) {
+                return loadImage(sDataUrl, oFile.name);
+            }).then(function(oImage) {
+                var sMimeType = oFile.type === "image/png" || oFile.type === "image/gif" ? "image/png" : "image/jpeg";
+                var sContent = scaleImage(oImage, IMAGE_MAX_DIMENSION, sMimeType);
+                return {
+                    MediaID: createId(),
+                    FileName: oFile.name,
+                    MimeType: sMimeType,
+                    // the size of the stored file, three quarters of its base64 text
+                    Size: Math.round((sContent.length - sContent.indexOf(",") - 1) * 3 / 4),
+                    Thumbnail: scaleImage(oImage, THUMBNAIL_DIMENSION, sMimeType),
+                    Content: sContent
+                };
+            });
+        },
+
+        /**
+         * @public
+         * @param {File} oFile an attachment file
+         * @returns {Promise<object>} resolves with the attachment entry and its Content
+         */
+        readAttachment: function(oFile) {
+            return readAsDataUrl(oFile).then(function(sContent) {
+                return {
+                    MediaID: createId(),
+                    FileName: oFile.name,
+                    MimeType: oFile.type || "application/octet-stream",
+                    Size: oFile.size,
+                    Content: sContent
+                };
+            });
+        },
+
+        /**
+         * Makes sure a product lists its files, older products have no such properties.
+         * @public
+         * @param {object} oProduct the product, it is changed
+         * @returns {object} the product
+         */
+        normalize: function(oProduct) {
+            Object.keys(KINDS).forEach(function(sKind) {
+                if (!Array.isArray(oProduct[sKind])) {
+                    oProduct[sKind] = [];
+                }
+            });
+            return oProduct;
+        },
+
+        /**
+         * Takes the content of newly added files out of a product.
+         * @public
+         * @param {object} oProduct the product, it is changed
+         * @returns {object} the content of the files by MediaID, empty if none were added
+         */
+        takeContents: function(oProduct) {
+            var mContents = {};
+            Object.keys(KINDS).forEach(function(sKind) {
+                (oProduct[sKind] || []).forEach(function(oEntry) {
+                    if (oEntry.Content) {
+                        mContents[oEntry.MediaID] = oEntry.Content;
+                    }
+                    delete oEntry.Content;
+                });
+            });
+            return mContents;
+        },
+
+        /**
+         * Gives images their thumbnails back, e.g. those of a version from the audit trail, which keeps none.
+         * An image the product still has keeps its thumbnail, the others are scaled down from their content.
+         * @public
+         * @param {object[]} aImages the images, they are changed
+         * @param {object[]} aCurrentImages the images the product has now
+         * @param {object} mContents the content of the files of the product by MediaID, see the MediaLibrary
+         * @returns {Promise<object[]>} resolves with the images, one without readable content stays without thumbnail
+         */
+        restoreThumbnails: function(aImages, aCurrentImages, mContents) {
+            var mThumbnails = {};
+            (aCurrentImages || []).forEach(function(oImage) {
+                mThumbnails[oImage.MediaID] = oImage.Thumbnail;
+            });
+            return Promise.all((aImages || []).map(function(oImage) {
+                if (oImage.Thumbnail) {
+                    return oImage;
+                }
+                if (mThumbnails[oImage.MediaID]) {
+                    oImage.Thumbnail = mThumbnails[oImage.MediaID];
+                    return oImage;
+                }
+                if (!mContents[oImage.MediaID]) {
+                    return oImage;
+                }
+                return loadImage(mContents[oImage.MediaID], oImage.FileName).then(function(oLoaded) {
+                    oImage.Thumbnail = scaleImage(oLoaded, THUMBNAIL_DIMENSION, oImage.MimeType);
+                    return oImage;
+                }, function() {
+                    return oImage;
+                });
+            }));
+        },
+
+        /**
+         * Offers a file as a download.
+         * @public
+         * @param {string} sFileName the file name
+         * @param {string} sContent the content as data URL
+         */
+        download: function(sFileName, sContent) {
+            // large data URLs are too long for a link in some browsers, an object URL is not
+            var sUrl = URL.createObjectURL(dataUrlToBlob(sContent));
+            var oLink = document.createElement("a");
+            oLink.href = sUrl;
+            oLink.download = sFileName;
+            document.body.appendChild(oLink);
+            oLink.click();
+            document.body.removeChild(oLink);
+            setTimeout(function() {
+                URL.revokeObjectURL(sUrl);
+            }, 1000);
+        }
+    };
+});
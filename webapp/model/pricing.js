@@ -0,0 +1,306 @@
+sap.ui.define([
+    "./i18n"
+], function(i18n) {
+    "use strict";
+
+    // a percentage takes a share off the price, a fixed discount an amount in the currency of the product
+    var DISCOUNT_TYPES = ["percent", "fixed"];
+    var DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    function toAmount(vValue) {
+        return vValue === "" || vValue === null || vValue === undefined ? NaN : Number(vValue);
+    }
+
+    function round(fValue) {
+        return Math.round(fValue * 100) / 100;
+    }
+
+    function pad(iValue) {
+        return (iValue < 10 ? "0" : "") + iValue;
+    }
+
+    function isDate(sDate) {
+        return typeof sDate === "string" && DATE_PATTERN.test(sDate);
+    }
+
+    function byDate(sField) {
+        return function(oFirst, oSecond) {
+            return oFirst[sField] < oSecond[sField] ? -1 : oFirst[sField] > oSecond[sField] ? 1 : 0;
+        };
+    }
+
+    function isActive(oDiscount, sDate) {
+        return oDiscount.ValidFrom <= sDate && (!oDiscount.ValidTo || sDate <= oDiscount.ValidTo);
+    }
+
+    function discount(fPrice, oDiscount) {
+        var fReduction = oDiscount.Type === "percent" ? fPrice * oDiscount.Value / 100 : oDiscount.Value;
+        return round(Math.max(0, fPrice - fReduction));
+    }
+
+    /**
+     * Prices of the products over time.
+     *
+     * Price is the list price of today. Every change of it is kept in the PriceHistory of the product
+     * with the date from which it applied, so the price of any past day can be looked up. A price change
+     * can be prepared in the ScheduledPrices with its EffectiveDate, it becomes the list price on that
+     * day. Discounts take a percentage or a fixed amount off the list price from ValidFrom to ValidTo,
+     * an open end has no ValidTo. If several discounts apply, the customer gets the best one.
+     * All dates are days as YYYY-MM-DD.
+     *
+     * Scheduled prices are for products without variants. The Price of a product with variants is the
+     * lowest price of its variants, see the variants module, so it cannot have scheduled prices; its
+     * discounts apply to the prices of all variants.
+     */
+    return {
+        /**
+         * The types of discounts.
+         */
+        discountTypes: DISCOUNT_TYPES,
+
+        /**
+         * @public
+         * @param {Date} [oDate] the point in time, by default now
+         * @returns {string} the day as YYYY-MM-DD in the local time zone
+         */
+        today: function(oDate) {
+            oDate = oDate || new Date();
+            return oDate.getFullYear() + "-" + pad(oDate.getMonth() + 1) + "-" + pad(oDate.getDate());
+        },
+
+        /**
+         * Fills in the price fields of products stored before there was a price history, and makes the
+         * scheduled prices whose day has come the list price, unless the product has variants.
+         * @public
+         * @param {object} oProduct the product, it is changed
+         * @param {string} [sToday] the current day, by default today
+         * @returns {object} the product
+         */
+        normalize: function(oProduct, sToday) {
+            sToday = sToday || this.today();
+            if (!Array.isArray(oProduct.ScheduledPrices)) {
+                oProduct.ScheduledPrices = [];
+            }
+            if (!Array.isArray(oProduct.Discounts)) {
+                oProduct.Discounts = [];
+            }
+            if (!Array.isArray(oProduct.PriceHistory) || !oProduct.PriceHistory.length) {
+                // the price is known to apply since the release at the latest
+                oProduct.PriceHistory = [{
+                    Date: isDate(oProduct.ReleaseDate) && oProduct.ReleaseDate < sToday ? oProduct.ReleaseDate : sToday,
+                    Price: oProduct.Price
+                }];
+            }
+            oProduct.ScheduledPrices.sort(byDate("EffectiveDate"));
+            // the variants set the price of their product
+            if (oProduct.Variants && oProduct.Variants.length) {
+                return oProduct;
+            }
+            while (oProduct.ScheduledPrices.length && oProduct.ScheduledPrices[0].EffectiveDate <= sToday) {
+                var oDue = oProduct.ScheduledPrices.shift();
+                oProduct.Price = oDue.Price;
+                this._addToHistory(oProduct, oDue.EffectiveDate);
+            }
+            return oProduct;
+        },
+
+        /**
+         * Records a change of the list price in the price history, with the current day.
+         * @public
+         * @param {object} oProduct the changed product, it is changed
+         * @param {object} [oPrevious] the product before the change, none for a new product
+         * @param {string} [sToday] the current day, by default today
+         * @returns {object} the product
+         */
+        record: function(oProduct, oPrevious, sToday) {
+            sToday = sToday || this.today();
+            if (!Array.isArray(oProduct.PriceHistory) && oPrevious && Array.isArray(oPrevious.PriceHistory)) {
+                // e.g. an import or a revert keeps the history of the product it replaces
+                oProduct.PriceHistory = JSON.parse(JSON.stringify(oPrevious.PriceHistory));
+            }
+            this.normalize(oProduct, sToday);
+            this._addToHistory(oProduct, sToday);
+            return oProduct;
+        },
+
+        /**
+         * Checks the scheduled prices and discounts of a product.
+         * @public
+         * @param {object[]} aScheduledPrices the scheduled prices with EffectiveDate and Price
+         * @param {object[]} aDiscounts the discounts with Type, Value, ValidFrom and ValidTo
+         * @param {string} [sToday] the current day, by default today
+         * @returns {string|null} the message of the first issue, null if they are valid
+         */
+        check: function(aScheduledPrices, aDiscounts, sToday) {
+            sToday = sToday || this.today();
+            var mDates = {};
+            for (var i = 0; i < aScheduledPrices.length; i++) {
+                var oScheduled = aScheduledPrices[i];
+                var fPrice = toAmount(oScheduled.Price);
+                if (!isDate(oScheduled.EffectiveDate) || oScheduled.EffectiveDate <= sToday) {
+                    return i18n.getText("pricingScheduledDateError");
+                }
+                if (mDates[oScheduled.EffectiveDate]) {
+                    return i18n.getText("pricingScheduledDuplicateError", [oScheduled.EffectiveDate]);
+                }
+                mDates[oScheduled.EffectiveDate] = true;
+                if (isNaN(fPrice) || fPrice < 0) {
+                    return i18n.getText("pricingScheduledPriceError", [oScheduled.EffectiveDate]);
+                }
+            }
+            for (var j = 0; j < aDiscounts.length; j++) {
+                var oDiscount = aDiscounts[j];
+                var fValue = toAmount(oDiscount.Value);
+                if (DISCOUNT_TYPES.indexOf(oDiscount.Type) === -1 || isNaN(fValue) || fValue <= 0 ||
+                        oDiscount.Type === "percent" && fValue > 100) {
+                    return i18n.getText("pricingDiscountValueError", [j + 1]);
+                }
+                if (!isDate(oDiscount.ValidFrom) || oDiscount.ValidTo && (!isDate(oDiscount.ValidTo) ||
+                        oDiscount.ValidTo < oDiscount.ValidFrom)) {
+                    return i18n.getText("pricingDiscountDateError", [j + 1]);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Gives a product its scheduled prices and discounts.
+         * @public
+         * @param {object} oProduct the product, it is changed
+         * @param {object[]} aScheduledPrices the scheduled prices with EffectiveDate and Price
+         * @param {object[]} aDiscounts the discounts with Type, Value, ValidFrom, ValidTo and Reason
+         * @returns {object} the product
+         */
+        apply: function(oProduct, aScheduledPrices, aDiscounts) {
+            oProduct.ScheduledPrices = aScheduledPrices.map(function(oScheduled) {
+                return { EffectiveDate: oScheduled.EffectiveDate, Price: toAmount(oScheduled.Price) };
+            }).sort(byDate("EffectiveDate"));
+            oProduct.Discounts = aDiscounts.map(function(oDiscount) {
+                return {
+                    Type: oDiscount.Type,
+                    Value: toAmount(oDiscount.Value),
+                    ValidFrom: oDiscount.ValidFrom,
+                    ValidTo: oDiscount.ValidTo || "",
+                    Reason: (oDiscount.Reason || "").trim()
+                };
+            }).sort(byDate("ValidFrom"));
+            return oProduct;
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @param {string} sDate the day
+         * @returns {number|null} the list price on that day, scheduled prices included, null before the history starts
+         */
+        getPriceOn: function(oProduct, sDate) {
+            var aPrices = (oProduct.PriceHistory || []).concat((oProduct.ScheduledPrices || []).map(function(oScheduled) {
+                return { Date: oScheduled.EffectiveDate, Price: oScheduled.Price };
+            })).filter(function(oEntry) {
+                return oEntry.Date <= sDate;
+            }).sort(byDate("Date"));
+            return aPrices.length ? aPrices[aPrices.length - 1].Price : null;
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @param {string} [sDate] the day, by default today
+         * @returns {object|null} the discount that takes the most off the list price on that day, null if none applies
+         */
+        getDiscount: function(oProduct, sDate) {
+            sDate = sDate || this.today();
+            var fPrice = toAmount(oProduct.Price);
+            return (oProduct.Discounts || []).filter(function(oDiscount) {
+                return isActive(oDiscount, sDate);
+            }).reduce(function(oBest, oDiscount) {
+                return !oBest || discount(fPrice, oDiscount) < discount(fPrice, oBest) ? oDiscount : oBest;
+            }, null);
+        },
+
+        /**
+         * @public
+         * @param {number} fPrice the list price
+         * @param {object|null} oDiscount the discount
+         * @returns {number} the price after the discount, never below 0
+         */
+        applyDiscount: function(fPrice, oDiscount) {
+            return oDiscount ? discount(toAmount(fPrice), oDiscount) : fPrice;
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @param {string} [sDate] the day, by default today
+         * @returns {number} the price a customer pays on that day, the list price with the best discount
+         */
+        getCurrentPrice: function(oProduct, sDate) {
+            return this.applyDiscount(oProduct.Price, this.getDiscount(oProduct, sDate));
+        },
+
+        /**
+         * The price history with the scheduled prices as bars of a chart, in the order of their dates.
+         * @public
+         * @param {object} oProduct the product
+         * @returns {object[]} the entries with Date, Price, Scheduled and their percent of the highest price
+         */
+        getChart: function(oProduct) {
+            var aEntries = (oProduct.PriceHistory || []).map(function(oEntry) {
+                return { Date: oEntry.Date, Price: oEntry.Price, Scheduled: false };
+            }).concat((oProduct.ScheduledPrices || []).map(function(oScheduled) {
+                return { Date: oScheduled.EffectiveDate, Price: oScheduled.Price, Scheduled: true };
+            })).sort(byDate("Date"));
+            var fMax = aEntries.reduce(function(fHighest, oEntry) {
+                return Math.max(fHighest, oEntry.Price);
+            }, 0);
+            aEntries.forEach(function(oEntry) {
+                oEntry.percent = fMax ? Math.round(oEntry.Price / fMax * 100) : 0;
+            });
+            return aEntries;
+        },
+
+        /**
+         * @public
+         * @param {object[]} aScheduledPrices the scheduled prices of a product
+         * @returns {string} the prices with their dates, e.g. for the audit trail
+         */
+        describeScheduledPrices: function(aScheduledPrices) {
+            return (aScheduledPrices || []).map(function(oScheduled) {
+                return i18n.getText("pricingScheduledDescription", [oScheduled.Price, oScheduled.EffectiveDate]);
+            }).join("; ");
+        },
+
+        /**
+         * @public
+         * @param {object[]} aDiscounts the discounts of a product
+         * @returns {string} the discounts with their validity, e.g. for the audit trail
+         */
+        describeDiscounts: function(aDiscounts) {
+            return (aDiscounts || []).map(function(oDiscount) {
+                return i18n.getText("pricingDiscountDescription", [
+                    oDiscount.Type === "percent" ? oDiscount.Value + "%" : oDiscount.Value,
+                    oDiscount.ValidFrom,
+                    oDiscount.ValidTo || "…"
+                ]);
+            }).join("; ");
+        },
+
+        _addToHistory: function(oProduct, sDate) {
+            var aHistory = oProduct.PriceHistory;
+            var fPrice = toAmount(oProduct.Price);
+            var oLast = aHistory[aHistory.length - 1];
+            if (oLast && toAmount(oLast.Price) === fPrice) {
+                return;
+            }
+            // several changes on one day leave the last one, a price that is back where it was none
+            if (oLast && oLast.Date >= sDate) {
+                aHistory.pop();
+                oLast = aHistory[aHistory.length - 1];
+                if (oLast && toAmount(oLast.Price) === fPrice) {
+                    return;
+                }
+            }
+            aHistory.push({ Date: sDate, Price: fPrice });
+        }
+    };
+});
@@ -0,0 +1,131 @@
+sap.ui.define([
+    "./formatter"
+], function(formatter) {
+    "use strict";
+
+    var MIN_PRODUCTS = 2;
+    var MAX_PRODUCTS = 4;
+    var SPECIFICATION_PREFIX = "Specifications/";
+
+    // the fields compared before the specifications, each turned into the text that is shown
+    var FIELDS = [
+        { field: "Price", text: function(oProduct, sDisplayCurrency, mRates) {
+            return formatter.formatDisplayPrice(oProduct.Price, oProduct.Currency, sDisplayCurrency, mRates) + " " +
+                formatter.formatDisplayCurrency(oProduct.Price, oProduct.Currency, sDisplayCurrency, mRates);
+        } },
+        { field: "Rating" },
+        { field: "Quantity" },
+        { field: "InStock", text: function(oProduct) {
+            return formatter.formatStockStatus(oProduct.InStock);
+        } },
+        { field: "ReorderLevel" },
+        { field: "Category" },
+        { field: "SupplierName" },
+        { field: "ReleaseDate" }
+    ];
+
+    function toText(vValue) {
+        return vValue === undefined || vValue === null ? "" : String(vValue).trim();
+    }
+
+    function createRow(sField, aValues) {
+        return {
+            field: sField,
+            values: aValues,
+            different: aValues.some(function(sValue) {
+                return sValue !== aValues[0];
+            })
+        };
+    }
+
+    /**
+     * Lines up products side by side for the compare view.
+     *
+     * The products are given in the URL as a comma separated list of IDs. Each row of a comparison
+     * holds the texts of one field for all products and tells whether they differ. Specification
+     * rows use the field "Specifications/" followed by the key and cover the keys of all products.
+     */
+    return {
+        /**
+         * The number of products that can be compared at least.
+         */
+        minProducts: MIN_PRODUCTS,
+
+        /**
+         * The number of products that can be compared at most.
+         */
+        maxProducts: MAX_PRODUCTS,
+
+        /**
+         * @public
+         * @param {string} sIds the IDs from the URL, separated by commas
+         * @returns {string[]} the distinct IDs in their order
+         */
+        parseIds: function(sIds) {
+            return (sIds || "").split(",").map(function(sId) {
+                return sId.trim();
+            }).filter(function(sId, iIndex, aIds) {
+                return !!sId && aIds.indexOf(sId) === iIndex;
+            });
+        },
+
+        /**
+         * @public
+         * @param {string[]} aIds the product IDs
+         * @returns {string} the IDs for the URL
+         */
+        joinIds: function(aIds) {
+            return aIds.join(",");
+        },
+
+        /**
+         * @public
+         * @param {int} iCount the number of products
+         * @returns {boolean} whether that many products can be compared
+         */
+        canCompare: function(iCount) {
+            return iCount >= MIN_PRODUCTS && iCount <= MAX_PRODUCTS;
+        },
+
+        /**
+         * @public
+         * @param {string} sField a field of a row
+         * @returns {string|null} the specification key of the row, null if it is no specification row
+         */
+        getSpecificationKey: function(sField) {
+            return sField && sField.indexOf(SPECIFICATION_PREFIX) === 0 ? sField.slice(SPECIFICATION_PREFIX.length) : null;
+        },
+
+        /**
+         * Creates the rows that compare the products, first the product fields, then the specifications by key.
+         * @public
+         * @param {object[]} aProducts the products
+         * @param {string} sDisplayCurrency the currency the prices are shown in
+         * @param {object} mRates the exchange rates by currency code
+         * @returns {object[]} the rows with field, values and different
+         */
+        createRows: function(aProducts, sDisplayCurrency, mRates) {
+            var aRows = FIELDS.map(function(oField) {
+                return createRow(oField.field, aProducts.map(function(oProduct) {
+                    return oField.text ? oField.text(oProduct, sDisplayCurrency, mRates) : toText(oProduct[oField.field]);
+                }));
+            });
+            var aKeys = [];
+            aProducts.forEach(function(oProduct) {
+                Object.keys(oProduct.Specifications || {}).forEach(function(sKey) {
+                    if (aKeys.indexOf(sKey) === -1) {
+                        aKeys.push(sKey);
+                    }
+                });
+            });
+            aKeys.sort(function(sKey1, sKey2) {
+                return sKey1.toLowerCase().localeCompare(sKey2.toLowerCase());
+            });
+            return aRows.concat(aKeys.map(function(sKey) {
+                return createRow(SPECIFICATION_PREFIX + sKey, aProducts.map(function(oProduct) {
+                    return toText((oProduct.Specifications || {})[sKey]);
+                }));
+            }));
+        }
+    };
+});
@@ -0,0 +1,141 @@
+sap.ui.define([
+    "./variants",
+    "./pricing"
+], function(variants, pricing) {
+    "use strict";
+
+    // kept by the repository, they are always taken from the stored version
+    var SYSTEM_FIELDS = ["ProductID", "Version", "InStock", "StockMovements", "PriceHistory", "SupplierID"];
+    var SPECIFICATIONS_FIELD = "Specifications";
+    var MEDIA_FIELDS = ["Images", "Attachments"];
+
+    function toValue(vValue) {
+        if (vValue === undefined || vValue === null) {
+            return "";
+        }
+        return typeof vValue === "object" ? JSON.stringify(vValue) : String(vValue);
+    }
+
+    // files are shown by their names, variants by their SKUs, prices and discounts with their dates
+    function toText(sField, vValue) {
+        if (MEDIA_FIELDS.indexOf(sField) !== -1) {
+            return (vValue || []).map(function(oFile) {
+                return oFile.FileName;
+            }).join(", ");
+        }
+        if (sField === "VariantAxes") {
+            return variants.describeAxes(vValue);
+        }
+        if (sField === "Variants") {
+            return variants.describeVariants(vValue);
+        }
+        if (sField === "ScheduledPrices") {
+            return pricing.describeScheduledPrices(vValue);
+        }
+        if (sField === "Discounts") {
+            return pricing.describeDiscounts(vValue);
+        }
+        return toValue(vValue);
+    }
+
+    function union(oFirst, oSecond, oThird) {
+        var aKeys = [];
+        [oFirst, oSecond, oThird].forEach(function(oObject) {
+            Object.keys(oObject || {}).forEach(function(sKey) {
+                if (aKeys.indexOf(sKey) === -1) {
+                    aKeys.push(sKey);
+                }
+            });
+        });
+        return aKeys;
+    }
+
+    // fields are given by their name, specifications as "Specifications/" followed by the key
+    function getValue(oProduct, sField) {
+        if (sField.indexOf(SPECIFICATIONS_FIELD + "/") === 0) {
+            return (oProduct[SPECIFICATIONS_FIELD] || {})[sField.slice(SPECIFICATIONS_FIELD.length + 1)];
+        }
+        return oProduct[sField];
+    }
+
+    function setValue(oProduct, sField, vValue) {
+        var oTarget = oProduct;
+        var sKey = sField;
+        if (sField.indexOf(SPECIFICATIONS_FIELD + "/") === 0) {
+            oTarget = oProduct[SPECIFICATIONS_FIELD] = oProduct[SPECIFICATIONS_FIELD] || {};
+            sKey = sField.slice(SPECIFICATIONS_FIELD.length + 1);
+        }
+        if (vValue === undefined) {
+            delete oTarget[sKey];
+        } else {
+            oTarget[sKey] = JSON.parse(JSON.stringify(vValue));
+        }
+    }
+
+    /**
+     * Merges the changes of a user into a product that was saved by someone else meanwhile, e.g. in another tab.
+     *
+     * Both versions are compared field by field with the version the user started from. A field only one
+     * of them changed takes that change, a field both changed to different values is a conflict the user
+     * has to decide. Every specification is a field of its own.
+     */
+    return {
+        /**
+         * @public
+         * @param {object} oBase the product as it was when the user started to edit it
+         * @param {object} oMine the product as the user wants to save it
+         * @param {object} oTheirs the product as it is stored now
+         * @returns {object} the merged product, which has the stored value for the conflicts, and the conflicts
+         *   with Field, Mine and Theirs and the values as MineText and TheirsText
+         */
+        merge: function(oBase, oMine, oTheirs) {
+            var oMerged = JSON.parse(JSON.stringify(oTheirs));
+            var aConflicts = [];
+            var aFields = union(oBase, oMine, oTheirs).filter(function(sField) {
+                return SYSTEM_FIELDS.indexOf(sField) === -1 && sField !== SPECIFICATIONS_FIELD;
+            }).concat(union(oBase[SPECIFICATIONS_FIELD], oMine[SPECIFICATIONS_FIELD], oTheirs[SPECIFICATIONS_FIELD]).map(function(sKey) {
+                return SPECIFICATIONS_FIELD + "/" + sKey;
+            }));
+            aFields.forEach(function(sField) {
+                var vMine = getValue(oMine, sField);
+                var vTheirs = getValue(oTheirs, sField);
+                var bMineChanged = toValue(vMine) !== toValue(getValue(oBase, sField));
+                var bTheirsChanged = toValue(vTheirs) !== toValue(getValue(oBase, sField));
+                if (!bMineChanged || toValue(vMine) === toValue(vTheirs)) {
+                    return;
+                }
+                if (bTheirsChanged) {
+                    aConflicts.push({
+                        Field: sField,
+                        Mine: vMine,
+                        Theirs: vTheirs,
+                        MineText: toText(sField, vMine),
+                        TheirsText: toText(sField, vTheirs)
+                    });
+                } else {
+                    setValue(oMerged, sField, vMine);
+                }
+            });
+            return {
+                product: oMerged,
+                conflicts: aConflicts
+            };
+        },
+
+        /**
+         * Takes the value of the user for the conflicts the user decided for.
+         * @public
+         * @param {object} oMerged the merged product, it is changed
+         * @param {object[]} aConflicts the conflicts of the merge, KeepMine tells whether the value of the user wins
+         * @returns {object} the merged product
+         */
+        resolve: function(oMerged, aConflicts) {
+            aConflicts.forEach(function(oConflict) {
+                if (oConflict.KeepMine) {
+                    setValue(oMerged, oConflict.Field, oConflict.Mine);
+                }
+            });
+            return oMerged;
+        }
+    };
+});
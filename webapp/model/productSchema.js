@@ -0,0 +1,261 @@
+sap.ui.define([
+    "./i18n",
+    "./SpecTemplates",
+    "./variants"
+], function(i18n, SpecTemplates, variants) {
+    "use strict";
+
+    // replaced by the currencies of the exchange rates file once it is loaded
+    var CURRENCIES = ["USD", "EUR", "GBP"];
+
+    // field definitions, the constraints of the bound UI5 types in the forms mirror these
+    var FIELDS = {
+        Name: { labelKey: "fieldName", type: "string", required: true, maxLength: 80, unique: true },
+        Description: { labelKey: "fieldDescription", type: "string", maxLength: 255 },
+        Price: { labelKey: "fieldPrice", type: "number", required: true, minimum: 0 },
+        Currency: { labelKey: "fieldCurrency", type: "string", required: true, values: CURRENCIES },
+        Category: { labelKey: "fieldCategory", type: "string", maxLength: 40 },
+        SupplierName: { labelKey: "fieldSupplierName", type: "string", maxLength: 80 },
+        InStock: { labelKey: "fieldInStock", type: "boolean" },
+        Quantity: { labelKey: "fieldQuantity", type: "integer", minimum: 0 },
+        ReorderLevel: { labelKey: "fieldReorderLevel", type: "integer", minimum: 0 },
+        Rating: { labelKey: "fieldRating", type: "number", minimum: 0, maximum: 5 },
+        ReleaseDate: { labelKey: "fieldReleaseDate", type: "date" }
+    };
+
+    var DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    function isEmpty(vValue) {
+        return vValue === undefined || vValue === null || vValue === "";
+    }
+
+    function isValidDate(sValue) {
+        var aMatch = DATE_PATTERN.exec(sValue);
+        if (!aMatch) {
+            return false;
+        }
+        // reject dates like 2023-02-30 that Date would silently roll over
+        var oDate = new Date(Date.UTC(+aMatch[1], +aMatch[2] - 1, +aMatch[3]));
+        return oDate.getUTCFullYear() === +aMatch[1] && oDate.getUTCMonth() === +aMatch[2] - 1 && oDate.getUTCDate() === +aMatch[3];
+    }
+
+    function checkField(oField, vValue) {
+        var sLabel = i18n.getText(oField.labelKey);
+        if (isEmpty(vValue)) {
+            return oField.required ? i18n.getText("validationRequired", [sLabel]) : null;
+        }
+        switch (oField.type) {
+            case "string":
+                if (typeof vValue !== "string") {
+                    return i18n.getText("validationText", [sLabel]);
+                }
+                if (oField.required && !vValue.trim()) {
+                    return i18n.getText("validationRequired", [sLabel]);
+                }
+                if (oField.maxLength && vValue.length > oField.maxLength) {
+                    return i18n.getText("validationMaxLength", [sLabel, oField.maxLength]);
+                }
+                break;
+            case "number":
+            case "integer":
+                if (typeof vValue !== "number" || isNaN(vValue)) {
+                    return i18n.getText("validationNumber", [sLabel]);
+                }
+                if (oField.type === "integer" && Math.floor(vValue) !== vValue) {
+                    return i18n.getText("validationInteger", [sLabel]);
+                }
+                if (oField.minimum !== undefined && vValue < oField.minimum) {
+                    return i18n.getText("validationMinimum", [sLabel, oField.minimum]);
+                }
+                if (oField.maximum !== undefined && vValue > oField.maximum) {
+                    return i18n.getText("validationMaximum", [sLabel, oField.maximum]);
+                }
+                break;
+            case "boolean":
+                if (typeof vValue !== "boolean") {
+                    return i18n.getText("validationBoolean", [sLabel]);
+                }
+                break;
+            case "date":
+                if (!isValidDate(vValue)) {
+                    return i18n.getText("validationDate", [sLabel]);
+                }
+                break;
+            default:
+                break;
+        }
+        if (oField.values && oField.values.indexOf(vValue) === -1) {
+            return i18n.getText("validationValues", [sLabel, oField.values.join(", ")]);
+        }
+        return null;
+    }
+
+    return {
+        /**
+         * The currencies a product price may be given in.
+         */
+        currencies: CURRENCIES,
+
+        /**
+         * Sets the currencies a product price may be given in, the first one is the default for new products.
+         * @public
+         * @param {string[]} aCurrencies the currency codes
+         */
+        setCurrencies: function(aCurrencies) {
+            // the array is shared with the field definition, so it is changed in place
+            Array.prototype.splice.apply(CURRENCIES, [0, CURRENCIES.length].concat(aCurrencies));
+        },
+
+        /**
+         * The field definitions by property name.
+         */
+        fields: FIELDS,
+
+        /**
+         * Checks a value against a field definition, also for the fields of other entities.
+         * @public
+         * @param {object} oField the definition with labelKey, type and the constraints
+         * @param {any} vValue the value
+         * @returns {string|null} the message of the issue, null if the value is valid
+         */
+        checkField: checkField,
+
+        /**
+         * @public
+         * @param {string} sProperty the property name
+         * @returns {string} the label of the field in the current language
+         */
+        getLabel: function(sProperty) {
+            return i18n.getText(FIELDS[sProperty].labelKey);
+        },
+
+        /**
+         * @public
+         * @returns {object} the data of a new product with default values
+         */
+        createDefaults: function() {
+            return {
+                Name: "",
+                Description: "",
+                Price: 0,
+                Currency: CURRENCIES[0],
+                Category: "",
+                SupplierID: "",
+                SupplierName: "",
+                // derived from the quantity when the product is saved
+                InStock: false,
+                Quantity: 0,
+                ReorderLevel: 0,
+                Rating: 0,
+                // today's date in YYYY-MM-DD format
+                ReleaseDate: new Date().toISOString().split("T")[0],
+                Specifications: {},
+                Images: [],
+                Attachments: [],
+                VariantAxes: [],
+                Variants: []
+            };
+        },
+
+        /**
+         * Validates a product as it is entered in the Create and Edit forms.
+         *
+         * Each issue names the model ("products" or "specs") and the absolute path in that model
+         * it belongs to, so it can be turned into a message that targets the bound input.
+         *
+         * @public
+         * @param {object} oProduct the product data, without its Specifications
+         * @param {object[]} aSpecs the specification rows with key and value, rows of a template also with
+         *   template, type, unit, options and required, see SpecTemplates
+         * @param {object[]} aProducts all existing products, used for the unique checks
+         * @returns {object[]} the issues with model, path and message, empty if the product is valid
+         */
+        validate: function(oProduct, aSpecs, aProducts) {
+            var aIssues = [];
+
+            Object.keys(FIELDS).forEach(function(sProperty) {
+                var sMessage = checkField(FIELDS[sProperty], oProduct[sProperty]);
+                if (sMessage) {
+                    aIssues.push({ model: "products", path: "/" + sProperty, message: sMessage });
+                }
+            });
+
+            // unique fields must not be used by another product, case is ignored
+            Object.keys(FIELDS).forEach(function(sProperty) {
+                var vValue = oProduct[sProperty];
+                if (!FIELDS[sProperty].unique || typeof vValue !== "string" || !vValue.trim()) {
+                    return;
+                }
+                var bTaken = (aProducts || []).some(function(oOther) {
+                    return oOther.ProductID !== oProduct.ProductID &&
+                        String(oOther[sProperty]).trim().toLowerCase() === vValue.trim().toLowerCase();
+                });
+                if (bTaken) {
+                    aIssues.push({
+                        model: "products",
+                        path: "/" + sProperty,
+                        message: i18n.getText("validationUnique", [vValue.trim()])
+                    });
+                }
+            });
+
+            // specification rows need a key and a value, and each key may only be used once;
+            // rows of a template may stay empty unless they are required, and their values must fit the type
+            var mKeys = {};
+            (aSpecs || []).forEach(function(oSpec, iIndex) {
+                var sKey = (oSpec.key || "").trim();
+                var sValue = String(oSpec.value === undefined || oSpec.value === null ? "" : oSpec.value).trim();
+                var sRowPath = "/specs/" + iIndex;
+                if (!sKey && !sValue || oSpec.template && !sValue && !oSpec.required) {
+                    // empty rows are dropped on save
+                    return;
+                }
+                if (!sKey) {
+                    aIssues.push({ model: "specs", path: sRowPath + "/key", message: i18n.getText("validationSpecKey") });
+                    return;
+                }
+                if (!sValue) {
+                    aIssues.push({ model: "specs", path: sRowPath + "/value", message: i18n.getText("validationSpecValue", [sKey]) });
+                } else if (oSpec.template) {
+                    var sIssue = SpecTemplates.checkValue({
+                        key: sKey,
+                        type: oSpec.type,
+                        unit: oSpec.unit,
+                        values: (oSpec.options || []).map(function(oOption) {
+                            return oOption.key;
+                        })
+                    }, sValue);
+                    if (sIssue) {
+                        aIssues.push({ model: "specs", path: sRowPath + "/value", message: sIssue });
+                    }
+                }
+                if (mKeys[sKey.toLowerCase()]) {
+                    aIssues.push({ model: "specs", path: sRowPath + "/key", message: i18n.getText("validationSpecDuplicate", [sKey]) });
+                }
+                mKeys[sKey.toLowerCase()] = true;
+            });
+
+            return aIssues;
+        },
+
+        /**
+         * Validates a complete product as it is stored, e.g. before a bulk change or an import.
+         * The price and stock of a product with variants must still be those of its variants.
+         * @public
+         * @param {object} oProduct the product including its Specifications object
+         * @param {object[]} aProducts all existing products, used for the unique checks
+         * @returns {string[]} the messages of all issues, empty if the product is valid
+         */
+        validateProduct: function(oProduct, aProducts) {
+            var oSpecifications = oProduct.Specifications || {};
+            var aSpecs = Object.keys(oSpecifications).map(function(sKey) {
+                return { key: sKey, value: String(oSpecifications[sKey]) };
+            });
+            var aMessages = this.validate(oProduct, aSpecs, aProducts).map(function(oIssue) {
+                return oIssue.message;
+            });
+            var sVariantsIssue = variants.checkTotals(oProduct);
+            return sVariantsIssue ? aMessages.concat(sVariantsIssue) : aMessages;
+        }
+    };
+});
@@ -0,0 +1,556 @@
+sap.ui.define([
+    "sap/ui/thirdparty/jszip",
+    "./productSchema",
+    "./i18n"
+], function(JSZip, productSchema, i18n) {
+    "use strict";
+
+    // the columns every export starts with, the Specifications follow with this prefix
+    var PRODUCT_COLUMNS = ["ProductID"].concat(Object.keys(productSchema.fields));
+    var SPEC_PREFIX = "Spec: ";
+
+    // the field a column is mapped to, besides the product properties
+    var IGNORE = "";
+    var SPECIFICATION = "@spec";
+
+    var MIME_TYPES = {
+        csv: "text/csv",
+        json: "application/json",
+        xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    };
+
+    // Excel counts days from 1899-12-30
+    var EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+    var DAY = 24 * 60 * 60 * 1000;
+
+    function isEmpty(vValue) {
+        return vValue === undefined || vValue === null || (typeof vValue === "string" && !vValue.trim());
+    }
+
+    function normalize(sText) {
+        return String(sText).toLowerCase().replace(/[^a-z0-9]/g, "");
+    }
+
+    function escapeXml(sText) {
+        return String(sText).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    function toCsvValue(vValue, sDelimiter) {
+        if (vValue === undefined || vValue === null) {
+            return "";
+        }
+        var sValue = String(vValue);
+        if (sValue.indexOf(sDelimiter) !== -1 || /["\r\n]/.test(sValue)) {
+            return "\"" + sValue.replace(/"/g, "\"\"") + "\"";
+        }
+        return sValue;
+    }
+
+    function detectDelimiter(sText) {
+        var sFirstLine = sText.split(/\r?\n/)[0];
+        var aCandidates = [",", ";", "\t"];
+        var sBest = ",";
+        var iBest = 0;
+        aCandidates.forEach(function(sCandidate) {
+            var iCount = sFirstLine.split(sCandidate).length - 1;
+            if (iCount > iBest) {
+                iBest = iCount;
+                sBest = sCandidate;
+            }
+        });
+        return sBest;
+    }
+
+    function columnName(iIndex) {
+        var sName = "";
+        for (var i = iIndex + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+            sName = String.fromCharCode(65 + (i - 1) % 26) + sName;
+        }
+        return sName;
+    }
+
+    function columnIndex(sReference) {
+        var sLetters = /^[A-Z]+/.exec(sReference)[0];
+        var iIndex = 0;
+        for (var i = 0; i < sLetters.length; i++) {
+            iIndex = iIndex * 26 + sLetters.charCodeAt(i) - 64;
+        }
+        return iIndex - 1;
+    }
+
+    function textOf(oElement) {
+        // rich text runs split a value into several t elements
+        var aTexts = oElement.getElementsByTagName("t");
+        var sText = "";
+        for (var i = 0; i < aTexts.length; i++) {
+            sText += aTexts[i].textContent;
+        }
+        return sText;
+    }
+
+    function parseXml(sXml) {
+        return new DOMParser().parseFromString(sXml, "application/xml");
+    }
+
+    function toDateString(vValue) {
+        if (typeof vValue === "number") {
+            return new Date(EXCEL_EPOCH + Math.round(vValue) * DAY).toISOString().split("T")[0];
+        }
+        var sValue = String(vValue).trim();
+        // ISO timestamps carry the date in front
+        return /^\d{4}-\d{2}-\d{2}T/.test(sValue) ? sValue.split("T")[0] : sValue;
+    }
+
+    function toNumber(vValue) {
+        if (typeof vValue === "number") {
+            return vValue;
+        }
+        var sValue = String(vValue).trim().replace(/\s/g, "");
+        if (sValue.indexOf(",") !== -1 && sValue.indexOf(".") === -1) {
+            // a comma without a dot is a decimal comma
+            sValue = sValue.replace(",", ".");
+        } else {
+            sValue = sValue.replace(/,/g, "");
+        }
+        // invalid numbers are kept as text for the validation to report
+        return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(sValue) ? parseFloat(sValue) : String(vValue).trim();
+    }
+
+    function toBoolean(vValue) {
+        if (typeof vValue === "boolean") {
+            return vValue;
+        }
+        var sValue = String(vValue).trim().toLowerCase();
+        if (["true", "yes", "y", "1", "x"].indexOf(sValue) !== -1) {
+            return true;
+        }
+        if (["false", "no", "n", "0"].indexOf(sValue) !== -1) {
+            return false;
+        }
+        return String(vValue).trim();
+    }
+
+    function convert(sProperty, vValue) {
+        var oField = productSchema.fields[sProperty];
+        switch (oField && oField.type) {
+            case "number":
+            case "integer":
+                return toNumber(vValue);
+            case "boolean":
+                return toBoolean(vValue);
+            case "date":
+                return toDateString(vValue);
+            default:
+                return String(vValue).trim();
+        }
+    }
+
+    function readFile(oFile, bBinary) {
+        return new Promise(function(resolve, reject) {
+            var oReader = new FileReader();
+            oReader.onload = function() {
+                resolve(oReader.result);
+            };
+            oReader.onerror = function() {
+                reject(new Error(i18n.getText("transferReadError", [oFile.name])));
+            };
+            if (bBinary) {
+                oReader.readAsArrayBuffer(oFile);
+            } else {
+                oReader.readAsText(oFile);
+            }
+        });
+    }
+
+    return {
+        /**
+         * The field a column is mapped to if it is not imported.
+         */
+        IGNORE: IGNORE,
+
+        /**
+         * The field a column is mapped to if it holds a specification, named after the column.
+         */
+        SPECIFICATION: SPECIFICATION,
+
+        /**
+         * The file formats products can be exported to and imported from.
+         */
+        formats: Object.keys(MIME_TYPES),
+
+        /**
+         * Flattens products into a table, the Specifications become one column per key.
+         * @public
+         * @param {object[]} aProducts the products
+         * @returns {object} the table with headers (string[]) and rows (arrays of cell values)
+         */
+        toTable: function(aProducts) {
+            var aSpecKeys = [];
+            aProducts.forEach(function(oProduct) {
+                Object.keys(oProduct.Specifications || {}).forEach(function(sKey) {
+                    if (aSpecKeys.indexOf(sKey) === -1) {
+                        aSpecKeys.push(sKey);
+                    }
+                });
+            });
+            return {
+                headers: PRODUCT_COLUMNS.concat(aSpecKeys.map(function(sKey) {
+                    return SPEC_PREFIX + sKey;
+                })),
+                rows: aProducts.map(function(oProduct) {
+                    var oSpecifications = oProduct.Specifications || {};
+                    return PRODUCT_COLUMNS.map(function(sProperty) {
+                        return oProduct[sProperty];
+                    }).concat(aSpecKeys.map(function(sKey) {
+                        return oSpecifications[sKey];
+                    }));
+                })
+            };
+        },
+
+        /**
+         * @public
+         * @param {object} oTable the table with headers and rows
+         * @returns {string} the table as comma separated values
+         */
+        toCsv: function(oTable) {
+            return [oTable.headers].concat(oTable.rows).map(function(aRow) {
+                return aRow.map(function(vValue) {
+                    return toCsvValue(vValue, ",");
+                }).join(",");
+            }).join("\r\n");
+        },
+
+        /**
+         * Reads comma, semicolon or tab separated values, the delimiter is taken from the first line.
+         * @public
+         * @param {string} sText the file content
+         * @returns {object} the table with headers and rows
+         */
+        parseCsv: function(sText) {
+            sText = sText.replace(/^\uFEFF/, "");
+            var sDelimiter = detectDelimiter(sText);
+            var aRows = [];
+            var aRow = [];
+            var sValue = "";
+            var bQuoted = false;
+
+            for (var i = 0; i < sText.length; i++) {
+                var sChar = sText[i];
+                if (bQuoted) {
+                    if (sChar === "\"" && sText[i + 1] === "\"") {
+                        sValue += "\"";
+                        i++;
+                    } else if (sChar === "\"") {
+                        bQuoted = false;
+                    } else {
+                        sValue += sChar;
+                    }
+                } else if (sChar === "\"") {
+                    bQuoted = true;
+                } else if (sChar === sDelimiter) {
+                    aRow.push(sValue);
+                    sValue = "";
+                } else if (sChar === "\n" || sChar === "\r") {
+                    if (sChar === "\r" && sText[i + 1] === "\n") {
+                        i++;
+                    }
+                    aRow.push(sValue);
+                    aRows.push(aRow);
+                    aRow = [];
+                    sValue = "";
+                } else {
+                    sValue += sChar;
+                }
+            }
+            if (sValue || aRow.length) {
+                aRow.push(sValue);
+                aRows.push(aRow);
+            }
+            return this._createTable(aRows);
+        },
+
+        /**
+         * @public
+         * @param {object} oTable the table with headers and rows
+         * @returns {Blob} a workbook with the table on its only sheet
+         */
+        toXlsx: function(oTable) {
+            var sRows = [oTable.headers].concat(oTable.rows).map(function(aRow, iRow) {
+                var sCells = aRow.map(function(vValue, iColumn) {
+                    var sReference = columnName(iColumn) + (iRow + 1);
+                    if (vValue === undefined || vValue === null || vValue === "") {
+                        return "";
+                    }
+                    if (typeof vValue === "number") {
+                        return "<c r=\"" + sReference + "\"><v>" + vValue + "</v></c>";
+                    }
+                    if (typeof vValue === "boolean") {
+                        return "<c r=\"" + sReference + "\" t=\"b\"><v>" + (vValue ? 1 : 0) + "</v></c>";
+                    }
+                    return "<c r=\"" + sReference + "\" t=\"inlineStr\"><is><t xml:space=\"preserve\">" +
+                        escapeXml(vValue) + "</t></is></c>";
+                }).join("");
+                return "<row r=\"" + (iRow + 1) + "\">" + sCells + "</row>";
+            }).join("");
+
+            var sDeclaration = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>";
+            var sMain = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+            var sRelationships = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+            var sPackage = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+            var oZip = new JSZip();
+            oZip.file("[Content_Types].xml", sDeclaration +
+                "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">" +
+                "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>" +
+                "<Default Extension=\"xml\" ContentType=\"application/xml\"/>" +
+                "<Override PartName=\"/xl/workbook.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>" +
+                "<Override PartName=\"/xl/worksheets/sheet1.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>" +
+                "</Types>");
+            oZip.file("_rels/.rels", sDeclaration +
+                "<Relationships xmlns=\"" + sPackage + "\">" +
+                "<Relationship Id=\"rId1\" Type=\"" + sRelationships + "/officeDocument\" Target=\"xl/workbook.xml\"/>" +
+                "</Relationships>");
+            oZip.file("xl/workbook.xml", sDeclaration +
+                "<workbook xmlns=\"" + sMain + "\" xmlns:r=\"" + sRelationships + "\">" +
+                "<sheets><sheet name=\"Products\" sheetId=\"1\" r:id=\"rId1\"/></sheets>" +
+                "</workbook>");
+            oZip.file("xl/_rels/workbook.xml.rels", sDeclaration +
+                "<Relationships xmlns=\"" + sPackage + "\">" +
+                "<Relationship Id=\"rId1\" Type=\"" + sRelationships + "/worksheet\" Target=\"worksheets/sheet1.xml\"/>" +
+                "</Relationships>");
+            oZip.file("xl/worksheets/sheet1.xml", sDeclaration +
+                "<worksheet xmlns=\"" + sMain + "\"><sheetData>" + sRows + "</sheetData></worksheet>");
+
+            return oZip.generate({ type: "blob", mimeType: MIME_TYPES.xlsx, compression: "DEFLATE" });
+        },
+
+        /**
+         * Reads the first worksheet of an Excel workbook. Dates come as day numbers,
+         * which the import converts for the date fields.
+         * @public
+         * @param {ArrayBuffer} oData the file content
+         * @returns {object} the table with headers and rows
+         */
+        parseXlsx: function(oData) {
+            var oZip = new JSZip(oData);
+            var aSharedStrings = [];
+            var oSharedStrings = oZip.file("xl/sharedStrings.xml");
+            if (oSharedStrings) {
+                var aItems = parseXml(oSharedStrings.asText()).getElementsByTagName("si");
+                for (var i = 0; i < aItems.length; i++) {
+                    aSharedStrings.push(textOf(aItems[i]));
+                }
+            }
+
+            var aSheets = oZip.file(/^xl\/worksheets\/sheet\d+\.xml$/).sort(function(oFirst, oSecond) {
+                return parseInt(oFirst.name.replace(/\D/g, ""), 10) - parseInt(oSecond.name.replace(/\D/g, ""), 10);
+            });
+            if (!aSheets.length) {
+                throw new Error(i18n.getText("transferNoWorksheetError"));
+            }
+
+            var aRows = [];
+            var aRowElements = parseXml(aSheets[0].asText()).getElementsByTagName("row");
+            for (var iRow = 0; iRow < aRowElements.length; iRow++) {
+                var aRow = [];
+                var aCells = aRowElements[iRow].getElementsByTagName("c");
+                for (var iCell = 0; iCell < aCells.length; iCell++) {
+                    var oCell = aCells[iCell];
+                    var sType = oCell.getAttribute("t");
+                    var oValue = oCell.getElementsByTagName("v")[0];
+                    var sValue = oValue ? oValue.textContent : "";
+                    var vValue;
+                    if (sType === "s") {
+                        vValue = aSharedStrings[parseInt(sValue, 10)];
+                    } else if (sType === "inlineStr") {
+                        vValue = textOf(oCell);
+                    } else if (sType === "b") {
+                        vValue = sValue === "1";
+                    } else if (sType === "str" || sType === "e" || sValue === "") {
+                        vValue = sValue;
+                    } else {
+                        vValue = parseFloat(sValue);
+                    }
+                    // empty cells are left out of the sheet
+                    aRow[oCell.getAttribute("r") ? columnIndex(oCell.getAttribute("r")) : aRow.length] = vValue;
+                }
+                aRows.push(aRow);
+            }
+            return this._createTable(aRows);
+        },
+
+        /**
+         * @public
+         * @param {object[]} aProducts the products
+         * @returns {string} the products as formatted JSON
+         */
+        toJson: function(aProducts) {
+            return JSON.stringify(aProducts, null, 2);
+        },
+
+        /**
+         * Reads an array of products in the format of the export.
+         * @public
+         * @param {string} sText the file content
+         * @returns {object} the table with headers and rows
+         */
+        parseJson: function(sText) {
+            var vData = JSON.parse(sText.replace(/^\uFEFF/, ""));
+            if (!Array.isArray(vData)) {
+                throw new Error(i18n.getText("transferNoListError"));
+            }
+            return this.toTable(vData.filter(function(oItem) {
+                return oItem && typeof oItem === "object";
+            }));
+        },
+
+        /**
+         * Reads a CSV, Excel or JSON file, the format is taken from the file extension.
+         * @public
+         * @param {File} oFile the file chosen by the user
+         * @returns {Promise<object>} resolves with the table with headers and rows
+         */
+        readFile: function(oFile) {
+            var that = this;
+            var sFormat = oFile.name.split(".").pop().toLowerCase();
+            if (this.formats.indexOf(sFormat) === -1) {
+                return Promise.reject(new Error(i18n.getText("transferFormatError")));
+            }
+            return readFile(oFile, sFormat === "xlsx").then(function(vContent) {
+                switch (sFormat) {
+                    case "xlsx":
+                        return that.parseXlsx(vContent);
+                    case "json":
+                        return that.parseJson(vContent);
+                    default:
+                        return that.parseCsv(vContent);
+                }
+            });
+        },
+
+        /**
+         * Writes products in one of the formats.
+         * @public
+         * @param {object[]} aProducts the products in the order they are written
+         * @param {string} sFormat csv, xlsx or json
+         * @returns {Blob} the file content
+         */
+        write: function(aProducts, sFormat) {
+            switch (sFormat) {
+                case "xlsx":
+                    return this.toXlsx(this.toTable(aProducts));
+                case "json":
+                    return new Blob([this.toJson(aProducts)], { type: MIME_TYPES.json });
+                default:
+                    // the byte order mark makes Excel read the file as UTF-8
+                    return new Blob(["\uFEFF" + this.toCsv(this.toTable(aProducts))], { type: MIME_TYPES.csv });
+            }
+        },
+
+        /**
+         * Offers products as a file download.
+         * @public
+         * @param {object[]} aProducts the products in the order they are written
+         * @param {string} sFormat csv, xlsx or json
+         * @param {string} sFileName the file name without extension
+         */
+        download: function(aProducts, sFormat, sFileName) {
+            var sUrl = URL.createObjectURL(this.write(aProducts, sFormat));
+            var oLink = document.createElement("a");
+            oLink.href = sUrl;
+            oLink.download = sFileName + "." + sFormat;
+            document.body.appendChild(oLink);
+            oLink.click();
+            document.body.removeChild(oLink);
+            // the download has started, give the browser a moment before the URL is gone
+            setTimeout(function() {
+                URL.revokeObjectURL(sUrl);
+            }, 1000);
+        },
+
+        /**
+         * @public
+         * @returns {object[]} the fields a column can be mapped to, with key and text
+         */
+        getTargets: function() {
+            return [
+                { key: IGNORE, text: i18n.getText("transferDoNotImport") },
+                { key: "ProductID", text: i18n.getText("fieldProductID") }
+            ].concat(Object.keys(productSchema.fields).map(function(sProperty) {
+                return { key: sProperty, text: productSchema.getLabel(sProperty) };
+            })).concat([
+                { key: SPECIFICATION, text: i18n.getText("transferSpecification") }
+            ]);
+        },
+
+        /**
+         * Proposes the field for each column by its header, matching property names and labels.
+         * @public
+         * @param {string[]} aHeaders the column headers
+         * @returns {string[]} the target key for each column
+         */
+        guessMapping: function(aHeaders) {
+            var mTargets = {};
+            this.getTargets().forEach(function(oTarget) {
+                if (oTarget.key && oTarget.key !== SPECIFICATION) {
+                    mTargets[normalize(oTarget.key)] = oTarget.key;
+                    mTargets[normalize(oTarget.text)] = oTarget.key;
+                }
+            });
+            mTargets.id = "ProductID";
+            mTargets.supplier = "SupplierName";
+            return aHeaders.map(function(sHeader) {
+                if (/^spec(ification)?s?\s*:/i.test(sHeader)) {
+                    return SPECIFICATION;
+                }
+                return mTargets[normalize(sHeader)] || IGNORE;
+            });
+        },
+
+        /**
+         * Reads the mapped values of a row. Empty cells are left out, so a merge keeps the existing values.
+         * @public
+         * @param {Array} aRow the cell values
+         * @param {string[]} aHeaders the column headers, they name the specifications
+         * @param {string[]} aMapping the target key for each column
+         * @returns {object} the product values and their Specifications, the ProductID only if given
+         */
+        toProductValues: function(aRow, aHeaders, aMapping) {
+            var oValues = { Specifications: {} };
+            aMapping.forEach(function(sTarget, iColumn) {
+                var vValue = aRow[iColumn];
+                if (sTarget === IGNORE || isEmpty(vValue)) {
+                    return;
+                }
+                if (sTarget === SPECIFICATION) {
+                    var sKey = aHeaders[iColumn].replace(/^spec(ification)?s?\s*:\s*/i, "").trim();
+                    oValues.Specifications[sKey] = String(vValue).trim();
+                } else if (sTarget === "ProductID") {
+                    oValues.ProductID = String(vValue).trim();
+                } else {
+                    oValues[sTarget] = convert(sTarget, vValue);
+                }
+            });
+            return oValues;
+        },
+
+        _createTable: function(aRows) {
+            // blank lines, e.g. at the end of a file, are no products
+            aRows = aRows.filter(function(aRow) {
+                return aRow.some(function(vValue) {
+                    return !isEmpty(vValue);
+                });
+            });
+            if (!aRows.length) {
+                throw new Error(i18n.getText("transferEmptyError"));
+            }
+            var aHeaders = [];
+            // a sheet row may have holes where cells were empty
+            for (var i = 0; i < aRows[0].length; i++) {
+                aHeaders.push(isEmpty(aRows[0][i]) ? "" : String(aRows[0][i]).trim());
+            }
+            return { headers: aHeaders, rows: aRows.slice(1) };
+        }
+    };
+});
@@ -0,0 +1,156 @@
+sap.ui.define([
+    "sap/ui/base/Object"
+], function(BaseObject) {
+    "use strict";
+
+    var PRODUCTS_STORE = "products";
+    var META_STORE = "meta";
+
+    /**
+     * Storage adapter that keeps one record per product in an IndexedDB object store.
+     * It has the same interface as the LocalStorageAdapter and is meant for bigger catalogs.
+     * The records are products unless another key property is given, e.g. SupplierID for the suppliers.
+     */
+    return BaseObject.extend("com.productapp.model.storage.IndexedDBAdapter", {
+
+        /**
+         * @param {string} [sDatabaseName] the name of the IndexedDB database
+         * @param {string} [sKeyProperty] the property the records are matched by, ProductID by default
+         */
+        constructor: function(sDatabaseName, sKeyProperty) {
+            BaseObject.call(this);
+            this._sDatabaseName = sDatabaseName || "com.productapp";
+            this._sKeyProperty = sKeyProperty || "ProductID";
+            this._pDatabase = null;
+        },
+
+        /**
+         * @public
+         * @returns {Promise<object[]|null>} the stored products or null if nothing was stored yet
+         */
+        readAll: function() {
+            var that = this;
+            return this._transaction([META_STORE, PRODUCTS_STORE], "readonly", function(oTransaction) {
+                var oSeededRequest = oTransaction.objectStore(META_STORE).get("seeded");
+                var oProductsRequest = oTransaction.objectStore(PRODUCTS_STORE).getAll();
+                return function() {
+                    return oSeededRequest.result ? that._sort(oProductsRequest.result) : null;
+                };
+            });
+        },
+
+        /**
+         * @public
+         * @param {object[]} aProducts the seed products
+         * @returns {Promise} resolves when the data is written
+         */
+        seed: function(aProducts) {
+            return this._transaction([META_STORE, PRODUCTS_STORE], "readwrite", function(oTransaction) {
+                var oProductStore = oTransaction.objectStore(PRODUCTS_STORE);
+                oProductStore.clear();
+                aProducts.forEach(function(oProduct) {
+                    oProductStore.put(oProduct);
+                });
+                oTransaction.objectStore(META_STORE).put(true, "seeded");
+            });
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product to add, the ProductID is already set
+         * @returns {Promise<object>} resolves with the stored product
+         */
+        create: function(oProduct) {
+            return this._transaction([PRODUCTS_STORE], "readwrite", function(oTransaction) {
+                oTransaction.objectStore(PRODUCTS_STORE).add(oProduct);
+                return function() {
+                    return oProduct;
+                };
+            });
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product to replace, matched by its ProductID
+         * @returns {Promise<object>} resolves with the stored product
+         */
+        update: function(oProduct) {
+            return this._transaction([PRODUCTS_STORE], "readwrite", function(oTransaction) {
+                oTransaction.objectStore(PRODUCTS_STORE).put(oProduct);
+                return function() {
+                    return oProduct;
+                };
+            });
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the ID of the product to delete
+         * @returns {Promise} resolves when the product is deleted
+         */
+        remove: function(sProductId) {
+            return this._transaction([PRODUCTS_STORE], "readwrite", function(oTransaction) {
+                oTransaction.objectStore(PRODUCTS_STORE).delete(sProductId);
+            });
+        },
+
+        /**
+         * @public
+         * @returns {Promise} resolves when all products and the seed flag are removed
+         */
+        clear: function() {
+            return this._transaction([META_STORE, PRODUCTS_STORE], "readwrite", function(oTransaction) {
+                oTransaction.objectStore(PRODUCTS_STORE).clear();
+                oTransaction.objectStore(META_STORE).clear();
+            });
+        },
+
+        _openDatabase: function() {
+            var that = this;
+            if (!this._pDatabase) {
+                this._pDatabase = new Promise(function(resolve, reject) {
+                    var oRequest = window.indexedDB.open(that._sDatabaseName, 1);
+                    oRequest.onupgradeneeded = function() {
+                        var oDatabase = oRequest.result;
+                        oDatabase.createObjectStore(PRODUCTS_STORE, { keyPath: that._sKeyProperty });
+                        oDatabase.createObjectStore(META_STORE);
+                    };
+                    oRequest.onsuccess = function() {
+                        resolve(oRequest.result);
+                    };
+                    oRequest.onerror = function() {
+                        reject(oRequest.error);
+                    };
+                });
+            }
+            return this._pDatabase;
+        },
+
+        /**
+         * Runs fnWork inside a transaction. fnWork may return a function that
+         * computes the result once the transaction is complete.
+         */
+        _transaction: function(aStores, sMode, fnWork) {
+            return this._openDatabase().then(function(oDatabase) {
+                return new Promise(function(resolve, reject) {
+                    var oTransaction = oDatabase.transaction(aStores, sMode);
+                    var fnResult = fnWork(oTransaction);
+                    oTransaction.oncomplete = function() {
+                        resolve(fnResult ? fnResult() : undefined);
+                    };
+                    oTransaction.onerror = oTransaction.onabort = function() {
+                        reject(oTransaction.error);
+                    };
+                });
+            });
+        },
+
+        _sort: function(aProducts) {
+            var sKeyProperty = this._sKeyProperty;
+            // records come back in key order, which is a string order for the IDs
+            return aProducts.sort(function(a, b) {
+                return parseInt(a[sKeyProperty], 10) - parseInt(b[sKeyProperty], 10);
+            });
+        }
+    });
+});
@@ -0,0 +1,130 @@
+sap.ui.define([
+    "sap/ui/base/Object"
+], function(BaseObject) {
+    "use strict";
+
+    /**
+     * Storage adapter that keeps the whole product list as one JSON document in window.localStorage.
+     *
+     * Every storage adapter offers the same promise based interface, so the ProductRepository
+     * does not care where the data lives:
+     * readAll, seed, create, update, remove and clear.
+     *
+     * The records are products unless another key property is given, e.g. SupplierID for the suppliers.
+     */
+    return BaseObject.extend("com.productapp.model.storage.LocalStorageAdapter", {
+
+        /**
+         * @param {string} [sKey] the localStorage key the products are stored under
+         * @param {string} [sKeyProperty] the property the records are matched by, ProductID by default
+         */
+        constructor: function(sKey, sKeyProperty) {
+            BaseObject.call(this);
+            this._sKey = sKey || "com.productapp.products";
+            this._sKeyProperty = sKeyProperty || "ProductID";
+        },
+
+        /**
+         * Reads all stored products.
+         * @public
+         * @returns {Promise<object[]|null>} the stored products or null if nothing was stored yet
+         */
+        readAll: function() {
+            var that = this;
+            return Promise.resolve().then(function() {
+                var sData = window.localStorage.getItem(that._sKey);
+                return sData ? JSON.parse(sData) : null;
+            });
+        },
+
+        /**
+         * Stores the initial product list, replacing whatever was there.
+         * @public
+         * @param {object[]} aProducts the seed products
+         * @returns {Promise} resolves when the data is written
+         */
+        seed: function(aProducts) {
+            return this._write(aProducts);
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product to add, the ProductID is already set
+         * @returns {Promise<object>} resolves with the stored product
+         */
+        create: function(oProduct) {
+            var that = this;
+            return this.readAll().then(function(aProducts) {
+                aProducts = aProducts || [];
+                aProducts.push(oProduct);
+                return that._write(aProducts);
+            }).then(function() {
+                return oProduct;
+            });
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product to replace, matched by its ProductID
+         * @returns {Promise<object>} resolves with the stored product
+         */
+        update: function(oProduct) {
+            var that = this;
+            return this.readAll().then(function(aProducts) {
+                var iIndex = that._indexOf(aProducts, oProduct[that._sKeyProperty]);
+                if (iIndex === -1) {
+                    throw new Error("Record " + oProduct[that._sKeyProperty] + " does not exist");
+                }
+                aProducts[iIndex] = oProduct;
+                return that._write(aProducts);
+            }).then(function() {
+                return oProduct;
+            });
+        },
+
+        /**
+         * @public
+         * @param {string} sProductId the ID of the product to delete
+         * @returns {Promise} resolves when the product is deleted
+         */
+        remove: function(sProductId) {
+            var that = this;
+            return this.readAll().then(function(aProducts) {
+                var iIndex = that._indexOf(aProducts, sProductId);
+                if (iIndex === -1) {
+                    throw new Error("Record " + sProductId + " does not exist");
+                }
+                aProducts.splice(iIndex, 1);
+                return that._write(aProducts);
+            });
+        },
+
+        /**
+         * Removes all stored products, the next readAll returns null again.
+         * @public
+         * @returns {Promise} resolves when the data is removed
+         */
+        clear: function() {
+            var that = this;
+            return Promise.resolve().then(function() {
+                window.localStorage.removeItem(that._sKey);
+            });
+        },
+
+        _write: function(aProducts) {
+            var that = this;
+            return Promise.resolve().then(function() {
+                window.localStorage.setItem(that._sKey, JSON.stringify(aProducts));
+            });
+        },
+
+        _indexOf: function(aProducts, sProductId) {
+            for (var i = 0; aProducts && i < aProducts.length; i++) {
+                if (aProducts[i][this._sKeyProperty] === sProductId) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+    });
+});
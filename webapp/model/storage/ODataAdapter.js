@@ -0,0 +1,408 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/odata/v2/ODataModel",
+    "sap/ui/core/format/DateFormat"
+], function(BaseObject, ODataModel, DateFormat) {
+    "use strict";
+
+    var oDateFormat = DateFormat.getDateInstance({
+        pattern: "yyyy-MM-dd",
+        UTC: true
+    });
+
+    // the variants and the prices over time are kept as JSON text, the mock data has them as they are
+    function parseList(vValue) {
+        return typeof vValue === "string" && vValue ? JSON.parse(vValue) : vValue || [];
+    }
+
+    /**
+     * Storage adapter that reads and writes the products through an OData V2 service
+     * with a Products, a Specifications, a StockMovements and a Media entity set. The Media entities
+     * describe the images and attachments, their content is kept in the browser by the MediaLibrary.
+     *
+     * It has the same interface as the browser storage adapters, so the views keep binding
+     * against the plain "products" JSONModel of the ProductRepository. Changes are sent with
+     * the ODataModel's own create, update and remove requests.
+     */
+    return BaseObject.extend("com.productapp.model.storage.ODataAdapter", {
+
+        /**
+         * @param {string} sServiceUrl the root URL of the OData service
+         * @param {Promise} [pBackendReady] resolves once the backend is reachable, e.g. the mock server is started
+         */
+        constructor: function(sServiceUrl, pBackendReady) {
+            BaseObject.call(this);
+            this._pModel = Promise.resolve(pBackendReady).then(function() {
+                var oModel = new ODataModel(sServiceUrl, {
+                    useBatch: false,
+                    defaultCountMode: "None"
+                });
+                return oModel.metadataLoaded().then(function() {
+                    return oModel;
+                });
+            });
+        },
+
+        /**
+         * @public
+         * @returns {Promise<object[]>} all products of the service, never null as the service needs no seeding
+         */
+        readAll: function() {
+            var that = this;
+            return this._request("read", "/Products", {
+                urlParameters: {
+                    "$expand": "Specifications,StockMovements,Media"
+                }
+            }).then(function(oData) {
+                return oData.results.map(that._toProduct).sort(function(a, b) {
+                    return parseInt(a.ProductID, 10) - parseInt(b.ProductID, 10);
+                });
+            });
+        },
+
+        /**
+         * The service owns its data, seeding is not supported.
+         * @public
+         * @returns {Promise} always rejects
+         */
+        seed: function() {
+            return Promise.reject(new Error("The OData service cannot be seeded from the client"));
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product to add, the ProductID is already set
+         * @returns {Promise<object>} resolves with the created product
+         */
+        create: function(oProduct) {
+            var that = this;
+            return this._request("create", "/Products", this._toEntity(oProduct)).then(function() {
+                return Promise.all(that._toSpecifications(oProduct).map(function(oSpecification) {
+                    return that._request("create", "/Specifications", oSpecification);
+                }).concat(that._toMovements(oProduct).map(function(oMovement) {
+                    return that._request("create", "/StockMovements", oMovement);
+                })).concat(that._toMedia(oProduct).map(function(oMedia) {
+                    return that._request("create", "/Media", oMedia);
+                })));
+            }).then(function() {
+                return oProduct;
+            });
+        },
+
+        /**
+         * Updates the product entity and brings its Specifications in line with the product:
+         * removed keys are deleted, changed ones updated and new ones created.
+         * Stock movements are never changed, only new ones are created and undone ones deleted.
+         * Of the media only the position can change.
+         * @public
+         * @param {object} oProduct the complete product data
+         * @returns {Promise<object>} resolves with the updated product
+         */
+        update: function(oProduct) {
+            var that = this;
+            return this._getKey("/Products", { ProductID: oProduct.ProductID }).then(function(sPath) {
+                return that._request("update", sPath, that._toEntity(oProduct)).then(function() {
+                    return that._request("read", sPath + "/Specifications");
+                });
+            }).then(function(oData) {
+                var oExisting = {};
+                oData.results.forEach(function(oSpecification) {
+                    oExisting[oSpecification.Key] = oSpecification;
+                });
+                var aRequests = that._toSpecifications(oProduct).map(function(oSpecification) {
+                    var bExists = oExisting.hasOwnProperty(oSpecification.Key);
+                    delete oExisting[oSpecification.Key];
+                    return bExists ? that._updateSpecification(oSpecification) : that._request("create", "/Specifications", oSpecification);
+                });
+                Object.keys(oExisting).forEach(function(sKey) {
+                    aRequests.push(that._removeSpecification(oExisting[sKey]));
+                });
+                return Promise.all(aRequests);
+            }).then(function() {
+                return that._updateMovements(oProduct);
+            }).then(function() {
+                return that._updateMedia(oProduct);
+            }).then(function() {
+                return oProduct;
+            });
+        },
+
+        /**
+         * Deletes the product with its specifications, stock movements and media.
+         * @public
+         * @param {string} sProductId the ID of the product to delete
+         * @returns {Promise} resolves when the product is deleted
+         */
+        remove: function(sProductId) {
+            var that = this;
+            return this._getKey("/Products", { ProductID: sProductId }).then(function(sPath) {
+                return that._request("read", sPath + "/Specifications").then(function(oData) {
+                    return Promise.all(oData.results.map(that._removeSpecification.bind(that)));
+                }).then(function() {
+                    return that._request("read", sPath + "/StockMovements");
+                }).then(function(oData) {
+                    return Promise.all(oData.results.map(that._removeMovement.bind(that)));
+                }).then(function() {
+                    return that._request("read", sPath + "/Media");
+                }).then(function(oData) {
+                    return Promise.all(oData.results.map(that._removeMedia.bind(that)));
+                }).then(function() {
+                    return that._request("remove", sPath);
+                });
+            });
+        },
+
+        /**
+         * The service owns its data, clearing it is not supported.
+         * @public
+         * @returns {Promise} always rejects
+         */
+        clear: function() {
+            return Promise.reject(new Error("Resetting the data is not supported for the OData service"));
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._pModel.then(function(oModel) {
+                oModel.destroy();
+            });
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _updateSpecification: function(oSpecification) {
+            var that = this;
+            return this._getKey("/Specifications", oSpecification).then(function(sPath) {
+                return that._request("update", sPath, oSpecification);
+            });
+        },
+
+        _removeSpecification: function(oSpecification) {
+            var that = this;
+            return this._getKey("/Specifications", oSpecification).then(function(sPath) {
+                return that._request("remove", sPath);
+            });
+        },
+
+        _updateMovements: function(oProduct) {
+            var that = this;
+            return this._getKey("/Products", { ProductID: oProduct.ProductID }).then(function(sPath) {
+                return that._request("read", sPath + "/StockMovements");
+            }).then(function(oData) {
+                var oExisting = {};
+                oData.results.forEach(function(oMovement) {
+                    oExisting[oMovement.MovementID] = oMovement;
+                });
+                var aRequests = that._toMovements(oProduct).filter(function(oMovement) {
+                    var bExists = oExisting.hasOwnProperty(oMovement.MovementID);
+                    delete oExisting[oMovement.MovementID];
+                    return !bExists;
+                }).map(function(oMovement) {
+                    return that._request("create", "/StockMovements", oMovement);
+                });
+                Object.keys(oExisting).forEach(function(sMovementId) {
+                    aRequests.push(that._removeMovement(oExisting[sMovementId]));
+                });
+                return Promise.all(aRequests);
+            });
+        },
+
+        _removeMovement: function(oMovement) {
+            var that = this;
+            return this._getKey("/StockMovements", { MovementID: oMovement.MovementID }).then(function(sPath) {
+                return that._request("remove", sPath);
+            });
+        },
+
+        _updateMedia: function(oProduct) {
+            var that = this;
+            return this._getKey("/Products", { ProductID: oProduct.ProductID }).then(function(sPath) {
+                return that._request("read", sPath + "/Media");
+            }).then(function(oData) {
+                var oExisting = {};
+                oData.results.forEach(function(oMedia) {
+                    oExisting[oMedia.MediaID] = oMedia;
+                });
+                var aRequests = that._toMedia(oProduct).map(function(oMedia) {
+                    var oPrevious = oExisting[oMedia.MediaID];
+                    delete oExisting[oMedia.MediaID];
+                    if (!oPrevious) {
+                        return that._request("create", "/Media", oMedia);
+                    }
+                    return oPrevious.Position === oMedia.Position ? null : that._getKey("/Media", oMedia).then(function(sMediaPath) {
+                        return that._request("update", sMediaPath, oMedia);
+                    });
+                });
+                Object.keys(oExisting).forEach(function(sMediaId) {
+                    aRequests.push(that._removeMedia(oExisting[sMediaId]));
+                });
+                return Promise.all(aRequests);
+            });
+        },
+
+        _removeMedia: function(oMedia) {
+            var that = this;
+            return this._getKey("/Media", { MediaID: oMedia.MediaID }).then(function(sPath) {
+                return that._request("remove", sPath);
+            });
+        },
+
+        _getKey: function(sEntitySet, oKeyProperties) {
+            return this._pModel.then(function(oModel) {
+                return oModel.createKey(sEntitySet, oKeyProperties);
+            });
+        },
+
+        /**
+         * Wraps the callback based ODataModel request methods (read, create, update, remove) into a promise.
+         * For create and update the payload is passed as vData, for read and remove vData holds the parameters.
+         */
+        _request: function(sMethod, sPath, vData) {
+            return this._pModel.then(function(oModel) {
+                return new Promise(function(resolve, reject) {
+                    var mParameters = {
+                        success: resolve,
+                        error: function(oError) {
+                            reject(new Error(oError.message + (oError.statusCode ? " (" + oError.statusCode + ")" : "")));
+                        }
+                    };
+                    if (sMethod === "create" || sMethod === "update") {
+                        oModel[sMethod](sPath, vData, mParameters);
+                    } else {
+                        oModel[sMethod](sPath, Object.assign(mParameters, vData));
+                    }
+                });
+            });
+        },
+
+        _toProduct: function(oEntity) {
+            var oSpecifications = {};
+            var oMedia = { Images: [], Attachments: [] };
+            (oEntity.Media && oEntity.Media.results || []).slice().sort(function(a, b) {
+                return a.Position - b.Position;
+            }).forEach(function(oFile) {
+                var oEntry = {
+                    MediaID: oFile.MediaID,
+                    FileName: oFile.FileName,
+                    MimeType: oFile.MimeType,
+                    Size: oFile.Size
+                };
+                if (oFile.Kind === "Images") {
+                    oEntry.Thumbnail = oFile.Thumbnail;
+                    oMedia.Images.push(oEntry);
+                } else {
+                    oMedia.Attachments.push(oEntry);
+                }
+            });
+            (oEntity.Specifications && oEntity.Specifications.results || []).forEach(function(oSpecification) {
+                oSpecifications[oSpecification.Key] = oSpecification.Value;
+            });
+            return {
+                ProductID: oEntity.ProductID,
+                Name: oEntity.Name,
+                Description: oEntity.Description,
+                // Edm.Decimal values arrive as strings
+                Price: parseFloat(oEntity.Price),
+                Currency: oEntity.Currency,
+                Category: oEntity.Category,
+                SupplierID: oEntity.SupplierID || "",
+                SupplierName: oEntity.SupplierName,
+                InStock: oEntity.InStock,
+                Quantity: oEntity.Quantity,
+                ReorderLevel: oEntity.ReorderLevel,
+                Rating: parseFloat(oEntity.Rating),
+                ReleaseDate: oEntity.ReleaseDate ? oDateFormat.format(oEntity.ReleaseDate) : "",
+                Version: oEntity.Version || 0,
+                VariantAxes: parseList(oEntity.VariantAxes),
+                Variants: parseList(oEntity.Variants),
+                PriceHistory: parseList(oEntity.PriceHistory),
+                ScheduledPrices: parseList(oEntity.ScheduledPrices),
+                Discounts: parseList(oEntity.Discounts),
+                Specifications: oSpecifications,
+                StockMovements: (oEntity.StockMovements && oEntity.StockMovements.results || []).map(function(oMovement) {
+                    return {
+                        MovementID: oMovement.MovementID,
+                        Date: oMovement.Date ? oMovement.Date.toISOString() : "",
+                        Type: oMovement.Type,
+                        Quantity: oMovement.Quantity,
+                        Balance: oMovement.Balance,
+                        Reason: oMovement.Reason
+                    };
+                }).sort(function(a, b) {
+                    return a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0;
+                }),
+                Images: oMedia.Images,
+                Attachments: oMedia.Attachments
+            };
+        },
+
+        _toEntity: function(oProduct) {
+            return {
+                ProductID: oProduct.ProductID,
+                Name: oProduct.Name,
+                Description: oProduct.Description,
+                Price: String(oProduct.Price),
+                Currency: oProduct.Currency,
+                Category: oProduct.Category,
+                SupplierID: oProduct.SupplierID || "",
+                SupplierName: oProduct.SupplierName,
+                InStock: oProduct.InStock,
+                Quantity: parseInt(oProduct.Quantity, 10) || 0,
+                ReorderLevel: parseInt(oProduct.ReorderLevel, 10) || 0,
+                Rating: String(oProduct.Rating),
+                ReleaseDate: oProduct.ReleaseDate ? oDateFormat.parse(oProduct.ReleaseDate) : null,
+                Version: oProduct.Version || 0,
+                VariantAxes: JSON.stringify(oProduct.VariantAxes || []),
+                Variants: JSON.stringify(oProduct.Variants || []),
+                PriceHistory: JSON.stringify(oProduct.PriceHistory || []),
+                ScheduledPrices: JSON.stringify(oProduct.ScheduledPrices || []),
+                Discounts: JSON.stringify(oProduct.Discounts || [])
+            };
+        },
+
+        _toMovements: function(oProduct) {
+            return (oProduct.StockMovements || []).map(function(oMovement) {
+                return {
+                    MovementID: oMovement.MovementID,
+                    ProductID: oProduct.ProductID,
+                    Date: new Date(oMovement.Date),
+                    Type: oMovement.Type,
+                    Quantity: oMovement.Quantity,
+                    Balance: oMovement.Balance,
+                    Reason: oMovement.Reason
+                };
+            });
+        },
+
+        _toMedia: function(oProduct) {
+            var aMedia = [];
+            ["Images", "Attachments"].forEach(function(sKind) {
+                (oProduct[sKind] || []).forEach(function(oFile, iPosition) {
+                    aMedia.push({
+                        MediaID: oFile.MediaID,
+                        ProductID: oProduct.ProductID,
+                        Kind: sKind,
+                        Position: iPosition,
+                        FileName: oFile.FileName,
+                        MimeType: oFile.MimeType,
+                        Size: oFile.Size,
+                        Thumbnail: oFile.Thumbnail || ""
+                    });
+                });
+            });
+            return aMedia;
+        },
+
+        _toSpecifications: function(oProduct) {
+            return Object.keys(oProduct.Specifications || {}).map(function(sKey) {
+                return {
+                    ProductID: oProduct.ProductID,
+                    Key: sKey,
+                    Value: oProduct.Specifications[sKey]
+                };
+            });
+        }
+    });
+});
@@ -0,0 +1,161 @@
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/ui/model/odata/v2/ODataModel"
+], function(BaseObject, ODataModel) {
+    "use strict";
+
+    /**
+     * Storage adapter that reads and writes the suppliers through the Suppliers entity set
+     * of the OData V2 service. It has the same interface as the browser storage adapters.
+     */
+    return BaseObject.extend("com.productapp.model.storage.ODataSupplierAdapter", {
+
+        /**
+         * @param {string} sServiceUrl the root URL of the OData service
+         * @param {Promise} [pBackendReady] resolves once the backend is reachable, e.g. the mock server is started
+         */
+        constructor: function(sServiceUrl, pBackendReady) {
+            BaseObject.call(this);
+            this._pModel = Promise.resolve(pBackendReady).then(function() {
+                var oModel = new ODataModel(sServiceUrl, {
+                    useBatch: false,
+                    defaultCountMode: "None"
+                });
+                return oModel.metadataLoaded().then(function() {
+                    return oModel;
+                });
+            });
+        },
+
+        /**
+         * @public
+         * @returns {Promise<object[]>} all suppliers of the service, never null as the service needs no seeding
+         */
+        readAll: function() {
+            var that = this;
+            return this._request("read", "/Suppliers").then(function(oData) {
+                return oData.results.map(that._toSupplier).sort(function(a, b) {
+                    return parseInt(a.SupplierID, 10) - parseInt(b.SupplierID, 10);
+                });
+            });
+        },
+
+        /**
+         * The service owns its data, seeding is not supported.
+         * @public
+         * @returns {Promise} always rejects
+         */
+        seed: function() {
+            return Promise.reject(new Error("The OData service cannot be seeded from the client"));
+        },
+
+        /**
+         * @public
+         * @param {object} oSupplier the supplier to add, the SupplierID is already set
+         * @returns {Promise<object>} resolves with the created supplier
+         */
+        create: function(oSupplier) {
+            return this._request("create", "/Suppliers", this._toEntity(oSupplier)).then(function() {
+                return oSupplier;
+            });
+        },
+
+        /**
+         * @public
+         * @param {object} oSupplier the supplier to replace, matched by its SupplierID
+         * @returns {Promise<object>} resolves with the updated supplier
+         */
+        update: function(oSupplier) {
+            var that = this;
+            return this._getKey(oSupplier.SupplierID).then(function(sPath) {
+                return that._request("update", sPath, that._toEntity(oSupplier));
+            }).then(function() {
+                return oSupplier;
+            });
+        },
+
+        /**
+         * @public
+         * @param {string} sSupplierId the ID of the supplier to delete
+         * @returns {Promise} resolves when the supplier is deleted
+         */
+        remove: function(sSupplierId) {
+            var that = this;
+            return this._getKey(sSupplierId).then(function(sPath) {
+                return that._request("remove", sPath);
+            });
+        },
+
+        /**
+         * The service owns its data, clearing it is not supported.
+         * @public
+         * @returns {Promise} always rejects
+         */
+        clear: function() {
+            return Promise.reject(new Error("Resetting the data is not supported for the OData service"));
+        },
+
+        /**
+         * @public
+         * @override
+         */
+        destroy: function() {
+            this._pModel.then(function(oModel) {
+                oModel.destroy();
+            });
+            BaseObject.prototype.destroy.apply(this, arguments);
+        },
+
+        _getKey: function(sSupplierId) {
+            return this._pModel.then(function(oModel) {
+                return oModel.createKey("/Suppliers", { SupplierID: sSupplierId });
+            });
+        },
+
+        /**
+         * Wraps the callback based ODataModel request methods into a promise, see the ODataAdapter.
+         */
+        _request: function(sMethod, sPath, vData) {
+            return this._pModel.then(function(oModel) {
+                return new Promise(function(resolve, reject) {
+                    var mParameters = {
+                        success: resolve,
+                        error: function(oError) {
+                            reject(new Error(oError.message + (oError.statusCode ? " (" + oError.statusCode + ")" : "")));
+                        }
+                    };
+                    if (sMethod === "create" || sMethod === "update") {
+                        oModel[sMethod](sPath, vData, mParameters);
+                    } else {
+                        oModel[sMethod](sPath, Object.assign(mParameters, vData));
+                    }
+                });
+            });
+        },
+
+        _toSupplier: function(oEntity) {
+            return {
+                SupplierID: oEntity.SupplierID,
+                Name: oEntity.Name,
+                ContactName: oEntity.ContactName,
+                Email: oEntity.Email,
+                Phone: oEntity.Phone,
+                LeadTimeDays: oEntity.LeadTimeDays,
+                // Edm.Decimal values arrive as strings
+                Rating: parseFloat(oEntity.Rating)
+            };
+        },
+
+        _toEntity: function(oSupplier) {
+            return {
+                SupplierID: oSupplier.SupplierID,
+                Name: oSupplier.Name,
+                ContactName: oSupplier.ContactName,
+                Email: oSupplier.Email,
+                Phone: oSupplier.Phone,
+                LeadTimeDays: parseInt(oSupplier.LeadTimeDays, 10) || 0,
+                Rating: String(oSupplier.Rating)
+            };
+        }
+    });
+});
@@ -0,0 +1,72 @@
+sap.ui.define([
+    "./i18n",
+    "./productSchema"
+], function(i18n, productSchema) {
+    "use strict";
+
+    // field definitions, the same constraints as the product fields
+    var FIELDS = {
+        Name: { labelKey: "supplierNameLabel", type: "string", required: true, maxLength: 80, unique: true },
+        ContactName: { labelKey: "supplierContactLabel", type: "string", maxLength: 80 },
+        Email: { labelKey: "supplierEmailLabel", type: "string", maxLength: 120, email: true },
+        Phone: { labelKey: "supplierPhoneLabel", type: "string", maxLength: 30 },
+        LeadTimeDays: { labelKey: "supplierLeadTimeLabel", type: "integer", minimum: 0 },
+        Rating: { labelKey: "fieldRating", type: "number", minimum: 0, maximum: 5 }
+    };
+
+    var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    return {
+        /**
+         * The field definitions by property name.
+         */
+        fields: FIELDS,
+
+        /**
+         * @public
+         * @returns {object} the data of a new supplier with default values
+         */
+        createDefaults: function() {
+            return {
+                Name: "",
+                ContactName: "",
+                Email: "",
+                Phone: "",
+                LeadTimeDays: 0,
+                Rating: 0
+            };
+        },
+
+        /**
+         * Validates a supplier as it is entered in the supplier dialog.
+         * @public
+         * @param {object} oSupplier the supplier data
+         * @param {object[]} aSuppliers all existing suppliers, used for the unique name
+         * @returns {object[]} the issues with the path of the field and the message, empty if the supplier is valid
+         */
+        validate: function(oSupplier, aSuppliers) {
+            var aIssues = [];
+            Object.keys(FIELDS).forEach(function(sProperty) {
+                var oField = FIELDS[sProperty];
+                var vValue = oSupplier[sProperty];
+                var sMessage = productSchema.checkField(oField, vValue);
+                if (!sMessage && oField.email && vValue && !EMAIL_PATTERN.test(vValue.trim())) {
+                    sMessage = i18n.getText("validationEmail", [i18n.getText(oField.labelKey)]);
+                }
+                if (!sMessage && oField.unique && typeof vValue === "string" && vValue.trim()) {
+                    var bTaken = (aSuppliers || []).some(function(oOther) {
+                        return oOther.SupplierID !== oSupplier.SupplierID &&
+                            oOther[sProperty].trim().toLowerCase() === vValue.trim().toLowerCase();
+                    });
+                    if (bTaken) {
+                        sMessage = i18n.getText("validationSupplierUnique", [vValue.trim()]);
+                    }
+                }
+                if (sMessage) {
+                    aIssues.push({ path: "/" + sProperty, message: sMessage });
+                }
+            });
+            return aIssues;
+        }
+    };
+});
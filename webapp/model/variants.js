@@ -0,0 +1,306 @@
+sap.ui.define([
+    "./i18n"
+], function(i18n) {
+    "use strict";
+
+    function toPrice(vValue) {
+        return vValue === "" || vValue === null || vValue === undefined ? NaN : Number(vValue);
+    }
+
+    function toCode(sValue) {
+        return sValue.toUpperCase().replace(/[^A-Z0-9]/g, "");
+    }
+
+    // one set of Options per combination of the axis values, in the order of the axes
+    function combine(aAxes) {
+        return aAxes.reduce(function(aCombinations, oAxis) {
+            var aNext = [];
+            aCombinations.forEach(function(oOptions) {
+                oAxis.Values.forEach(function(sValue) {
+                    var oNext = Object.assign({}, oOptions);
+                    oNext[oAxis.Name] = sValue;
+                    aNext.push(oNext);
+                });
+            });
+            return aNext;
+        }, [{}]);
+    }
+
+    function hasOptions(oVariant, oOptions) {
+        var aKeys = Object.keys(oOptions);
+        return aKeys.length === Object.keys(oVariant.Options || {}).length && aKeys.every(function(sAxis) {
+            return oVariant.Options[sAxis] === oOptions[sAxis];
+        });
+    }
+
+    function findDuplicate(aValues) {
+        var mSeen = {};
+        for (var i = 0; i < aValues.length; i++) {
+            var sKey = aValues[i].toLowerCase();
+            if (mSeen[sKey]) {
+                return aValues[i];
+            }
+            mSeen[sKey] = true;
+        }
+        return null;
+    }
+
+    /**
+     * Variants of a product, e.g. the colors and storage sizes a phone is sold in.
+     *
+     * A product has VariantAxes, each with a Name and its Values, and a variant for each combination
+     * of the values. A variant is sold under its own SKU and has its Options, the value per axis, its
+     * own Price and Quantity and Specifications that override those of the product. The variants are
+     * priced in the currency of the product. A product with variants has their total stock as its
+     * Quantity and their lowest price as its Price.
+     */
+    return {
+        /**
+         * Fills in the variant fields of products stored before there were variants.
+         * @public
+         * @param {object} oProduct the product, it is changed
+         * @returns {object} the product
+         */
+        normalize: function(oProduct) {
+            if (!Array.isArray(oProduct.VariantAxes)) {
+                oProduct.VariantAxes = [];
+            }
+            if (!Array.isArray(oProduct.Variants)) {
+                oProduct.Variants = [];
+            }
+            return oProduct;
+        },
+
+        /**
+         * Splits the values of an axis as entered, separated by commas.
+         * @public
+         * @param {string} sValues the values, e.g. "Black, Silver"
+         * @returns {string[]} the values without blanks and empty entries
+         */
+        parseValues: function(sValues) {
+            return (sValues || "").split(",").map(function(sValue) {
+                return sValue.trim();
+            }).filter(Boolean);
+        },
+
+        /**
+         * @public
+         * @param {object} oSpecifications the specifications of a variant
+         * @returns {string} the specifications as "key: value", separated by semicolons
+         */
+        formatSpecifications: function(oSpecifications) {
+            return Object.keys(oSpecifications || {}).map(function(sKey) {
+                return sKey + ": " + oSpecifications[sKey];
+            }).join("; ");
+        },
+
+        /**
+         * @public
+         * @param {string} sSpecifications the specifications as "key: value", separated by semicolons
+         * @returns {object} the specifications, entries without key or value are dropped
+         */
+        parseSpecifications: function(sSpecifications) {
+            var oSpecifications = {};
+            (sSpecifications || "").split(";").forEach(function(sEntry) {
+                var iColon = sEntry.indexOf(":");
+                var sKey = iColon === -1 ? "" : sEntry.slice(0, iColon).trim();
+                var sValue = iColon === -1 ? "" : sEntry.slice(iColon + 1).trim();
+                if (sKey && sValue) {
+                    oSpecifications[sKey] = sValue;
+                }
+            });
+            return oSpecifications;
+        },
+
+        /**
+         * Creates the variants for all combinations of the axis values. Variants that exist for
+         * a combination are kept with their SKU, price, stock and specifications, new ones start with
+         * the given price and no stock.
+         * @public
+         * @param {string} sProductId the ID of the product, the SKUs start with it
+         * @param {object[]} aAxes the axes with Name and Values
+         * @param {object[]} aVariants the current variants
+         * @param {number} fPrice the price of new variants
+         * @returns {object[]} the variants, none if there are no axes
+         */
+        generate: function(sProductId, aAxes, aVariants, fPrice) {
+            var aUsedAxes = aAxes.filter(function(oAxis) {
+                return oAxis.Values.length;
+            });
+            if (!aUsedAxes.length) {
+                return [];
+            }
+            var aSkus = aVariants.map(function(oVariant) {
+                return oVariant.SKU;
+            });
+            return combine(aUsedAxes).map(function(oOptions) {
+                var oExisting = aVariants.filter(function(oVariant) {
+                    return hasOptions(oVariant, oOptions);
+                })[0];
+                if (oExisting) {
+                    return JSON.parse(JSON.stringify(oExisting));
+                }
+                var sBase = [sProductId].concat(aUsedAxes.map(function(oAxis) {
+                    return toCode(oOptions[oAxis.Name]);
+                })).join("-");
+                var sSku = sBase;
+                // values like "16 GB" and "16GB" have the same code
+                for (var i = 2; aSkus.indexOf(sSku) !== -1; i++) {
+                    sSku = sBase + "-" + i;
+                }
+                aSkus.push(sSku);
+                return {
+                    SKU: sSku,
+                    Options: oOptions,
+                    Price: fPrice,
+                    Quantity: 0,
+                    Specifications: {}
+                };
+            });
+        },
+
+        /**
+         * Checks the axes and variants of a product.
+         * @public
+         * @param {object[]} aAxes the axes with Name and Values
+         * @param {object[]} aVariants the variants
+         * @returns {string|null} the message of the first issue, null if they are valid
+         */
+        check: function(aAxes, aVariants) {
+            var aNames = aAxes.map(function(oAxis) {
+                return (oAxis.Name || "").trim();
+            });
+            if (aNames.indexOf("") !== -1) {
+                return i18n.getText("variantAxisNameError");
+            }
+            if (findDuplicate(aNames)) {
+                return i18n.getText("variantAxisDuplicateError", [findDuplicate(aNames)]);
+            }
+            for (var i = 0; i < aAxes.length; i++) {
+                if (!aAxes[i].Values.length) {
+                    return i18n.getText("variantAxisValuesError", [aNames[i]]);
+                }
+                if (findDuplicate(aAxes[i].Values)) {
+                    return i18n.getText("variantValueDuplicateError", [findDuplicate(aAxes[i].Values), aNames[i]]);
+                }
+            }
+            for (var j = 0; j < aVariants.length; j++) {
+                var oVariant = aVariants[j];
+                var fPrice = toPrice(oVariant.Price);
+                if (isNaN(fPrice) || fPrice < 0) {
+                    return i18n.getText("variantPriceError", [oVariant.SKU]);
+                }
+                if (typeof oVariant.Quantity !== "number" || Math.floor(oVariant.Quantity) !== oVariant.Quantity ||
+                        oVariant.Quantity < 0) {
+                    return i18n.getText("variantQuantityError", [oVariant.SKU]);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Gives a product its axes and variants. Its Quantity becomes the total stock of the variants
+         * and its Price their lowest price, a product without variants keeps both.
+         * @public
+         * @param {object} oProduct the product, it is changed
+         * @param {object[]} aAxes the axes with Name and Values
+         * @param {object[]} aVariants the variants
+         * @returns {object} the product
+         */
+        apply: function(oProduct, aAxes, aVariants) {
+            oProduct.VariantAxes = aAxes.map(function(oAxis) {
+                return { Name: oAxis.Name.trim(), Values: oAxis.Values.slice() };
+            });
+            oProduct.Variants = aVariants.map(function(oVariant) {
+                return {
+                    SKU: oVariant.SKU,
+                    Options: Object.assign({}, oVariant.Options),
+                    Price: toPrice(oVariant.Price),
+                    Quantity: oVariant.Quantity,
+                    Specifications: Object.assign({}, oVariant.Specifications)
+                };
+            });
+            if (oProduct.Variants.length) {
+                oProduct.Quantity = this.getTotalStock(oProduct);
+                oProduct.Price = this.getPriceRange(oProduct).min;
+            }
+            return oProduct;
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @returns {object|null} the lowest and the highest price of the variants as min and max, null without variants
+         */
+        getPriceRange: function(oProduct) {
+            var aPrices = (oProduct.Variants || []).map(function(oVariant) {
+                return toPrice(oVariant.Price);
+            });
+            return aPrices.length ? {
+                min: Math.min.apply(null, aPrices),
+                max: Math.max.apply(null, aPrices)
+            } : null;
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @returns {int} the stock of all variants
+         */
+        getTotalStock: function(oProduct) {
+            return (oProduct.Variants || []).reduce(function(iTotal, oVariant) {
+                return iTotal + (parseInt(oVariant.Quantity, 10) || 0);
+            }, 0);
+        },
+
+        /**
+         * Checks that a product with variants still has their total stock and lowest price, e.g. after
+         * a bulk change or an import wrote its Price or Quantity directly.
+         * @public
+         * @param {object} oProduct the product
+         * @returns {string|null} the message of the issue, null if the product has no variants or fits them
+         */
+        checkTotals: function(oProduct) {
+            var oRange = this.getPriceRange(oProduct);
+            if (!oRange) {
+                return null;
+            }
+            if (toPrice(oProduct.Price) !== oRange.min || (parseInt(oProduct.Quantity, 10) || 0) !== this.getTotalStock(oProduct)) {
+                return i18n.getText("variantTotalsError", [oProduct.Name]);
+            }
+            return null;
+        },
+
+        /**
+         * @public
+         * @param {object} oProduct the product
+         * @param {object} oVariant one of its variants
+         * @returns {object} the specifications of the product with those of the variant
+         */
+        getSpecifications: function(oProduct, oVariant) {
+            return Object.assign({}, oProduct.Specifications, oVariant.Specifications);
+        },
+
+        /**
+         * @public
+         * @param {object[]} aAxes the axes of a product
+         * @returns {string} the axes as "name: values", e.g. for the audit trail
+         */
+        describeAxes: function(aAxes) {
+            return (aAxes || []).map(function(oAxis) {
+                return oAxis.Name + ": " + oAxis.Values.join(", ");
+            }).join("; ");
+        },
+
+        /**
+         * @public
+         * @param {object[]} aVariants the variants of a product
+         * @returns {string} the variants by SKU with their price and quantity, e.g. for the audit trail
+         */
+        describeVariants: function(aVariants) {
+            return (aVariants || []).map(function(oVariant) {
+                return i18n.getText("variantDescription", [oVariant.SKU, oVariant.Price, oVariant.Quantity]);
+            }).join("; ");
+        }
+    };
+});
@@ -0,0 +1,30 @@
+/*global QUnit */
+sap.ui.define([
+    "sap/ui/test/opaQunit",
+    "./pages/Master",
+    "./pages/ProductForm"
+], function(opaTest) {
+    "use strict";
+
+    QUnit.module("Create");
+
+    opaTest("Should open an empty form", function(Given, When, Then) {
+        Given.iStartMyApp();
+
+        When.onTheMasterPage.iPressTheAddButton();
+
+        Then.onTheCreatePage.iShouldSeeTheForm().
+            and.iShouldSeeTheName("");
+    });
+
+    opaTest("Should add the new product to the list", function(Given, When, Then) {
+        When.onTheCreatePage.iEnterTheName("Tablet Tab S9").
+            and.iEnterThePrice("649.00").
+            and.iPressTheSaveButton();
+
+        Then.onTheMasterPage.theListShouldHaveEntries(6).
+            and.theListShouldContain("Tablet Tab S9");
+
+        Then.iTeardownMyApp();
+    });
+});
@@ -0,0 +1,22 @@
+/*global QUnit */
+sap.ui.define([
+    "sap/ui/test/opaQunit",
+    "./pages/Master",
+    "./pages/Detail"
+], function(opaTest) {
+    "use strict";
+
+    QUnit.module("Delete");
+
+    opaTest("Should remove the deleted product from the list", function(Given, When, Then) {
+        Given.iStartMyApp({ hash: "product/2" });
+
+        When.onTheDetailPage.iPressTheDeleteButton().
+            and.iConfirmTheDeletion();
+
+        Then.onTheMasterPage.theListShouldHaveEntries(4).
+            and.theListShouldNotContain("Smartphone Galaxy S22");
+
+        Then.iTeardownMyApp();
+    });
+});
@@ -0,0 +1,69 @@
+/*global QUnit */
+sap.ui.define([
+    "sap/ui/test/opaQunit",
+    "./pages/Master",
+    "./pages/Detail",
+    "./pages/ProductForm"
+], function(opaTest) {
+    "use strict";
+
+    QUnit.module("Navigation");
+
+    opaTest("Should see the products of the mock data", function(Given, When, Then) {
+        Given.iStartMyApp();
+
+        Then.onTheMasterPage.iShouldSeeTheList().
+            and.theListShouldHaveEntries(5);
+    });
+
+    opaTest("Should show a product when it is pressed", function(Given, When, Then) {
+        When.onTheMasterPage.iPressOnTheProduct("Laptop XPS 15");
+
+        Then.onTheDetailPage.iShouldSeeTheProduct("Laptop XPS 15");
+    });
+
+    opaTest("Should edit the product", function(Given, When, Then) {
+        When.onTheDetailPage.iPressTheEditButton();
+
+        Then.onTheEditPage.iShouldSeeTheName("Laptop XPS 15");
+    });
+
+    opaTest("Should show the saved product", function(Given, When, Then) {
+        When.onTheEditPage.iEnterTheName("Laptop XPS 15 Plus").
+            and.iPressTheSaveButton();
+
+        Then.onTheDetailPage.iShouldSeeTheProduct("Laptop XPS 15 Plus");
+        Then.onTheMasterPage.theListShouldContain("Laptop XPS 15 Plus").
+            and.theListShouldNotContain("Laptop XPS 15");
+
+        Then.iTeardownMyApp();
+    });
+
+    opaTest("Should open a product from a deep link", function(Given, When, Then) {
+        Given.iStartMyApp({ hash: "product/3" });
+
+        Then.onTheDetailPage.iShouldSeeTheProduct("Wireless Headphones WH-1000XM5");
+        Then.onTheMasterPage.theProductShouldBeSelected("Wireless Headphones WH-1000XM5");
+
+        Then.iTeardownMyApp();
+    });
+
+    opaTest("Should open a tab of a product from a deep link with the search of the list", function(Given, When, Then) {
+        Given.iStartMyApp({ hash: "product/3/stock?search=Wireless" });
+
+        Then.onTheDetailPage.iShouldSeeTheProduct("Wireless Headphones WH-1000XM5").
+            and.theTabShouldBeSelected("stock");
+        Then.onTheMasterPage.theListShouldOnlyContain(["Wireless Headphones WH-1000XM5"]).
+            and.theProductShouldBeSelected("Wireless Headphones WH-1000XM5").
+            and.theSearchFieldShouldShow("Wireless");
+    });
+
+    opaTest("Should keep the selected tab in the URL", function(Given, When, Then) {
+        When.onTheDetailPage.iSelectTheTab("history");
+
+        Then.onTheDetailPage.theUrlShouldShowTheTab("history");
+        Then.onTheMasterPage.theSearchFieldShouldShow("Wireless");
+
+        Then.iTeardownMyApp();
+    });
+});
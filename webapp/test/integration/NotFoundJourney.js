@@ -0,0 +1,38 @@
+/*global QUnit */
+sap.ui.define([
+    "sap/ui/test/opaQunit",
+    "./pages/Master",
+    "./pages/NotFound"
+], function(opaTest) {
+    "use strict";
+
+    QUnit.module("Not found");
+
+    opaTest("Should show the not found page for an unknown hash", function(Given, When, Then) {
+        Given.iStartMyApp();
+
+        When.onTheMasterPage.iEnterTheHash("this/does/not/exist");
+
+        Then.onTheNotFoundPage.iShouldSeeTheNotFoundPage();
+    });
+
+    opaTest("Should go back to the list", function(Given, When, Then) {
+        When.onTheNotFoundPage.iPressTheBackButton();
+
+        Then.onTheMasterPage.theListShouldHaveEntries(5);
+    });
+
+    opaTest("Should show the not found page for an unknown product", function(Given, When, Then) {
+        When.onTheMasterPage.iEnterTheHash("product/999");
+
+        Then.onTheNotFoundPage.iShouldSeeTheProductNotFoundPage();
+    });
+
+    opaTest("Should go back to the list from an unknown product", function(Given, When, Then) {
+        When.onTheNotFoundPage.iPressTheBackButton();
+
+        Then.onTheMasterPage.theListShouldHaveEntries(5);
+
+        Then.iTeardownMyApp();
+    });
+});
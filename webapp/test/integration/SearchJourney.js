@@ -0,0 +1,39 @@
+/*global QUnit */
+sap.ui.define([
+    "sap/ui/test/opaQunit",
+    "./pages/Master"
+], function(opaTest) {
+    "use strict";
+
+    QUnit.module("Search");
+
+    opaTest("Should find products by name", function(Given, When, Then) {
+        Given.iStartMyApp();
+
+        When.onTheMasterPage.iSearchFor("Smart");
+
+        Then.onTheMasterPage.theListShouldOnlyContain(["4K Smart TV OLED C2", "Smart Watch Series 8", "Smartphone Galaxy S22"]);
+    });
+
+    opaTest("Should find products by category", function(Given, When, Then) {
+        When.onTheMasterPage.iSearchFor("Audio");
+
+        Then.onTheMasterPage.theListShouldOnlyContain(["Wireless Headphones WH-1000XM5"]);
+    });
+
+    opaTest("Should show all products again", function(Given, When, Then) {
+        When.onTheMasterPage.iSearchFor("");
+
+        Then.onTheMasterPage.theListShouldHaveEntries(5);
+
+        Then.iTeardownMyApp();
+    });
+
+    opaTest("Should read the search from the URL", function(Given, When, Then) {
+        Given.iStartMyApp({ hash: "?search=Laptop" });
+
+        Then.onTheMasterPage.theListShouldOnlyContain(["Laptop XPS 15"]);
+
+        Then.iTeardownMyApp();
+    });
+});
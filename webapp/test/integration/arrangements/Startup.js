@@ -0,0 +1,35 @@
+sap.ui.define([
+    "sap/ui/test/Opa5"
+], function(Opa5) {
+    "use strict";
+
+    // everything the app keeps in the browser is stored under keys with this prefix
+    var STORAGE_PREFIX = "com.productapp.";
+
+    return Opa5.extend("com.productapp.test.integration.arrangements.Startup", {
+
+        /**
+         * Starts the app component with the mock data. What earlier journeys changed is thrown away,
+         * so the products and suppliers are seeded from the mock data again.
+         * @param {object} [oOptions] the options
+         * @param {string} [oOptions.hash] the hash the app starts with
+         */
+        iStartMyApp: function(oOptions) {
+            var mOptions = oOptions || {};
+            Object.keys(window.localStorage).filter(function(sKey) {
+                return sKey.indexOf(STORAGE_PREFIX) === 0;
+            }).forEach(function(sKey) {
+                window.localStorage.removeItem(sKey);
+            });
+            this.iStartMyUIComponent({
+                componentConfig: {
+                    name: "com.productapp",
+                    async: true,
+                    manifest: true
+                },
+                hash: mOptions.hash || "",
+                autoWait: true
+            });
+        }
+    });
+});
@@ -0,0 +1,17 @@
+sap.ui.define([
+    "sap/ui/test/Opa5",
+    "./arrangements/Startup",
+    "./NavigationJourney",
+    "./CreateJourney",
+    "./DeleteJourney",
+    "./SearchJourney",
+    "./NotFoundJourney"
+], function(Opa5, Startup) {
+    "use strict";
+
+    Opa5.extendConfig({
+        arrangements: new Startup(),
+        viewNamespace: "com.productapp.view.",
+        autoWait: true
+    });
+});
@@ -0,0 +1,96 @@
+sap.ui.define([
+    "sap/ui/test/Opa5",
+    "sap/ui/test/actions/Press",
+    "sap/ui/test/matchers/PropertyStrictEquals"
+], function(Opa5, Press, PropertyStrictEquals) {
+    "use strict";
+
+    var VIEW_NAME = "Detail";
+
+    Opa5.createPageObjects({
+        onTheDetailPage: {
+            actions: {
+                iPressTheEditButton: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.Button",
+                        viewName: VIEW_NAME,
+                        matchers: new PropertyStrictEquals({ name: "icon", value: "sap-icon://edit" }),
+                        actions: new Press(),
+                        errorMessage: "The edit button is not there"
+                    });
+                },
+
+                iPressTheDeleteButton: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.Button",
+                        viewName: VIEW_NAME,
+                        matchers: [
+                            new PropertyStrictEquals({ name: "icon", value: "sap-icon://delete" }),
+                            new PropertyStrictEquals({ name: "type", value: "Reject" })
+                        ],
+                        actions: new Press(),
+                        errorMessage: "The delete button is not there"
+                    });
+                },
+
+                iSelectTheTab: function(sKey) {
+                    return this.waitFor({
+                        controlType: "sap.m.IconTabFilter",
+                        viewName: VIEW_NAME,
+                        matchers: new PropertyStrictEquals({ name: "key", value: sKey }),
+                        actions: new Press(),
+                        errorMessage: "The tab " + sKey + " is not there"
+                    });
+                },
+
+                iConfirmTheDeletion: function() {
+                    return this.waitFor({
+                        searchOpenDialogs: true,
+                        controlType: "sap.m.Button",
+                        matchers: new PropertyStrictEquals({ name: "text", value: "OK" }),
+                        actions: new Press(),
+                        errorMessage: "The confirmation is not shown"
+                    });
+                }
+            },
+
+            assertions: {
+                iShouldSeeTheProduct: function(sName) {
+                    return this.waitFor({
+                        id: "detailPage",
+                        viewName: VIEW_NAME,
+                        matchers: new PropertyStrictEquals({ name: "title", value: sName }),
+                        success: function() {
+                            Opa5.assert.ok(true, "The detail page shows " + sName);
+                        },
+                        errorMessage: "The detail page does not show " + sName
+                    });
+                },
+
+                theTabShouldBeSelected: function(sKey) {
+                    return this.waitFor({
+                        id: "idIconTabBar",
+                        viewName: VIEW_NAME,
+                        matchers: new PropertyStrictEquals({ name: "selectedKey", value: sKey }),
+                        success: function() {
+                            Opa5.assert.ok(true, "The tab " + sKey + " is selected");
+                        },
+                        errorMessage: "The tab " + sKey + " is not selected"
+                    });
+                },
+
+                theUrlShouldShowTheTab: function(sKey) {
+                    return this.waitFor({
+                        check: function() {
+                            return Opa5.getHashChanger().getHash().split("?")[0].split("/")[2] === sKey;
+                        },
+                        success: function() {
+                            Opa5.assert.ok(true, "The URL shows the tab " + sKey);
+                        },
+                        errorMessage: "The URL does not show the tab " + sKey
+                    });
+                }
+            }
+        }
+    });
+});
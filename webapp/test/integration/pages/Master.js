@@ -0,0 +1,161 @@
+sap.ui.define([
+    "sap/ui/test/Opa5",
+    "sap/ui/test/actions/Press",
+    "sap/ui/test/actions/EnterText",
+    "sap/ui/test/matchers/AggregationLengthEquals",
+    "sap/ui/test/matchers/PropertyStrictEquals"
+], function(Opa5, Press, EnterText, AggregationLengthEquals, PropertyStrictEquals) {
+    "use strict";
+
+    var VIEW_NAME = "Master";
+    var LIST_ID = "productList";
+
+    function getTitles(oList) {
+        return oList.getItems().filter(function(oItem) {
+            return oItem.isA("sap.m.ObjectListItem");
+        }).map(function(oItem) {
+            return oItem.getTitle();
+        });
+    }
+
+    Opa5.createPageObjects({
+        onTheMasterPage: {
+            actions: {
+                iPressOnTheProduct: function(sName) {
+                    return this.waitFor({
+                        controlType: "sap.m.ObjectListItem",
+                        viewName: VIEW_NAME,
+                        matchers: new PropertyStrictEquals({ name: "title", value: sName }),
+                        actions: new Press(),
+                        errorMessage: "The product " + sName + " is not in the list"
+                    });
+                },
+
+                iSearchFor: function(sQuery) {
+                    return this.waitFor({
+                        id: "searchField",
+                        viewName: VIEW_NAME,
+                        actions: new EnterText({ text: sQuery, pressEnterKey: true }),
+                        errorMessage: "The search field is not there"
+                    });
+                },
+
+                // a hash entered in the address bar, the list stays the page the browser goes back to
+                iEnterTheHash: function(sHash) {
+                    return this.waitFor({
+                        id: LIST_ID,
+                        viewName: VIEW_NAME,
+                        success: function() {
+                            Opa5.getHashChanger().setHash(sHash);
+                        },
+                        errorMessage: "The product list is not shown"
+                    });
+                },
+
+                iPressTheAddButton: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.Button",
+                        viewName: VIEW_NAME,
+                        matchers: new PropertyStrictEquals({ name: "icon", value: "sap-icon://add" }),
+                        actions: new Press(),
+                        errorMessage: "The add button is not there"
+                    });
+                }
+            },
+
+            assertions: {
+                iShouldSeeTheList: function() {
+                    return this.waitFor({
+                        id: LIST_ID,
+                        viewName: VIEW_NAME,
+                        success: function() {
+                            Opa5.assert.ok(true, "The product list is shown");
+                        },
+                        errorMessage: "The product list is not shown"
+                    });
+                },
+
+                theListShouldHaveEntries: function(iCount) {
+                    return this.waitFor({
+                        id: LIST_ID,
+                        viewName: VIEW_NAME,
+                        matchers: new AggregationLengthEquals({ name: "items", length: iCount }),
+                        success: function() {
+                            Opa5.assert.ok(true, "The list has " + iCount + " products");
+                        },
+                        errorMessage: "The list does not have " + iCount + " products"
+                    });
+                },
+
+                theListShouldContain: function(sName) {
+                    return this.waitFor({
+                        id: LIST_ID,
+                        viewName: VIEW_NAME,
+                        matchers: function(oList) {
+                            return getTitles(oList).indexOf(sName) !== -1;
+                        },
+                        success: function() {
+                            Opa5.assert.ok(true, "The list contains " + sName);
+                        },
+                        errorMessage: "The list does not contain " + sName
+                    });
+                },
+
+                theListShouldNotContain: function(sName) {
+                    return this.waitFor({
+                        id: LIST_ID,
+                        viewName: VIEW_NAME,
+                        matchers: function(oList) {
+                            return getTitles(oList).indexOf(sName) === -1;
+                        },
+                        success: function() {
+                            Opa5.assert.ok(true, "The list does not contain " + sName);
+                        },
+                        errorMessage: "The list still contains " + sName
+                    });
+                },
+
+                theProductShouldBeSelected: function(sName) {
+                    return this.waitFor({
+                        id: LIST_ID,
+                        viewName: VIEW_NAME,
+                        matchers: function(oList) {
+                            var oItem = oList.getSelectedItem();
+                            return !!oItem && oItem.getTitle() === sName;
+                        },
+                        success: function() {
+                            Opa5.assert.ok(true, "The list has " + sName + " selected");
+                        },
+                        errorMessage: "The list does not have " + sName + " selected"
+                    });
+                },
+
+                theSearchFieldShouldShow: function(sQuery) {
+                    return this.waitFor({
+                        id: "searchField",
+                        viewName: VIEW_NAME,
+                        matchers: new PropertyStrictEquals({ name: "value", value: sQuery }),
+                        success: function() {
+                            Opa5.assert.ok(true, "The search field shows " + sQuery);
+                        },
+                        errorMessage: "The search field does not show " + sQuery
+                    });
+                },
+
+                theListShouldOnlyContain: function(aNames) {
+                    return this.waitFor({
+                        id: LIST_ID,
+                        viewName: VIEW_NAME,
+                        matchers: function(oList) {
+                            return getTitles(oList).join() === aNames.join();
+                        },
+                        success: function() {
+                            Opa5.assert.ok(true, "The list shows " + aNames.join(", "));
+                        },
+                        errorMessage: "The list does not only show " + aNames.join(", ")
+                    });
+                }
+            }
+        }
+    });
+});
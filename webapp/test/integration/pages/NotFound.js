@@ -0,0 +1,59 @@
+sap.ui.define([
+    "sap/ui/test/Opa5"
+], function(Opa5) {
+    "use strict";
+
+    var VIEW_NAME = "NotFound";
+
+    Opa5.createPageObjects({
+        onTheNotFoundPage: {
+            actions: {
+                iPressTheBackButton: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.MessagePage",
+                        viewName: VIEW_NAME,
+                        actions: function(oPage) {
+                            oPage.fireNavButtonPress();
+                        },
+                        errorMessage: "The not found page is not shown"
+                    });
+                },
+
+                iShouldSeeTheProductNotFoundPage: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.MessagePage",
+                        viewName: VIEW_NAME,
+                        success: function(aPages) {
+                            Opa5.assert.strictEqual(aPages[0].getTitle(), "Product Not Found", "The product not found page is shown");
+                        },
+                        errorMessage: "The product not found page is not shown"
+                    });
+                }
+            },
+
+            assertions: {
+                iShouldSeeTheNotFoundPage: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.MessagePage",
+                        viewName: VIEW_NAME,
+                        success: function(aPages) {
+                            Opa5.assert.strictEqual(aPages[0].getTitle(), "Not Found", "The not found page is shown");
+                        },
+                        errorMessage: "The not found page is not shown"
+                    });
+                },
+
+                iShouldSeeTheProductNotFoundPage: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.MessagePage",
+                        viewName: VIEW_NAME,
+                        success: function(aPages) {
+                            Opa5.assert.strictEqual(aPages[0].getTitle(), "Product Not Found", "The product not found page is shown");
+                        },
+                        errorMessage: "The product not found page is not shown"
+                    });
+                }
+            }
+        }
+    });
+});
@@ -0,0 +1,76 @@
+sap.ui.define([
+    "sap/ui/test/Opa5",
+    "sap/ui/test/actions/Press",
+    "sap/ui/test/actions/EnterText",
+    "sap/ui/test/matchers/PropertyStrictEquals"
+], function(Opa5, Press, EnterText, PropertyStrictEquals) {
+    "use strict";
+
+    // the Create and Edit pages show the same ProductForm fragment
+    function createFormPage(sViewName) {
+        return {
+            actions: {
+                iEnterTheName: function(sName) {
+                    return this.waitFor({
+                        id: "nameInput",
+                        viewName: sViewName,
+                        actions: new EnterText({ text: sName }),
+                        errorMessage: "The name field is not there"
+                    });
+                },
+
+                iEnterThePrice: function(sPrice) {
+                    return this.waitFor({
+                        id: "priceInput",
+                        viewName: sViewName,
+                        actions: new EnterText({ text: sPrice }),
+                        errorMessage: "The price field is not there"
+                    });
+                },
+
+                iPressTheSaveButton: function() {
+                    return this.waitFor({
+                        controlType: "sap.m.Button",
+                        viewName: sViewName,
+                        matchers: [
+                            new PropertyStrictEquals({ name: "type", value: "Emphasized" }),
+                            new PropertyStrictEquals({ name: "enabled", value: true })
+                        ],
+                        actions: new Press(),
+                        errorMessage: "The save button is not there or disabled"
+                    });
+                }
+            },
+
+            assertions: {
+                iShouldSeeTheForm: function() {
+                    return this.waitFor({
+                        id: "productForm",
+                        viewName: sViewName,
+                        success: function() {
+                            Opa5.assert.ok(true, "The product form is shown");
+                        },
+                        errorMessage: "The product form is not shown"
+                    });
+                },
+
+                iShouldSeeTheName: function(sName) {
+                    return this.waitFor({
+                        id: "nameInput",
+                        viewName: sViewName,
+                        matchers: new PropertyStrictEquals({ name: "value", value: sName }),
+                        success: function() {
+                            Opa5.assert.ok(true, "The form shows " + sName);
+                        },
+                        errorMessage: "The form does not show " + sName
+                    });
+                }
+            }
+        };
+    }
+
+    Opa5.createPageObjects({
+        onTheCreatePage: createFormPage("Create"),
+        onTheEditPage: createFormPage("Edit")
+    });
+});
@@ -0,0 +1,37 @@
+sap.ui.define(function() {
+    "use strict";
+
+    return {
+        name: "QUnit test suite for Product Management",
+        defaults: {
+            page: "ui5://test-resources/com/productapp/Test.qunit.html?testsuite={suite}&test={name}",
+            qunit: {
+                version: 2
+            },
+            sinon: {
+                version: 4
+            },
+            ui5: {
+                language: "EN",
+                theme: "sap_horizon"
+            },
+            coverage: {
+                only: "com/productapp/",
+                never: "test-resources/com/productapp/"
+            },
+            loader: {
+                paths: {
+                    "com/productapp": "../"
+                }
+            }
+        },
+        tests: {
+            "unit/unitTests": {
+                title: "Unit tests for Product Management"
+            },
+            "integration/opaTests": {
+                title: "Integration tests for Product Management"
+            }
+        }
+    };
+});
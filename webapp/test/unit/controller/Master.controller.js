@@ -0,0 +1,132 @@
+/*global QUnit, sinon */
+sap.ui.define([
+    "com/productapp/controller/Master.controller",
+    "com/productapp/model/listState",
+    "sap/ui/base/Event",
+    "sap/ui/model/FilterOperator"
+], function(MasterController, listState, Event, FilterOperator) {
+    "use strict";
+
+    function createSearchEvent(mParameters) {
+        return new Event("search", null, mParameters);
+    }
+
+    function createDetailEvent(oArguments) {
+        return new Event("patternMatched", null, { arguments: oArguments });
+    }
+
+    QUnit.module("Master controller - search", {
+        beforeEach: function() {
+            this.oBinding = {
+                filter: sinon.spy(),
+                sort: sinon.spy()
+            };
+            // the parts of the controller the search works with
+            this.oController = new MasterController();
+            this.oController._oListState = listState.createDefaults();
+            this.oController._sCategory = null;
+            this.oController._oCurrencyService = {
+                convert: function(fPrice) {
+                    return fPrice;
+                }
+            };
+            sinon.stub(this.oController, "byId").returns({
+                getBinding: function() {
+                    return this.oBinding;
+                }.bind(this)
+            });
+            this.oNavStub = sinon.stub(this.oController, "_navToListState");
+        },
+        afterEach: function() {
+            this.oController.destroy();
+        }
+    });
+
+    QUnit.test("onSearch puts the query into the list state and the URL", function(assert) {
+        this.oController.onSearch(createSearchEvent({ query: "Laptop" }));
+        assert.strictEqual(this.oController._oListState.search, "Laptop", "the search is in the list state");
+        assert.ok(this.oNavStub.calledOnce && this.oNavStub.calledWithExactly(true), "the URL is replaced, typing does not fill the history");
+    });
+
+    QUnit.test("onSearch takes the text of a live change", function(assert) {
+        this.oController.onSearch(createSearchEvent({ newValue: "Lap" }));
+        assert.strictEqual(this.oController._oListState.search, "Lap");
+    });
+
+    QUnit.test("onSearch clears the search", function(assert) {
+        this.oController._oListState.search = "Laptop";
+        this.oController.onSearch(createSearchEvent({ query: "" }));
+        assert.strictEqual(this.oController._oListState.search, "", "an empty search field shows all products");
+    });
+
+    QUnit.test("the search filters the list by name, description and category", function(assert) {
+        this.oController._oListState.search = "Laptop";
+        this.oController._applyListState();
+        var aFilters = this.oBinding.filter.firstCall.args[0];
+        assert.strictEqual(aFilters.length, 1, "one filter for the list");
+        assert.strictEqual(aFilters[0].bAnd, true, "all list filters have to match");
+        var oSearch = aFilters[0].getFilters()[0];
+        assert.deepEqual(oSearch.getFilters().map(function(oFilter) {
+            return oFilter.getPath() + " " + oFilter.getOperator() + " " + oFilter.getValue1();
+        }), [
+            "Name " + FilterOperator.Contains + " Laptop",
+            "Description " + FilterOperator.Contains + " Laptop",
+            "Category " + FilterOperator.Contains + " Laptop"
+        ], "any of the fields contains the search");
+    });
+
+    QUnit.test("the search is combined with the category of the route", function(assert) {
+        this.oController._oListState.search = "Laptop";
+        this.oController._sCategory = "Computers";
+        this.oController._applyListState();
+        var aFilters = this.oBinding.filter.firstCall.args[0][0].getFilters();
+        assert.strictEqual(aFilters.length, 2, "the search and the category");
+        assert.strictEqual(aFilters[1].getPath(), "Category");
+        assert.strictEqual(aFilters[1].getOperator(), FilterOperator.EQ);
+        assert.strictEqual(aFilters[1].getValue1(), "Computers");
+    });
+
+    QUnit.test("without search and filters the list is not filtered", function(assert) {
+        this.oController._applyListState();
+        assert.deepEqual(this.oBinding.filter.firstCall.args[0], [], "all products are shown");
+    });
+
+    QUnit.module("Master controller - product pages", {
+        beforeEach: function() {
+            this.oController = new MasterController();
+            this.oController._oListState = listState.createDefaults();
+            this.oController._sCategory = null;
+            this.oController._sSelectedId = null;
+            this.oController._sTab = null;
+            this.oNavTo = sinon.spy();
+            sinon.stub(this.oController, "getRouter").returns({ navTo: this.oNavTo });
+            this.oSetListState = sinon.stub(this.oController, "_setListState");
+            sinon.stub(this.oController, "_syncSelection");
+        },
+        afterEach: function() {
+            this.oController.destroy();
+        }
+    });
+
+    QUnit.test("a search keeps the shown product open", function(assert) {
+        this.oController._onDetailMatched(createDetailEvent({ productId: "3", tab: "stock" }));
+        this.oController._oListState.search = "Head";
+        this.oController._sCategory = "Audio";
+        this.oController._navToListState(true);
+        assert.deepEqual(this.oNavTo.firstCall.args, ["detail", {
+            productId: "3",
+            tab: "stock",
+            "?query": { search: "Head", category: "Audio" }
+        }, true], "the list state goes into the query of the product page");
+    });
+
+    QUnit.test("a product page filters the list only if its query differs", function(assert) {
+        this.oController._oListState.search = "Head";
+        this.oController._onDetailMatched(createDetailEvent({ productId: "3", "?query": { search: "Head" } }));
+        assert.ok(this.oSetListState.notCalled, "the list already shows the state");
+        assert.strictEqual(this.oController._sSelectedId, "3", "the product is selected");
+        this.oController._onDetailMatched(createDetailEvent({ productId: "3", "?query": { search: "Head", category: "Audio" } }));
+        assert.ok(this.oSetListState.calledOnce &&
+            this.oSetListState.calledWithExactly("Audio", { search: "Head", category: "Audio" }), "another category");
+    });
+});
@@ -0,0 +1,391 @@
+/*global QUnit */
+sap.ui.define([
+    "com/productapp/model/ProductRepository",
+    "com/productapp/model/SupplierRepository"
+], function(ProductRepository, SupplierRepository) {
+    "use strict";
+
+    // a storage adapter that keeps the records in an array, with the interface of the LocalStorageAdapter
+    function createMemoryStorage(aRecords, sKeyProperty) {
+        var aData = aRecords;
+        var fnIndex = function(sKey) {
+            for (var i = 0; i < aData.length; i++) {
+                if (aData[i][sKeyProperty] === sKey) {
+                    return i;
+                }
+            }
+            return -1;
+        };
+        return {
+            readAll: function() {
+                return Promise.resolve(aData && aData.slice());
+            },
+            seed: function(aSeed) {
+                aData = aSeed.slice();
+                return Promise.resolve();
+            },
+            create: function(oRecord) {
+                aData.push(oRecord);
+                return Promise.resolve(oRecord);
+            },
+            update: function(oRecord) {
+                aData[fnIndex(oRecord[sKeyProperty])] = oRecord;
+                return Promise.resolve(oRecord);
+            },
+            remove: function(sKey) {
+                aData.splice(fnIndex(sKey), 1);
+                return Promise.resolve();
+            },
+            clear: function() {
+                aData = null;
+                return Promise.resolve();
+            },
+            destroy: function() {
+            }
+        };
+    }
+
+    function createRepository(aProducts, aDeleted) {
+        var oAuditTrail = {
+            load: function() {
+                return Promise.resolve();
+            },
+            record: function() {
+                return Promise.resolve();
+            },
+            clear: function() {
+                return Promise.resolve();
+            },
+            destroy: function() {
+            }
+        };
+        var oMediaLibrary = {
+            store: function() {
+                return Promise.resolve();
+            },
+            refresh: function() {
+            },
+            destroy: function() {
+            }
+        };
+        return new ProductRepository(
+            createMemoryStorage(aProducts, "ProductID"),
+            "",
+            createMemoryStorage(aDeleted || [], "ProductID"),
+            oAuditTrail,
+            oMediaLibrary,
+            new SupplierRepository(createMemoryStorage([{ SupplierID: "1", Name: "Acme" }], "SupplierID"), "")
+        );
+    }
+
+    QUnit.module("ProductRepository - ID generation", {
+        afterEach: function() {
+            this.oRepository.destroy();
+        }
+    });
+
+    QUnit.test("generateId continues after the highest numeric ID", function(assert) {
+        this.oRepository = createRepository([{ ProductID: "2" }, { ProductID: "10" }, { ProductID: "9" }]);
+        return this.oRepository.load().then(function() {
+            assert.strictEqual(this.oRepository.generateId(), "11", "IDs are compared as numbers, not as text");
+        }.bind(this));
+    });
+
+    QUnit.test("generateId starts with 1", function(assert) {
+        this.oRepository = createRepository([]);
+        return this.oRepository.load().then(function() {
+            assert.strictEqual(this.oRepository.generateId(), "1");
+        }.bind(this));
+    });
+
+    QUnit.test("generateId skips the IDs of deleted products", function(assert) {
+        this.oRepository = createRepository([{ ProductID: "1" }], [{ ProductID: "5", DeletedAt: "2024-01-01T00:00:00Z" }]);
+        return this.oRepository.load().then(function() {
+            assert.strictEqual(this.oRepository.generateId(), "6", "a deleted product keeps its ID for a restore");
+        }.bind(this));
+    });
+
+    QUnit.test("generateId ignores IDs that are no numbers", function(assert) {
+        this.oRepository = createRepository([{ ProductID: "ABC" }, { ProductID: "3" }]);
+        return this.oRepository.load().then(function() {
+            assert.strictEqual(this.oRepository.generateId(), "4");
+        }.bind(this));
+    });
+
+    QUnit.test("create gives the new product the generated ID", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "7", Name: "Old" }]);
+        return oRepository.load().then(function() {
+            return oRepository.create({ Name: "New", SupplierName: "acme" });
+        }).then(function(oCreated) {
+            assert.strictEqual(oCreated.ProductID, "8", "the next free ID");
+            assert.strictEqual(oRepository.getById("8").Name, "New", "the product is in the model");
+            assert.strictEqual(oCreated.SupplierID, "1", "the supplier is linked by its name");
+            assert.strictEqual(oRepository.generateId(), "9", "the ID is taken");
+        });
+    });
+
+    QUnit.module("ProductRepository - lookup", {
+        afterEach: function() {
+            this.oRepository.destroy();
+        }
+    });
+
+    QUnit.test("indexOf follows the products when they move", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "1" }, { ProductID: "2" }, { ProductID: "3" }]);
+        return oRepository.load().then(function() {
+            assert.strictEqual(oRepository.indexOf("3"), 2);
+            assert.strictEqual(oRepository.indexOf("4"), -1, "an unknown product");
+            return oRepository.remove("1");
+        }).then(function() {
+            assert.strictEqual(oRepository.indexOf("3"), 1, "the position after a delete");
+            assert.strictEqual(oRepository.indexOf("1"), -1, "the deleted product");
+            return oRepository.undo();
+        }).then(function() {
+            assert.strictEqual(oRepository.indexOf("1"), 2, "the restored product is added at the end");
+        });
+    });
+
+    QUnit.module("ProductRepository - versions", {
+        afterEach: function() {
+            this.oRepository.destroy();
+        }
+    });
+
+    QUnit.test("every change raises the version", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "1", Name: "Old" }]);
+        return oRepository.load().then(function() {
+            return oRepository.create({ Name: "New" });
+        }).then(function(oCreated) {
+            assert.strictEqual(oCreated.Version, 1, "a new product starts with 1");
+            return oRepository.update(Object.assign({}, oRepository.getById("1"), { Name: "Changed" }));
+        }).then(function(oUpdated) {
+            assert.strictEqual(oUpdated.Version, 1, "a product without version counts as 0");
+            return oRepository.undo();
+        }).then(function() {
+            assert.strictEqual(oRepository.getById("1").Name, "Old", "the undo brings back the old name");
+            assert.strictEqual(oRepository.getById("1").Version, 2, "as a new version");
+        });
+    });
+
+    QUnit.test("update rejects a product saved from an outdated version", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "1", Name: "Old", Version: 3 }]);
+        var oOutdated;
+        return oRepository.load().then(function() {
+            oOutdated = Object.assign({}, oRepository.getById("1"), { Name: "Mine" });
+            return oRepository.update(Object.assign({}, oRepository.getById("1"), { Name: "Theirs" }));
+        }).then(function() {
+            return oRepository.update(oOutdated);
+        }).then(function() {
+            assert.ok(false, "the outdated product must not be saved");
+        }, function(oError) {
+            assert.strictEqual(oError.currentProduct.Name, "Theirs", "the error has the stored product");
+            assert.strictEqual(oError.currentProduct.Version, 4, "with the stored version");
+            assert.strictEqual(oRepository.getById("1").Name, "Theirs", "the stored product is kept");
+        });
+    });
+
+    QUnit.test("a stock movement rejects a product another tab saved meanwhile", function(assert) {
+        var aStored = [{ ProductID: "1", Name: "Old", Quantity: 5, Version: 3 }];
+        var oRepository = this.oRepository = createRepository(aStored);
+        return oRepository.load().then(function() {
+            // the other tab writes to the same storage
+            aStored[0] = { ProductID: "1", Name: "Theirs", Quantity: 5, Version: 4 };
+            return oRepository.recordMovement("1", "receipt", 2);
+        }).then(function() {
+            assert.ok(false, "the movement must not overwrite the other save");
+        }, function(oError) {
+            assert.strictEqual(oError.currentProduct.Name, "Theirs", "the error has the stored product");
+            assert.strictEqual(aStored[0].Name, "Theirs", "the stored product is kept");
+            assert.strictEqual(aStored[0].Quantity, 5, "without the movement");
+        });
+    });
+
+    QUnit.test("a delete rejects products another tab saved meanwhile", function(assert) {
+        var aStored = [{ ProductID: "1", Name: "Old", Version: 3 }, { ProductID: "2", Name: "Other", Version: 1 }];
+        var oRepository = this.oRepository = createRepository(aStored);
+        return oRepository.load().then(function() {
+            aStored[0] = { ProductID: "1", Name: "Theirs", Version: 4 };
+            return oRepository.remove("1");
+        }).then(function() {
+            assert.ok(false, "the product must not be deleted");
+        }, function(oError) {
+            assert.strictEqual(oError.currentProduct.Name, "Theirs", "the error has the stored product");
+            aStored[0] = { ProductID: "1", Name: "Theirs again", Version: 5 };
+            return oRepository.removeMany(["2", "1"], "Delete");
+        }).then(function() {
+            assert.ok(false, "the products must not be deleted");
+        }, function(oError) {
+            assert.strictEqual(oError.currentProduct.Name, "Theirs again", "the error has the stored product");
+            assert.strictEqual(aStored.length, 2, "none of the products is deleted");
+        });
+    });
+
+    QUnit.test("undo rejects a product another tab saved meanwhile", function(assert) {
+        var aStored = [{ ProductID: "1", Name: "Old", Price: 10, Version: 1 }];
+        var oRepository = this.oRepository = createRepository(aStored);
+        return oRepository.load().then(function() {
+            return oRepository.updatePricing("1", [], [{ Type: "percent", Value: 10, ValidFrom: "2024-01-01", ValidTo: "", Reason: "" }]);
+        }).then(function(oUpdated) {
+            aStored[0] = Object.assign({}, oUpdated, { Name: "Theirs", Version: oUpdated.Version + 1 });
+            return oRepository.undo();
+        }).then(function() {
+            assert.ok(false, "the undo must not overwrite the other save");
+        }, function(oError) {
+            assert.strictEqual(oError.currentProduct.Name, "Theirs", "the error has the stored product");
+            assert.strictEqual(aStored[0].Name, "Theirs", "the stored product is kept");
+            assert.strictEqual(aStored[0].Discounts.length, 1, "with its discount");
+        });
+    });
+
+    QUnit.module("ProductRepository - stock", {
+        afterEach: function() {
+            this.oRepository.destroy();
+        }
+    });
+
+    QUnit.test("recordMovements books the movements of several products as one change", function(assert) {
+        var oRepository = this.oRepository = createRepository([
+            { ProductID: "1", Name: "Phone", Quantity: 4 },
+            { ProductID: "2", Name: "Case", Quantity: 0 }
+        ]);
+        return oRepository.load().then(function() {
+            return oRepository.recordMovements([
+                { ProductID: "1", Type: "adjustment", Quantity: -4, Reason: "Sold out" },
+                { ProductID: "2", Type: "receipt", Quantity: 10, Reason: "" }
+            ], "Stock");
+        }).then(function() {
+            assert.strictEqual(oRepository.getById("1").Quantity, 0);
+            assert.strictEqual(oRepository.getById("1").InStock, false, "out of stock");
+            assert.strictEqual(oRepository.getById("2").Quantity, 10);
+            assert.strictEqual(oRepository.getById("2").StockMovements.length, 1, "the receipt is booked once");
+            return oRepository.undo();
+        }).then(function() {
+            assert.strictEqual(oRepository.getById("1").Quantity, 4, "the undo brings back both");
+            assert.strictEqual(oRepository.getById("2").Quantity, 0);
+            return oRepository.recordMovements([{ ProductID: "2", Type: "sale", Quantity: 1 }], "Stock");
+        }).then(function() {
+            assert.ok(false, "the stock cannot fall below zero");
+        }, function() {
+            assert.strictEqual(oRepository.getById("2").Quantity, 0, "the product is kept");
+        });
+    });
+
+    QUnit.module("ProductRepository - variants", {
+        afterEach: function() {
+            this.oRepository.destroy();
+        }
+    });
+
+    QUnit.test("updateVariants keeps the stock and price of the product in line with its variants", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "1", Name: "Phone", Price: 500, Quantity: 0 }]);
+        var aAxes = [{ Name: "Color", Values: ["Black", "Silver"] }];
+        return oRepository.load().then(function() {
+            return oRepository.updateVariants("1", aAxes, [
+                { SKU: "1-BLACK", Options: { Color: "Black" }, Price: 480, Quantity: 3, Specifications: {} },
+                { SKU: "1-SILVER", Options: { Color: "Silver" }, Price: 520, Quantity: 2, Specifications: {} }
+            ]);
+        }).then(function(oUpdated) {
+            assert.strictEqual(oUpdated.Quantity, 5, "the total stock");
+            assert.strictEqual(oUpdated.Price, 480, "the lowest price");
+            assert.strictEqual(oUpdated.Variants.length, 2);
+            return oRepository.undo();
+        }).then(function() {
+            assert.deepEqual(oRepository.getById("1").Variants, [], "the undo removes the variants");
+            assert.strictEqual(oRepository.getById("1").Quantity, 0, "and their stock");
+        });
+    });
+
+    QUnit.test("updateVariants rejects invalid variants", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "1", Name: "Phone", Price: 500, Quantity: 0 }]);
+        return oRepository.load().then(function() {
+            return oRepository.updateVariants("1", [{ Name: "Color", Values: [] }], []);
+        }).then(function() {
+            assert.ok(false, "the variants must not be saved");
+        }, function() {
+            assert.deepEqual(oRepository.getById("1").VariantAxes, [], "the product is kept");
+        });
+    });
+
+    QUnit.test("updateMany rejects a price that does not match the variants", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "1", Name: "Phone", Price: 500, Quantity: 0 }]);
+        return oRepository.load().then(function() {
+            return oRepository.updateVariants("1", [{ Name: "Color", Values: ["Black"] }], [
+                { SKU: "1-BLACK", Options: { Color: "Black" }, Price: 480, Quantity: 3, Specifications: {} }
+            ]);
+        }).then(function(oProduct) {
+            return oRepository.updateMany([Object.assign({}, oProduct, { Price: 400 })], "Price");
+        }).then(function() {
+            assert.ok(false, "the price must not be saved");
+        }, function() {
+            assert.strictEqual(oRepository.getById("1").Price, 480, "the price of the variants is kept");
+        });
+    });
+
+    QUnit.module("ProductRepository - pricing", {
+        afterEach: function() {
+            this.oRepository.destroy();
+        }
+    });
+
+    QUnit.test("a changed price is added to the price history", function(assert) {
+        var oRepository = this.oRepository = createRepository([
+            { ProductID: "1", Name: "Phone", Price: 500, ReleaseDate: "2020-01-10" }
+        ]);
+        return oRepository.load().then(function() {
+            assert.deepEqual(oRepository.getById("1").PriceHistory, [{ Date: "2020-01-10", Price: 500 }],
+                "the history starts with the release");
+            return oRepository.update(Object.assign({}, oRepository.getById("1"), { Price: 450 }));
+        }).then(function(oUpdated) {
+            assert.strictEqual(oUpdated.PriceHistory.length, 2);
+            assert.strictEqual(oUpdated.PriceHistory[1].Price, 450, "the new price");
+            return oRepository.update(Object.assign({}, oUpdated, { Name: "Renamed" }));
+        }).then(function(oUpdated) {
+            assert.strictEqual(oUpdated.PriceHistory.length, 2, "other changes leave the history alone");
+        });
+    });
+
+    QUnit.test("updatePricing saves the scheduled prices and discounts and can be undone", function(assert) {
+        var oRepository = this.oRepository = createRepository([{ ProductID: "1", Name: "Phone", Price: 500 }]);
+        var oDiscount = { Type: "percent", Value: "10", ValidFrom: "2020-01-01", ValidTo: "", Reason: " Sale " };
+        return oRepository.load().then(function() {
+            return oRepository.updatePricing("1", [{ EffectiveDate: "2999-01-01", Price: "550" }], [oDiscount]);
+        }).then(function(oUpdated) {
+            assert.deepEqual(oUpdated.ScheduledPrices, [{ EffectiveDate: "2999-01-01", Price: 550 }], "the prices as numbers");
+            assert.deepEqual(oUpdated.Discounts, [
+                { Type: "percent", Value: 10, ValidFrom: "2020-01-01", ValidTo: "", Reason: "Sale" }
+            ]);
+            assert.strictEqual(oUpdated.Price, 500, "the list price stays until the scheduled day");
+            return oRepository.undo();
+        }).then(function() {
+            assert.deepEqual(oRepository.getById("1").ScheduledPrices, [], "the undo removes the scheduled prices");
+            assert.deepEqual(oRepository.getById("1").Discounts, [], "and the discounts");
+            return oRepository.updatePricing("1", [{ EffectiveDate: "2000-01-01", Price: 550 }], []);
+        }).then(function() {
+            assert.ok(false, "a price cannot be scheduled for the past");
+        }, function() {
+            assert.deepEqual(oRepository.getById("1").ScheduledPrices, [], "the product is kept");
+        });
+    });
+
+    QUnit.test("scheduled prices and variants rule each other out", function(assert) {
+        var oRepository = this.oRepository = createRepository([
+            { ProductID: "1", Name: "Phone", Price: 480, Quantity: 3, VariantAxes: [{ Name: "Color", Values: ["Black"] }],
+                Variants: [{ SKU: "1-BLACK", Options: { Color: "Black" }, Price: 480, Quantity: 3, Specifications: {} }] },
+            { ProductID: "2", Name: "Case", Price: 20, Quantity: 0, ScheduledPrices: [{ EffectiveDate: "2999-01-01", Price: 25 }] }
+        ]);
+        return oRepository.load().then(function() {
+            return oRepository.updatePricing("1", [{ EffectiveDate: "2999-01-01", Price: 500 }], []);
+        }).then(function() {
+            assert.ok(false, "the variants set the price");
+        }, function() {
+            assert.deepEqual(oRepository.getById("1").ScheduledPrices, [], "the product with variants is kept");
+            return oRepository.updateVariants("2", [{ Name: "Color", Values: ["Black"] }], [
+                { SKU: "2-BLACK", Options: { Color: "Black" }, Price: 20, Quantity: 0, Specifications: {} }
+            ]);
+        }).then(function() {
+            assert.ok(false, "the scheduled prices would be lost");
+        }, function() {
+            assert.deepEqual(oRepository.getById("2").Variants, [], "the product with scheduled prices is kept");
+        });
+    });
+});
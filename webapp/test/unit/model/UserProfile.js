@@ -0,0 +1,96 @@
+/*global QUnit, sinon */
+sap.ui.define([
+    "com/productapp/model/UserProfile"
+], function(UserProfile) {
+    "use strict";
+
+    var PROFILE_KEY = "com.productapp.userProfile";
+    var PROFILE_URL = "test/userProfile.json";
+
+    // the profile file answers with the given profile
+    function loadProfile(oUserProfile, oProfile) {
+        var oServer = sinon.fakeServer.create({ respondImmediately: true });
+        oServer.respondWith("GET", PROFILE_URL, [200, { "Content-Type": "application/json" }, JSON.stringify(oProfile)]);
+        return oUserProfile.load().finally(function() {
+            oServer.restore();
+        });
+    }
+
+    QUnit.module("UserProfile", {
+        beforeEach: function() {
+            this.oUserProfile = new UserProfile(PROFILE_URL);
+        },
+        afterEach: function() {
+            this.oUserProfile.destroy();
+            window.localStorage.removeItem(PROFILE_KEY);
+        }
+    });
+
+    QUnit.test("the user is a viewer until the profile is loaded", function(assert) {
+        assert.strictEqual(this.oUserProfile.getRole(), "viewer");
+        assert.notOk(this.oUserProfile.can("create"), "no create");
+        assert.notOk(this.oUserProfile.can("edit"), "no edit");
+        assert.notOk(this.oUserProfile.can("delete"), "no delete");
+        assert.notOk(this.oUserProfile.can("pricing"), "no pricing");
+    });
+
+    QUnit.test("an editor may create and edit but not delete or change prices", function(assert) {
+        var oUserProfile = this.oUserProfile;
+        return loadProfile(oUserProfile, { role: "editor" }).then(function() {
+            assert.ok(oUserProfile.can("create"), "create");
+            assert.ok(oUserProfile.can("edit"), "edit");
+            assert.notOk(oUserProfile.can("delete"), "no delete");
+            assert.notOk(oUserProfile.can("pricing"), "no pricing");
+            return loadProfile(oUserProfile, { role: "editor", rights: ["pricing", "unknown"] });
+        }).then(function() {
+            assert.ok(oUserProfile.can("pricing"), "pricing as an additional right");
+            assert.deepEqual(oUserProfile.getModel().getProperty("/rights"), ["pricing"], "unknown rights are ignored");
+        });
+    });
+
+    QUnit.test("an admin may do everything", function(assert) {
+        var oUserProfile = this.oUserProfile;
+        return loadProfile(oUserProfile, { role: "admin" }).then(function() {
+            assert.ok(["create", "edit", "delete", "pricing"].every(oUserProfile.can, oUserProfile));
+        });
+    });
+
+    QUnit.test("the routes to create and edit need the permission", function(assert) {
+        var oUserProfile = this.oUserProfile;
+        assert.ok(oUserProfile.canOpenRoute("detail"), "everybody sees a product");
+        assert.notOk(oUserProfile.canOpenRoute("create"), "a viewer may not create");
+        assert.notOk(oUserProfile.canOpenRoute("edit"), "a viewer may not edit");
+        return loadProfile(oUserProfile, { role: "editor" }).then(function() {
+            assert.ok(oUserProfile.canOpenRoute("create"), "an editor may create");
+            assert.ok(oUserProfile.canOpenRoute("edit"), "an editor may edit");
+        });
+    });
+
+    QUnit.test("the profile decides the role, a stored one does not count", function(assert) {
+        var oUserProfile = this.oUserProfile;
+        window.localStorage.setItem(PROFILE_KEY, JSON.stringify({ role: "admin", rights: [] }));
+        return loadProfile(oUserProfile, { role: "viewer" }).then(function() {
+            assert.strictEqual(oUserProfile.getRole(), "viewer", "the role of the profile");
+            assert.strictEqual(window.localStorage.getItem(PROFILE_KEY), null, "the stored role is gone");
+            assert.notOk(oUserProfile.getModel().getProperty("/canSwitchRole"), "a viewer cannot switch");
+            oUserProfile.setRole("admin");
+            assert.strictEqual(oUserProfile.getRole(), "viewer", "nor become an admin");
+        });
+    });
+
+    QUnit.test("an admin may try another role until the next start", function(assert) {
+        var oUserProfile = this.oUserProfile;
+        return loadProfile(oUserProfile, { role: "admin" }).then(function() {
+            assert.ok(oUserProfile.getModel().getProperty("/canSwitchRole"), "an admin can switch");
+            oUserProfile.setRole("editor", ["pricing"]);
+            assert.strictEqual(oUserProfile.getRole(), "editor");
+            assert.ok(oUserProfile.getModel().getProperty("/canSwitchRole"), "and switch back");
+            assert.strictEqual(window.localStorage.getItem(PROFILE_KEY), null, "the role is not stored");
+            oUserProfile.setRole("superuser");
+            assert.strictEqual(oUserProfile.getRole(), "editor", "unknown roles are ignored");
+            return loadProfile(oUserProfile, { role: "admin" });
+        }).then(function() {
+            assert.strictEqual(oUserProfile.getRole(), "admin", "the next start takes the role of the profile");
+        });
+    });
+});
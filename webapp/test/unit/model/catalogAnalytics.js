@@ -0,0 +1,68 @@
+/*global QUnit */
+sap.ui.define([
+    "com/productapp/model/catalogAnalytics"
+], function(catalogAnalytics) {
+    "use strict";
+
+    var PRODUCTS = [
+        { ProductID: "1", Category: "Audio", Price: 100, Currency: "USD", Quantity: 2, InStock: true, Rating: 4.5, ReleaseDate: "2023-01-15" },
+        { ProductID: "2", Category: "Audio", Price: 50, Currency: "EUR", Quantity: 0, InStock: false, Rating: 3, ReleaseDate: "2023-03-01" },
+        { ProductID: "3", Category: "Video", Price: 10, Currency: "GBP", Quantity: 5, InStock: true, Rating: 5, ReleaseDate: "" },
+        { ProductID: "4", Category: "Video", Price: 20, Currency: "USD", Quantity: 3, InStock: true, Rating: 0.5, ReleaseDate: "2023-03-20" }
+    ];
+
+    // there is no rate for GBP
+    function getPrice(oProduct) {
+        return oProduct.Currency === "GBP" ? null : oProduct.Price * (oProduct.Currency === "EUR" ? 2 : 1);
+    }
+
+    QUnit.module("catalogAnalytics");
+
+    QUnit.test("createKpis adds up the catalog", function(assert) {
+        assert.deepEqual(catalogAnalytics.createKpis(PRODUCTS, getPrice), {
+            productCount: 4,
+            stockValue: 260,
+            outOfStockCount: 1,
+            averageRating: 3.25
+        }, "prices without rate are left out of the stock value");
+        assert.strictEqual(catalogAnalytics.createKpis([], getPrice).averageRating, null, "no average without products");
+    });
+
+    QUnit.test("createValueByCategory puts the largest value first", function(assert) {
+        var aBars = catalogAnalytics.createValueByCategory(PRODUCTS, getPrice);
+        assert.deepEqual(aBars.map(function(oBar) {
+            return [oBar.label, oBar.value, oBar.percent];
+        }), [["Audio", 200, 100], ["Video", 60, 30]]);
+        assert.deepEqual(aBars[1].filter, { categories: ["Video"] }, "filters the category");
+    });
+
+    QUnit.test("createRatingHistogram counts the products per star", function(assert) {
+        var aBars = catalogAnalytics.createRatingHistogram(PRODUCTS);
+        assert.deepEqual(aBars.map(function(oBar) {
+            return oBar.value;
+        }), [2, 1, 0, 0, 1], "the full rating counts as 4 stars");
+        assert.deepEqual(aBars[0].filter, { minRating: 4, maxRating: null }, "the top bar has no upper limit");
+        assert.deepEqual(aBars[4].filter, { minRating: 0, maxRating: 1 }, "the lowest bar ends below 1");
+    });
+
+    QUnit.test("createReleaseTimeline shows every month between the first and the last release", function(assert) {
+        var aBars = catalogAnalytics.createReleaseTimeline(PRODUCTS);
+        assert.deepEqual(aBars.map(function(oBar) {
+            return oBar.value;
+        }), [1, 0, 2], "January to March, products without date are left out");
+        assert.deepEqual(aBars[1].filter, { releasedFrom: "2023-02-01", releasedTo: "2023-02-28" }, "filters the month");
+    });
+
+    QUnit.test("createReleaseTimeline shows years for a longer time", function(assert) {
+        var aBars = catalogAnalytics.createReleaseTimeline([
+            { ReleaseDate: "2019-06-01" },
+            { ReleaseDate: "2023-02-01" },
+            { ReleaseDate: "2023-11-30" }
+        ]);
+        assert.deepEqual(aBars.map(function(oBar) {
+            return [oBar.label, oBar.value];
+        }), [["2019", 1], ["2020", 0], ["2021", 0], ["2022", 0], ["2023", 2]]);
+        assert.deepEqual(aBars[4].filter, { releasedFrom: "2023-01-01", releasedTo: "2023-12-31" }, "filters the year");
+        assert.deepEqual(catalogAnalytics.createReleaseTimeline([]), [], "no bars without releases");
+    });
+});
@@ -0,0 +1,109 @@
+/*global QUnit, sinon */
+sap.ui.define([
+    "com/productapp/model/formatter",
+    "com/productapp/model/i18n"
+], function(formatter, i18n) {
+    "use strict";
+
+    var RATES = { USD: 1, EUR: 0.5 };
+
+    QUnit.module("formatter", {
+        beforeEach: function() {
+            // the texts are checked by their key and arguments, not by the translation
+            this.oGetTextStub = sinon.stub(i18n, "getText").callsFake(function(sKey, aArgs) {
+                return aArgs ? sKey + ":" + aArgs.join("|") : sKey;
+            });
+        },
+        afterEach: function() {
+            this.oGetTextStub.restore();
+        }
+    });
+
+    QUnit.test("formatPrice uses the decimals of the currency", function(assert) {
+        assert.strictEqual(formatter.formatPrice(1234.5, "USD"), "1,234.50", "two decimals for USD");
+        assert.strictEqual(formatter.formatPrice("99", "JPY"), "99", "no decimals for JPY");
+        assert.strictEqual(formatter.formatPrice(0, "EUR"), "0.00", "zero is a price");
+    });
+
+    QUnit.test("formatPrice shows nothing without a price", function(assert) {
+        assert.strictEqual(formatter.formatPrice(null, "USD"), "");
+        assert.strictEqual(formatter.formatPrice(undefined, "USD"), "");
+        assert.strictEqual(formatter.formatPrice("", "USD"), "");
+    });
+
+    QUnit.test("formatDisplayPrice converts into the display currency", function(assert) {
+        assert.strictEqual(formatter.formatDisplayPrice(10, "USD", "EUR", RATES), "5.00", "converted");
+        assert.strictEqual(formatter.formatDisplayCurrency(10, "USD", "EUR", RATES), "EUR", "in the display currency");
+    });
+
+    QUnit.test("formatDisplayPrice keeps a price without exchange rate", function(assert) {
+        assert.strictEqual(formatter.formatDisplayPrice(10, "GBP", "EUR", RATES), "10.00", "not converted");
+        assert.strictEqual(formatter.formatDisplayCurrency(10, "GBP", "EUR", RATES), "GBP", "in its own currency");
+    });
+
+    QUnit.test("formatOriginalPrice is only shown for converted prices", function(assert) {
+        assert.strictEqual(formatter.formatOriginalPrice(10, "USD", "EUR", RATES), "priceOriginal:10.00|USD");
+        assert.strictEqual(formatter.formatOriginalPrice(10, "EUR", "EUR", RATES), "", "same currency");
+        assert.strictEqual(formatter.formatOriginalPrice(10, "GBP", "EUR", RATES), "", "no exchange rate");
+    });
+
+    QUnit.test("formatDisplayPriceRange takes the discount of today off", function(assert) {
+        var aDiscounts = [{ Type: "percent", Value: 10, ValidFrom: "2000-01-01", ValidTo: "" }];
+        assert.strictEqual(formatter.formatDisplayPriceRange(20, "USD", [], "USD", RATES, aDiscounts), "18.00");
+        assert.strictEqual(formatter.formatListPrice(20, "USD", [], "USD", RATES, aDiscounts), "20.00",
+            "the list price is shown next to it");
+        assert.strictEqual(formatter.formatListPrice(20, "USD", [], "USD", RATES, []), "", "but only for a discount");
+        assert.strictEqual(formatter.formatDiscount(20, "USD", aDiscounts), "pricingDiscountPercent:10");
+    });
+
+    QUnit.test("formatStockStatus and formatStockStatusState", function(assert) {
+        assert.strictEqual(formatter.formatStockStatus(true), "inStock");
+        assert.strictEqual(formatter.formatStockStatus(false), "outOfStock");
+        assert.strictEqual(formatter.formatStockStatusState(true), "Success");
+        assert.strictEqual(formatter.formatStockStatusState(false), "Error");
+    });
+
+    QUnit.test("formatMovementType and formatMovementQuantity", function(assert) {
+        assert.strictEqual(formatter.formatMovementType("receipt"), "stockReceipt");
+        assert.strictEqual(formatter.formatMovementType("unknown"), "unknown", "unknown types are shown as they are");
+        assert.strictEqual(formatter.formatMovementQuantity(5), "+5");
+        assert.strictEqual(formatter.formatMovementQuantity(-5), "-5");
+        assert.strictEqual(formatter.formatMovementQuantityState(-1), "Error");
+        assert.strictEqual(formatter.formatMovementQuantityState(0), "Success");
+    });
+
+    QUnit.test("formatAuditField", function(assert) {
+        assert.strictEqual(formatter.formatAuditField("Specifications/Weight"), "auditSpecificationField:Weight");
+        assert.strictEqual(formatter.formatAuditField("Images"), "mediaImages");
+        assert.strictEqual(formatter.formatAuditField("Name"), "fieldName", "product fields by their label");
+        assert.strictEqual(formatter.formatAuditField(""), "");
+    });
+
+    QUnit.test("formatAuditValue and formatCompareValue mark empty values", function(assert) {
+        assert.strictEqual(formatter.formatAuditValue(""), "auditEmptyValue");
+        assert.strictEqual(formatter.formatAuditValue("5"), "5");
+        assert.strictEqual(formatter.formatCompareValue(""), "compareMissingValue");
+        assert.strictEqual(formatter.formatCompareField("Specifications/Weight"), "Weight");
+    });
+
+    QUnit.test("formatFileIcon", function(assert) {
+        assert.strictEqual(formatter.formatFileIcon("image/png"), "sap-icon://attachment-photo");
+        assert.strictEqual(formatter.formatFileIcon("application/pdf"), "sap-icon://pdf-attachment");
+        assert.strictEqual(formatter.formatFileIcon("text/csv"), "sap-icon://attachment-text-file");
+        assert.strictEqual(formatter.formatFileIcon(""), "sap-icon://document");
+    });
+
+    QUnit.test("formatProductIcon shows the first image", function(assert) {
+        assert.strictEqual(formatter.formatProductIcon([{ Thumbnail: "data:a" }, { Thumbnail: "data:b" }]), "data:a");
+        assert.strictEqual(formatter.formatProductIcon([]), "sap-icon://product");
+        assert.strictEqual(formatter.formatProductIcon(undefined), "sap-icon://product");
+        assert.strictEqual(formatter.formatProductIcon([{ FileName: "a.png" }]), "sap-icon://product", "an image without thumbnail");
+    });
+
+    QUnit.test("formatLeadTime and formatDeletedAt", function(assert) {
+        assert.strictEqual(formatter.formatLeadTime("7"), "supplierLeadTimeText:7");
+        assert.strictEqual(formatter.formatLeadTime(null), "supplierLeadTimeText:0");
+        assert.strictEqual(formatter.formatDeletedAt(""), "");
+        assert.ok(formatter.formatDeletedAt("2024-01-31T10:00:00Z").indexOf("recycleBinDeletedAt:") === 0);
+    });
+});
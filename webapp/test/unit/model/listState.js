@@ -0,0 +1,95 @@
+/*global QUnit */
+sap.ui.define([
+    "com/productapp/model/listState",
+    "sap/ui/model/FilterOperator"
+], function(listState, FilterOperator) {
+    "use strict";
+
+    QUnit.module("listState - search filter");
+
+    QUnit.test("no search creates no filter", function(assert) {
+        assert.deepEqual(listState.createFilters(listState.createDefaults()), [], "the list is not filtered");
+    });
+
+    QUnit.test("the search looks into name, description and category", function(assert) {
+        var oState = listState.createDefaults();
+        oState.search = "tab";
+        var aFilters = listState.createFilters(oState);
+        assert.strictEqual(aFilters.length, 1, "one filter for the search");
+        var oSearch = aFilters[0];
+        assert.strictEqual(oSearch.bAnd, false, "any of the fields may match");
+        assert.deepEqual(oSearch.getFilters().map(function(oFilter) {
+            return [oFilter.getPath(), oFilter.getOperator(), oFilter.getValue1()];
+        }), [
+            ["Name", FilterOperator.Contains, "tab"],
+            ["Description", FilterOperator.Contains, "tab"],
+            ["Category", FilterOperator.Contains, "tab"]
+        ]);
+    });
+
+    QUnit.test("the search is combined with the other filters", function(assert) {
+        var oState = listState.createDefaults();
+        oState.search = "tab";
+        oState.minRating = 4;
+        var aFilters = listState.createFilters(oState);
+        assert.strictEqual(aFilters.length, 2, "the search and the rating");
+        assert.strictEqual(aFilters[1].getPath(), "Rating");
+        assert.strictEqual(aFilters[1].getOperator(), FilterOperator.GE);
+    });
+
+    QUnit.test("the search is kept in the URL query", function(assert) {
+        var oState = listState.createDefaults();
+        oState.search = "tab";
+        var oQuery = listState.toQuery(oState);
+        assert.strictEqual(listState.fromQuery(oQuery).search, "tab", "read back from the query");
+    });
+
+    QUnit.module("listState - rating range");
+
+    QUnit.test("the upper limit of the rating is left out", function(assert) {
+        var oState = listState.createDefaults();
+        oState.minRating = 3;
+        oState.maxRating = 4;
+        var aFilters = listState.createFilters(oState);
+        assert.deepEqual(aFilters.map(function(oFilter) {
+            return [oFilter.getPath(), oFilter.getOperator(), oFilter.getValue1()];
+        }), [
+            ["Rating", FilterOperator.GE, 3],
+            ["Rating", FilterOperator.LT, 4]
+        ]);
+    });
+
+    QUnit.test("the rating range is kept in the URL query", function(assert) {
+        var oState = listState.createDefaults();
+        oState.maxRating = 1;
+        var oRead = listState.fromQuery(listState.toQuery(oState));
+        assert.strictEqual(oRead.minRating, 0, "no lower limit");
+        assert.strictEqual(oRead.maxRating, 1, "read back from the query");
+        assert.strictEqual(listState.fromQuery({}).maxRating, null, "no upper limit by default");
+    });
+
+    QUnit.module("listState - product pages");
+
+    QUnit.test("the query of a product page keeps the list state and the category", function(assert) {
+        var oState = listState.createDefaults();
+        oState.search = "lap";
+        assert.deepEqual(listState.toProductQuery(oState, "Laptops"), { search: "lap", category: "Laptops" });
+        assert.deepEqual(listState.fromQuery(listState.toProductQuery(oState, "Laptops")), oState, "the list state is read back");
+        assert.strictEqual(listState.toProductQuery(listState.createDefaults(), null), undefined, "no query for the default list");
+    });
+
+    QUnit.test("the way back from a product page leads to its list", function(assert) {
+        assert.deepEqual(listState.getListRoute({ search: "lap", category: "Laptops" }), {
+            name: "category",
+            parameters: { category: "Laptops", "?query": { search: "lap" } }
+        });
+        assert.deepEqual(listState.getListRoute({ search: "lap", unknown: "1" }), {
+            name: "master",
+            parameters: { "?query": { search: "lap" } }
+        }, "without the parameters the list does not know");
+        assert.deepEqual(listState.getListRoute(), {
+            name: "master",
+            parameters: { "?query": undefined }
+        });
+    });
+});
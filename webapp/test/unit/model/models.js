@@ -0,0 +1,28 @@
+/*global QUnit */
+sap.ui.define([
+    "com/productapp/model/models",
+    "sap/ui/Device",
+    "sap/ui/model/BindingMode"
+], function(models, Device, BindingMode) {
+    "use strict";
+
+    QUnit.module("models", {
+        afterEach: function() {
+            if (this.oModel) {
+                this.oModel.destroy();
+            }
+        }
+    });
+
+    QUnit.test("createDeviceModel holds the device API one way", function(assert) {
+        this.oModel = models.createDeviceModel();
+        assert.strictEqual(this.oModel.getProperty("/system/phone"), Device.system.phone, "the device data is in the model");
+        assert.strictEqual(this.oModel.getDefaultBindingMode(), BindingMode.OneWay, "the views cannot change it");
+    });
+
+    QUnit.test("createProductModel is an empty JSON model", function(assert) {
+        this.oModel = models.createProductModel();
+        assert.ok(this.oModel.isA("sap.ui.model.json.JSONModel"), "a JSON model");
+        assert.deepEqual(this.oModel.getData(), {}, "without data");
+    });
+});
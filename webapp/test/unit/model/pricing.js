@@ -0,0 +1,103 @@
+/*global QUnit */
+sap.ui.define([
+    "com/productapp/model/pricing"
+], function(pricing) {
+    "use strict";
+
+    function createProduct() {
+        return {
+            ProductID: "7",
+            Price: 100,
+            ReleaseDate: "2024-01-10",
+            PriceHistory: [{ Date: "2024-01-10", Price: 100 }],
+            ScheduledPrices: [],
+            Discounts: []
+        };
+    }
+
+    QUnit.module("pricing");
+
+    QUnit.test("normalize starts the history with the release and makes due scheduled prices the list price", function(assert) {
+        var oProduct = pricing.normalize({ Price: 100, ReleaseDate: "2024-01-10" }, "2025-06-01");
+        assert.deepEqual(oProduct.PriceHistory, [{ Date: "2024-01-10", Price: 100 }], "the price applies since the release");
+        assert.deepEqual(oProduct.Discounts, []);
+
+        oProduct.ScheduledPrices = [{ EffectiveDate: "2025-09-01", Price: 80 }, { EffectiveDate: "2025-03-01", Price: 90 }];
+        pricing.normalize(oProduct, "2025-06-01");
+        assert.strictEqual(oProduct.Price, 90, "the scheduled price of the past is the list price");
+        assert.deepEqual(oProduct.PriceHistory[1], { Date: "2025-03-01", Price: 90 }, "from its effective date");
+        assert.deepEqual(oProduct.ScheduledPrices, [{ EffectiveDate: "2025-09-01", Price: 80 }], "the future one stays");
+    });
+
+    QUnit.test("normalize leaves the price of a product with variants to them", function(assert) {
+        var oProduct = pricing.normalize({
+            Price: 480,
+            Variants: [{ SKU: "1-BLACK", Price: 480 }],
+            ScheduledPrices: [{ EffectiveDate: "2025-03-01", Price: 90 }]
+        }, "2025-06-01");
+        assert.strictEqual(oProduct.Price, 480, "the lowest price of the variants");
+        assert.strictEqual(oProduct.PriceHistory.length, 1, "no scheduled price in the history");
+    });
+
+    QUnit.test("record keeps one entry per day and drops a change that was taken back", function(assert) {
+        var oProduct = createProduct();
+        oProduct.Price = 95;
+        pricing.record(oProduct, null, "2025-06-01");
+        oProduct.Price = 92;
+        pricing.record(oProduct, null, "2025-06-01");
+        assert.deepEqual(oProduct.PriceHistory, [
+            { Date: "2024-01-10", Price: 100 },
+            { Date: "2025-06-01", Price: 92 }
+        ], "the last price of the day");
+        oProduct.Price = 100;
+        pricing.record(oProduct, null, "2025-06-01");
+        assert.deepEqual(oProduct.PriceHistory, [{ Date: "2024-01-10", Price: 100 }], "the price is back where it was");
+
+        var oImported = { Price: 100 };
+        pricing.record(oImported, oProduct, "2025-06-02");
+        assert.deepEqual(oImported.PriceHistory, oProduct.PriceHistory, "a product without history keeps the one it replaces");
+    });
+
+    QUnit.test("getPriceOn looks up the history and the scheduled prices", function(assert) {
+        var oProduct = createProduct();
+        oProduct.PriceHistory.push({ Date: "2025-03-01", Price: 90 });
+        oProduct.ScheduledPrices.push({ EffectiveDate: "2026-01-01", Price: 95 });
+        assert.strictEqual(pricing.getPriceOn(oProduct, "2024-06-01"), 100);
+        assert.strictEqual(pricing.getPriceOn(oProduct, "2025-03-01"), 90, "from the day of the change");
+        assert.strictEqual(pricing.getPriceOn(oProduct, "2026-02-01"), 95, "a scheduled price");
+        assert.strictEqual(pricing.getPriceOn(oProduct, "2023-12-31"), null, "before the history starts");
+    });
+
+    QUnit.test("getCurrentPrice takes the best discount that is valid on the day", function(assert) {
+        var oProduct = createProduct();
+        oProduct.Discounts = [
+            { Type: "percent", Value: 10, ValidFrom: "2025-06-01", ValidTo: "2025-06-30" },
+            { Type: "fixed", Value: 15, ValidFrom: "2025-06-15", ValidTo: "" }
+        ];
+        assert.strictEqual(pricing.getCurrentPrice(oProduct, "2025-05-31"), 100, "no discount yet");
+        assert.strictEqual(pricing.getCurrentPrice(oProduct, "2025-06-01"), 90);
+        assert.strictEqual(pricing.getCurrentPrice(oProduct, "2025-06-20"), 85, "the fixed amount takes more off");
+        assert.strictEqual(pricing.getDiscount(oProduct, "2027-01-01"), oProduct.Discounts[1], "an open end");
+        assert.strictEqual(pricing.applyDiscount(10, { Type: "fixed", Value: 15 }), 0, "never below 0");
+    });
+
+    QUnit.test("check finds invalid scheduled prices and discounts", function(assert) {
+        var oDiscount = { Type: "percent", Value: 10, ValidFrom: "2025-06-01", ValidTo: "" };
+        assert.strictEqual(pricing.check([{ EffectiveDate: "2025-07-01", Price: 90 }], [oDiscount], "2025-06-01"), null, "valid");
+        assert.ok(pricing.check([{ EffectiveDate: "2025-06-01", Price: 90 }], [], "2025-06-01"), "a scheduled price for today");
+        assert.ok(pricing.check([{ EffectiveDate: "2025-07-01", Price: 90 }, { EffectiveDate: "2025-07-01", Price: 80 }], [],
+            "2025-06-01"), "two prices for one day");
+        assert.ok(pricing.check([{ EffectiveDate: "2025-07-01", Price: "" }], [], "2025-06-01"), "a scheduled price without price");
+        assert.ok(pricing.check([], [Object.assign({}, oDiscount, { Value: 120 })], "2025-06-01"), "more than 100 percent");
+        assert.ok(pricing.check([], [Object.assign({}, oDiscount, { ValidTo: "2025-05-01" })], "2025-06-01"), "an end before the start");
+    });
+
+    QUnit.test("getChart scales the prices to the highest one", function(assert) {
+        var oProduct = createProduct();
+        oProduct.ScheduledPrices.push({ EffectiveDate: "2026-01-01", Price: 200 });
+        assert.deepEqual(pricing.getChart(oProduct), [
+            { Date: "2024-01-10", Price: 100, Scheduled: false, percent: 50 },
+            { Date: "2026-01-01", Price: 200, Scheduled: true, percent: 100 }
+        ]);
+    });
+});
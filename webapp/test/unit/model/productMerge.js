@@ -0,0 +1,61 @@
+/*global QUnit */
+sap.ui.define([
+    "com/productapp/model/productMerge"
+], function(productMerge) {
+    "use strict";
+
+    var BASE = {
+        ProductID: "1",
+        Version: 1,
+        Name: "Speaker",
+        Price: 100,
+        Quantity: 5,
+        Specifications: { Color: "Black", Weight: "2 kg" }
+    };
+
+    function change(oChanges) {
+        return Object.assign(JSON.parse(JSON.stringify(BASE)), oChanges);
+    }
+
+    QUnit.module("productMerge");
+
+    QUnit.test("merge takes the changes of both sides to different fields", function(assert) {
+        var oMerge = productMerge.merge(BASE, change({ Name: "Loud Speaker" }), change({ Version: 2, Price: 90 }));
+        assert.deepEqual(oMerge.conflicts, [], "no conflicts");
+        assert.strictEqual(oMerge.product.Name, "Loud Speaker", "the change of the user");
+        assert.strictEqual(oMerge.product.Price, 90, "the stored change");
+        assert.strictEqual(oMerge.product.Version, 2, "the stored version");
+    });
+
+    QUnit.test("merge reports a field both sides changed differently", function(assert) {
+        var oMerge = productMerge.merge(BASE, change({ Price: 80 }), change({ Version: 2, Price: 90 }));
+        assert.deepEqual(oMerge.conflicts.map(function(oConflict) {
+            return [oConflict.Field, oConflict.Mine, oConflict.Theirs, oConflict.MineText];
+        }), [["Price", 80, 90, "80"]]);
+        assert.strictEqual(oMerge.product.Price, 90, "the stored value until the user decides");
+        assert.strictEqual(productMerge.resolve(oMerge.product, [Object.assign({ KeepMine: true }, oMerge.conflicts[0])]).Price, 80,
+            "the value of the user if kept");
+    });
+
+    QUnit.test("merge takes the same change of both sides without conflict", function(assert) {
+        var oMerge = productMerge.merge(BASE, change({ Price: 90 }), change({ Version: 2, Price: 90 }));
+        assert.deepEqual(oMerge.conflicts, []);
+    });
+
+    QUnit.test("merge compares every specification on its own", function(assert) {
+        var oMerge = productMerge.merge(BASE,
+            change({ Specifications: { Color: "White", Weight: "2 kg" } }),
+            change({ Version: 2, Specifications: { Color: "Red" } }));
+        assert.deepEqual(oMerge.conflicts.map(function(oConflict) {
+            return oConflict.Field;
+        }), ["Specifications/Color"], "the removed weight is no conflict");
+        assert.deepEqual(productMerge.resolve(oMerge.product, [Object.assign({ KeepMine: true }, oMerge.conflicts[0])]).Specifications,
+            { Color: "White" });
+    });
+
+    QUnit.test("merge always takes the stock ledger and the quantity flag from the stored product", function(assert) {
+        var oMerge = productMerge.merge(BASE, change({ InStock: true }), change({ Version: 2, InStock: false }));
+        assert.deepEqual(oMerge.conflicts, []);
+        assert.strictEqual(oMerge.product.InStock, false);
+    });
+});
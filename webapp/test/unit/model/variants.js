@@ -0,0 +1,84 @@
+/*global QUnit */
+sap.ui.define([
+    "com/productapp/model/variants"
+], function(variants) {
+    "use strict";
+
+    var AXES = [
+        { Name: "Color", Values: ["Black", "Silver"] },
+        { Name: "Storage", Values: ["128 GB", "256 GB"] }
+    ];
+
+    QUnit.module("variants");
+
+    QUnit.test("generate creates a variant per combination of the axis values", function(assert) {
+        var aVariants = variants.generate("7", AXES, [], 499);
+        assert.deepEqual(aVariants.map(function(oVariant) {
+            return oVariant.SKU;
+        }), ["7-BLACK-128GB", "7-BLACK-256GB", "7-SILVER-128GB", "7-SILVER-256GB"], "the SKUs are made of the values");
+        assert.deepEqual(aVariants[1].Options, { Color: "Black", Storage: "256 GB" });
+        assert.strictEqual(aVariants[1].Price, 499, "new variants have the given price");
+        assert.strictEqual(aVariants[1].Quantity, 0, "and no stock");
+    });
+
+    QUnit.test("generate keeps the variants that exist for a combination", function(assert) {
+        var oExisting = {
+            SKU: "7-B",
+            Options: { Color: "Black", Storage: "128 GB" },
+            Price: 450,
+            Quantity: 3,
+            Specifications: { Weight: "180 g" }
+        };
+        var aVariants = variants.generate("7", AXES, [oExisting], 499);
+        assert.deepEqual(aVariants[0], oExisting, "the existing variant with its SKU, price and stock");
+        assert.notStrictEqual(aVariants[0], oExisting, "as a copy");
+        assert.strictEqual(variants.generate("7", [{ Name: "Color", Values: ["Black"] }], [oExisting], 499)[0].SKU,
+            "7-BLACK", "a variant with other options is replaced");
+    });
+
+    QUnit.test("generate makes the SKUs unique", function(assert) {
+        var aVariants = variants.generate("7", [{ Name: "Storage", Values: ["16GB", "16 GB"] }], [], 10);
+        assert.deepEqual(aVariants.map(function(oVariant) {
+            return oVariant.SKU;
+        }), ["7-16GB", "7-16GB-2"]);
+    });
+
+    QUnit.test("check finds invalid axes and variants", function(assert) {
+        var aVariants = variants.generate("7", AXES, [], 499);
+        assert.strictEqual(variants.check(AXES, aVariants), null, "valid");
+        assert.ok(variants.check([{ Name: " ", Values: ["Black"] }], []), "an axis without name");
+        assert.ok(variants.check([AXES[0], { Name: "color", Values: ["Red"] }], []), "two axes with the same name");
+        assert.ok(variants.check([{ Name: "Color", Values: [] }], []), "an axis without values");
+        assert.ok(variants.check([{ Name: "Color", Values: ["Red", "red"] }], []), "a value twice");
+        assert.ok(variants.check(AXES, [Object.assign({}, aVariants[0], { Price: "" })]), "a variant without price");
+        assert.ok(variants.check(AXES, [Object.assign({}, aVariants[0], { Quantity: 1.5 })]), "a partial quantity");
+    });
+
+    QUnit.test("apply gives the product the total stock and the lowest price of its variants", function(assert) {
+        var aVariants = variants.generate("7", AXES, [], 499);
+        aVariants[0].Quantity = 4;
+        aVariants[3].Quantity = 2;
+        aVariants[2].Price = "449.5";
+        var oProduct = variants.apply({ Price: 600, Quantity: 9 }, AXES, aVariants);
+        assert.strictEqual(oProduct.Quantity, 6);
+        assert.strictEqual(oProduct.Price, 449.5);
+        assert.deepEqual(variants.getPriceRange(oProduct), { min: 449.5, max: 499 });
+        assert.strictEqual(variants.apply({ Price: 600, Quantity: 9 }, [], []).Quantity, 9, "a product without variants keeps its stock");
+    });
+
+    QUnit.test("checkTotals finds a price or stock that no longer matches the variants", function(assert) {
+        var oProduct = variants.apply({ Name: "Laptop" }, AXES, variants.generate("7", AXES, [], 499));
+        assert.strictEqual(variants.checkTotals(oProduct), null, "the totals of the variants");
+        assert.ok(variants.checkTotals(Object.assign({}, oProduct, { Price: 450 })), "a changed price");
+        assert.ok(variants.checkTotals(Object.assign({}, oProduct, { Quantity: 3 })), "a changed stock");
+        assert.strictEqual(variants.checkTotals({ Name: "Mouse", Price: 20, Quantity: 3 }), null, "a product without variants");
+    });
+
+    QUnit.test("specifications are entered as text", function(assert) {
+        var oSpecifications = variants.parseSpecifications("RAM: 32GB; Storage: 1TB SSD; broken; Color:");
+        assert.deepEqual(oSpecifications, { RAM: "32GB", Storage: "1TB SSD" }, "incomplete entries are dropped");
+        assert.strictEqual(variants.formatSpecifications(oSpecifications), "RAM: 32GB; Storage: 1TB SSD");
+        assert.deepEqual(variants.getSpecifications({ Specifications: { RAM: "16GB", CPU: "i7" } }, { Specifications: oSpecifications }),
+            { RAM: "32GB", CPU: "i7", Storage: "1TB SSD" }, "the variant overrides the product");
+    });
+});
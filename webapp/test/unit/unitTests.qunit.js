@@ -0,0 +1,14 @@
+sap.ui.define([
+    "./model/formatter",
+    "./model/models",
+    "./model/ProductRepository",
+    "./model/listState",
+    "./model/catalogAnalytics",
+    "./model/UserProfile",
+    "./model/productMerge",
+    "./model/variants",
+    "./model/pricing",
+    "./controller/Master.controller"
+], function() {
+    "use strict";
+});